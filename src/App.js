@@ -12,12 +12,27 @@ import FloatingActionButton from './components/FloatingActionButton';
 import SettingsPanel from './components/SettingsManager';
 import ActionPanel from './components/ActionPanel';
 import ScreenshotPreviewPanel from './components/ScreenshotPreviewPanel';
+import ParseDiagnosticsPanel from './components/ParseDiagnosticsPanel';
+import FileLoadingPanel from './components/FileLoadingPanel';
 import { CardGrid } from './components/UnifiedCard';
 
 // 工具函数导入
 import { ThemeUtils } from './utils/themeManager';
 import { PostMessageHandler, StatsCalculator, DataProcessor } from './utils/data';
-import { extractChatData, detectBranches, parseJSONL, extractMergedJSONLData } from './utils/fileParser';
+import {
+  detectBranches,
+  extractMergedJSONLData,
+  parseChatText,
+  isAbortError,
+  isArchiveFile,
+  isMarkdownFile,
+  bundleCompanionFiles,
+  isFullExportFormat,
+  getConversationData,
+  loadConversationData,
+  releaseConversationLibrary
+} from './utils/fileParser';
+import { parseFileInWorker } from './utils/fileParser/parseWorkerClient';
 import {
   generateFileCardUuid,
   generateConversationCardUuid,
@@ -27,6 +42,7 @@ import {
 } from './utils/data/uuidManager';
 import { MarkManager, getAllMarksStats } from './utils/data/markManager';
 import { StarManager } from './utils/data/starManager';
+import { restoreLyraArchiveState } from './utils/data/archiveStateManager';
 import { SortManager } from './utils/data/sortManager';
 import { SearchManager } from './utils/searchManager';
 import StorageManager from './utils/storageManager';
@@ -90,7 +106,7 @@ export const ValidationUtils = {
 /**
  * useFullExportCardFilter - 卡片筛选Hook
  */
-const useFullExportCardFilter = (conversations = [], operatedUuids = new Set()) => {
+const useFullExportCardFilter = (conversations = [], operatedUuids = new Set(), starredItems = new Map()) => {
   const [filters, setFilters] = useState({
     name: '',
     dateRange: 'all',
@@ -131,10 +147,11 @@ const useFullExportCardFilter = (conversations = [], operatedUuids = new Set())
         }
       }
 
-      // 星标筛选
+      // 星标筛选（手动星标优先于原生星标）
       if (filters.starred !== 'all') {
-        if (filters.starred === 'starred' && !conv.is_starred) return false;
-        if (filters.starred === 'unstarred' && conv.is_starred) return false;
+        const isStarred = starredItems.has(conv.uuid) ? starredItems.get(conv.uuid) : !!conv.is_starred;
+        if (filters.starred === 'starred' && !isStarred) return false;
+        if (filters.starred === 'unstarred' && isStarred) return false;
       }
 
       // 操作状态筛选
@@ -181,7 +198,7 @@ const useFullExportCardFilter = (conversations = [], operatedUuids = new Set())
 
       return true;
     });
-  }, [conversations, filters, operatedUuids]);
+  }, [conversations, filters, operatedUuids, starredItems]);
 
   // 设置单个筛选器
   const setFilter = useCallback((key, value) => {
@@ -273,6 +290,12 @@ const useFullExportCardFilter = (conversations = [], operatedUuids = new Set())
   };
 };
 
+// 丢弃本批加载中没有用来显示的解析结果（Worker 中保留的容器随之释放）
+const clearBatchParsed = (batchParsedRef) => {
+  releaseConversationLibrary(batchParsedRef.current?.data);
+  batchParsedRef.current = null;
+};
+
 /**
  * useFileManager - 文件管理Hook
  */
@@ -286,38 +309,84 @@ const useFileManager = () => {
   const [showTypeConflictModal, setShowTypeConflictModal] = useState(false);
   const [pendingFiles, setPendingFiles] = useState([]);
   const [fileMetadata, setFileMetadata] = useState({});
+  const [loadingProgress, setLoadingProgress] = useState(null); // 解析进度：{ fileName, stage, loaded, total, items, cancellable }
   const hasHydratedPersistedFilesRef = useRef(false);
+  const loadAbortRef = useRef(null);
+  const batchParsedRef = useRef(null); // 本批加载的第一个文件的解析结果，显示该文件时不必再解析一遍
+  const parsedFileRef = useRef(null);  // processedData 对应的文件
+  const needsReparseRef = useRef(false);
 
   // 智能解析文件（JSON或JSONL）
   const parseFile = useCallback(async (file) => {
-    const text = await file.text();
-    const isJSONL = file.name.endsWith('.jsonl') || (text.includes('\n{') && !text.trim().startsWith('['));
-    return isJSONL ? parseJSONL(text) : JSON.parse(text);
+    return parseChatText(await file.text(), file.name);
+  }, []);
+
+  // 在 Worker 中解析文件并更新进度；传入 signal 时加载界面显示取消按钮
+  const parseWithProgress = useCallback(async (file, signal = null) => {
+    setLoadingProgress({ fileName: file.name, stage: 'read', loaded: 0, total: file.size || 0, items: 0, cancellable: !!signal });
+    try {
+      return await parseFileInWorker(file, {
+        signal,
+        onProgress: (progress) => setLoadingProgress({ fileName: file.name, ...progress, cancellable: !!signal })
+      });
+    } finally {
+      setLoadingProgress(null);
+    }
+  }, []);
+
+  // 开始一次可取消的加载；新的加载会取消上一次
+  const beginCancellableLoad = useCallback(() => {
+    loadAbortRef.current?.abort();
+    const controller = new AbortController();
+    loadAbortRef.current = controller;
+    return controller.signal;
+  }, []);
+
+  const cancelLoading = useCallback(() => {
+    loadAbortRef.current?.abort();
   }, []);
 
-  const buildFileMetadata = useCallback(async (file) => {
+  // restoreArchiveState：新加载的 Lyra 归档把其中的标记、排序、重命名和星标写回本地（启动时恢复缓存文件不需要）
+  // signal 取消时抛出 AbortError，由调用方放弃本次加载
+  const buildFileMetadata = useCallback(async (file, { restoreArchiveState = false, signal = null } = {}) => {
     try {
-      const data = extractChatData(await parseFile(file), file.name);
+      const data = await parseWithProgress(file, signal);
+      const keepParsed = !batchParsedRef.current;
+      if (keepParsed) {
+        batchParsedRef.current = { file, data };
+      }
+      if (restoreArchiveState) {
+        restoreLyraArchiveState(data, file);
+      }
+      const conversationList = data.views?.conversationList || [];
+      const isLibrary = isFullExportFormat(data.format);
+      // 只保留第一个文件的解析结果，其余的元数据读完即可释放
+      if (!keepParsed) {
+        releaseConversationLibrary(data);
+      }
       return {
         format: data.format,
         platform: data.platform || data.format,
-        messageCount: data.chat_history?.length || 0,
-        conversationCount: data.format === 'claude_full_export' ?
-          (data.views?.conversationList?.length || 0) : 1,
+        messageCount: isLibrary ?
+          conversationList.reduce((sum, conv) => sum + (conv.messageCount || 0), 0) :
+          (data.chat_history?.length || 0),
+        conversationCount: isLibrary ? conversationList.length : 1,
         title: data.meta_info?.title || file.name,
         model: data.meta_info?.model || '',
         created_at: data.meta_info?.created_at,
         updated_at: data.meta_info?.updated_at
       };
     } catch (err) {
+      if (isAbortError(err)) throw err;
       console.warn(`提取元数据失败 ${file.name}:`, err);
       return {
         format: 'unknown',
         messageCount: 0,
-        title: file.name
+        title: file.name,
+        diagnostics: err.diagnostics || null // 解析诊断报告（点击卡片查看）
       };
     }
-  }, [parseFile]);
+  }, [parseWithProgress]);
 
   // 启动时恢复缓存文件（解决刷新后文件丢失）
   useEffect(() => {
@@ -329,6 +398,7 @@ const useFileManager = () => {
         if (cancelled || restoredFiles.length === 0) return;
 
         const restoredMetadata = {};
+        clearBatchParsed(batchParsedRef);
         for (const file of restoredFiles) {
           restoredMetadata[file.name] = await buildFileMetadata(file);
         }
@@ -383,58 +453,71 @@ const useFileManager = () => {
   // 处理当前文件
   const processCurrentFile = useCallback(async () => {
     if (!files.length || currentFileIndex >= files.length) {
+      parsedFileRef.current = null;
       setProcessedData(null);
       return;
     }
+    const file = files[currentFileIndex];
+    const cached = batchParsedRef.current;
+    if (cached?.file === file) {
+      batchParsedRef.current = null;
+      parsedFileRef.current = file;
+      setProcessedData(cached.data);
+      return;
+    }
+    clearBatchParsed(batchParsedRef);
+    // 只是增删了其他文件时不重新解析当前文件
+    if (parsedFileRef.current === file && !needsReparseRef.current) return;
+
     setIsLoading(true);
     setError(null);
+    needsReparseRef.current = false;
     try {
-      const file = files[currentFileIndex];
-
-      // 检查是否有预处理的合并数据
-      if (file._mergedProcessedData) {
-        console.log('[Lyra] 使用预处理的合并数据');
-        setProcessedData(file._mergedProcessedData);
+      // 统一解析（含预处理的合并数据和ZIP压缩包）
+      const data = await parseWithProgress(file, beginCancellableLoad());
+      parsedFileRef.current = file;
+      setProcessedData(data);
+    } catch (err) {
+      if (isAbortError(err)) {
+        // 取消后再次点击该文件时重新解析
+        needsReparseRef.current = true;
+        setError('已取消加载');
       } else {
-        const jsonData = await parseFile(file);
-        let data = extractChatData(jsonData, file.name);
-        data = detectBranches(data);
-        setProcessedData(data);
+        console.error('处理文件出错:', err);
+        setError(err.message);
       }
-    } catch (err) {
-      console.error('处理文件出错:', err);
-      setError(err.message);
+      parsedFileRef.current = null;
       setProcessedData(null);
     } finally {
       setIsLoading(false);
     }
-  }, [files, currentFileIndex, parseFile]);
+  }, [files, currentFileIndex, parseWithProgress, beginCancellableLoad]);
 
   useEffect(() => {
     processCurrentFile();
   }, [processCurrentFile]);
 
-  // 检查文件兼容性
-  const checkCompatibility = useCallback(async (newFiles) => {
+  // 换了文件后释放上一个容器（Worker 中保留的对话）
+  useEffect(() => () => releaseConversationLibrary(processedData), [processedData]);
+
+  // 检查文件兼容性（使用已解析的元数据，不再重复解析大文件）
+  const checkCompatibility = useCallback((newFiles, newMeta) => {
     if (!files.length) return true;
-    try {
-      const newData = extractChatData(await parseFile(newFiles[0]), newFiles[0].name);
-      const curData = extractChatData(await parseFile(files[currentFileIndex]), files[currentFileIndex].name);
-      const isNewFull = newData.format === 'claude_full_export';
-      const isCurFull = curData.format === 'claude_full_export';
-      return !(isNewFull !== isCurFull);
-    } catch {
-      return true;
-    }
-  }, [files, currentFileIndex, parseFile]);
+    const newFormat = newMeta[newFiles[0].name]?.format;
+    const curFormat = fileMetadata[files[currentFileIndex]?.name]?.format;
+    if (!newFormat || !curFormat) return true;
+    // 多对话容器不能和单对话文件混在一起加载
+    return isFullExportFormat(newFormat) === isFullExportFormat(curFormat);
+  }, [files, currentFileIndex, fileMetadata]);
 
   // 加载文件
   const loadFiles = useCallback(async (fileList) => {
     const validFiles = fileList.filter(f =>
-      f.name.endsWith('.json') || f.name.endsWith('.jsonl') || f.type === 'application/json'
+      f.name.endsWith('.json') || f.name.endsWith('.jsonl') || f.type === 'application/json' ||
+      isArchiveFile(f) || isMarkdownFile(f)
     );
     if (!validFiles.length) {
-      setError('未找到有效的JSON/JSONL文件');
+      setError('未找到有效的JSON/JSONL/ZIP/Markdown文件');
       return;
     }
     const newFiles = validFiles.filter(nf =>
@@ -444,20 +527,28 @@ const useFileManager = () => {
       setError('文件已加载');
       return;
     }
-    const isCompatible = await checkCompatibility(newFiles);
-    if (!isCompatible) {
+    const signal = beginCancellableLoad();
+    const newMeta = {};
+    clearBatchParsed(batchParsedRef);
+    try {
+      for (const file of newFiles) {
+        newMeta[file.name] = await buildFileMetadata(file, { restoreArchiveState: true, signal });
+      }
+    } catch (err) {
+      if (!isAbortError(err)) throw err;
+      clearBatchParsed(batchParsedRef);
+      setError('已取消加载');
+      return;
+    }
+    setFileMetadata(prev => ({ ...prev, ...newMeta }));
+    if (!checkCompatibility(newFiles, newMeta)) {
       setPendingFiles(newFiles);
       setShowTypeConflictModal(true);
       return;
     }
-    const newMeta = {};
-    for (const file of newFiles) {
-      newMeta[file.name] = await buildFileMetadata(file);
-    }
-    setFileMetadata(prev => ({ ...prev, ...newMeta }));
     setFiles(prev => [...prev, ...newFiles]);
     setError(null);
-  }, [files, checkCompatibility, buildFileMetadata]);
+  }, [files, checkCompatibility, buildFileMetadata, beginCancellableLoad]);
 
   const upsertFile = useCallback(async (file, options = {}) => {
     if (!file || typeof file.name !== 'string') {
@@ -643,14 +734,18 @@ const useFileManager = () => {
 
   // 加载并合并 JSONL 文件夹
   const loadMergedJSONLFiles = useCallback(async (fileList) => {
-    const jsonlFiles = fileList.filter(f =>
-      f.name.endsWith('.jsonl') || f.name.endsWith('.json')
-    );
+    const jsonlFiles = fileList.filter(f => f.name.endsWith('.jsonl'));
+    // JSON 文件不参与合并（可能是几百 MB 的完整导出），直接交给 Worker 解析
+    const jsonFiles = fileList.filter(f => f.name.endsWith('.json'));
 
-    if (jsonlFiles.length === 0) {
+    if (jsonlFiles.length === 0 && jsonFiles.length === 0) {
       setError('未找到 JSONL/JSON 文件');
       return;
     }
+    if (jsonFiles.length > 0) {
+      await loadFiles(jsonFiles);
+    }
+    if (jsonlFiles.length === 0) return;
 
     setIsLoading(true);
     setError(null);
@@ -737,9 +832,15 @@ const useFileManager = () => {
   }, [pendingFiles]);
 
   const cancelReplaceFiles = useCallback(() => {
+    setFileMetadata(prev => {
+      const rest = { ...prev };
+      pendingFiles.forEach(file => delete rest[file.name]);
+      return rest;
+    });
+    clearBatchParsed(batchParsedRef);
     setPendingFiles([]);
     setShowTypeConflictModal(false);
-  }, []);
+  }, [pendingFiles]);
 
   const removeFile = useCallback((index) => {
     const toRemove = files[index];
@@ -761,9 +862,13 @@ const useFileManager = () => {
 
   const switchFile = useCallback((index) => {
     if (index >= 0 && index < files.length) {
+      if (index === currentFileIndex && needsReparseRef.current) {
+        processCurrentFile();
+        return;
+      }
       setCurrentFileIndex(index);
     }
-  }, [files.length]);
+  }, [files.length, currentFileIndex, processCurrentFile]);
 
   const reorderFiles = useCallback((fromIdx, toIdx) => {
     if (fromIdx === toIdx) return;
@@ -789,8 +894,9 @@ const useFileManager = () => {
     switchFile,
     reorderFiles,
     confirmReplaceFiles,
-    cancelReplaceFiles
-  }), [loadFiles, upsertFile, loadMergedJSONLFiles, removeFile, switchFile, reorderFiles, confirmReplaceFiles, cancelReplaceFiles]);
+    cancelReplaceFiles,
+    cancelLoading
+  }), [loadFiles, upsertFile, loadMergedJSONLFiles, removeFile, switchFile, reorderFiles, confirmReplaceFiles, cancelReplaceFiles, cancelLoading]);
 
   return {
     files,
@@ -798,6 +904,7 @@ const useFileManager = () => {
     currentFileIndex,
     processedData,
     isLoading,
+    loadingProgress,
     isHydratingPersistedFiles,
     error,
     showTypeConflictModal,
@@ -820,6 +927,7 @@ function App() {
     currentFile,
     currentFileIndex,
     processedData,
+    loadingProgress,
     isHydratingPersistedFiles,
     showTypeConflictModal,
     pendingFiles,
@@ -842,6 +950,8 @@ function App() {
   const [selectedFileIndex, setSelectedFileIndex] = useState(null);
   const [selectedConversationUuid, setSelectedConversationUuid] = useState(null);
   const [selectedConversation, setSelectedConversation] = useState(null);
+  const [libraryFileIndex, setLibraryFileIndex] = useState(null); // 正在浏览的多对话容器（压缩包等）文件索引
+  const [diagnosticsTarget, setDiagnosticsTarget] = useState(null); // 解析诊断面板：{ fileName, diagnostics }
   const [hideNavbar, setHideNavbar] = useState(false); // 新增：控制导航栏显示
   const [deviceMode, setDeviceMode] = useState(() =>
     StorageUtils.getLocalStorage('device-mode', 'auto')
@@ -903,21 +1013,49 @@ function App() {
     return getCurrentFileUuid(viewMode, selectedFileIndex, selectedConversationUuid, processedData, files);
   }, [viewMode, selectedFileIndex, selectedConversationUuid, processedData, files]);
 
+  // 多对话容器（压缩包、完整导出）
+  const isLibraryFile = isFullExportFormat(processedData?.format);
+
+  // 在 Worker 中解析的容器，对话需要异步加载：{ library, uuid, data }
+  const [loadedConversation, setLoadedConversation] = useState(null);
+  useEffect(() => {
+    if (!isLibraryFile || !selectedConversationUuid) return;
+    if (getConversationData(processedData, selectedConversationUuid)) return;
+
+    let cancelled = false;
+    loadConversationData(processedData, selectedConversationUuid).then(data => {
+      if (!cancelled) setLoadedConversation({ library: processedData, uuid: selectedConversationUuid, data });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [isLibraryFile, processedData, selectedConversationUuid]);
+
+  // 容器中选中的单个对话数据；普通文件直接使用 processedData
+  const activeData = useMemo(() => {
+    if (isLibraryFile && selectedConversationUuid) {
+      if (loadedConversation?.library === processedData && loadedConversation.uuid === selectedConversationUuid) {
+        return loadedConversation.data;
+      }
+      return getConversationData(processedData, selectedConversationUuid);
+    }
+    return processedData;
+  }, [isLibraryFile, processedData, selectedConversationUuid, loadedConversation]);
+
   // 星标系统
-  const shouldUseStarSystem = processedData?.format === 'claude_full_export';
+  const shouldUseStarSystem = isLibraryFile;
 
+  // 切换容器时重新读取星标：导入的 Lyra 归档可能写入了新的星标
   useEffect(() => {
     if (shouldUseStarSystem) {
-      if (!starManagerRef.current) {
-        starManagerRef.current = new StarManager(true);
-      }
+      starManagerRef.current = new StarManager(true);
       // 同步星标状态到state
       setStarredConversations(new Map(starManagerRef.current.getStarredConversations()));
     } else {
       starManagerRef.current = null;
       setStarredConversations(new Map());
     }
-  }, [shouldUseStarSystem]);
+  }, [shouldUseStarSystem, processedData]);
 
   useEffect(() => {
     if (currentFileUuid) {
@@ -925,12 +1063,12 @@ function App() {
     }
   }, [currentFileUuid]);
 
-  // 集中化构建全局搜索索引
+  // 集中化登记全局搜索索引的文件（不解析文件，全文索引在打开搜索时才建立）
   useEffect(() => {
     if (files.length > 0) {
       // 使用 setTimeout 来避免阻塞主线程
       const timer = setTimeout(() => {
-        console.log('[App] 正在构建全局搜索索引...');
+        console.log('[App] 正在更新全局搜索索引...');
         const globalSearchManager = getGlobalSearchManager();
         const renameManager = getRenameManager();
         const customNames = renameManager.getAllRenames();
@@ -1011,6 +1149,7 @@ function App() {
 
       if (!state || state.view === 'conversations') {
         setViewMode('conversations');
+        setLibraryFileIndex(null);
         setSelectedConversationUuid(null);
         setSelectedFileIndex(null);
         setSearchQuery('');
@@ -1025,6 +1164,13 @@ function App() {
             contentAreaRef.current.scrollTop = savedPosition;
           }
         }, 50);
+      } else if (state.view === 'library') {
+        setViewMode('conversations');
+        setLibraryFileIndex(state.fileIndex);
+        setSelectedConversationUuid(null);
+        setSelectedFileIndex(null);
+        setSearchQuery('');
+        setTimelineDisplayMessages([]);
       } else if (state.view === 'timeline') {
         setViewMode('timeline');
         setSelectedFileIndex(state.fileIndex);
@@ -1049,23 +1195,25 @@ function App() {
     availableProjects,
     filterStats,
     actions: filterActions
-  } = useFullExportCardFilter(rawConversations, operatedFiles);
+  } = useFullExportCardFilter(rawConversations, operatedFiles, starredConversations);
 
   const fileCards = useMemo(() =>
     DataProcessor.getFileCards(viewMode, processedData, files, currentFileIndex, fileMetadata, t),
     [files, currentFileIndex, processedData, fileMetadata, viewMode, t, renameVersion]
   );
 
+  const isFullExportConversationMode = viewMode === 'conversations' && isLibraryFile && libraryFileIndex === currentFileIndex;
+
   const allCards = useMemo(() => {
-    if (viewMode === 'conversations' && processedData?.format === 'claude_full_export') {
+    if (isFullExportConversationMode) {
       return [...filteredConversations];
     }
     return fileCards;
-  }, [viewMode, processedData, filteredConversations, fileCards]);
+  }, [isFullExportConversationMode, filteredConversations, fileCards]);
 
   const timelineMessages = useMemo(() =>
-    DataProcessor.getTimelineMessages(viewMode, selectedFileIndex, currentFileIndex, processedData, selectedConversationUuid),
-    [viewMode, processedData, selectedConversationUuid, selectedFileIndex, currentFileIndex]
+    DataProcessor.getTimelineMessages(viewMode, selectedFileIndex, currentFileIndex, activeData, selectedConversationUuid),
+    [viewMode, activeData, selectedConversationUuid, selectedFileIndex, currentFileIndex]
   );
 
   // 排序管理器初始化
@@ -1129,8 +1277,6 @@ function App() {
     });
   }, [viewMode, selectedFileIndex, selectedConversationUuid, processedData, files, currentFileIndex, fileMetadata, renameVersion]);
 
-  const isFullExportConversationMode = viewMode === 'conversations' && processedData?.format === 'claude_full_export';
-
   // ==================== AI Chat 集成 ====================
 
   // 初始化 AI Chat - 从 localStorage 加载配置
@@ -1157,21 +1303,35 @@ function App() {
     return new PostMessageHandler(fileActions, setError);
   }, [fileActions]);
 
-  const handleFileLoad = (e) => {
-    const fileList = Array.from(e.target.files);
+  const handleFileLoad = async (e) => {
+    // 官方导出的 conversations.json 与 projects.json/users.json 一起选中时打包为压缩包
+    // SillyTavern 聊天与角色卡（PNG / JSON）一起选中时也打包，角色卡作为对话元数据
+    const fileList = await bundleCompanionFiles(Array.from(e.target.files));
     // 检测是否包含JSONL文件，如果是则使用合并加载（支持分支检测）
     const hasJSONL = fileList.some(f => f.name.endsWith('.jsonl'));
     if (hasJSONL) {
-      fileActions.loadMergedJSONLFiles(fileList);
+      // 压缩包和 Markdown 不参与JSONL合并，单独加载
+      const standaloneFiles = fileList.filter(f => isArchiveFile(f) || isMarkdownFile(f));
+      fileActions.loadMergedJSONLFiles(fileList.filter(f => !standaloneFiles.includes(f)));
+      if (standaloneFiles.length > 0) {
+        fileActions.loadFiles(standaloneFiles);
+      }
     } else {
       fileActions.loadFiles(fileList);
     }
   };
 
   // 文件夹加载处理
-  const handleFolderLoad = (e) => {
-    const fileList = Array.from(e.target.files);
-    fileActions.loadMergedJSONLFiles(fileList);
+  const handleFolderLoad = async (e) => {
+    const fileList = await bundleCompanionFiles(Array.from(e.target.files));
+    const standaloneFiles = fileList.filter(f => isArchiveFile(f) || isMarkdownFile(f));
+    const otherFiles = fileList.filter(f => !standaloneFiles.includes(f));
+    if (standaloneFiles.length > 0) {
+      fileActions.loadFiles(standaloneFiles);
+    }
+    if (otherFiles.length > 0 || standaloneFiles.length === 0) {
+      fileActions.loadMergedJSONLFiles(otherFiles);
+    }
   };
 
   const handleNavigateToMessage = useCallback((navigationData) => {
@@ -1194,6 +1354,11 @@ function App() {
       setSelectedFileIndex(fileIndex);
     }
 
+    // 目标文件是多对话容器时，返回列表应回到该容器的对话网格
+    const targetFile = files[fileIndex];
+    const isTargetLibrary = !!targetFile && isFullExportFormat(fileMetadata[targetFile.name]?.format);
+    setLibraryFileIndex(isTargetLibrary ? fileIndex : null);
+
     // 设置对话UUID
     if (conversationUuid) {
       // 如果是完整导出格式，需要提取真实的对话UUID
@@ -1204,6 +1369,12 @@ function App() {
         if (parts.length > 1) {
           realConversationUuid = parts.slice(1).join('_');
         }
+      } else if (isTargetLibrary) {
+        // 对话卡片UUID（fileHash-conversationUuid）
+        const parsed = parseUuid(conversationUuid);
+        if (parsed.conversationUuid && parsed.fileHash === generateFileHash(targetFile)) {
+          realConversationUuid = parsed.conversationUuid;
+        }
       }
       setSelectedConversationUuid(realConversationUuid);
     }
@@ -1234,7 +1405,7 @@ function App() {
         }
       }));
     }, delay);
-  }, [selectedFileIndex, currentFileIndex, selectedConversationUuid, setViewMode, setSelectedFileIndex, setSelectedConversationUuid, fileActions]);
+  }, [selectedFileIndex, currentFileIndex, selectedConversationUuid, setViewMode, setSelectedFileIndex, setSelectedConversationUuid, fileActions, files, fileMetadata]);
 
   const handleCardSelect = useCallback((card) => {
     if (contentAreaRef.current && viewMode === 'conversations') {
@@ -1250,32 +1421,31 @@ function App() {
     setSortVersion(v => v + 1);
 
     if (card.type === 'file') {
+      // 无法解析的文件：显示诊断面板而不是进入时间线
+      const diagnostics = fileMetadata[card.fileName]?.diagnostics;
+      if (card.format === 'unknown' && diagnostics) {
+        setDiagnosticsTarget({ fileName: card.fileName, diagnostics });
+        return;
+      }
+
       const needsFileSwitch = card.fileIndex !== currentFileIndex;
 
-      if (needsFileSwitch) {
-        fileActions.switchFile(card.fileIndex);
-        setTimeout(() => {
-          if (card.format === 'claude_full_export' || card.fileData?.format === 'claude_full_export') {
-            setViewMode('conversations');
-            setSelectedFileIndex(null);
-            setSelectedConversationUuid(null);
-          } else {
-            setSelectedFileIndex(card.fileIndex);
-            setSelectedConversationUuid(null);
-            // 添加 history 记录
-            window.history.pushState(
-              { view: 'timeline', fileIndex: card.fileIndex, convUuid: null },
-              ''
-            );
-            setViewMode('timeline');
-          }
-        }, 100);
-      } else {
-        if (card.format === 'claude_full_export' || card.fileData?.format === 'claude_full_export') {
-          setViewMode('conversations');
+      const openFileCard = () => {
+        if (isFullExportFormat(card.format) || isFullExportFormat(card.fileData?.format)) {
+          // 多对话容器：进入对话网格
+          setLibraryFileIndex(card.fileIndex);
           setSelectedFileIndex(null);
           setSelectedConversationUuid(null);
+          window.history.pushState(
+            { view: 'library', fileIndex: card.fileIndex },
+            ''
+          );
+          setViewMode('conversations');
+          if (contentAreaRef.current) {
+            contentAreaRef.current.scrollTop = 0;
+          }
         } else {
+          setLibraryFileIndex(null);
           setSelectedFileIndex(card.fileIndex);
           setSelectedConversationUuid(null);
           // 添加 history 记录
@@ -1285,11 +1455,18 @@ function App() {
           );
           setViewMode('timeline');
         }
+      };
+
+      if (needsFileSwitch) {
+        fileActions.switchFile(card.fileIndex);
+        setTimeout(openFileCard, 100);
+      } else {
+        openFileCard();
       }
     } else if (card.type === 'conversation') {
       const parsed = parseUuid(card.uuid);
       const fileIndex = card.fileIndex;
-      const conversationUuid = parsed.conversationUuid;
+      const conversationUuid = card.conversationUuid || parsed.conversationUuid;
       const needsFileSwitch = fileIndex !== currentFileIndex;
 
       if (needsFileSwitch) {
@@ -1315,7 +1492,7 @@ function App() {
         setViewMode('timeline');
       }
     }
-  }, [currentFileIndex, fileActions, viewMode, currentFile]);
+  }, [currentFileIndex, fileActions, viewMode, currentFile, fileMetadata]);
 
   const handleFileRemove = useCallback((fileIndexOrUuid) => {
     if (typeof fileIndexOrUuid === 'number') {
@@ -1348,6 +1525,17 @@ function App() {
     }
   }, [currentFileIndex, selectedFileIndex, files, fileActions]);
 
+  // 从容器的对话网格返回文件列表
+  const handleBackToFiles = useCallback(() => {
+    if (window.history.state && window.history.state.view === 'library') {
+      window.history.back();
+    } else {
+      setLibraryFileIndex(null);
+      setSearchQuery('');
+      setSortVersion(v => v + 1);
+    }
+  }, []);
+
   const handleBackToConversations = useCallback(() => {
     // 使用 window.history.back() 触发浏览器后退，状态更新由 popstate 处理
     if (window.history.state && window.history.state.view === 'timeline') {
@@ -1370,7 +1558,7 @@ function App() {
       if (viewMode === 'timeline' && selectedFileIndex !== null) {
         const file = files[selectedFileIndex];
         if (file) {
-          const fileUuid = selectedConversationUuid && processedData?.format === 'claude_full_export'
+          const fileUuid = selectedConversationUuid && isLibraryFile
             ? generateConversationCardUuid(selectedFileIndex, selectedConversationUuid, file)
             : generateFileCardUuid(selectedFileIndex, file);
 
@@ -1407,33 +1595,43 @@ function App() {
     setScreenshotPreview({ isOpen: false, data: null });
   };
 
+  // 导出参数 - 导出和数据集 token 预估共用
+  const getExportParams = () => ({
+    exportOptions: {
+      ...exportOptions,
+      selectedConversationUuid: isLibraryFile ? selectedConversationUuid : null // 传递容器中当前选中的对话UUID
+    },
+    processedData: activeData,
+    sortManagerRef,
+    sortedMessages,
+    markManagerRef,
+    currentBranchState,
+    operatedFiles,
+    files,
+    currentFileIndex,
+    fileData: processedData, // 当前文件已解析的数据（容器为 Worker 中的对话索引），导出时不再重新解析
+    displayMessages: viewMode === 'timeline' ? timelineDisplayMessages : null, // 使用从 ConversationTimeline 传回的实际显示消息
+    openScreenshotPreview, // 新增：打开截图预览面板
+    currentTheme: ThemeUtils.getCurrentTheme(), // 新增：当前主题
+    conversation: selectedConversation // 新增：当前对话信息
+  });
+
   // 导出功能 - 使用exportManager中的handleExport
   const handleExportClick = async () => {
     const { handleExport } = await import('./utils/exportManager');
-    const success = await handleExport({
-      exportOptions: {
-        ...exportOptions,
-        selectedConversationUuid // 传递当前选中的对话UUID
-      },
-      processedData,
-      sortManagerRef,
-      sortedMessages,
-      markManagerRef,
-      currentBranchState,
-      operatedFiles,
-      files,
-      currentFileIndex,
-      displayMessages: viewMode === 'timeline' ? timelineDisplayMessages : null, // 使用从 ConversationTimeline 传回的实际显示消息
-      openScreenshotPreview, // 新增：打开截图预览面板
-      currentTheme: ThemeUtils.getCurrentTheme(), // 新增：当前主题
-      conversation: selectedConversation // 新增：当前对话信息
-    });
+    const success = await handleExport(getExportParams());
 
     if (success) {
       setShowActionPanel(false);
     }
   };
 
+  // 数据集导出的样本数和 token 预估
+  const handleDatasetPreview = async () => {
+    const { previewDatasetExport } = await import('./utils/exportManager');
+    return previewDatasetExport(getExportParams());
+  };
+
   // 排序操作
   const sortActions = {
     enableSort: () => {
@@ -1564,7 +1762,7 @@ function App() {
           operatedSet.add(fileUuid);
         }
 
-        if (index === currentFileIndex && processedData?.format === 'claude_full_export') {
+        if (index === currentFileIndex && isFullExportFormat(processedData?.format)) {
           const conversations = processedData.views?.conversationList || [];
           conversations.forEach(conv => {
             const convUuid = generateConversationCardUuid(index, conv.uuid, file);
@@ -1646,7 +1844,7 @@ function App() {
         ref={fileInputRef}
         type="file"
         multiple
-        accept=".json,.jsonl"
+        accept=".json,.jsonl,.zip,.md,.markdown,.png"
         onChange={handleFileLoad}
         style={{ display: 'none' }}
       />
@@ -1659,6 +1857,12 @@ function App() {
         style={{ display: 'none' }}
       />
 
+      {/* 文件加载进度（首次加载时也显示） */}
+      <FileLoadingPanel
+        progress={loadingProgress}
+        onCancel={fileActions.cancelLoading}
+      />
+
       {files.length === 0 ? (
         isHydratingPersistedFiles ? (
           <div style={{ padding: '48px 16px', textAlign: 'center' }}>
@@ -1687,6 +1891,14 @@ function App() {
                   ← {t('app.navbar.backToList')}
                 </button>
               )}
+              {isFullExportConversationMode && !isExtension && (
+                <button
+                  className="btn-secondary small"
+                  onClick={handleBackToFiles}
+                >
+                  ← {t('app.navbar.backToFiles')}
+                </button>
+              )}
               {/* 移动端：显示搜索按钮 */}
               {isMobile && !isFullExportConversationMode && (
                 <button
@@ -1805,24 +2017,24 @@ function App() {
                     starredItems={starredConversations}
                     onItemSelect={handleCardSelect}
                     onItemStar={isFullExportConversationMode && shouldUseStarSystem ? handleStarToggle : null}
-                    onItemRemove={handleFileRemove}
+                    onItemRemove={isFullExportConversationMode ? null : handleFileRemove}
                     onItemRename={handleItemRename}
                     onAddItem={() => fileInputRef.current?.click()}
                   />
                 ) : (
                   <ConversationTimeline
-                    data={processedData}
+                    data={activeData}
                     conversation={currentConversation}
                     messages={displayedItems}
                     marks={currentMarks}
                     markActions={markActions}
-                    format={processedData?.format}
+                    format={activeData?.format}
                     sortActions={sortActions}
                     hasCustomSort={hasCustomSort}
                     enableSorting={true}
                     files={files}
                     currentFileIndex={currentFileIndex}
-                    onFileSwitch={(index) => {
+                    onFileSwitch={isLibraryFile ? null : (index) => {
                       if (contentAreaRef.current) {
                         const key = currentFile ? `file-${currentFileIndex}` : 'main';
                         setScrollPositions(prev => ({
@@ -1888,6 +2100,14 @@ function App() {
             </div>
           )}
 
+          {/* 解析诊断面板 */}
+          <ParseDiagnosticsPanel
+            isOpen={!!diagnosticsTarget}
+            fileName={diagnosticsTarget?.fileName}
+            diagnostics={diagnosticsTarget?.diagnostics}
+            onClose={() => setDiagnosticsTarget(null)}
+          />
+
           {/* 设置面板 */}
           <SettingsPanel
             isOpen={showSettingsPanel}
@@ -1920,6 +2140,7 @@ function App() {
             isFullExportConversationMode={isFullExportConversationMode}
             allCards={allCards}
             onExport={handleExportClick}
+            onPreviewDataset={handleDatasetPreview}
           />
           {/* 长截图预览面板 */}
           {screenshotPreview.isOpen && screenshotPreview.data && (
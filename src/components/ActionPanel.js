@@ -2,6 +2,7 @@
 // Ubuntu风格操作面板 - 整合全局搜索、语义搜索、导出功能
 
 import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import { saveAs } from 'file-saver';
 import { getGlobalSearchManager } from '../utils/globalSearchManager';
 import { getSemanticSearchManager, extractMessagesForSemantic } from '../utils/semanticSearchManager';
 import { getAllMarksStats } from '../utils/data/markManager';
@@ -9,6 +10,7 @@ import { generateFileCardUuid, generateConversationCardUuid } from '../utils/dat
 import { DateTimeUtils } from '../utils/fileParser';
 import { useI18n } from '../index.js';
 import StorageManager from '../utils/storageManager';
+import { ExportPresetManager } from '../utils/export/exportPresets';
 
 /**
  * 左侧导航项配置
@@ -18,9 +20,27 @@ const NAV_ITEMS = [
   { id: 'semanticSearch', icon: '', labelKey: 'actionPanel.nav.semanticSearch' },
   { id: 'exportMarkdown', icon: '', labelKey: 'actionPanel.nav.exportMarkdown' },
   { id: 'exportScreenshot', icon: '', labelKey: 'actionPanel.nav.exportScreenshot' },
-  { id: 'exportPdf', icon: '', labelKey: 'actionPanel.nav.exportPdf' }
+  { id: 'exportPdf', icon: '', labelKey: 'actionPanel.nav.exportPdf' },
+  { id: 'exportMore', icon: '', labelKey: 'actionPanel.nav.exportMore' }
 ];
 
+// 只适用于某种格式的导出范围："当前文件"用于表格，"全部分支"用于 Markdown
+const FORMAT_ONLY_SCOPES = {
+  currentFile: { format: 'spreadsheet', fallback: 'all' },
+  allBranches: { format: 'markdown', fallback: 'current' }
+};
+
+// “更多格式”中可选的导出格式
+const MORE_EXPORT_FORMATS = ['html', 'docx', 'epub', 'logseq', 'org', 'dataset', 'spreadsheet', 'lyra_archive'];
+
+// 导出格式对应的导航项
+const getExportSection = (format) => {
+  if (format === 'markdown') return 'exportMarkdown';
+  if (format === 'screenshot') return 'exportScreenshot';
+  if (format === 'pdf') return 'exportPdf';
+  return 'exportMore';
+};
+
 /**
  * Ubuntu风格操作面板
  */
@@ -42,6 +62,7 @@ const ActionPanel = ({
   isFullExportConversationMode,
   allCards,
   onExport,
+  onPreviewDataset,
   initialSection = 'globalSearch',
   initialSearchQuery = ''
 }) => {
@@ -97,6 +118,16 @@ const ActionPanel = ({
     }
   };
 
+  // 应用导出预设：切换到预设的导出格式所在的页面
+  const handleApplyPreset = (options) => {
+    setExportOptions(prev => ({ ...prev, ...options }));
+    if (options.exportFormat) {
+      const section = getExportSection(options.exportFormat);
+      setActiveSection(section);
+      StorageManager.set('last_export_format', section);
+    }
+  };
+
   const handleBackClick = () => {
     if (window.history.length > 1) {
       window.history.back();
@@ -165,11 +196,13 @@ const ActionPanel = ({
               />
             )}
 
-            {(activeSection === 'exportMarkdown' || activeSection === 'exportScreenshot' || activeSection === 'exportPdf') && (
+            {(activeSection === 'exportMarkdown' || activeSection === 'exportScreenshot' || activeSection === 'exportPdf' || activeSection === 'exportMore') && (
               <ExportSection
                 exportFormat={
                   activeSection === 'exportMarkdown' ? 'markdown' :
-                  activeSection === 'exportScreenshot' ? 'screenshot' : 'pdf'
+                  activeSection === 'exportScreenshot' ? 'screenshot' :
+                  activeSection === 'exportPdf' ? 'pdf' :
+                  MORE_EXPORT_FORMATS.includes(exportOptions.exportFormat) ? exportOptions.exportFormat : MORE_EXPORT_FORMATS[0]
                 }
                 exportOptions={exportOptions}
                 setExportOptions={setExportOptions}
@@ -185,6 +218,8 @@ const ActionPanel = ({
                 processedData={processedData}
                 currentFileIndex={currentFileIndex}
                 onExport={onExport}
+                onPreviewDataset={onPreviewDataset}
+                onApplyPreset={handleApplyPreset}
                 onClose={onClose}
               />
             )}
@@ -248,6 +283,19 @@ const saveExpandedState = (expandedSet) => {
   }
 };
 
+// 从 localStorage 读取搜索选项
+const getSearchOptions = () => {
+  const stored = StorageManager.get('search-options');
+  if (stored) {
+    return JSON.parse(stored);
+  }
+  return {
+    removeDuplicates: true,
+    includeThinking: true,
+    includeArtifacts: true
+  };
+};
+
 /**
  * 高亮关键词并渲染Markdown格式
  */
@@ -331,27 +379,30 @@ const GlobalSearchSection = ({ onNavigateToMessage, onClose, initialQuery = '' }
   const [expandedFiles, setExpandedFiles] = useState(() => getExpandedState());
   const [searchHistory, setSearchHistory] = useState(() => getSearchHistory());
 
+  const [indexStats, setIndexStats] = useState({});
+
   const searchInputRef = useRef(null);
   const searchManagerRef = useRef(null);
   const debounceTimer = useRef(null);
   const initialSearchDone = useRef(false);
+  const queryRef = useRef(query);
+  queryRef.current = query;
 
-  // 从 localStorage 读取搜索选项
-  const getSearchOptions = () => {
-    const stored = StorageManager.get('search-options');
-    if (stored) {
-      return JSON.parse(stored);
-    }
-    return {
-      removeDuplicates: true,
-      includeThinking: true,
-      includeArtifacts: true
-    };
-  };
-
-  // 初始化搜索管理器
+  // 初始化搜索管理器；全文索引在打开搜索时才分批建立，每索引完一批就刷新统计和当前结果
   useEffect(() => {
-    searchManagerRef.current = getGlobalSearchManager();
+    const manager = getGlobalSearchManager();
+    searchManagerRef.current = manager;
+    setIndexStats(manager.getStats());
+
+    const unsubscribe = manager.onIndexProgress(() => {
+      setIndexStats(manager.getStats());
+      const currentQuery = queryRef.current;
+      if (currentQuery && currentQuery.trim()) {
+        setSearchResults(manager.search(currentQuery, getSearchOptions(), 'all'));
+      }
+    });
+    manager.ensureFullTextIndex();
+    return unsubscribe;
   }, []);
 
   // 自动聚焦搜索框
@@ -490,8 +541,6 @@ const GlobalSearchSection = ({ onNavigateToMessage, onClose, initialQuery = '' }
     return grouped;
   }, [searchResults]);
 
-  const indexStats = searchManagerRef.current?.getStats() || {};
-
   return (
     <div className="action-section-content global-search-section">
       {/* 搜索输入 */}
@@ -738,6 +787,11 @@ const SemanticSearchSection = ({
         setProgress({ status: 'building', progress: 0, message: '构建消息索引...' });
         await globalManagerRef.current.buildGlobalIndex(files, processedData, currentFileIndex);
       }
+      // 全文索引在打开搜索时才建立
+      if (globalManagerRef.current.hasPendingIndex()) {
+        setProgress({ status: 'building', progress: 0, message: '构建消息索引...' });
+        await globalManagerRef.current.ensureFullTextIndex();
+      }
 
       const messages = extractMessagesForSemantic(globalManagerRef.current);
       await semanticManagerRef.current.buildIndex(messages, setProgress);
@@ -965,6 +1019,175 @@ const SemanticSearchSection = ({
   );
 };
 
+/**
+ * 导出预设：选择即应用，可把当前选项保存为预设，预设可导入导出为 JSON
+ */
+const ExportPresetsGroup = ({ exportOptions, onApplyPreset }) => {
+  const { t } = useI18n();
+  const [presets, setPresets] = useState(() => ExportPresetManager.getPresets());
+  const [selectedId, setSelectedId] = useState('');
+  const fileInputRef = useRef(null);
+  const selectedPreset = presets.find(preset => preset.id === selectedId);
+
+  // 应用预设后又改动了选项
+  const isModified = !!selectedPreset && Object.entries(selectedPreset.options)
+    .some(([key, value]) => JSON.stringify(exportOptions[key]) !== JSON.stringify(value));
+
+  const handleSelect = (id) => {
+    setSelectedId(id);
+    const preset = presets.find(item => item.id === id);
+    if (preset) onApplyPreset(preset.options);
+  };
+
+  const handleSave = () => {
+    const name = window.prompt(t('app.export.presets.namePrompt'), selectedPreset?.name || '');
+    if (!name?.trim()) return;
+
+    const existing = ExportPresetManager.findByName(name, presets);
+    if (existing && existing.id !== selectedId && !window.confirm(t('app.export.presets.confirmOverwrite', { name: existing.name }))) {
+      return;
+    }
+
+    const preset = ExportPresetManager.savePreset(name, exportOptions);
+    setPresets(ExportPresetManager.getPresets());
+    setSelectedId(preset.id);
+  };
+
+  const handleDelete = () => {
+    if (!selectedPreset || !window.confirm(t('app.export.presets.confirmDelete', { name: selectedPreset.name }))) return;
+    ExportPresetManager.deletePreset(selectedPreset.id);
+    setPresets(ExportPresetManager.getPresets());
+    setSelectedId('');
+  };
+
+  const handleExportPresets = () => {
+    const blob = new Blob([ExportPresetManager.serialize(presets)], { type: 'application/json;charset=utf-8' });
+    saveAs(blob, 'lyra-export-presets.json');
+  };
+
+  const handleImportPresets = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const count = ExportPresetManager.importPresets(ExportPresetManager.parseFile(await file.text()));
+      setPresets(ExportPresetManager.getPresets());
+      alert(t('app.export.presets.imported', { count }));
+    } catch (error) {
+      console.error('导入预设失败:', error);
+      alert(`${t('app.export.presets.importError')}: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="export-group">
+      <h3>{t('app.export.presets.title')}</h3>
+      <div className="export-presets">
+        <select
+          className="preset-select"
+          value={selectedId}
+          onChange={(e) => handleSelect(e.target.value)}
+        >
+          <option value="">{presets.length > 0 ? t('app.export.presets.choose') : t('app.export.presets.empty')}</option>
+          {presets.map(preset => (
+            <option key={preset.id} value={preset.id}>{preset.name}</option>
+          ))}
+        </select>
+        <button className="btn-secondary" onClick={handleSave}>
+          {t('app.export.presets.save')}
+        </button>
+        <button className="btn-secondary" onClick={handleDelete} disabled={!selectedPreset}>
+          {t('app.export.presets.delete')}
+        </button>
+        <button className="btn-secondary" onClick={() => fileInputRef.current?.click()}>
+          {t('app.export.presets.import')}
+        </button>
+        <button className="btn-secondary" onClick={handleExportPresets} disabled={presets.length === 0}>
+          {t('app.export.presets.export')}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImportPresets}
+          style={{ display: 'none' }}
+        />
+      </div>
+      <span className="option-hint">
+        {isModified ? t('app.export.presets.modified') : t('app.export.presets.hint')}
+      </span>
+    </div>
+  );
+};
+
+// Obsidian 属性：每行一个 "名称: 值"；标签用逗号分隔
+const formatObsidianProperties = (properties = []) => properties.map(prop => `${prop.name}: ${prop.value}`).join('\n');
+
+const parseObsidianProperties = (text) => text
+  .split('\n')
+  .map(line => {
+    const colon = line.indexOf(':');
+    return colon > 0 ? { name: line.slice(0, colon).trim(), value: line.slice(colon + 1).trim() } : null;
+  })
+  .filter(prop => prop?.name);
+
+const parseObsidianTags = (text) => text
+  .split(',')
+  .map(tag => tag.trim().replace(/^#/, ''))
+  .filter(Boolean);
+
+/**
+ * Obsidian front matter 的自定义属性和标签
+ */
+const ObsidianMetadataFields = ({ exportOptions, setExportOptions }) => {
+  const { t } = useI18n();
+  const tagsKey = JSON.stringify(exportOptions.obsidianTags || []);
+  const propertiesKey = JSON.stringify(exportOptions.obsidianProperties || []);
+  // 输入框保留用户正在输入的原文，选项被预设等外部修改时再同步
+  const [tagsText, setTagsText] = useState(() => (exportOptions.obsidianTags || []).join(', '));
+  const [propertiesText, setPropertiesText] = useState(() => formatObsidianProperties(exportOptions.obsidianProperties));
+
+  useEffect(() => {
+    const tags = JSON.parse(tagsKey);
+    setTagsText(text => (JSON.stringify(parseObsidianTags(text)) === tagsKey ? text : tags.join(', ')));
+  }, [tagsKey]);
+
+  useEffect(() => {
+    const properties = JSON.parse(propertiesKey);
+    setPropertiesText(text => (JSON.stringify(parseObsidianProperties(text)) === propertiesKey ? text : formatObsidianProperties(properties)));
+  }, [propertiesKey]);
+
+  return (
+    <div className="export-text-fields">
+      <label className="export-text-field">
+        <span className="option-title">{t('app.export.markdown.obsidianTags')}</span>
+        <input
+          type="text"
+          value={tagsText}
+          placeholder={t('app.export.markdown.obsidianTagsPlaceholder')}
+          onChange={(e) => {
+            setTagsText(e.target.value);
+            setExportOptions(prev => ({ ...prev, obsidianTags: parseObsidianTags(e.target.value) }));
+          }}
+        />
+      </label>
+      <label className="export-text-field">
+        <span className="option-title">{t('app.export.markdown.obsidianProperties')}</span>
+        <textarea
+          rows={3}
+          value={propertiesText}
+          placeholder={t('app.export.markdown.obsidianPropertiesPlaceholder')}
+          onChange={(e) => {
+            setPropertiesText(e.target.value);
+            setExportOptions(prev => ({ ...prev, obsidianProperties: parseObsidianProperties(e.target.value) }));
+          }}
+        />
+      </label>
+    </div>
+  );
+};
+
 /**
  * 导出部分
  */
@@ -984,9 +1207,27 @@ const ExportSection = ({
   processedData,
   currentFileIndex,
   onExport,
+  onPreviewDataset,
+  onApplyPreset,
   onClose
 }) => {
   const { t } = useI18n();
+  const [datasetPreview, setDatasetPreview] = useState(null);
+
+  // 导出选项变化后，之前的 token 预估不再准确
+  useEffect(() => {
+    setDatasetPreview(null);
+  }, [exportOptions]);
+
+  const handleDatasetPreview = async () => {
+    setDatasetPreview({ loading: true });
+    try {
+      setDatasetPreview({ stats: await onPreviewDataset() });
+    } catch (error) {
+      console.error('数据集预估失败:', error);
+      setDatasetPreview({ error: true });
+    }
+  };
 
   // 同步导出格式
   useEffect(() => {
@@ -995,6 +1236,14 @@ const ExportSection = ({
     }
   }, [exportFormat, exportOptions.exportFormat, setExportOptions]);
 
+  // 只适用于某种格式的导出范围，切换到其他格式时改回默认范围
+  useEffect(() => {
+    const formatOnlyScope = FORMAT_ONLY_SCOPES[exportOptions.scope];
+    if (formatOnlyScope && formatOnlyScope.format !== exportFormat) {
+      setExportOptions(prev => ({ ...prev, scope: formatOnlyScope.fallback }));
+    }
+  }, [exportFormat, exportOptions.scope, setExportOptions]);
+
   const markStats = getAllMarksStats(
     files,
     processedData,
@@ -1005,6 +1254,186 @@ const ExportSection = ({
 
   return (
     <div className="action-section-content export-section">
+      {/* 导出预设 */}
+      <ExportPresetsGroup exportOptions={exportOptions} onApplyPreset={onApplyPreset} />
+
+      {/* 更多格式选择 */}
+      {MORE_EXPORT_FORMATS.includes(exportFormat) && (
+        <div className="export-group">
+          <h3>{t('app.export.format.title')}</h3>
+          <div className="export-options-list">
+            {[
+              { value: 'html', label: 'html', desc: 'htmlDesc' },
+              { value: 'docx', label: 'docx', desc: 'docxDesc' },
+              { value: 'epub', label: 'epub', desc: 'epubDesc' },
+              { value: 'logseq', label: 'logseq', desc: 'logseqDesc' },
+              { value: 'org', label: 'org', desc: 'orgDesc' },
+              { value: 'dataset', label: 'dataset', desc: 'datasetDesc' },
+              { value: 'spreadsheet', label: 'spreadsheet', desc: 'spreadsheetDesc' },
+              { value: 'lyra_archive', label: 'lyraArchive', desc: 'lyraArchiveDesc' }
+            ].map(option => (
+              <label className="export-radio-option" key={option.value}>
+                <input
+                  type="radio"
+                  name="exportFormat"
+                  value={option.value}
+                  checked={exportFormat === option.value}
+                  onChange={(e) => setExportOptions({...exportOptions, exportFormat: e.target.value})}
+                />
+                <div className="option-content">
+                  <span className="option-title">{t(`app.export.format.${option.label}`)}</span>
+                  <span className="option-desc">{t(`app.export.format.${option.desc}`)}</span>
+                </div>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* EPUB 选项 */}
+      {exportFormat === 'epub' && (
+        <div className="export-group">
+          <h3>{t('app.export.epub.title')}</h3>
+          <div className="export-options-list">
+            <label className="export-radio-option">
+              <input
+                type="radio"
+                name="epubMathFormat"
+                value="mathml"
+                checked={exportOptions.epubMathFormat === 'mathml' || !exportOptions.epubMathFormat}
+                onChange={(e) => setExportOptions({...exportOptions, epubMathFormat: e.target.value})}
+              />
+              <div className="option-content">
+                <span className="option-title">{t('app.export.epub.mathml')}</span>
+                <span className="option-desc">{t('app.export.epub.mathmlDesc')}</span>
+              </div>
+            </label>
+            <label className="export-radio-option">
+              <input
+                type="radio"
+                name="epubMathFormat"
+                value="image"
+                checked={exportOptions.epubMathFormat === 'image'}
+                onChange={(e) => setExportOptions({...exportOptions, epubMathFormat: e.target.value})}
+              />
+              <div className="option-content">
+                <span className="option-title">{t('app.export.epub.mathImage')}</span>
+                <span className="option-desc">{t('app.export.epub.mathImageDesc')}</span>
+              </div>
+            </label>
+            {shouldUseStarSystem && (
+              <label className="export-checkbox-option">
+                <input
+                  type="checkbox"
+                  checked={!!exportOptions.epubStarredOnly}
+                  onChange={(e) => setExportOptions({...exportOptions, epubStarredOnly: e.target.checked})}
+                />
+                <div className="option-content">
+                  <span className="option-title">{t('app.export.epub.starredOnly')}</span>
+                  <span className="option-desc">{t('app.export.epub.starredOnlyDesc')}</span>
+                </div>
+              </label>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* 表格选项 */}
+      {exportFormat === 'spreadsheet' && (
+        <div className="export-group">
+          <h3>{t('app.export.spreadsheet.title')}</h3>
+          <div className="export-options-list">
+            {['csv', 'xlsx'].map(format => (
+              <label className="export-radio-option" key={format}>
+                <input
+                  type="radio"
+                  name="spreadsheetFormat"
+                  value={format}
+                  checked={(exportOptions.spreadsheetFormat || 'csv') === format}
+                  onChange={(e) => setExportOptions({...exportOptions, spreadsheetFormat: e.target.value})}
+                />
+                <div className="option-content">
+                  <span className="option-title">{t(`app.export.spreadsheet.${format}`)}</span>
+                  <span className="option-desc">{t(`app.export.spreadsheet.${format}Desc`)}</span>
+                </div>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* 数据集选项 */}
+      {exportFormat === 'dataset' && (
+        <>
+          <div className="export-group">
+            <h3>{t('app.export.dataset.title')}</h3>
+            <div className="export-options-list">
+              {['openai', 'sharegpt', 'alpaca'].map(format => (
+                <label className="export-radio-option" key={format}>
+                  <input
+                    type="radio"
+                    name="datasetFormat"
+                    value={format}
+                    checked={(exportOptions.datasetFormat || 'openai') === format}
+                    onChange={(e) => setExportOptions({...exportOptions, datasetFormat: e.target.value})}
+                  />
+                  <div className="option-content">
+                    <span className="option-title">{t(`app.export.dataset.${format}`)}</span>
+                    <span className="option-desc">{t(`app.export.dataset.${format}Desc`)}</span>
+                  </div>
+                </label>
+              ))}
+              <label className="export-checkbox-option">
+                <input
+                  type="checkbox"
+                  checked={!!exportOptions.includeThinking}
+                  onChange={(e) => setExportOptions({...exportOptions, includeThinking: e.target.checked})}
+                />
+                <div className="option-content">
+                  <span className="option-title">{t('app.export.dataset.includeThinking')}</span>
+                  <span className="option-desc">{t('app.export.dataset.includeThinkingDesc')}</span>
+                </div>
+              </label>
+              <label className="export-checkbox-option">
+                <input
+                  type="checkbox"
+                  checked={!!exportOptions.includeTools}
+                  onChange={(e) => setExportOptions({...exportOptions, includeTools: e.target.checked})}
+                />
+                <div className="option-content">
+                  <span className="option-title">{t('app.export.dataset.includeTools')}</span>
+                  <span className="option-desc">{t('app.export.dataset.includeToolsDesc')}</span>
+                </div>
+              </label>
+            </div>
+          </div>
+          <div className="export-group">
+            <h3>{t('app.export.dataset.branchTitle')}</h3>
+            <div className="export-options-list">
+              {[
+                { value: 'latest', key: 'branchLatest' },
+                { value: 'all', key: 'branchAll' },
+                { value: 'important', key: 'branchImportant' }
+              ].map(option => (
+                <label className="export-radio-option" key={option.value}>
+                  <input
+                    type="radio"
+                    name="datasetBranchMode"
+                    value={option.value}
+                    checked={(exportOptions.datasetBranchMode || 'latest') === option.value}
+                    onChange={(e) => setExportOptions({...exportOptions, datasetBranchMode: e.target.value})}
+                  />
+                  <div className="option-content">
+                    <span className="option-title">{t(`app.export.dataset.${option.key}`)}</span>
+                    <span className="option-desc">{t(`app.export.dataset.${option.key}Desc`)}</span>
+                  </div>
+                </label>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+
       {/* PDF 页面格式选择 */}
       {exportFormat === 'pdf' && (
         <div className="export-group">
@@ -1072,7 +1501,66 @@ const ExportSection = ({
                 <span className="option-desc">{t('app.export.markdown.includeImageFilesDesc')}</span>
               </div>
             </label>
+            <label className="export-checkbox-option">
+              <input
+                type="checkbox"
+                checked={!!exportOptions.obsidianVault}
+                onChange={(e) => setExportOptions({
+                  ...exportOptions,
+                  obsidianVault: e.target.checked
+                })}
+                disabled={exportOptions.scope === 'allBranches'}
+              />
+              <div className="option-content">
+                <span className="option-title">{t('app.export.markdown.obsidianVault')}</span>
+                <span className="option-desc">{t('app.export.markdown.obsidianVaultDesc')}</span>
+              </div>
+            </label>
+            <label className="export-checkbox-option">
+              <input
+                type="checkbox"
+                checked={!!exportOptions.exportObsidianMetadata || !!exportOptions.obsidianVault}
+                onChange={(e) => setExportOptions({
+                  ...exportOptions,
+                  exportObsidianMetadata: e.target.checked
+                })}
+                disabled={!!exportOptions.obsidianVault}
+              />
+              <div className="option-content">
+                <span className="option-title">{t('app.export.markdown.obsidianMetadata')}</span>
+                <span className="option-desc">{t('app.export.markdown.obsidianMetadataDesc')}</span>
+              </div>
+            </label>
+            {(exportOptions.exportObsidianMetadata || exportOptions.obsidianVault) && (
+              <ObsidianMetadataFields exportOptions={exportOptions} setExportOptions={setExportOptions} />
+            )}
           </div>
+          {exportOptions.obsidianVault && (
+            <>
+              <h3>{t('app.export.markdown.vaultLayout')}</h3>
+              <div className="export-options-list">
+                {[
+                  { value: 'platform', key: 'layoutPlatform' },
+                  { value: 'project', key: 'layoutProject' },
+                  { value: 'date', key: 'layoutDate' }
+                ].map(option => (
+                  <label className="export-radio-option" key={option.value}>
+                    <input
+                      type="radio"
+                      name="obsidianVaultLayout"
+                      value={option.value}
+                      checked={(exportOptions.obsidianVaultLayout || 'platform') === option.value}
+                      onChange={(e) => setExportOptions({...exportOptions, obsidianVaultLayout: e.target.value})}
+                    />
+                    <div className="option-content">
+                      <span className="option-title">{t(`app.export.markdown.${option.key}`)}</span>
+                      <span className="option-desc">{t(`app.export.markdown.${option.key}Desc`)}</span>
+                    </div>
+                  </label>
+                ))}
+              </div>
+            </>
+          )}
         </div>
       )}
 
@@ -1120,6 +1608,42 @@ const ExportSection = ({
               )}
             </div>
           </label>
+          {exportFormat === 'markdown' && (
+            <label className="export-radio-option">
+              <input
+                type="radio"
+                name="scope"
+                value="allBranches"
+                checked={exportOptions.scope === 'allBranches'}
+                onChange={(e) => setExportOptions({...exportOptions, scope: e.target.value, obsidianVault: false})}
+                disabled={viewMode !== 'timeline'}
+              />
+              <div className="option-content">
+                <span className="option-title">{t('app.export.scope.allBranches')}</span>
+                {viewMode === 'timeline' ? (
+                  <span className="option-desc">{t('app.export.scope.allBranchesDesc')}</span>
+                ) : (
+                  <span className="option-hint">{t('app.export.scope.hint.enterTimeline')}</span>
+                )}
+              </div>
+            </label>
+          )}
+          {exportFormat === 'spreadsheet' && (
+            <label className="export-radio-option">
+              <input
+                type="radio"
+                name="scope"
+                value="currentFile"
+                checked={exportOptions.scope === 'currentFile'}
+                onChange={(e) => setExportOptions({...exportOptions, scope: e.target.value})}
+                disabled={!files?.[currentFileIndex]}
+              />
+              <div className="option-content">
+                <span className="option-title">{t('app.export.scope.currentFile')}</span>
+                <span className="option-desc">{t('app.export.scope.currentFileDesc')}</span>
+              </div>
+            </label>
+          )}
           <label className="export-radio-option">
             <input
               type="radio"
@@ -1158,48 +1682,50 @@ const ExportSection = ({
         </div>
       </div>
 
-      {/* 过滤器 */}
-      <div className="export-group">
-        <h3>{t('app.export.filters.title')}</h3>
-        <div className="export-options-list">
-          <label className="export-checkbox-option">
-            <input
-              type="checkbox"
-              checked={exportOptions.excludeDeleted}
-              onChange={(e) => setExportOptions({...exportOptions, excludeDeleted: e.target.checked})}
-            />
-            <div className="option-content">
-              <span className="option-title">{t('app.export.filters.excludeDeleted')}</span>
-              <span className="option-desc">{t('app.export.filters.excludeDeletedDesc')}</span>
-            </div>
-          </label>
-          <label className="export-checkbox-option">
-            <input
-              type="checkbox"
-              checked={exportOptions.includeCompleted}
-              onChange={(e) => setExportOptions({...exportOptions, includeCompleted: e.target.checked})}
-            />
-            <div className="option-content">
-              <span className="option-title">{t('app.export.filters.includeCompleted')}</span>
-              <span className="option-desc">{t('app.export.filters.includeCompletedDesc')}</span>
-            </div>
-          </label>
-          <label className="export-checkbox-option">
-            <input
-              type="checkbox"
-              checked={exportOptions.includeImportant}
-              onChange={(e) => setExportOptions({...exportOptions, includeImportant: e.target.checked})}
-            />
-            <div className="option-content">
-              <span className="option-title">{t('app.export.filters.includeImportant')}</span>
-              <span className="option-desc">
-                {t('app.export.filters.includeImportantDesc')}
-                {exportOptions.includeCompleted && exportOptions.includeImportant ? t('app.export.filters.importantAndCompleted') : ''}
-              </span>
-            </div>
-          </label>
+      {/* 过滤器（归档保存全部消息，标记作为状态写入，不需要筛选） */}
+      {exportFormat !== 'lyra_archive' && (
+        <div className="export-group">
+          <h3>{t('app.export.filters.title')}</h3>
+          <div className="export-options-list">
+            <label className="export-checkbox-option">
+              <input
+                type="checkbox"
+                checked={exportOptions.excludeDeleted}
+                onChange={(e) => setExportOptions({...exportOptions, excludeDeleted: e.target.checked})}
+              />
+              <div className="option-content">
+                <span className="option-title">{t('app.export.filters.excludeDeleted')}</span>
+                <span className="option-desc">{t('app.export.filters.excludeDeletedDesc')}</span>
+              </div>
+            </label>
+            <label className="export-checkbox-option">
+              <input
+                type="checkbox"
+                checked={exportOptions.includeCompleted}
+                onChange={(e) => setExportOptions({...exportOptions, includeCompleted: e.target.checked})}
+              />
+              <div className="option-content">
+                <span className="option-title">{t('app.export.filters.includeCompleted')}</span>
+                <span className="option-desc">{t('app.export.filters.includeCompletedDesc')}</span>
+              </div>
+            </label>
+            <label className="export-checkbox-option">
+              <input
+                type="checkbox"
+                checked={exportOptions.includeImportant}
+                onChange={(e) => setExportOptions({...exportOptions, includeImportant: e.target.checked})}
+              />
+              <div className="option-content">
+                <span className="option-title">{t('app.export.filters.includeImportant')}</span>
+                <span className="option-desc">
+                  {t('app.export.filters.includeImportantDesc')}
+                  {exportOptions.includeCompleted && exportOptions.includeImportant ? t('app.export.filters.importantAndCompleted') : ''}
+                </span>
+              </div>
+            </label>
+          </div>
         </div>
-      </div>
+      )}
 
       {/* 导出信息 */}
       <div className="export-info">
@@ -1241,11 +1767,31 @@ const ExportSection = ({
                 exportOptions.includeArtifacts && t('settings.exportContent.artifacts.label'),
                 exportOptions.includeTools && t('settings.exportContent.tools.label'),
                 exportOptions.includeCitations && t('settings.exportContent.citations.label'),
-                exportOptions.includeImageFiles && t('app.export.markdown.includeImageFiles')
+                exportOptions.includeImageFiles && t('app.export.markdown.includeImageFiles'),
+                exportFormat === 'markdown' && exportOptions.obsidianVault && t('app.export.markdown.obsidianVault')
               ].filter(Boolean).join(' · ') || t('app.export.stats.basicOnly')
             })}
           </span>
         </div>
+        {exportFormat === 'dataset' && onPreviewDataset && (
+          <div className="info-row">
+            <span className="label">{t('app.export.dataset.tokens')}</span>
+            <span className="value">
+              {datasetPreview?.stats ? t('app.export.dataset.previewResult', {
+                samples: datasetPreview.stats.samples,
+                conversations: datasetPreview.stats.conversations,
+                tokens: datasetPreview.stats.totalTokens.toLocaleString(),
+                max: datasetPreview.stats.maxTokens.toLocaleString()
+              }) : (
+                <button className="info-action" onClick={handleDatasetPreview} disabled={datasetPreview?.loading}>
+                  {datasetPreview?.loading
+                    ? t('app.export.dataset.previewing')
+                    : datasetPreview?.error ? t('app.export.dataset.previewFailed') : t('app.export.dataset.preview')}
+                </button>
+              )}
+            </span>
+          </div>
+        )}
       </div>
 
       {/* 导出按钮 */}
@@ -1258,6 +1804,22 @@ const ExportSection = ({
             ? t('app.export.previewAndExport')
             : exportFormat === 'pdf'
             ? t('app.export.exportToPDF')
+            : exportFormat === 'docx'
+            ? t('app.export.exportToDOCX')
+            : exportFormat === 'epub'
+            ? t('app.export.exportToEPUB')
+            : exportFormat === 'html'
+            ? t('app.export.exportToHTML')
+            : exportFormat === 'logseq'
+            ? t('app.export.exportToLogseq')
+            : exportFormat === 'org'
+            ? t('app.export.exportToOrg')
+            : exportFormat === 'dataset'
+            ? t('app.export.exportToDataset')
+            : exportFormat === 'spreadsheet'
+            ? t('app.export.exportToSpreadsheet')
+            : exportFormat === 'lyra_archive'
+            ? t('app.export.exportToArchive')
             : t('app.export.exportToMarkdown')}
         </button>
       </div>
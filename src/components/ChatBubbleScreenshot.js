@@ -32,7 +32,8 @@ const ChatBubbleScreenshot = ({
     if (platformLower.includes('gemini')) return 'assistant platform-gemini';
     if (platformLower.includes('ai studio') || platformLower.includes('aistudio')) return 'assistant platform-aistudio';
     if (platformLower.includes('notebooklm')) return 'assistant platform-notebooklm';
-    return 'assistant platform-claude';
+    // 其他平台按解析器登记的 platforms 取样式，未登记的按 Claude
+    return `assistant ${PlatformUtils.getPlatformClass(platformLower)}`;
   };
 
   return (
@@ -7,7 +7,7 @@ import remarkGfm from 'remark-gfm';
 import MessageDetail from './MessageDetail';
 import PlatformIcon from './PlatformIcon';
 import { copyMessage } from '../utils/copyManager';
-import { PlatformUtils, DateTimeUtils, TextUtils } from '../utils/fileParser';
+import { PlatformUtils, DateTimeUtils, TextUtils, formatSupports } from '../utils/fileParser';
 import { useI18n } from '../index.js';
 import { getRenameManager } from '../utils/renameManager';
 import StorageManager from '../utils/storageManager';
@@ -389,6 +389,10 @@ const MessageDetailPanel = ({
   );
 };
 
+// ==================== 群聊角色 ====================
+// 没有角色卡头像时，按参与者顺序给角色分配颜色
+const getParticipantColor = (index) => `hsl(${(index * 67) % 360}, 55%, 50%)`;
+
 // ==================== 主时间线组件 ====================
 const ConversationTimeline = ({
   data,
@@ -437,6 +441,7 @@ const ConversationTimeline = ({
   const [showAllBranches, setShowAllBranches] = useState(branchState?.showAllBranches || false);
   const [copiedMessageIndex, setCopiedMessageIndex] = useState(null);
   const [sortingEnabled, setSortingEnabled] = useState(false);
+  const [participantFilter, setParticipantFilter] = useState(null); // 群聊中只显示某个角色的消息
   const [showMobileDetail, setShowMobileDetail] = useState(false); // 新增:移动端详情显示状态
 
   // 通知父组件移动端详情显示状态变化
@@ -598,7 +603,7 @@ const ConversationTimeline = ({
 
   // ==================== 消息过滤和显示 ====================
 
-  const displayMessages = useMemo(() => {
+  const branchMessages = useMemo(() => {
     if (showAllBranches) return messages;
     if (branchAnalysis.branchPoints.size === 0) return messages;
 
@@ -643,6 +648,29 @@ const ConversationTimeline = ({
     return visibleMessages;
   }, [messages, branchFilters, branchAnalysis, showAllBranches, forceUpdateCounter]);
 
+  // SillyTavern 群聊的参与者和角色卡
+  const participants = useMemo(
+    () => (data?.meta_info?.is_group_chat ? data.meta_info.participants || [] : []),
+    [data]
+  );
+  const characterCards = useMemo(() => data?.meta_info?.character_cards || [], [data]);
+
+  const participantStyles = useMemo(() => {
+    const styles = new Map();
+    participants.forEach((participant, index) => {
+      styles.set(participant.name, { color: getParticipantColor(index) });
+    });
+    characterCards.forEach(card => {
+      if (card.avatar) styles.set(card.name, { ...styles.get(card.name), avatar: card.avatar });
+    });
+    return styles;
+  }, [participants, characterCards]);
+
+  const displayMessages = useMemo(() => {
+    if (!participantFilter) return branchMessages;
+    return branchMessages.filter(msg => msg.participant === participantFilter);
+  }, [branchMessages, participantFilter]);
+
   // ==================== 事件处理函数 ====================
 
   const handleBranchSwitch = useCallback((branchPointUuid, newBranchIndex) => {
@@ -766,6 +794,7 @@ const ConversationTimeline = ({
     setBranchFilters(new Map());
     setShowAllBranches(false);
     setSortingEnabled(false);
+    setParticipantFilter(null);
     setSelectedMessageIndex(null);
     // 强制更新消息列表
     setForceUpdateCounter(prev => prev + 1);
@@ -1771,11 +1800,12 @@ const ConversationTimeline = ({
     if (platformLower.includes('gemini')) return 'assistant platform-gemini';
     if (platformLower.includes('ai studio') || platformLower.includes('aistudio')) return 'assistant platform-aistudio';
     if (platformLower.includes('notebooklm')) return 'assistant platform-notebooklm';
-    return 'assistant platform-claude';
+    // 其他平台按解析器登记的 platforms 取样式，未登记的按 Claude
+    return `assistant ${PlatformUtils.getPlatformClass(platformLower)}`;
   };
 
   const getFilePreview = (direction) => {
-    if (!files || files.length <= 1 || currentFileIndex === null || format === 'claude_full_export') {
+    if (!onFileSwitch || !files || files.length <= 1 || currentFileIndex === null || format === 'claude_full_export') {
       return null;
     }
 
@@ -1792,6 +1822,7 @@ const ConversationTimeline = ({
   // ==================== 渲染 ====================
 
   const conversationInfo = getConversationInfo();
+  const projectInfo = data?.meta_info?.project?.name ? data.meta_info.project : null;
   const platformClass = PlatformUtils.getPlatformClass(conversationInfo?.platform);
   const prevFilePreview = getFilePreview('prev');
   const nextFilePreview = getFilePreview('next');
@@ -1902,10 +1933,110 @@ const ConversationTimeline = ({
                   <span className="info-label">{t('timeline.info.lastUpdated')}</span>
                   <span className="info-value">{conversationInfo.updated_at}</span>
                 </div>
+                {projectInfo && (
+                  <div className="info-item">
+                    <span className="info-label">{t('timeline.info.project')}</span>
+                    <span className="info-value">{projectInfo.name}</span>
+                  </div>
+                )}
               </div>
 
+              {/* 项目信息（Claude 官方导出，只读） */}
+              {projectInfo && (projectInfo.description || projectInfo.prompt_template || projectInfo.docs?.length > 0) && (
+                <details className="project-info-panel">
+                  <summary>
+                    📁 {projectInfo.name}
+                    <span className="project-info-hint">{t('timeline.info.projectReadOnly')}</span>
+                  </summary>
+                  {projectInfo.description && (
+                    <div className="project-info-section">
+                      <span className="info-label">{t('timeline.info.projectDescription')}</span>
+                      <p>{projectInfo.description}</p>
+                    </div>
+                  )}
+                  {projectInfo.prompt_template && (
+                    <div className="project-info-section">
+                      <span className="info-label">{t('timeline.info.promptTemplate')}</span>
+                      <pre>{projectInfo.prompt_template}</pre>
+                    </div>
+                  )}
+                  {projectInfo.docs?.length > 0 && (
+                    <div className="project-info-section">
+                      <span className="info-label">
+                        {t('timeline.info.projectDocs', { count: projectInfo.docs.length })}
+                      </span>
+                      {projectInfo.docs.map((doc, index) => (
+                        <details key={doc.uuid || index} className="project-doc">
+                          <summary>📄 {doc.filename || `#${index + 1}`}</summary>
+                          <pre>{doc.content}</pre>
+                        </details>
+                      ))}
+                    </div>
+                  )}
+                </details>
+              )}
+
+              {/* 角色卡（SillyTavern，只读） */}
+              {characterCards.map(card => (
+                <details key={card.name} className="project-info-panel character-card-panel">
+                  <summary>
+                    🎭 {card.name}
+                    <span className="project-info-hint">{t('timeline.info.characterCardHint')}</span>
+                  </summary>
+                  {card.avatar && (
+                    <img className="character-card-avatar" src={card.avatar} alt={card.name} />
+                  )}
+                  {(card.description || card.personality) && (
+                    <div className="project-info-section">
+                      <span className="info-label">{t('timeline.info.persona')}</span>
+                      <pre>{[card.description, card.personality].filter(Boolean).join('\n\n')}</pre>
+                    </div>
+                  )}
+                  {card.scenario && (
+                    <div className="project-info-section">
+                      <span className="info-label">{t('timeline.info.scenario')}</span>
+                      <pre>{card.scenario}</pre>
+                    </div>
+                  )}
+                  {card.first_mes && (
+                    <div className="project-info-section">
+                      <span className="info-label">{t('timeline.info.firstMessage')}</span>
+                      <pre>{card.first_mes}</pre>
+                    </div>
+                  )}
+                </details>
+              ))}
+
               {/* 分支和排序控制 */}
               <div className="timeline-control-panel" style={{ marginTop: '12px' }}>
+                {/* 群聊角色筛选 */}
+                {participants.length > 1 && (
+                  <div className="participant-filter">
+                    <span className="participant-filter-label">{t('timeline.participants.title')}</span>
+                    <button
+                      className={`participant-chip ${participantFilter ? '' : 'active'}`}
+                      onClick={() => setParticipantFilter(null)}
+                    >
+                      {t('timeline.participants.all')}
+                    </button>
+                    {participants.map(participant => (
+                      <button
+                        key={participant.name}
+                        className={`participant-chip ${participantFilter === participant.name ? 'active' : ''}`}
+                        onClick={() => setParticipantFilter(prev => (prev === participant.name ? null : participant.name))}
+                        title={t('timeline.participants.onlyShow', { name: participant.name })}
+                      >
+                        <span
+                          className="participant-chip-dot"
+                          style={{ background: participantStyles.get(participant.name)?.color }}
+                        />
+                        {participant.name}
+                        <span className="participant-chip-count">{participant.message_count}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
+
                 {/* 分支控制 - 改进版:排序按钮在同一行 */}
                 {branchAnalysis.branchPoints.size > 0 && (
                   <div className="branch-control" style={{ marginBottom: '8px', display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
@@ -2021,7 +2152,20 @@ const ConversationTimeline = ({
                       <div className="timeline-header">
                         <div className="timeline-sender">
                           <div className={`timeline-avatar ${getPlatformAvatarClass(msg.sender, conversationInfo?.platform)}`}>
-                            {msg.sender === 'human' ? '👤' : (
+                            {msg.sender === 'human' ? '👤' : participantStyles.get(msg.participant || msg.sender_label)?.avatar ? (
+                              <img
+                                className="timeline-avatar-image"
+                                src={participantStyles.get(msg.participant || msg.sender_label).avatar}
+                                alt={msg.sender_label}
+                              />
+                            ) : msg.participant ? (
+                              <span
+                                className="timeline-avatar-initial"
+                                style={{ background: participantStyles.get(msg.participant)?.color }}
+                              >
+                                {msg.participant.slice(0, 1).toUpperCase()}
+                              </span>
+                            ) : (
                               <PlatformIcon
                                 platform={conversationInfo?.platform?.toLowerCase() || 'claude'}
                                 format={format}
@@ -2269,14 +2413,14 @@ const ConversationTimeline = ({
             }
           } else {
             // 助手消息的处理
-            // Claude格式和JSONL格式都支持思考过程
-            if (format === 'claude' || format === 'claude_full_export' || format === 'jsonl_chat' || !format) {
+            // 支持思考过程的格式由解析器注册时声明
+            if (formatSupports(format, 'thinking')) {
               if (currentMessage.thinking) {
                 availableTabs.push({ id: 'thinking', label: t('messageDetail.tabs.thinking') });
               }
             }
-            // 只有Claude格式支持Artifacts
-            if (format === 'claude' || format === 'claude_full_export' || !format) {
+            // 支持 Artifacts 的格式由解析器注册时声明
+            if (formatSupports(format, 'artifacts')) {
               if (currentMessage.artifacts && currentMessage.artifacts.length > 0) {
                 availableTabs.push({ id: 'artifacts', label: 'Artifacts' });
               }
@@ -0,0 +1,44 @@
+// components/FileLoadingPanel.js
+// 文件加载进度：显示 Worker 解析的阶段、已读字节和已解析对话数，可取消
+import React from 'react';
+import { useI18n } from '../index.js';
+import { formatFileSize } from '../utils/fileParser';
+
+const FileLoadingPanel = ({ progress, onCancel }) => {
+  const { t } = useI18n();
+
+  if (!progress) return null;
+
+  const { fileName, stage = 'read', loaded = 0, total = 0, items = 0, cancellable } = progress;
+  // 提取阶段没有字节进度，进度条保持满格
+  const percent = stage === 'extract' ? 100 : (total > 0 ? Math.min(100, Math.round(loaded / total * 100)) : 0);
+
+  return (
+    <div className="file-loading-panel" role="status">
+      <div className="file-loading-spinner" />
+      <div className="file-loading-info">
+        <div className="file-loading-title">{t('fileLoading.title')}</div>
+        <div className="file-loading-name" title={fileName}>{fileName}</div>
+        <div className="file-loading-progress">
+          <div className="file-loading-bar" style={{ width: `${percent}%` }} />
+        </div>
+        <div className="file-loading-status">
+          <span>{t(`fileLoading.stages.${stage}`)}</span>
+          {stage === 'read' && total > 0 && (
+            <span>{formatFileSize(loaded)} / {formatFileSize(total)}</span>
+          )}
+          {items > 0 && (
+            <span>{t('fileLoading.items', { count: items })}</span>
+          )}
+        </div>
+      </div>
+      {cancellable && (
+        <button className="btn-secondary small" onClick={onCancel}>
+          {t('fileLoading.cancel')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default FileLoadingPanel;
@@ -2,7 +2,7 @@
 import React, { useState, useRef, useEffect, Component } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
-import { getImageDisplayData, formatFileSize } from '../utils/fileParser';
+import { getImageDisplayData, formatFileSize, formatSupports } from '../utils/fileParser';
 import { useI18n } from '../index.js';
 
 import remarkMath from 'remark-math';
@@ -186,13 +186,13 @@ const MessageDetail = ({
       }
     } else {
       // 助手消息：思考过程
-      if (format === 'claude' || format === 'claude_full_export' || format === 'jsonl_chat' || format === 'chatgpt' || format === 'grok' || !format) {
+      if (formatSupports(format, 'thinking')) {
         if (currentMessage.thinking) {
           baseTabs.push({ id: 'thinking', label: t('messageDetail.tabs.thinking') });
         }
       }
       // 助手消息：制品
-      if (format === 'claude' || format === 'claude_full_export' || !format) {
+      if (formatSupports(format, 'artifacts')) {
         if (currentMessage.artifacts && currentMessage.artifacts.length > 0) {
           baseTabs.push({ id: 'artifacts', label: 'Artifacts' });
         }
@@ -678,6 +678,16 @@ const MessageDetail = ({
     );
   };
 
+  // 工具返回内容可能是字符串或内容块数组
+  const getToolResultText = (content) => {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content
+      .filter(item => item?.type === 'text' && item.text)
+      .map(item => item.text)
+      .join('\n');
+  };
+
   const renderTools = (tools) => {
     if (!tools || tools.length === 0) {
       return null;
@@ -707,6 +717,10 @@ const MessageDetail = ({
               <div className="error-notice">⚠️ {t('messageDetail.tools.executionError')}</div>
             )}
             
+            {tool.name !== 'web_search_tool' && getToolResultText(tool.result.content) && (
+              <pre><code>{getToolResultText(tool.result.content)}</code></pre>
+            )}
+
             {tool.name === 'web_search_tool' && tool.result.content && (
               <div className="search-results">
                 {tool.result.content.slice(0, 5).map((item, idx) => (
@@ -802,7 +816,7 @@ const MessageDetail = ({
         );
 
       case 'thinking':
-        if (format !== 'claude' && format !== 'claude_full_export' && format !== 'chatgpt' && format !== 'jsonl_chat' && format !== 'grok' && format) {
+        if (!formatSupports(format, 'thinking')) {
           return <div className="placeholder">{t('messageDetail.placeholder.formatNotSupported.thinking')}</div>;
         }
         return (
@@ -829,7 +843,7 @@ const MessageDetail = ({
         );
 
       case 'artifacts':
-        if (format !== 'claude' && format !== 'claude_full_export' && format) {
+        if (!formatSupports(format, 'artifacts')) {
           return <div className="placeholder">{t('messageDetail.placeholder.formatNotSupported.artifacts')}</div>;
         }
         return (
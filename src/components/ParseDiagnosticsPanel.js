@@ -0,0 +1,135 @@
+// components/ParseDiagnosticsPanel.js
+// 解析失败诊断面板：显示失败原因、解析进度和候选格式，并可复制不含对话内容的 JSON 报告
+import React, { useState } from 'react';
+import { useI18n } from '../index.js';
+import { ClipboardManager } from '../utils/copyManager';
+
+const STAGES = ['read', 'parse', 'detect', 'extract', 'branches'];
+
+// 只显示有线索的候选格式（得分或字段有匹配）
+const MAX_CANDIDATES = 5;
+
+const ParseDiagnosticsPanel = ({ isOpen, fileName, diagnostics, onClose }) => {
+  const { t } = useI18n();
+  const [copied, setCopied] = useState(false);
+
+  if (!isOpen || !diagnostics) return null;
+
+  const handleCopy = async () => {
+    const success = await ClipboardManager.copy(JSON.stringify(diagnostics, null, 2));
+    setCopied(success);
+    if (success) {
+      setTimeout(() => setCopied(false), 2000);
+    }
+  };
+
+  const stageStatus = new Map((diagnostics.stages || []).map(item => [item.stage, item.ok]));
+  const candidates = (diagnostics.detection?.candidates || [])
+    .filter(candidate => candidate.score > 0 || candidate.present.length > 0)
+    .slice(0, MAX_CANDIDATES);
+  const archiveEntries = diagnostics.archive?.entries || [];
+
+  const renderStage = (stage) => {
+    const status = stageStatus.get(stage);
+    const icon = status === undefined ? '○' : (status ? '✓' : '✗');
+    return (
+      <li key={stage} className={`diagnostics-stage ${status === false ? 'failed' : ''} ${status ? 'passed' : ''}`}>
+        <span className="diagnostics-stage-icon">{icon}</span>
+        {t(`diagnostics.stages.${stage}`)}
+      </li>
+    );
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content diagnostics-panel" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{t('diagnostics.title')}</h2>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+
+        <div className="modal-body">
+          <p className="diagnostics-file">{fileName || diagnostics.file?.name}</p>
+          <p className="diagnostics-verdict">{t(`diagnostics.verdict.${diagnostics.verdict || 'wrong_file'}`)}</p>
+
+          <h4>{t('diagnostics.progress')}</h4>
+          <ul className="diagnostics-stages">
+            {STAGES.map(renderStage)}
+          </ul>
+
+          {diagnostics.parse?.error && (
+            <p className="diagnostics-error">{diagnostics.parse.error}</p>
+          )}
+          {diagnostics.parse?.failed_line_count > 0 && (
+            <p className="diagnostics-error">
+              {t('diagnostics.failedLines', {
+                count: diagnostics.parse.failed_line_count,
+                total: diagnostics.parse.line_count
+              })}
+            </p>
+          )}
+          {diagnostics.extract?.error && (
+            <p className="diagnostics-error">{diagnostics.extract.error}</p>
+          )}
+
+          {candidates.length > 0 && (
+            <>
+              <h4>{t('diagnostics.candidates')}</h4>
+              <table className="diagnostics-table">
+                <thead>
+                  <tr>
+                    <th>{t('diagnostics.format')}</th>
+                    <th>{t('diagnostics.present')}</th>
+                    <th>{t('diagnostics.missing')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {candidates.map(candidate => (
+                    <tr key={candidate.format}>
+                      <td>
+                        {candidate.label}
+                        {!candidate.shape_matches && (
+                          <span className="diagnostics-shape"> ({t(`diagnostics.expects.${candidate.shape_expected}`)})</span>
+                        )}
+                      </td>
+                      <td><code>{candidate.present.join(', ') || '—'}</code></td>
+                      <td><code>{candidate.missing.join(', ') || '—'}</code></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          {archiveEntries.length > 0 && (
+            <>
+              <h4>{t('diagnostics.archiveEntries', { count: archiveEntries.length })}</h4>
+              <ul className="diagnostics-entries">
+                {archiveEntries.map((entry, index) => (
+                  <li key={entry.file?.name || index}>
+                    <code>{entry.file?.name}</code>
+                    {' — '}
+                    {t(`diagnostics.verdict.${entry.verdict || 'wrong_file'}`)}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          <p className="diagnostics-privacy">{t('diagnostics.privacyNote')}</p>
+        </div>
+
+        <div className="modal-footer">
+          <button className="btn-secondary" onClick={onClose}>
+            {t('diagnostics.close')}
+          </button>
+          <button className="btn-primary" onClick={handleCopy}>
+            {copied ? t('diagnostics.copied') : t('diagnostics.copy')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ParseDiagnosticsPanel;
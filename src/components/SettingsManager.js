@@ -1,13 +1,23 @@
 // components/SettingsManager.js
 // Ubuntu风格双栏设置面板 - 统一管理所有设置
 
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { saveAs } from 'file-saver';
 import { ThemeUtils } from '../utils/themeManager';
 import { StorageUtils } from '../App';
 import { CopyConfigManager } from '../utils/copyManager';
 import LanguageSwitcher from './LanguageSwitcher';
 import { useI18n } from '../index.js';
 import StorageManager from '../utils/storageManager';
+import { MarkdownGenerator } from '../utils/exportManager';
+import {
+  TEMPLATE_NAMES,
+  TEMPLATE_VARIABLES,
+  TEMPLATE_EXAMPLES,
+  DEFAULT_MARKDOWN_TEMPLATES,
+  serializeTemplates,
+  parseTemplatesFile
+} from '../utils/export/markdownTemplates';
 
 // AI Chat相关导入
 import { chatService, useMCPService } from '../ai-chat/index.js';
@@ -572,10 +582,211 @@ const ExportSettings = ({ settings, onExportOptionChange }) => {
         <CheckboxSetting label={t('settings.exportContent.citations.label')} description={t('settings.exportContent.citations.description')} checked={settings.exportOptions.includeCitations} onChange={(c) => onExportOptionChange('includeCitations', c)} />
         <CheckboxSetting label={t('settings.exportContent.attachments.label')} description={t('settings.exportContent.attachments.description')} checked={settings.exportOptions.includeAttachments} onChange={(c) => onExportOptionChange('includeAttachments', c)} />
       </SettingsSection>
+
+      <MarkdownTemplateSettings
+        exportOptions={settings.exportOptions}
+        onChange={(templates) => onExportOptionChange('markdownTemplates', templates)}
+      />
     </div>
   );
 };
 
+/**
+ * 预览用的示例对话
+ */
+const buildTemplatePreviewData = (t) => {
+  const root = '00000000-0000-4000-8000-000000000000';
+  return {
+    meta_info: {
+      title: t('settings.markdownTemplates.sample.title'),
+      created_at: '2025-01-01 10:00',
+      platform: 'claude',
+      model: 'claude-sonnet-4'
+    },
+    chat_history: [
+      {
+        index: 0,
+        uuid: 'preview-human',
+        parent_uuid: root,
+        sender: 'human',
+        sender_label: 'Human',
+        timestamp: '2025-01-01 10:00',
+        display_text: t('settings.markdownTemplates.sample.question')
+      },
+      {
+        index: 1,
+        uuid: 'preview-assistant',
+        parent_uuid: 'preview-human',
+        sender: 'assistant',
+        sender_label: 'Claude',
+        timestamp: '2025-01-01 10:01',
+        display_text: t('settings.markdownTemplates.sample.answer'),
+        thinking: t('settings.markdownTemplates.sample.thinking'),
+        artifacts: [{
+          id: 'preview-artifact',
+          command: 'create',
+          title: t('settings.markdownTemplates.sample.artifactTitle'),
+          type: 'application/vnd.ant.code',
+          language: 'python',
+          content: 'def hello():\n    print("Hello")'
+        }],
+        tools: [{
+          name: 'web_search',
+          query: 'markdown templates',
+          result: { content: [{ type: 'text', text: 'Markdown templates' }] }
+        }],
+        citations: [{ title: 'Markdown Guide', url: 'https://www.markdownguide.org/basic-syntax/' }]
+      }
+    ]
+  };
+};
+
+/**
+ * Markdown 导出模板设置 - 编辑、实时预览、导入导出 JSON
+ */
+const MarkdownTemplateSettings = ({ exportOptions, onChange }) => {
+  const { t } = useI18n();
+  const [activeTemplate, setActiveTemplate] = useState('message');
+  const fileInputRef = useRef(null);
+  const templates = { ...DEFAULT_MARKDOWN_TEMPLATES, ...exportOptions.markdownTemplates };
+  const hasCustomTemplates = TEMPLATE_NAMES.some(name => templates[name]?.trim());
+
+  // 用当前的导出设置渲染示例对话，模板有语法错误时显示错误信息
+  const preview = useMemo(() => {
+    try {
+      const generator = new MarkdownGenerator({
+        ...exportOptions,
+        includeThinking: true,
+        includeArtifacts: true,
+        includeTools: true,
+        includeCitations: true,
+        markdownTemplates: { ...DEFAULT_MARKDOWN_TEMPLATES, ...exportOptions.markdownTemplates },
+        marks: { completed: new Set([1]), important: new Set(), deleted: new Set() }
+      });
+      return { text: generator.generate(buildTemplatePreviewData(t)) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [exportOptions, t]);
+
+  const updateTemplates = (updates) => onChange({ ...templates, ...updates });
+
+  const handleLoadExample = (exampleId) => {
+    if (!exampleId) return;
+    if (hasCustomTemplates && !window.confirm(t('settings.markdownTemplates.confirmReplace'))) return;
+    onChange({ ...DEFAULT_MARKDOWN_TEMPLATES, ...TEMPLATE_EXAMPLES[exampleId], enabled: true });
+  };
+
+  const handleReset = () => {
+    if (!window.confirm(t('settings.markdownTemplates.confirmReset'))) return;
+    onChange({ ...DEFAULT_MARKDOWN_TEMPLATES });
+  };
+
+  const handleExportTemplates = () => {
+    const blob = new Blob([serializeTemplates(templates)], { type: 'application/json;charset=utf-8' });
+    saveAs(blob, 'lyra-markdown-templates.json');
+  };
+
+  const handleImportTemplates = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = parseTemplatesFile(await file.text());
+      if (hasCustomTemplates && !window.confirm(t('settings.markdownTemplates.confirmReplace'))) return;
+      onChange({ ...DEFAULT_MARKDOWN_TEMPLATES, ...imported, enabled: true });
+    } catch (error) {
+      console.error('导入模板失败:', error);
+      alert(`${t('settings.markdownTemplates.importError')}: ${error.message}`);
+    }
+  };
+
+  return (
+    <SettingsSection title={t('settings.markdownTemplates.title')}>
+      <div className="section-description">{t('settings.markdownTemplates.description')}</div>
+
+      <CheckboxSetting
+        label={t('settings.markdownTemplates.enabled.label')}
+        description={t('settings.markdownTemplates.enabled.description')}
+        checked={templates.enabled}
+        onChange={(c) => updateTemplates({ enabled: c })}
+      />
+
+      <SettingItem label={t('settings.markdownTemplates.part.label')} description={t('settings.markdownTemplates.part.description')}>
+        <select
+          className="setting-select"
+          value={activeTemplate}
+          onChange={(e) => setActiveTemplate(e.target.value)}
+        >
+          {TEMPLATE_NAMES.map(name => (
+            <option key={name} value={name}>
+              {t(`settings.markdownTemplates.parts.${name}`)}{templates[name]?.trim() ? ' ✓' : ''}
+            </option>
+          ))}
+        </select>
+      </SettingItem>
+
+      <div className="template-editor">
+        <textarea
+          className="setting-input template-textarea"
+          value={templates[activeTemplate]}
+          onChange={(e) => updateTemplates({ [activeTemplate]: e.target.value })}
+          placeholder={t('settings.markdownTemplates.placeholder')}
+          spellCheck={false}
+          rows={8}
+        />
+        <div className="template-variables">
+          <span className="setting-description">{t('settings.markdownTemplates.variables')}</span>
+          {TEMPLATE_VARIABLES[activeTemplate].map(name => <code key={name}>{`{{${name}}}`}</code>)}
+        </div>
+        <div className="setting-info">{t('settings.markdownTemplates.syntax')}</div>
+      </div>
+
+      <div className="template-actions">
+        <select
+          className="setting-select"
+          value=""
+          onChange={(e) => handleLoadExample(e.target.value)}
+        >
+          <option value="">{t('settings.markdownTemplates.examples.label')}</option>
+          {Object.keys(TEMPLATE_EXAMPLES).map(id => (
+            <option key={id} value={id}>{t(`settings.markdownTemplates.examples.${id}`)}</option>
+          ))}
+        </select>
+        <button className="btn-secondary small" onClick={() => fileInputRef.current?.click()}>
+          {t('settings.markdownTemplates.import')}
+        </button>
+        <button className="btn-secondary small" onClick={handleExportTemplates}>
+          {t('settings.markdownTemplates.export')}
+        </button>
+        <button className="btn-secondary small" onClick={handleReset} disabled={!hasCustomTemplates}>
+          {t('settings.markdownTemplates.reset')}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImportTemplates}
+          style={{ display: 'none' }}
+        />
+      </div>
+
+      <div className="template-preview">
+        <div className="setting-label">
+          <span>{t('settings.markdownTemplates.preview.label')}</span>
+          <span className="setting-description">{t('settings.markdownTemplates.preview.description')}</span>
+        </div>
+        {preview.error ? (
+          <div className="template-error">{t('settings.markdownTemplates.preview.error')}: {preview.error}</div>
+        ) : (
+          <pre>{preview.text}</pre>
+        )}
+      </div>
+    </SettingsSection>
+  );
+};
+
 /**
  * AI设置面板 - 包含AI Chat API配置、MCP服务器管理、语义搜索配置
  */
@@ -289,7 +289,7 @@ function getMetaItems(item, t) {
 function getPreviewContent(item, t) {
   if (item.type === 'file') {
     if (item.format === 'unknown') {
-      return t('card.clickToLoad');
+      return item.hasDiagnostics ? t('diagnostics.cardHint') : t('card.clickToLoad');
     }
     return item.summary || `${t('card.contains')} ${item.conversationCount || 0} ${t('card.conversations')}${t('card.and')}${item.messageCount || 0} ${t('card.messages')}`;
   }
@@ -4,6 +4,7 @@ import { useI18n } from '../index.js';
 import LanguageSwitcher from '../components/LanguageSwitcher.js';
 import { ThemeUtils } from '../utils/themeManager.js';
 import { batchExportManager } from '../utils/batchExportManager.js';
+import { ExportPresetManager, getBatchPresetSettings } from '../utils/export/exportPresets.js';
 
 // 隐私保障说明组件 - 国际化版本（简化版）
 const PrivacyAssurance = () => {
@@ -224,6 +225,22 @@ const WelcomePage = ({ handleLoadClick, handleFolderClick }) => {
   const [batchExporting, setBatchExporting] = useState(false);
   const [exportProgress, setExportProgress] = useState({ current: 0, total: 0, fileName: '' });
   const [exportResult, setExportResult] = useState(null);
+  const [batchFormat, setBatchFormat] = useState('markdown');
+  const [batchBranchMode, setBatchBranchMode] = useState('latest');
+  const [batchPresets, setBatchPresets] = useState(() => ExportPresetManager.getPresets());
+  const [batchPresetId, setBatchPresetId] = useState('');
+  const batchPreset = batchPresets.find(preset => preset.id === batchPresetId);
+
+  // 选择预设时，预设中的格式和“全部分支”范围也带到批量导出
+  const handleBatchPresetChange = (presetId) => {
+    setBatchPresetId(presetId);
+    const preset = batchPresets.find(item => item.id === presetId);
+    if (!preset) return;
+
+    const { format, branchMode } = getBatchPresetSettings(preset.options);
+    if (format) setBatchFormat(format);
+    if (branchMode) setBatchBranchMode(branchMode);
+  };
 
   // 处理主题切换（不刷新）
   const handleThemeToggle = () => {
@@ -241,7 +258,7 @@ const WelcomePage = ({ handleLoadClick, handleFolderClick }) => {
     // 创建文件输入元素
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = '.json,.jsonl';
+    input.accept = '.json,.jsonl,.zip';
     input.multiple = true;
 
     input.onchange = async (e) => {
@@ -260,6 +277,11 @@ const WelcomePage = ({ handleLoadClick, handleFolderClick }) => {
           files,
           (current, total, fileName) => {
             setExportProgress({ current, total, fileName });
+          },
+          {
+            format: batchFormat,
+            branchMode: batchBranchMode,
+            documentConfig: batchPreset ? getBatchPresetSettings(batchPreset.options).documentConfig : undefined
           }
         );
 
@@ -412,6 +434,46 @@ const WelcomePage = ({ handleLoadClick, handleFolderClick }) => {
             <p className="action-description whitespace-pre-line">
               {t('welcomePage.actionCards.batchExport.description')}
             </p>
+            <div className="batch-format-options">
+              <label className="batch-format-select">
+                <span>{t('welcomePage.actionCards.batchExport.format')}</span>
+                <select
+                  value={batchFormat}
+                  onChange={(e) => setBatchFormat(e.target.value)}
+                  disabled={batchExporting}
+                >
+                  <option value="markdown">Markdown (.md)</option>
+                  <option value="org">Org-mode (.org)</option>
+                </select>
+              </label>
+              <label className="batch-format-select">
+                <span>{t('welcomePage.actionCards.batchExport.branches')}</span>
+                <select
+                  value={batchBranchMode}
+                  onChange={(e) => setBatchBranchMode(e.target.value)}
+                  disabled={batchExporting}
+                >
+                  <option value="latest">{t('welcomePage.actionCards.batchExport.branchLatest')}</option>
+                  <option value="all">{t('welcomePage.actionCards.batchExport.branchAll')}</option>
+                </select>
+              </label>
+              {batchPresets.length > 0 && (
+                <label className="batch-format-select">
+                  <span>{t('welcomePage.actionCards.batchExport.preset')}</span>
+                  <select
+                    value={batchPresetId}
+                    onChange={(e) => handleBatchPresetChange(e.target.value)}
+                    onFocus={() => setBatchPresets(ExportPresetManager.getPresets())}
+                    disabled={batchExporting}
+                  >
+                    <option value="">{t('welcomePage.actionCards.batchExport.presetNone')}</option>
+                    {batchPresets.map(preset => (
+                      <option key={preset.id} value={preset.id}>{preset.name}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+            </div>
             <div className="flex gap-6">
               {handleFolderClick && (
                 <button
@@ -784,6 +846,30 @@ const WelcomePage = ({ handleLoadClick, handleFolderClick }) => {
             cursor: not-allowed;
             transform: none;
           }
+
+          .batch-format-options {
+            display: flex;
+            flex-wrap: wrap;
+            justify-content: center;
+            gap: 8px 20px;
+            margin-bottom: 16px;
+          }
+
+          .batch-format-select {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            font-size: 14px;
+            color: var(--text-secondary);
+          }
+
+          .batch-format-select select {
+            padding: 4px 8px;
+            border-radius: 6px;
+            border: 1px solid var(--border-primary);
+            background: var(--bg-primary);
+            color: var(--text-primary);
+          }
           
           /* 边框颜色 */
           .welcome-page .border-gray-200,
@@ -4,8 +4,7 @@
 
 import { pipeline } from '@xenova/transformers';
 import { generateConversationCardUuid, generateFileCardUuid } from './data/uuidManager';
-import { extractChatData, detectBranches } from './fileParser';
-import { parseJSONL } from './fileParser/helpers';
+import { parseChatFile, isFullExportFormat, getConversationData } from './fileParser';
 import { highlightText, getExcerpt } from './textUtils';
 import StorageManager from './storageManager';
 
@@ -236,11 +235,7 @@ export class GlobalSearch {
           data = file._mergedProcessedData;
         } else {
           try {
-            const text = await file.text();
-            const isJSONL = file.name.endsWith('.jsonl') || (text.includes('\n{') && !text.trim().startsWith('['));
-            const jsonData = isJSONL ? parseJSONL(text) : JSON.parse(text);
-            data = extractChatData(jsonData, file.name);
-            data = detectBranches(data);
+            data = await parseChatFile(file);
           } catch (error) {
             console.error(`[GlobalSearch] 解析文件 ${file.name} 失败:`, error);
             continue;
@@ -256,7 +251,7 @@ export class GlobalSearch {
 
       newFileData.set(file.name, data);
 
-      if (data.format === 'claude_full_export') {
+      if (isFullExportFormat(data.format)) {
         this.indexFullExportData(data, file, fileIndex);
       } else if (data.chat_history) {
         this.indexSimpleData(data, file, fileIndex);
@@ -278,9 +273,7 @@ export class GlobalSearch {
       const convUuid = generateConversationCardUuid(fileIndex, conv.uuid, file);
       const displayName = this.customNames[conv.uuid] || this.customNames[convUuid] || conv.name || '未命名对话';
 
-      const convMessages = data.chat_history?.filter(msg =>
-        msg.conversation_uuid === conv.uuid && !msg.is_conversation_header
-      ) || [];
+      const convMessages = getConversationData(data, conv.uuid, { cache: false })?.chat_history || [];
 
       convMessages.forEach((msg, msgIndex) => {
         const messageId = `${convUuid}_${msg.uuid}`;
@@ -1,219 +1,41 @@
 // utils/batchExportManager.js
 import JSZip from 'jszip';
 import { saveAs } from 'file-saver';
-import { extractChatData, parseJSONL } from './fileParser';
+import {
+  extractChatData,
+  isArchiveFile,
+  isFullExportFormat,
+  loadConversationData,
+  releaseConversationLibrary
+} from './fileParser';
+import { parseFileInWorker } from './fileParser/parseWorkerClient';
 import { MarkdownGenerator } from './exportManager';
 import { DateTimeUtils } from './fileParser';
-
-/**
- * 分支分析器 - 从 ConversationTimeline 中提取的逻辑
- */
-class BranchAnalyzer {
-  /**
-   * 分析消息的分支结构
-   * @param {Array} messages - 消息数组
-   * @returns {Object} - 分支分析结果
-   */
-  analyze(messages) {
-    const msgDict = {};
-    const parentChildren = {};
-    const branchPoints = new Map();
-
-    // 构建消息字典和父子关系
-    messages.forEach(msg => {
-      const uuid = msg.uuid;
-      const parentUuid = msg.parent_uuid;
-
-      msgDict[uuid] = msg;
-
-      if (parentUuid) {
-        if (!parentChildren[parentUuid]) {
-          parentChildren[parentUuid] = [];
-        }
-        parentChildren[parentUuid].push(uuid);
-      }
-    });
-
-    // 识别分支点
-    const ROOT_UUID = '00000000-0000-4000-8000-000000000000';
-
-    Object.entries(parentChildren).forEach(([parentUuid, children]) => {
-      if (children.length > 1) {
-        let branchPoint = null;
-
-        if (parentUuid === ROOT_UUID) {
-          // 根节点有多个子节点，创建虚拟分支点
-          branchPoint = {
-            uuid: ROOT_UUID,
-            index: -1,
-            display_text: '对话起始点',
-            sender: 'system',
-            timestamp: '对话开始'
-          };
-        } else if (msgDict[parentUuid]) {
-          branchPoint = msgDict[parentUuid];
-        }
-
-        if (branchPoint) {
-          const sortedChildren = children
-            .map(uuid => msgDict[uuid])
-            .filter(msg => msg)
-            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-
-          const branches = sortedChildren.map((childMsg, branchIndex) => {
-            const branchMessages = this.findBranchMessages(childMsg.uuid, msgDict, parentChildren);
-
-            return {
-              branchIndex,
-              startMessage: childMsg,
-              messages: branchMessages,
-              messageCount: branchMessages.length,
-              path: `branch_${branchPoint.uuid}_${branchIndex}`,
-              preview: childMsg.display_text
-                ? childMsg.display_text.length > 50
-                  ? childMsg.display_text.substring(0, 50) + '...'
-                  : childMsg.display_text
-                : '...'
-            };
-          });
-
-          branchPoints.set(parentUuid, {
-            branchPoint,
-            branches,
-            currentBranchIndex: 0
-          });
-        }
-      }
-    });
-
-    return { branchPoints, msgDict, parentChildren };
-  }
-
-  /**
-   * 查找分支的所有消息
-   */
-  findBranchMessages(startUuid, msgDict, parentChildren) {
-    const branchMessages = [msgDict[startUuid]];
-    const visited = new Set([startUuid]);
-
-    const traverse = (currentUuid) => {
-      const children = parentChildren[currentUuid] || [];
-      children.forEach(childUuid => {
-        if (!visited.has(childUuid) && msgDict[childUuid]) {
-          visited.add(childUuid);
-          branchMessages.push(msgDict[childUuid]);
-          traverse(childUuid);
-        }
-      });
-    };
-
-    traverse(startUuid);
-    return branchMessages.sort((a, b) => a.index - b.index);
-  }
-
-  /**
-   * 找到最新分支的消息
-   * @param {Array} messages - 所有消息
-   * @returns {Array} - 最新分支的消息
-   */
-  getLatestBranchMessages(messages) {
-    if (!messages || messages.length === 0) {
-      return [];
-    }
-
-    // 找到时间戳最新的消息
-    const sortedMessages = [...messages].sort((a, b) => {
-      const timeA = new Date(a.timestamp).getTime();
-      const timeB = new Date(b.timestamp).getTime();
-      return timeA - timeB;
-    });
-
-    const latestMessage = sortedMessages[sortedMessages.length - 1];
-
-    // 分析分支结构
-    const { branchPoints, msgDict, parentChildren } = this.analyze(messages);
-
-    // 如果没有分支，返回所有消息
-    if (branchPoints.size === 0) {
-      return messages;
-    }
-
-    // 构建最新消息的路径
-    const messagePath = [];
-    let currentMsg = latestMessage;
-    const visitedUuids = new Set();
-
-    while (currentMsg && !visitedUuids.has(currentMsg.uuid)) {
-      visitedUuids.add(currentMsg.uuid);
-      messagePath.unshift(currentMsg);
-
-      if (currentMsg.parent_uuid) {
-        currentMsg = messages.find(m => m.uuid === currentMsg.parent_uuid);
-      } else {
-        break;
-      }
-    }
-
-    // 确定每个分支点的选择
-    const selectedBranches = new Map();
-
-    for (const [branchPointUuid, branchData] of branchPoints) {
-      let selectedBranchIndex = 0;
-
-      // 检查消息路径是否经过这个分支点的某个分支
-      for (let bIdx = 0; bIdx < branchData.branches.length; bIdx++) {
-        const branch = branchData.branches[bIdx];
-        if (messagePath.some(pathMsg =>
-          branch.messages.some(branchMsg => branchMsg.uuid === pathMsg.uuid)
-        )) {
-          selectedBranchIndex = bIdx;
-          break;
-        }
-      }
-
-      selectedBranches.set(branchPointUuid, selectedBranchIndex);
+import { BranchAnalyzer } from './formatHelpers';
+import { getRenameManager } from './renameManager';
+
+// 批量导出支持的文档格式；TreeGenerator 用于导出全部分支（Org 本身按分支嵌套输出）
+// 生成器继承自 exportManager 中的 MarkdownGenerator，按需动态加载，避免与 exportManager 形成循环依赖
+const DOCUMENT_FORMATS = {
+  markdown: {
+    extension: 'md',
+    label: 'Markdown',
+    loadGenerators: async () => {
+      const { BranchTreeGenerator } = await import('./export/branchTreeExporter');
+      return { Generator: MarkdownGenerator, TreeGenerator: BranchTreeGenerator };
     }
-
-    // 根据选择的分支过滤消息
-    const visibleMessages = [];
-
-    for (const msg of messages) {
-      let shouldShow = true;
-
-      for (const [branchPointUuid, selectedBranchIndex] of selectedBranches.entries()) {
-        const branchData = branchPoints.get(branchPointUuid);
-        if (!branchData) continue;
-
-        const branchPoint = branchData.branchPoint;
-        const selectedBranch = branchData.branches[selectedBranchIndex];
-
-        // 对于根分支点，所有消息都受影响
-        const isRootBranch = branchPoint.index === -1;
-
-        if (isRootBranch || msg.index > branchPoint.index) {
-          const belongsToSelectedBranch = selectedBranch.messages.some(
-            branchMsg => branchMsg.uuid === msg.uuid
-          );
-
-          if (!belongsToSelectedBranch) {
-            const belongsToAnyBranch = branchData.branches.some(
-              branch => branch.messages.some(branchMsg => branchMsg.uuid === msg.uuid)
-            );
-
-            if (belongsToAnyBranch) {
-              shouldShow = false;
-              break;
-            }
-          }
-        }
-      }
-
-      if (shouldShow) visibleMessages.push(msg);
+  },
+  org: {
+    extension: 'org',
+    label: 'Org',
+    loadGenerators: async () => {
+      const { OrgGenerator } = await import('./export/orgExporter');
+      return { Generator: OrgGenerator, TreeGenerator: OrgGenerator };
     }
-
-    return visibleMessages;
   }
-}
+};
+
+const resolveDocumentFormat = (format) => (DOCUMENT_FORMATS[format] ? format : 'markdown');
 
 /**
  * 批量导出管理器
@@ -224,12 +46,16 @@ export class BatchExportManager {
   }
 
   /**
-   * 批量导出文件为 Markdown 并打包成 ZIP
+   * 批量导出文件为 Markdown（或 Org）并打包成 ZIP
    * @param {Array<File>} files - 要处理的文件数组
    * @param {Function} onProgress - 进度回调函数 (current, total, fileName)
+   * @param {Object} options - { format: 'markdown' | 'org', branchMode: 'latest' | 'all', documentConfig: 导出预设中的内容选项 }
    * @returns {Promise<void>}
    */
-  async exportLatestBranchesToZip(files, onProgress = null) {
+  async exportLatestBranchesToZip(files, onProgress = null, options = {}) {
+    const format = resolveDocumentFormat(options.format);
+    const branchMode = options.branchMode === 'all' ? 'all' : 'latest';
+    const documentConfig = options.documentConfig || {};
     const zip = new JSZip();
     const timestamp = DateTimeUtils.formatDateTime(new Date()).replace(/[:/\s]/g, '-');
     const successfulExports = [];
@@ -245,145 +71,29 @@ export class BatchExportManager {
           onProgress(i + 1, files.length, file.name);
         }
 
-        // 读取文件内容
-        const content = await this.readFileAsText(file);
-
-        // 智能解析文件（JSON或JSONL）
-        const isJSONL = file.name.endsWith('.jsonl') || (content.includes('\n{') && !content.trim().startsWith('['));
-        const jsonData = isJSONL ? parseJSONL(content) : JSON.parse(content);
-
-        // 检测是否为 claude_full_export 格式（包含多个对话）
-        const isFullExport = jsonData?.exportedAt && Array.isArray(jsonData.conversations);
-
-        if (isFullExport) {
-          // 处理 claude_full_export 格式 - 包含多个对话
-          const conversations = jsonData.conversations || [];
-
-          for (let convIndex = 0; convIndex < conversations.length; convIndex++) {
-            const conversation = conversations[convIndex];
-
-            try {
-              // 构造单个对话的数据结构
-              const singleConvData = {
-                uuid: conversation.uuid,
-                name: conversation.name,
-                model: conversation.model,
-                created_at: conversation.created_at,
-                updated_at: conversation.updated_at,
-                chat_messages: conversation.chat_messages || []
-              };
-
-              // 使用 extractChatData 处理单个对话
-              const processedData = extractChatData(singleConvData);
-
-              if (!processedData || !processedData.chat_history || processedData.chat_history.length === 0) {
-                failedExports.push({
-                  fileName: `${file.name} - ${conversation.name || conversation.uuid}`,
-                  error: '无有效的对话数据'
-                });
-                continue;
-              }
-
-              // 获取最新分支的消息
-              const latestBranchMessages = this.branchAnalyzer.getLatestBranchMessages(processedData.chat_history);
-
-              // 创建包含最新分支消息的新数据
-              const latestBranchData = {
-                ...processedData,
-                chat_history: latestBranchMessages
-              };
-
-              // 生成 Markdown
-              const generator = new MarkdownGenerator({
-                includeThinking: true,
-                includeTools: true,
-                includeArtifacts: true,
-                includeCitations: true,
-                includeAttachments: true,
-                includeTimestamps: false,
-                exportObsidianMetadata: false,
-                excludeDeleted: false
-              });
-
-              const markdown = generator.generate(latestBranchData);
-
-              // 生成文件名 - 使用对话名称
-              const convTitle = conversation.name || `conversation_${convIndex + 1}`;
-              const sanitizedTitle = this.sanitizeFileName(convTitle);
-
-              // 避免文件名重复，如果重复则添加序号
-              let mdFileName = `${sanitizedTitle}.md`;
-              let counter = 1;
-              while (usedFileNames.has(mdFileName)) {
-                mdFileName = `${sanitizedTitle}_${counter}.md`;
-                counter++;
-              }
-              usedFileNames.add(mdFileName);
-
-              // 添加到 ZIP
-              zip.file(mdFileName, markdown);
-              successfulExports.push({
-                fileName: `${file.name} - ${convTitle}`,
-                mdFileName
-              });
-
-            } catch (convError) {
-              console.error(`处理对话 ${conversation.name || conversation.uuid} 时出错:`, convError);
-              failedExports.push({
-                fileName: `${file.name} - ${conversation.name || conversation.uuid}`,
-                error: convError.message
-              });
-            }
-          }
-        } else {
-          // 处理普通单对话格式
-          const processedData = extractChatData(jsonData);
-
-          if (!processedData || !processedData.chat_history || processedData.chat_history.length === 0) {
-            failedExports.push({ fileName: file.name, error: '无有效的对话数据' });
-            continue;
-          }
+        // 在 Worker 中解析（ZIP 压缩包、多对话容器和单个对话），大文件不阻塞页面
+        let processedData;
+        try {
+          processedData = await parseFileInWorker(file);
+        } catch (parseError) {
+          await this.addLegacyFullExportDocuments(zip, file, parseError, usedFileNames, successfulExports, failedExports, format, branchMode, documentConfig);
+          continue;
+        }
 
-          // 获取最新分支的消息
-          const latestBranchMessages = this.branchAnalyzer.getLatestBranchMessages(processedData.chat_history);
-
-          // 创建包含最新分支消息的新数据
-          const latestBranchData = {
-            ...processedData,
-            chat_history: latestBranchMessages
-          };
-
-          // 生成 Markdown
-          const generator = new MarkdownGenerator({
-            includeThinking: true,
-            includeTools: true,
-            includeArtifacts: true,
-            includeCitations: true,
-            includeAttachments: true,
-            includeTimestamps: false,
-            exportObsidianMetadata: false,
-            excludeDeleted: false
-          });
-
-          const markdown = generator.generate(latestBranchData);
-
-          // 生成文件名（支持.json和.jsonl）
-          const originalName = file.name.replace(/\.(json|jsonl)$/i, '');
-          const title = processedData.meta_info?.title || originalName;
-          const sanitizedTitle = this.sanitizeFileName(title);
-
-          // 避免文件名重复，如果重复则添加序号
-          let mdFileName = `${sanitizedTitle}.md`;
-          let counter = 1;
-          while (usedFileNames.has(mdFileName)) {
-            mdFileName = `${sanitizedTitle}_${counter}.md`;
-            counter++;
+        try {
+          if (isFullExportFormat(processedData.format)) {
+            // 多对话容器（压缩包、账号完整导出）：逐个导出
+            await this.addLibraryDocuments(zip, processedData, file.name, usedFileNames, successfulExports, failedExports, format, branchMode, documentConfig);
+          } else {
+            // 生成文件名（支持.json和.jsonl）
+            const originalName = file.name.replace(/\.(json|jsonl)$/i, '');
+            const title = processedData?.meta_info?.title || originalName;
+            const outputFileName = await this.addLatestBranchDocument(zip, processedData, title, usedFileNames, format, branchMode, documentConfig);
+
+            successfulExports.push({ fileName: file.name, outputFileName });
           }
-          usedFileNames.add(mdFileName);
-
-          // 添加到 ZIP
-          zip.file(mdFileName, markdown);
-          successfulExports.push({ fileName: file.name, mdFileName });
+        } finally {
+          releaseConversationLibrary(processedData);
         }
 
       } catch (error) {
@@ -393,12 +103,12 @@ export class BatchExportManager {
     }
 
     // 生成摘要文件
-    const summary = this.generateSummary(successfulExports, failedExports);
+    const summary = this.generateSummary(successfulExports, failedExports, format);
     zip.file('_导出摘要.txt', summary);
 
     // 生成并下载 ZIP
     const zipBlob = await zip.generateAsync({ type: 'blob' });
-    const zipFileName = `Latest_Branches_Export_${timestamp}.zip`;
+    const zipFileName = `${branchMode === 'all' ? 'All' : 'Latest'}_Branches_Export_${timestamp}.zip`;
     saveAs(zipBlob, zipFileName);
 
     return {
@@ -409,6 +119,161 @@ export class BatchExportManager {
     };
   }
 
+  /**
+   * 生成单个对话最新分支（branchMode 为 'all' 时为全部分支）的文档并写入 ZIP
+   * @returns {Promise<string>} 写入的文件名
+   */
+  async addLatestBranchDocument(zip, processedData, title, usedFileNames, format = 'markdown', branchMode = 'latest', documentConfig = {}) {
+    if (!processedData || !processedData.chat_history || processedData.chat_history.length === 0) {
+      throw new Error('无有效的对话数据');
+    }
+
+    // 获取最新分支的消息（全部分支时保留完整的消息树）
+    const latestBranchData = branchMode === 'all' ? processedData : {
+      ...processedData,
+      chat_history: this.branchAnalyzer.getLatestBranchMessages(processedData.chat_history)
+    };
+
+    // 生成文档
+    const { Generator, TreeGenerator } = await DOCUMENT_FORMATS[format].loadGenerators();
+    const DocumentGenerator = branchMode === 'all' ? TreeGenerator : Generator;
+    const generator = new DocumentGenerator({
+      includeThinking: true,
+      includeTools: true,
+      includeArtifacts: true,
+      includeCitations: true,
+      includeAttachments: true,
+      includeTimestamps: false,
+      exportObsidianMetadata: false,
+      excludeDeleted: false,
+      ...documentConfig
+    });
+
+    const content = generator.generate(latestBranchData);
+    const outputFileName = this.getUniqueFileName(title || processedData.meta_info?.title, format, usedFileNames);
+
+    // 添加到 ZIP
+    zip.file(outputFileName, content);
+    return outputFileName;
+  }
+
+  /**
+   * 导出旧版 Claude 完整导出（exportedAt + conversations）中的全部对话
+   * 这种格式没有注册解析器，读取原文后逐个对话提取；不是这种格式时抛出原来的解析错误
+   */
+  async addLegacyFullExportDocuments(zip, file, parseError, usedFileNames, successfulExports, failedExports, format = 'markdown', branchMode = 'latest', documentConfig = {}) {
+    if (isArchiveFile(file)) throw parseError;
+
+    let jsonData = null;
+    try {
+      jsonData = JSON.parse(await this.readFileAsText(file));
+    } catch {
+      throw parseError;
+    }
+    if (!jsonData?.exportedAt || !Array.isArray(jsonData.conversations)) throw parseError;
+
+    // 处理 claude_full_export 格式 - 包含多个对话
+    const conversations = jsonData.conversations || [];
+
+    for (let convIndex = 0; convIndex < conversations.length; convIndex++) {
+      const conversation = conversations[convIndex];
+      const convTitle = conversation.name || `conversation_${convIndex + 1}`;
+
+      try {
+        // 构造单个对话的数据结构
+        const singleConvData = {
+          uuid: conversation.uuid,
+          name: conversation.name,
+          model: conversation.model,
+          created_at: conversation.created_at,
+          updated_at: conversation.updated_at,
+          chat_messages: conversation.chat_messages || []
+        };
+
+        // 使用 extractChatData 处理单个对话
+        const processedData = extractChatData(singleConvData);
+        const outputFileName = await this.addLatestBranchDocument(zip, processedData, convTitle, usedFileNames, format, branchMode, documentConfig);
+
+        successfulExports.push({
+          fileName: `${file.name} - ${convTitle}`,
+          outputFileName
+        });
+
+      } catch (convError) {
+        console.error(`处理对话 ${conversation.name || conversation.uuid} 时出错:`, convError);
+        failedExports.push({
+          fileName: `${file.name} - ${conversation.name || conversation.uuid}`,
+          error: convError.message
+        });
+      }
+    }
+  }
+
+  /**
+   * 逐个导出多对话容器中的对话（Worker 中的容器按需返回对话）
+   */
+  async addLibraryDocuments(zip, library, sourceName, usedFileNames, successfulExports, failedExports, format = 'markdown', branchMode = 'latest', documentConfig = {}) {
+    for (const conv of library.views?.conversationList || []) {
+      const label = `${sourceName} - ${conv.name || conv.uuid}`;
+      try {
+        const outputFileName = await this.addLatestBranchDocument(zip, await loadConversationData(library, conv.uuid, { cache: false }), conv.name, usedFileNames, format, branchMode, documentConfig);
+        successfulExports.push({ fileName: label, outputFileName });
+      } catch (convError) {
+        console.error(`处理对话 ${conv.name || conv.uuid} 时出错:`, convError);
+        failedExports.push({ fileName: label, error: convError.message });
+      }
+    }
+  }
+
+  /**
+   * 把已解析的对话逐个导出为文档并打包成 ZIP，应用传入的导出选项（不只保留最新分支）
+   * @param {Array} dataList - processedData 列表，_exportConfig.marks 为该对话的标记
+   * @param {Object} config - 导出配置，format 为 'markdown' | 'org'
+   * @returns {Promise<number>} 导出的文件数
+   */
+  async exportProcessedDataToZip(dataList, config = {}) {
+    const format = resolveDocumentFormat(config.format);
+    const { label } = DOCUMENT_FORMATS[format];
+    const { Generator } = await DOCUMENT_FORMATS[format].loadGenerators();
+    const zip = new JSZip();
+    const usedFileNames = new Set();
+    const renameManager = getRenameManager();
+
+    dataList.forEach(item => {
+      const conversationUuid = item._exportConfig?.conversationUuid;
+      const generator = new Generator({
+        ...config,
+        marks: item._exportConfig?.marks,
+        conversationUuid
+      });
+      const originalTitle = item.meta_info?.title || 'conversation';
+      const title = conversationUuid ? renameManager.getRename(conversationUuid, originalTitle) : originalTitle;
+      zip.file(this.getUniqueFileName(title, format, usedFileNames), generator.generate(item));
+    });
+
+    const timestamp = DateTimeUtils.formatDateTime(new Date()).replace(/[:/\s]/g, '-');
+    const zipBlob = await zip.generateAsync({ type: 'blob' });
+    saveAs(zipBlob, `${label}_Export_${timestamp}.zip`);
+    return dataList.length;
+  }
+
+  /**
+   * 生成不重复的文件名，重复时添加序号
+   */
+  getUniqueFileName(title, format, usedFileNames) {
+    const { extension } = DOCUMENT_FORMATS[format];
+    const sanitizedTitle = this.sanitizeFileName(title || 'conversation');
+
+    let fileName = `${sanitizedTitle}.${extension}`;
+    let counter = 1;
+    while (usedFileNames.has(fileName)) {
+      fileName = `${sanitizedTitle}_${counter}.${extension}`;
+      counter++;
+    }
+    usedFileNames.add(fileName);
+    return fileName;
+  }
+
   /**
    * 读取文件为文本
    */
@@ -434,7 +299,7 @@ export class BatchExportManager {
   /**
    * 生成导出摘要
    */
-  generateSummary(successful, failed) {
+  generateSummary(successful, failed, format = 'markdown') {
     const lines = [];
     lines.push('=' .repeat(60));
     lines.push('批量导出摘要');
@@ -448,8 +313,8 @@ export class BatchExportManager {
     if (successful.length > 0) {
       lines.push('成功导出的文件:');
       lines.push('-' .repeat(60));
-      successful.forEach(({ fileName, mdFileName }) => {
-        lines.push(`✓ ${fileName} -> ${mdFileName}`);
+      successful.forEach(({ fileName, outputFileName }) => {
+        lines.push(`✓ ${fileName} -> ${outputFileName}`);
       });
       lines.push('');
     }
@@ -467,7 +332,7 @@ export class BatchExportManager {
     lines.push('=' .repeat(60));
     lines.push('');
     lines.push('说明:');
-    lines.push('- 每个文件都已导出为包含最新对话分支的 Markdown 文件');
+    lines.push(`- 每个文件都已导出为包含最新对话分支的 ${DOCUMENT_FORMATS[format].label} 文件`);
     lines.push('- 如果对话有多个分支，将自动选择时间戳最新的分支');
     lines.push('- 文件名已自动清理非法字符');
     lines.push('');
@@ -0,0 +1,77 @@
+// utils/data/archiveStateManager.js
+// Lyra 归档中的用户状态：导出时从各管理器读取，导入时写回 localStorage
+// 状态在 localStorage 中按卡片UUID保存（含文件哈希），归档中按对话保存，两者在这里转换
+
+import StorageManager from '../storageManager';
+import { StarManager } from './starManager';
+import { getRenameManager } from '../renameManager';
+import { generateConversationCardUuid } from './uuidManager';
+
+const MARK_TYPES = ['completed', 'important', 'deleted'];
+
+/**
+ * 读取一张卡片的用户状态，写入归档的 state 字段
+ * @param {string} cardUuid - 文件卡片UUID或对话卡片UUID
+ * @param {StarManager} starManager - 星标只存在于多对话容器中，普通文件传 null
+ */
+export const collectCardState = (cardUuid, starManager = null) => {
+  const marks = StorageManager.getMarks(cardUuid);
+  const renameManager = getRenameManager();
+
+  return {
+    marks: Object.fromEntries(MARK_TYPES.map(type => [type, Array.from(marks[type])])),
+    order: StorageManager.get(`message_order_${cardUuid}`, {}),
+    title: renameManager.hasRename(cardUuid) ? renameManager.getRename(cardUuid) : null,
+    starred: starManager ? starManager.getManualStar(cardUuid) : null
+  };
+};
+
+/**
+ * 把归档中的用户状态写回 localStorage
+ * 本地已有的状态优先：同一个归档再次导入时，不覆盖导入之后做的修改
+ * @param {Object} processedData - lyra_archive 容器
+ * @param {File} file - 归档文件（用于计算卡片UUID）
+ * @returns {number} 恢复了状态的对话数
+ */
+export const restoreLyraArchiveState = (processedData, file) => {
+  if (processedData?.format !== 'lyra_archive' || !file) return 0;
+
+  const states = processedData.raw_data?.states || {};
+  const renameManager = getRenameManager();
+  const starManager = new StarManager(true);
+  let restoredCount = 0;
+
+  Object.entries(states).forEach(([conversationUuid, state]) => {
+    const cardUuid = generateConversationCardUuid(null, conversationUuid, file);
+    let restored = false;
+
+    const hasMarks = MARK_TYPES.some(type => state.marks[type].length > 0);
+    if (hasMarks && !StorageManager.get(`marks_${cardUuid}`)) {
+      StorageManager.setMarks(cardUuid, state.marks);
+      restored = true;
+    }
+
+    const orderKey = `message_order_${cardUuid}`;
+    if (Object.keys(state.order).length > 0 && !StorageManager.get(orderKey)) {
+      StorageManager.set(orderKey, state.order);
+      restored = true;
+    }
+
+    if (state.title && !renameManager.hasRename(cardUuid)) {
+      renameManager.setRename(cardUuid, state.title);
+      restored = true;
+    }
+
+    if (state.starred !== null && starManager.getManualStar(cardUuid) === null) {
+      starManager.setStar(cardUuid, state.starred);
+      restored = true;
+    }
+
+    if (restored) restoredCount++;
+  });
+
+  if (restoredCount > 0) {
+    console.log(`[Lyra Archive] 恢复了 ${restoredCount} 个对话的标记/排序/重命名/星标`);
+  }
+  return restoredCount;
+};
@@ -1,20 +1,57 @@
 // data/dataProcessor.js
 // 数据处理器 - 处理对话、文件卡片、时间线消息等数据
 
-import { generateFileCardUuid } from './uuidManager';
+import { generateFileCardUuid, generateConversationCardUuid } from './uuidManager';
 import { getRenameManager } from '../renameManager';
+import { isFullExportFormat } from '../fileParser';
 
 /**
  * 数据处理辅助类
  */
 export class DataProcessor {
   /**
-   * 生成原始对话列表
-   * 注意：claude_full_export格式已废弃，此方法保留以兼容旧数据
+   * 生成对话卡片数据（多对话容器中的单个对话）
+   */
+  static buildConversationCard(conv, fileIndex, file, renameManager) {
+    const cardUuid = generateConversationCardUuid(fileIndex, conv.uuid, file);
+    const originalName = conv.name || '';
+
+    return {
+      type: 'conversation',
+      uuid: cardUuid,
+      name: renameManager.getRename(cardUuid, originalName),
+      originalName,
+      fileIndex,
+      conversationUuid: conv.uuid,
+      project: conv.project || null,
+      is_starred: conv.is_starred || false,
+      created_at: conv.created_at,
+      updated_at: conv.updated_at,
+      model: conv.model || '',
+      platform: conv.platform || 'claude',
+      format: conv.format,
+      messageCount: conv.messageCount || 0,
+      sourceFile: conv.source_file || ''
+    };
+  }
+
+  /**
+   * 生成原始对话列表（压缩包、完整导出等多对话容器）
    */
   static getRawConversations(viewMode, processedData, currentFileIndex, files) {
-    // claude_full_export已废弃，返回空数组
-    return [];
+    if (viewMode !== 'conversations' || !isFullExportFormat(processedData?.format)) {
+      return [];
+    }
+
+    const file = files[currentFileIndex];
+    if (!file) return [];
+
+    const renameManager = getRenameManager();
+    const conversations = processedData.views?.conversationList || [];
+
+    return conversations.map(conv =>
+      this.buildConversationCard(conv, currentFileIndex, file, renameManager)
+    );
   }
 
   /**
@@ -64,7 +101,8 @@ export class DataProcessor {
         platform: metadata.platform || 'claude',
         summary: format !== 'unknown' ?
           t('fileCard.messageSummary', { count: messageCount }) :
-          t('fileCard.clickToLoad'),
+          (metadata.diagnostics ? t('diagnostics.cardHint') : t('fileCard.clickToLoad')),
+        hasDiagnostics: !!metadata.diagnostics,
         size: file.size
       };
     });
@@ -102,6 +140,13 @@ export class DataProcessor {
       if (!dataSource) return null;
 
       const file = files[selectedFileIndex];
+
+      // 多对话容器中的单个对话
+      if (file && selectedConversationUuid && isFullExportFormat(dataSource.format)) {
+        const conv = dataSource.views?.conversationList?.find(item => item.uuid === selectedConversationUuid);
+        return conv ? this.buildConversationCard(conv, selectedFileIndex, file, renameManager) : null;
+      }
+
       if (file) {
         const metadata = fileMetadata[file.name] || {};
         const isCurrentFile = selectedFileIndex === currentFileIndex;
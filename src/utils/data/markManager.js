@@ -2,6 +2,7 @@
 // 标记系统管理（完成、重要、删除）
 
 import StorageManager from '../storageManager';
+import { isFullExportFormat } from '../fileParser';
 
 const MARK_TYPES = {
   COMPLETED: 'completed',
@@ -147,8 +148,8 @@ export const getAllMarksStats = (files, processedData, currentFileIndex, generat
     stats.deleted += marks.deleted.size;
   });
   
-  // 统计对话标记（claude_full_export格式）
-  if (currentFileIndex !== null && processedData?.format === 'claude_full_export') {
+  // 统计对话标记（多对话容器）
+  if (currentFileIndex !== null && isFullExportFormat(processedData?.format)) {
     const conversations = processedData.views?.conversationList || [];
     
     conversations.forEach(conv => {
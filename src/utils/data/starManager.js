@@ -1,5 +1,5 @@
 // utils/data/starManager.js
-// 星标系统管理（仅用于claude_full_export格式）
+// 星标系统管理（仅用于多对话容器：压缩包、完整导出）
 
 import StorageManager from '../storageManager';
 
@@ -75,6 +75,31 @@ export class StarManager {
     return new Map(this.starredConversations);
   }
 
+  /**
+   * 直接设置手动星标（导入 Lyra 归档时使用）
+   * @param {boolean|null} starred - null 表示清除手动设置，恢复原生状态
+   */
+  setStar(conversationUuid, starred) {
+    if (!this.enabled) return new Map(this.starredConversations);
+
+    if (typeof starred === 'boolean') {
+      this.starredConversations.set(conversationUuid, starred);
+    } else {
+      this.starredConversations.delete(conversationUuid);
+    }
+
+    this.saveToStorage();
+    return new Map(this.starredConversations);
+  }
+
+  /**
+   * 获取手动星标设置；没有手动设置时返回 null
+   */
+  getManualStar(conversationUuid) {
+    if (!this.enabled || !this.starredConversations.has(conversationUuid)) return null;
+    return this.starredConversations.get(conversationUuid);
+  }
+
   /**
    * 检查对话是否被星标（考虑手动覆盖）
    */
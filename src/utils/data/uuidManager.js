@@ -1,19 +1,14 @@
 // utils/data/uuidManager.js
 // 统一管理UUID生成和解析逻辑
 
+import { isFullExportFormat, TextUtils } from '../fileParser';
+
 /**
  * 生成文件的唯一标识符（基于文件内容特征）
  */
 export const generateFileHash = (file) => {
   if (!file) return '';
-  const str = `${file.name}_${file.size}_${file.lastModified}`;
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-  return Math.abs(hash).toString(36);
+  return TextUtils.hashString(`${file.name}_${file.size}_${file.lastModified}`);
 };
 
 /**
@@ -62,7 +57,7 @@ export const getCurrentFileUuid = (viewMode, selectedFileIndex, selectedConversa
     const file = files[selectedFileIndex];
     const fileHash = generateFileHash(file);
     
-    if (selectedConversationUuid && processedData?.format === 'claude_full_export') {
+    if (selectedConversationUuid && isFullExportFormat(processedData?.format)) {
       return `${fileHash}-${selectedConversationUuid}`;
     } else {
       return `file-${fileHash}`;
@@ -71,3 +66,32 @@ export const getCurrentFileUuid = (viewMode, selectedFileIndex, selectedConversa
   
   return null;
 };
+
+/**
+ * 把卡片UUID按所属文件分组（"有操作的文件"导出范围使用）
+ * 文件卡片UUID表示整个文件，对话卡片UUID只表示容器中的对应对话
+ * @returns {Map} fileIndex -> { wholeFile, conversationUuids }
+ */
+export const groupCardUuidsByFile = (cardUuids, files) => {
+  const groups = new Map();
+
+  for (const cardUuid of cardUuids) {
+    const parsed = parseUuid(cardUuid);
+    const fileIndex = files.findIndex((file, index) =>
+      generateFileCardUuid(index, file) === cardUuid || generateFileHash(file) === parsed.fileHash
+    );
+    if (fileIndex === -1) continue;
+
+    if (!groups.has(fileIndex)) {
+      groups.set(fileIndex, { wholeFile: false, conversationUuids: [] });
+    }
+    const entry = groups.get(fileIndex);
+    if (parsed.conversationUuid) {
+      entry.conversationUuids.push(parsed.conversationUuid);
+    } else {
+      entry.wholeFile = true;
+    }
+  }
+
+  return groups;
+};
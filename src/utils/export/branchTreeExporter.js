@@ -0,0 +1,228 @@
+// utils/export/branchTreeExporter.js
+// 全部分支导出：共同的前缀只写一次，分叉处标出分支点，每个分支的后续内容单独成节，
+// 文档开头附 Mermaid 图展示消息树的结构
+import { MarkdownGenerator, FileExporter } from '../exportManager';
+import { buildBranchTree, walkBranchTree, MAIN_BRANCH } from '../formatHelpers';
+import { exportMarkdownWithImagesZip } from './markdownImageZipExporter';
+import { t } from '../../index.js';
+
+const gt = (key, params) => t(`exportManager.${key}`, params);
+
+const MERMAID_SNIPPET_LENGTH = 40;
+
+// ==================== Mermaid ====================
+// 节点文本放在双引号中，引号、尖括号和 # 用 Mermaid 的实体写法，换行合并为空格
+const mermaidText = (text) => String(text || '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/#/g, '#35;')
+  .replace(/"/g, '#quot;')
+  .replace(/</g, '#lt;')
+  .replace(/>/g, '#gt;')
+  .replace(/`/g, "'");
+
+const snippet = (text) => {
+  const singleLine = String(text || '').replace(/\s+/g, ' ').trim();
+  return singleLine.length > MERMAID_SNIPPET_LENGTH
+    ? `${singleLine.slice(0, MERMAID_SNIPPET_LENGTH)}…`
+    : singleLine;
+};
+
+// 分支 "1.2" 的上级是 "1"，顶层分支的上级是主干
+const getParentBranch = (branch) => {
+  if (branch === MAIN_BRANCH) return null;
+  const dot = branch.lastIndexOf('.');
+  return dot === -1 ? MAIN_BRANCH : branch.slice(0, dot);
+};
+
+/**
+ * 把分支段落生成 Mermaid 流程图：每个分支（一段不分叉的连续消息）为一个节点
+ * @param {Array} segments - [{ branch, first, last, firstMessage }]
+ * @param {Function} getSenderLabel - 消息发送者标签
+ * @returns {string} ```mermaid 代码块
+ */
+export function buildMermaidGraph(segments, getSenderLabel) {
+  const ids = new Map(segments.map((segment, index) => [segment.branch, `b${index}`]));
+  const lines = ['```mermaid', 'graph TD'];
+
+  segments.forEach(segment => {
+    const id = ids.get(segment.branch);
+    const range = segment.first === segment.last ? `#${segment.first}` : `#${segment.first}–#${segment.last}`;
+    const title = segment.branch === MAIN_BRANCH
+      ? range
+      : `${gt('format.branch', { label: segment.branch })} · ${range}`;
+    const preview = `${getSenderLabel(segment.firstMessage)}: ${snippet(segment.firstMessage.display_text)}`;
+    lines.push(`  ${id}["${mermaidText(title)}<br/>${mermaidText(preview)}"]`);
+
+    const parentId = ids.get(getParentBranch(segment.branch));
+    if (parentId) {
+      lines.push(`  ${parentId} --> ${id}`);
+    }
+  });
+
+  lines.push('```');
+  return lines.join('\n');
+}
+
+/**
+ * 全部分支的 Markdown 生成器：复用 MarkdownGenerator 的筛选和消息格式化
+ */
+export class BranchTreeGenerator extends MarkdownGenerator {
+  /**
+   * 生成完整的Markdown文档
+   */
+  generate(processedData) {
+    const layout = this.buildLayout(processedData);
+    const documentTemplate = this.getTemplate('document');
+    if (documentTemplate) {
+      const messages = layout
+        ? [this.generateBranchDiagram(layout), this.generateBranchMessages(layout)].join('\n')
+        : this.generateMessages(processedData);
+      return this.renderDocument(documentTemplate, processedData, messages);
+    }
+
+    const sections = [
+      this.generateMetadata(processedData),
+      this.generateHeader(processedData),
+      this.generateCharacterCards(processedData),
+      layout ? this.generateBranchDiagram(layout) : '',
+      layout ? this.generateBranchMessages(layout) : this.generateMessages(processedData),
+      this.generateFooter(processedData)
+    ];
+
+    return sections.filter(Boolean).join('\n');
+  }
+
+  /**
+   * 按消息树排列要导出的消息
+   * @returns {{tree, entries, segments, indexByUuid, branchByUuid, parentByUuid}|null} 消息没有父子关系时返回 null（按普通顺序导出）
+   */
+  buildLayout(processedData) {
+    const { chat_history = [] } = processedData;
+    const filteredMessages = this.filterMessages(chat_history);
+    const tree = filteredMessages.length > 0 ? buildBranchTree(chat_history, filteredMessages) : null;
+    if (!tree) return null;
+
+    // entries 为文档中依次出现的内容：{ type: 'branch', branch } 或 { type: 'message', msg, index, branch }
+    const entries = [];
+    const segments = [];
+    const indexByUuid = new Map();
+    const branchByUuid = new Map();
+    let counter = 0;
+
+    walkBranchTree(tree, {
+      onMessage: (msg, depth, branch) => {
+        const index = ++counter;
+        indexByUuid.set(msg.uuid, index);
+        branchByUuid.set(msg.uuid, branch);
+        entries.push({ type: 'message', msg, index, branch });
+
+        const segment = segments[segments.length - 1];
+        if (segment?.branch === branch) {
+          segment.last = index;
+        } else {
+          segments.push({ branch, first: index, last: index, firstMessage: msg });
+        }
+      },
+      onBranch: (branch) => entries.push({ type: 'branch', branch })
+    });
+
+    // 子消息 → 所在树中的父消息（被筛掉的中间消息已跳过）
+    const parentByUuid = new Map();
+    tree.children.forEach((children, uuid) => children.forEach(child => parentByUuid.set(child.uuid, uuid)));
+
+    return { tree, entries, segments, indexByUuid, branchByUuid, parentByUuid };
+  }
+
+  /**
+   * 消息树结构图（Mermaid）
+   */
+  generateBranchDiagram({ segments }) {
+    return [
+      this.formatSectionTitle(`🌳 ${gt('format.branchDiagram')}`),
+      '',
+      buildMermaidGraph(segments, msg => this.getSenderLabel(msg)),
+      '',
+      '---',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * 依次输出消息：分支点后列出各个分支，每个分支以带标签的小节开始
+   */
+  generateBranchMessages({ tree, entries, indexByUuid, branchByUuid, parentByUuid }) {
+    const blocks = [];
+    let pendingBranch = null;
+
+    entries.forEach(entry => {
+      if (entry.type === 'branch') {
+        pendingBranch = entry.branch;
+        return;
+      }
+
+      const lines = [];
+      // 分支小节标题和该分支的第一条消息放在同一块中
+      if (pendingBranch) {
+        const branchPointIndex = indexByUuid.get(parentByUuid.get(entry.msg.uuid));
+        lines.push(this.formatBranchSection(pendingBranch, entry.msg, branchPointIndex));
+        pendingBranch = null;
+      }
+
+      lines.push(this.formatMessage(entry.msg, entry.index, entry.branch));
+      const children = tree.children.get(entry.msg.uuid) || [];
+      if (children.length > 1) {
+        const labels = children.map(child => gt('format.branch', { label: branchByUuid.get(child.uuid) }));
+        lines.push(`> 🔀 ${gt('format.branchPoint', { count: children.length, branches: labels.join(', ') })}`, '');
+      }
+      blocks.push(lines.join('\n'));
+    });
+
+    return blocks.join('\n---\n\n');
+  }
+
+  /**
+   * 分支小节标题：分支标签 + 该分支首条消息的分支标记，并注明从哪条消息分出
+   */
+  formatBranchSection(branch, firstMessage, branchPointIndex) {
+    // 只取层级标记（↳N），首条消息本身是分支点时不重复 🔀
+    const marker = this.getBranchMarker({ ...firstMessage, is_branch_point: false });
+    const lines = [this.formatSectionTitle(`🔀 ${gt('format.branch', { label: branch })}${marker}`)];
+
+    if (branchPointIndex) {
+      lines.push(`*${gt('format.branchFrom', { index: branchPointIndex })}*`);
+    }
+
+    lines.push('');
+    return lines.join('\n');
+  }
+
+  formatSectionTitle(text) {
+    return this.config.includeHeaderPrefix
+      ? `${'#'.repeat(this.config.headerLevel || 2)} ${text}`
+      : `**${text}**`;
+  }
+}
+
+// ==================== 导出 ====================
+/**
+ * 导出单个对话的全部分支为 Markdown（开启图片文件时连同图片打包为 ZIP）
+ * @param {Object} data - processedData，chat_history 为完整消息
+ * @param {Object} config - Markdown 导出配置（含 marks、conversationUuid）
+ */
+export const exportBranchTreeMarkdown = async (data, config = {}) => {
+  const conversationUuid = config.conversationUuid || data._exportConfig?.conversationUuid;
+  const fileName = FileExporter.generateFileName(data, 'single', conversationUuid);
+  const createMarkdown = (item, itemConfig) => new BranchTreeGenerator({ ...itemConfig, conversationUuid }).generate(item);
+
+  if (config.includeImageFiles) {
+    return exportMarkdownWithImagesZip({
+      scope: 'current',
+      data,
+      config,
+      singleMarkdownFileName: fileName,
+      createMarkdown
+    });
+  }
+  return FileExporter.saveTextFile(createMarkdown(data, config), fileName);
+};
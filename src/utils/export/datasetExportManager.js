@@ -0,0 +1,357 @@
+// utils/export/datasetExportManager.js
+// 微调数据集导出：把对话转换为 OpenAI chat JSONL、ShareGPT 或 Alpaca 样本
+import { saveAs } from 'file-saver';
+import { DateTimeUtils } from '../fileParser';
+import { BranchAnalyzer } from '../formatHelpers';
+import { estimateTokens, getToolResultText } from '../textUtils';
+
+// ==================== 工具函数 ====================
+const toRole = (sender) => {
+  if (sender === 'human') return 'user';
+  if (sender === 'system') return 'system';
+  return 'assistant';
+};
+
+// OpenAI 要求函数名只包含字母、数字、下划线和连字符
+const toFunctionName = (name) => String(name || 'tool').replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64);
+
+const toResultText = (result) => {
+  if (!result) return '';
+  const content = result.content ?? result;
+  if (typeof content === 'string' || Array.isArray(content)) return getToolResultText(content);
+  return JSON.stringify(content);
+};
+
+const toArguments = (input) => (input && typeof input === 'object' ? input : { input });
+
+const getJsonType = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value === 'object' ? 'object' : typeof value;
+};
+
+const withThinking = (thinking, content) => (thinking ? `<think>\n${thinking}\n</think>\n\n${content}` : content).trim();
+
+// 收集记录中的全部字符串，用于估算 token 数
+const collectText = (value) => {
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return value.map(collectText).join('\n');
+  if (value && typeof value === 'object') return Object.values(value).map(collectText).join('\n');
+  return '';
+};
+
+/**
+ * 数据集导出管理器
+ */
+export class DatasetExportManager {
+  constructor(config = {}) {
+    this.config = {
+      format: 'openai',
+      branchMode: 'latest',
+      includeThinking: false,
+      includeTools: false,
+      includeArtifacts: false,
+      ...config
+    };
+    this.branchAnalyzer = new BranchAnalyzer();
+  }
+
+  /**
+   * 主导出方法
+   * @param {Array} conversations - [{ title, messages, allowedUuids, systemPrompt }]，allowedUuids 为按标记筛选后保留的消息
+   * @param {Object} meta - 导出元数据(title)
+   * @returns {{samples, conversations, totalTokens, maxTokens}} 导出的样本统计
+   */
+  exportToDataset(conversations, meta = {}) {
+    const records = this.buildRecords(conversations);
+    if (records.length === 0) return null;
+
+    const isJsonl = this.config.format === 'openai';
+    const content = isJsonl
+      ? records.map(record => JSON.stringify(record)).join('\n') + '\n'
+      : JSON.stringify(records, null, 2);
+    const blob = new Blob([content], { type: isJsonl ? 'application/jsonl;charset=utf-8' : 'application/json;charset=utf-8' });
+
+    const fileName = this.generateFileName(meta, isJsonl ? 'jsonl' : 'json');
+    saveAs(blob, fileName);
+    console.log('[数据集导出] 导出完成:', fileName, records.length);
+    return this.getTokenStats(records, conversations.length);
+  }
+
+  /**
+   * 只统计样本数和 token 数，不下载文件
+   */
+  preview(conversations) {
+    return this.getTokenStats(this.buildRecords(conversations), conversations.length);
+  }
+
+  buildRecords(conversations) {
+    const records = [];
+    for (const conversation of conversations) {
+      for (const path of this.selectMessagePaths(conversation)) {
+        const turns = this.buildTurns(path, conversation.systemPrompt);
+        const record = turns && this.formatRecord(turns);
+        if (record) records.push(record);
+      }
+    }
+    return records;
+  }
+
+  getTokenStats(records, conversationCount) {
+    const tokens = records.map(record => estimateTokens(collectText(record)));
+    return {
+      samples: records.length,
+      conversations: conversationCount,
+      totalTokens: tokens.reduce((sum, count) => sum + count, 0),
+      maxTokens: tokens.length > 0 ? Math.max(...tokens) : 0
+    };
+  }
+
+  // ==================== 分支选择 ====================
+  /**
+   * 按分支模式取出样本对应的消息序列
+   * - latest: 时间戳最新的分支
+   * - all: 每个叶子消息所在的完整路径各成一个样本
+   * - important: 重点消息最多的一条分支路径（筛选在 allowedUuids 中完成），同样多时取靠后的分支
+   *   不同分支的重点消息不能拼进同一个样本，否则会出现连续的助手回复
+   * @returns {Array<Array>} 消息序列列表
+   */
+  selectMessagePaths({ messages = [], allowedUuids = null }) {
+    const keep = (path) => (allowedUuids ? path.filter(msg => allowedUuids.has(msg.uuid)) : path);
+    const { branchMode } = this.config;
+
+    if (branchMode === 'important') {
+      const paths = this.getAllBranchPaths(messages).map(keep);
+      return [paths.reduce((best, path) => (path.length >= best.length ? path : best), [])];
+    }
+    if (branchMode === 'all') {
+      return this.getAllBranchPaths(messages).map(keep);
+    }
+    return [keep(this.branchAnalyzer.getLatestBranchMessages(messages))];
+  }
+
+  getAllBranchPaths(messages) {
+    const { branchPoints, msgDict, parentChildren } = this.branchAnalyzer.analyze(messages);
+    if (branchPoints.size === 0) return [messages];
+
+    const leaves = messages
+      .filter(msg => !(parentChildren[msg.uuid] || []).some(childUuid => msgDict[childUuid]))
+      .sort((a, b) => a.index - b.index);
+
+    return leaves.map(leaf => {
+      const path = [];
+      const visited = new Set();
+      let current = leaf;
+      while (current && !visited.has(current.uuid)) {
+        visited.add(current.uuid);
+        path.unshift(current);
+        current = msgDict[current.parent_uuid];
+      }
+      return path;
+    });
+  }
+
+  // ==================== 对话轮次 ====================
+  /**
+   * 把消息序列整理为交替的轮次：合并相邻的同角色消息，去掉末尾没有回复的提问
+   * @returns {Array|null} [{ role, content, thinking, toolCalls }]，没有助手回复时返回 null
+   */
+  buildTurns(path, systemPrompt) {
+    const { includeThinking, includeTools, includeArtifacts } = this.config;
+    const turns = [];
+    if (systemPrompt) turns.push({ role: 'system', content: systemPrompt, thinking: '', toolCalls: [] });
+
+    for (const msg of path) {
+      const role = toRole(msg.sender);
+      const parts = [msg.display_text || ''];
+      if (includeArtifacts && role === 'assistant') {
+        (msg.artifacts || []).forEach(artifact => {
+          if (artifact.content) parts.push(`\`\`\`${artifact.language || ''}\n${artifact.content}\n\`\`\``);
+        });
+      }
+
+      const turn = {
+        role,
+        content: parts.map(part => part.trim()).filter(Boolean).join('\n\n'),
+        thinking: includeThinking && role === 'assistant' ? (msg.thinking || '').trim() : '',
+        toolCalls: includeTools && role === 'assistant' ? (msg.tools || []).map(tool => ({
+          name: toFunctionName(tool.name),
+          arguments: toArguments(tool.input),
+          result: toResultText(tool.result)
+        })) : []
+      };
+      if (!turn.content && !turn.thinking && turn.toolCalls.length === 0) continue;
+
+      const previous = turns[turns.length - 1];
+      if (previous && previous.role === role) {
+        previous.content = [previous.content, turn.content].filter(Boolean).join('\n\n');
+        previous.thinking = [previous.thinking, turn.thinking].filter(Boolean).join('\n\n');
+        previous.toolCalls.push(...turn.toolCalls);
+      } else {
+        turns.push(turn);
+      }
+    }
+
+    while (turns.length > 0 && turns[turns.length - 1].role !== 'assistant') turns.pop();
+    return turns.some(turn => turn.role === 'assistant') ? turns : null;
+  }
+
+  // ==================== 输出格式 ====================
+  formatRecord(turns) {
+    switch (this.config.format) {
+      case 'sharegpt':
+        return this.toShareGPT(turns);
+      case 'alpaca':
+        return this.toAlpaca(turns);
+      default:
+        return this.toOpenAI(turns);
+    }
+  }
+
+  /**
+   * OpenAI 微调格式：{ messages, tools }，工具调用转为 tool_calls 和 tool 消息
+   */
+  toOpenAI(turns) {
+    const messages = [];
+
+    for (const turn of turns) {
+      if (turn.role !== 'assistant') {
+        messages.push({ role: turn.role, content: turn.content });
+        continue;
+      }
+
+      if (turn.toolCalls.length > 0) {
+        const toolMessageCount = messages.filter(message => message.role === 'tool').length;
+        const calls = turn.toolCalls.map((call, index) => ({ ...call, id: `call_${toolMessageCount + index + 1}` }));
+        messages.push({
+          role: 'assistant',
+          content: turn.content ? null : (withThinking(turn.thinking, '') || null),
+          tool_calls: calls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+          }))
+        });
+        calls.forEach(call => messages.push({ role: 'tool', tool_call_id: call.id, content: call.result }));
+        if (turn.content) messages.push({ role: 'assistant', content: withThinking(turn.thinking, turn.content) });
+      } else {
+        messages.push({ role: 'assistant', content: withThinking(turn.thinking, turn.content) });
+      }
+    }
+
+    const tools = this.buildToolSchemas(turns);
+    return tools.length > 0 ? { messages, tools } : { messages };
+  }
+
+  /**
+   * ShareGPT 格式（LLaMA-Factory）：human/gpt 交替，工具调用转为 function_call/observation
+   */
+  toShareGPT(turns) {
+    const dialog = this.dropLeadingAssistant(turns);
+    if (!dialog) return null;
+
+    const conversations = [];
+    for (const turn of dialog.turns) {
+      if (turn.role === 'user') {
+        conversations.push({ from: 'human', value: turn.content });
+        continue;
+      }
+      turn.toolCalls.forEach(call => {
+        conversations.push({ from: 'function_call', value: JSON.stringify({ name: call.name, arguments: call.arguments }) });
+        conversations.push({ from: 'observation', value: call.result });
+      });
+      if (turn.content) {
+        conversations.push({ from: 'gpt', value: withThinking(turn.thinking, turn.content) });
+      } else if (turn.toolCalls.length === 0) {
+        conversations.push({ from: 'gpt', value: withThinking(turn.thinking, '') });
+      }
+    }
+
+    // 样本必须以模型回复结束
+    while (conversations.length > 0 && !['gpt', 'function_call'].includes(conversations[conversations.length - 1].from)) {
+      conversations.pop();
+    }
+    if (conversations.length < 2) return null;
+
+    const record = { conversations };
+    if (dialog.system) record.system = dialog.system;
+    const tools = this.buildToolSchemas(dialog.turns);
+    if (tools.length > 0) record.tools = JSON.stringify(tools.map(tool => tool.function));
+    return record;
+  }
+
+  /**
+   * Alpaca 格式：最后一轮作为 instruction/output，之前的轮次放入 history
+   * Alpaca 没有工具字段，工具调用以 <tool_call>/<tool_response> 文本写入回复
+   */
+  toAlpaca(turns) {
+    const dialog = this.dropLeadingAssistant(turns);
+    if (!dialog) return null;
+
+    const pairs = [];
+    for (let i = 0; i + 1 < dialog.turns.length; i += 2) {
+      pairs.push([dialog.turns[i].content, this.renderAssistantText(dialog.turns[i + 1])]);
+    }
+    if (pairs.length === 0) return null;
+
+    const [instruction, output] = pairs[pairs.length - 1];
+    const record = { instruction, input: '', output };
+    if (dialog.system) record.system = dialog.system;
+    if (pairs.length > 1) record.history = pairs.slice(0, -1);
+    return record;
+  }
+
+  renderAssistantText(turn) {
+    const toolText = turn.toolCalls.map(call => [
+      `<tool_call>\n${JSON.stringify({ name: call.name, arguments: call.arguments })}\n</tool_call>`,
+      `<tool_response>\n${call.result}\n</tool_response>`
+    ].join('\n'));
+    return withThinking(turn.thinking, [...toolText, turn.content].filter(Boolean).join('\n\n'));
+  }
+
+  /**
+   * ShareGPT 和 Alpaca 要求从用户提问开始：拆出系统提示，去掉开头的助手消息（如角色卡开场白）
+   */
+  dropLeadingAssistant(turns) {
+    const system = turns.filter(turn => turn.role === 'system').map(turn => turn.content).join('\n\n');
+    const dialog = turns.filter(turn => turn.role !== 'system');
+    while (dialog.length > 0 && dialog[0].role !== 'user') dialog.shift();
+    return dialog.length >= 2 ? { system, turns: dialog } : null;
+  }
+
+  /**
+   * 根据调用参数推断工具的 JSON Schema（同名工具合并参数，所有调用都出现的参数视为必填）
+   */
+  buildToolSchemas(turns) {
+    const schemas = new Map();
+
+    turns.forEach(turn => turn.toolCalls.forEach(call => {
+      const keys = Object.keys(call.arguments);
+      const schema = schemas.get(call.name) || { properties: {}, required: keys };
+      keys.forEach(key => {
+        schema.properties[key] = schema.properties[key] || { type: getJsonType(call.arguments[key]) };
+      });
+      schema.required = schema.required.filter(key => keys.includes(key));
+      schemas.set(call.name, schema);
+    }));
+
+    return Array.from(schemas, ([name, { properties, required }]) => ({
+      type: 'function',
+      function: {
+        name,
+        description: '',
+        parameters: { type: 'object', properties, required }
+      }
+    }));
+  }
+
+  /**
+   * 生成文件名
+   */
+  generateFileName(meta, extension) {
+    const date = DateTimeUtils.getCurrentDate();
+    const cleanTitle = (meta.title || 'dataset').replace(/[^a-zA-Z0-9\u4e00-\u9fa5]/g, '_');
+    return `${cleanTitle}_${this.config.format}_${date}.${extension}`;
+  }
+}
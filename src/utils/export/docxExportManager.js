@@ -0,0 +1,733 @@
+// utils/export/docxExportManager.js
+// DOCX 导出 - 直接生成 WordprocessingML 并用 JSZip 打包，不依赖额外的 Word 库
+//
+// Markdown 的标题、列表、表格、代码块映射为 Word 内置样式，在 Word 中可以直接生成目录、统一改样式
+// 公式优先转为 OMML（Word 中可编辑）；无法转换时行间公式用 KaTeX 渲染成图片，再失败则输出简化的 Unicode 文本
+// Markdown 解析复用 PDF 导出的 pdfTextHelpers，LaTeX 符号映射复用 pdfLatexRenderer
+import JSZip from 'jszip';
+import { saveAs } from 'file-saver';
+import { DateTimeUtils, FileUtils, getImageDisplayData } from '../fileParser';
+import { escapeXml } from '../formatHelpers';
+import { getToolResultText } from '../textUtils';
+import { cleanCodeText, parseInlineMarkdown, parseTextWithCodeBlocksAndLatex } from './pdfTextHelpers';
+import { LaTeXRenderer } from './pdfLatexRenderer';
+import { latexToOmml } from './docxMathConverter';
+import { fetchImageData, prepareImage, renderLatexImage } from './exportImageHelpers';
+import { t } from '../../index.js';
+
+const ht = (key, params) => t(`exportManager.html.${key}`, params);
+const ft = (key) => t(`exportManager.format.${key}`);
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const NAMESPACES = [
+  'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"',
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"',
+  'xmlns:m="http://schemas.openxmlformats.org/officeDocument/2006/math"',
+  'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing"',
+  'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"',
+  'xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"'
+].join(' ');
+
+const REL_TYPES = {
+  styles: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles',
+  numbering: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering',
+  image: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image',
+  hyperlink: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink'
+};
+
+// A4，页边距 1 英寸（单位 twip）
+const PAGE = { width: 11906, height: 16838, margin: 1440 };
+const CONTENT_WIDTH = PAGE.width - PAGE.margin * 2;
+
+// 图片尺寸（单位 EMU）
+const EMU_PER_PIXEL = 9525;
+const MAX_IMAGE_WIDTH = 6 * 914400;
+
+// Word 原生支持的图片格式，其余（webp、svg 等）转为 PNG
+const WORD_IMAGE_TYPES = { 'image/png': 'png', 'image/jpeg': 'jpeg', 'image/jpg': 'jpeg', 'image/gif': 'gif', 'image/bmp': 'bmp' };
+
+const BULLET_NUM_ID = 1;
+const BULLET_CHARS = ['•', '◦', '▪'];
+const ORDERED_FORMATS = [['decimal', '%{n}.'], ['lowerLetter', '%{n}.'], ['lowerRoman', '%{n}.']];
+
+const TABLE_SEPARATOR_REGEX = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const LIST_ITEM_REGEX = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const HEADING_REGEX = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const HR_REGEX = /^\s*([-*_])(\s*\1){2,}\s*$/;
+
+const BREAK_RUN = '<w:r><w:br/></w:r>';
+
+// ==================== XML 片段 ====================
+// XML 1.0 不允许的控制字符需要去掉（cleanCodeText 会移除），否则 Word 会提示文件损坏
+const xmlText = (text) => escapeXml(cleanCodeText(String(text ?? '')));
+
+const runPropsXml = ({ style, bold, italic, color, underline } = {}) => {
+  const props = [
+    style && `<w:rStyle w:val="${style}"/>`,
+    bold && '<w:b/>',
+    italic && '<w:i/>',
+    color && `<w:color w:val="${color}"/>`,
+    underline && '<w:u w:val="single"/>'
+  ].filter(Boolean).join('');
+  return props ? `<w:rPr>${props}</w:rPr>` : '';
+};
+
+/**
+ * 生成文本 run，换行转为 w:br，制表符转为 w:tab
+ */
+const runXml = (text, props) => {
+  const rPr = runPropsXml(props);
+  return String(text ?? '').split('\n').map(line => {
+    const content = line.split('\t')
+      .map(piece => (piece ? `<w:t xml:space="preserve">${xmlText(piece)}</w:t>` : ''))
+      .join('<w:tab/>');
+    return `<w:r>${rPr}${content}</w:r>`;
+  }).join(BREAK_RUN);
+};
+
+const paragraphXml = (content, { style, numId, ilvl = 0, keepNext, border, align, indent } = {}) => {
+  const props = [
+    style && `<w:pStyle w:val="${style}"/>`,
+    keepNext && '<w:keepNext/>',
+    numId && `<w:numPr><w:ilvl w:val="${ilvl}"/><w:numId w:val="${numId}"/></w:numPr>`,
+    border && '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="BFBFBF"/></w:pBdr>',
+    indent && `<w:ind w:left="${indent}"/>`,
+    align && `<w:jc w:val="${align}"/>`
+  ].filter(Boolean).join('');
+  return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${content || ''}</w:p>`;
+};
+
+const splitTableRow = (line) => line.trim()
+  .replace(/^\|/, '')
+  .replace(/\|$/, '')
+  .split(/(?<!\\)\|/)
+  .map(cell => cell.trim().replace(/\\\|/g, '|'));
+
+const getColumnAlign = (cell) => {
+  const value = cell.trim();
+  if (value.startsWith(':') && value.endsWith(':')) return 'center';
+  if (value.endsWith(':')) return 'right';
+  return null;
+};
+
+const isExternalUrl = (url) => /^(https?:|mailto:)/i.test(url || '');
+
+// ==================== 包内固定部件 ====================
+const buildStylesXml = () => {
+  const headingSizes = [32, 28, 26, 24, 22, 22];
+  const headings = headingSizes.map((size, index) => `
+  <w:style w:type="paragraph" w:styleId="Heading${index + 1}">
+    <w:name w:val="heading ${index + 1}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="9"/><w:qFormat/>
+    <w:pPr><w:keepNext/><w:keepLines/><w:spacing w:before="${index === 0 ? 360 : 240}" w:after="120"/><w:outlineLvl w:val="${index}"/></w:pPr>
+    <w:rPr><w:b/><w:color w:val="${index === 0 ? 'C96442' : '1F1E1D'}"/><w:sz w:val="${size}"/><w:szCs w:val="${size}"/></w:rPr>
+  </w:style>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Microsoft YaHei" w:cs="Calibri"/><w:sz w:val="22"/><w:szCs w:val="22"/><w:lang w:val="en-US" w:eastAsia="zh-CN"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+  <w:style w:type="character" w:default="1" w:styleId="DefaultParagraphFont"><w:name w:val="Default Paragraph Font"/><w:uiPriority w:val="1"/></w:style>
+  <w:style w:type="paragraph" w:styleId="Title">
+    <w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:spacing w:after="120"/></w:pPr>
+    <w:rPr><w:b/><w:sz w:val="40"/><w:szCs w:val="40"/></w:rPr>
+  </w:style>${headings}
+  <w:style w:type="paragraph" w:styleId="Quote">
+    <w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="D9D6CC"/></w:pBdr><w:ind w:left="284"/></w:pPr>
+    <w:rPr><w:color w:val="595959"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Code">
+    <w:name w:val="Code"/><w:basedOn w:val="Normal"/>
+    <w:pPr><w:pBdr><w:top w:val="single" w:sz="4" w:space="4" w:color="E1E4E8"/><w:left w:val="single" w:sz="4" w:space="4" w:color="E1E4E8"/><w:bottom w:val="single" w:sz="4" w:space="4" w:color="E1E4E8"/><w:right w:val="single" w:sz="4" w:space="4" w:color="E1E4E8"/></w:pBdr><w:shd w:val="clear" w:color="auto" w:fill="F6F8FA"/><w:spacing w:before="120" w:after="120" w:line="240" w:lineRule="auto"/></w:pPr>
+    <w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="19"/><w:szCs w:val="19"/></w:rPr>
+  </w:style>
+  <w:style w:type="character" w:styleId="CodeChar">
+    <w:name w:val="Code Char"/><w:basedOn w:val="DefaultParagraphFont"/>
+    <w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:color w:val="C7254E"/><w:shd w:val="clear" w:color="auto" w:fill="F3F1EA"/></w:rPr>
+  </w:style>
+  <w:style w:type="character" w:styleId="Hyperlink">
+    <w:name w:val="Hyperlink"/><w:basedOn w:val="DefaultParagraphFont"/>
+    <w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="SectionTitle">
+    <w:name w:val="Section Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/>
+    <w:pPr><w:keepNext/><w:spacing w:before="160" w:after="60"/></w:pPr>
+    <w:rPr><w:b/><w:color w:val="6B6A66"/><w:sz w:val="20"/><w:szCs w:val="20"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="SectionBody">
+    <w:name w:val="Section Body"/><w:basedOn w:val="Normal"/>
+    <w:pPr><w:ind w:left="284"/></w:pPr>
+    <w:rPr><w:color w:val="595959"/><w:sz w:val="20"/><w:szCs w:val="20"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="MessageMeta">
+    <w:name w:val="Message Meta"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/>
+    <w:pPr><w:keepNext/><w:spacing w:after="60"/></w:pPr>
+    <w:rPr><w:color w:val="808080"/><w:sz w:val="18"/><w:szCs w:val="18"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="ListParagraph">
+    <w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:spacing w:after="40"/><w:contextualSpacing/></w:pPr>
+  </w:style>
+  <w:style w:type="table" w:default="1" w:styleId="TableNormal">
+    <w:name w:val="Normal Table"/><w:uiPriority w:val="99"/>
+    <w:tblPr><w:tblInd w:w="0" w:type="dxa"/><w:tblCellMar><w:top w:w="0" w:type="dxa"/><w:left w:w="108" w:type="dxa"/><w:bottom w:w="0" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr>
+  </w:style>
+  <w:style w:type="table" w:styleId="TableGrid">
+    <w:name w:val="Table Grid"/><w:basedOn w:val="TableNormal"/>
+    <w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr>
+    <w:tblPr><w:tblBorders><w:top w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/><w:left w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/><w:bottom w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/><w:right w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/><w:insideH w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/><w:insideV w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/></w:tblBorders><w:tblCellMar><w:top w:w="60" w:type="dxa"/><w:left w:w="108" w:type="dxa"/><w:bottom w:w="60" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr>
+  </w:style>
+</w:styles>`;
+};
+
+const buildLevelXml = (ilvl, format, text) =>
+  `<w:lvl w:ilvl="${ilvl}"><w:start w:val="1"/><w:numFmt w:val="${format}"/><w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/>`
+  + `<w:pPr><w:ind w:left="${420 * (ilvl + 1)}" w:hanging="360"/></w:pPr></w:lvl>`;
+
+const buildContentTypesXml = (imageExtensions) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+${imageExtensions.map(ext => `  <Default Extension="${ext}" ContentType="image/${ext}"/>`).join('\n')}
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const ROOT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+const buildCoreXml = (title) => {
+  const now = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <dc:title>${xmlText(title)}</dc:title>
+  <dc:creator>Lyra Exporter</dc:creator>
+  <dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>
+  <dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>
+</cp:coreProperties>`;
+};
+
+export class DOCXExportManager {
+  constructor() {
+    this.config = {};
+    this.reset();
+  }
+
+  reset() {
+    this.relationships = [];
+    this.media = [];
+    this.orderedLists = [];
+    this.drawingId = 0;
+    this.latexRenderer = new LaTeXRenderer(null);
+  }
+
+  /**
+   * 主导出方法
+   * @param {Array} messages - 消息列表（已按导出范围和标记筛选）
+   * @param {Object} meta - 元数据(name, platform, model, created_at, updated_at)
+   * @param {Object} config - 导出配置(includeThinking、includeArtifacts、includeTools、includeCitations、includeAttachments、includeTimestamps)
+   */
+  async exportToDOCX(messages, meta, config = {}) {
+    const zip = await this.buildPackage(messages, meta, config);
+    const blob = await zip.generateAsync({ type: 'blob', mimeType: DOCX_MIME_TYPE, compression: 'DEFLATE' });
+
+    const fileName = this.generateFileName(meta);
+    saveAs(blob, fileName);
+    console.log('[DOCX导出] 导出完成:', fileName);
+    return true;
+  }
+
+  /**
+   * 生成 DOCX 包
+   * @returns {Promise<JSZip>} 尚未生成文件的 JSZip 对象
+   */
+  async buildPackage(messages, meta, config = {}) {
+    this.config = config;
+    this.reset();
+
+    const body = [this.renderHeader(messages, meta)];
+    for (const msg of messages) {
+      body.push(await this.renderMessage(msg));
+    }
+
+    const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${NAMESPACES}><w:body>${body.join('')}<w:sectPr><w:pgSz w:w="${PAGE.width}" w:h="${PAGE.height}"/><w:pgMar w:top="${PAGE.margin}" w:right="${PAGE.margin}" w:bottom="${PAGE.margin}" w:left="${PAGE.margin}" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+
+    const zip = new JSZip();
+    const imageExtensions = [...new Set(this.media.map(item => item.extension))];
+    zip.file('[Content_Types].xml', buildContentTypesXml(imageExtensions));
+    zip.file('_rels/.rels', ROOT_RELS_XML);
+    zip.file('docProps/core.xml', buildCoreXml(meta.name || 'Conversation'));
+    zip.file('word/document.xml', documentXml);
+    zip.file('word/styles.xml', buildStylesXml());
+    zip.file('word/numbering.xml', this.buildNumberingXml());
+    zip.file('word/_rels/document.xml.rels', this.buildDocumentRelsXml());
+    this.media.forEach(item => zip.file(`word/media/${item.name}`, item.bytes));
+    return zip;
+  }
+
+  // ==================== 关系与编号 ====================
+  addRelationship(type, target, external = false) {
+    // rId1、rId2 留给 styles 和 numbering
+    const id = `rId${this.relationships.length + 3}`;
+    this.relationships.push({ id, type, target, external });
+    return id;
+  }
+
+  buildDocumentRelsXml() {
+    const relationships = [
+      { id: 'rId1', type: REL_TYPES.styles, target: 'styles.xml' },
+      { id: 'rId2', type: REL_TYPES.numbering, target: 'numbering.xml' },
+      ...this.relationships
+    ];
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${relationships.map(rel =>
+  `  <Relationship Id="${rel.id}" Type="${rel.type}" Target="${xmlText(rel.target)}"${rel.external ? ' TargetMode="External"' : ''}/>`
+).join('\n')}
+</Relationships>`;
+  }
+
+  /**
+   * 每个有序列表单独一个 w:num，保证编号从列表自身的起始值开始
+   */
+  createOrderedList(start, ilvl) {
+    this.orderedLists.push({ start, ilvl });
+    return BULLET_NUM_ID + this.orderedLists.length;
+  }
+
+  buildNumberingXml() {
+    const levels = Array.from({ length: 9 }, (_, ilvl) => ilvl);
+    const bulletLevels = levels.map(ilvl => buildLevelXml(ilvl, 'bullet', BULLET_CHARS[ilvl % BULLET_CHARS.length])).join('');
+    const orderedLevels = levels.map(ilvl => {
+      const [format, text] = ORDERED_FORMATS[ilvl % ORDERED_FORMATS.length];
+      return buildLevelXml(ilvl, format, text.replace('{n}', ilvl + 1));
+    }).join('');
+
+    const orderedNums = this.orderedLists.map(({ start, ilvl }, index) =>
+      `<w:num w:numId="${BULLET_NUM_ID + index + 1}"><w:abstractNumId w:val="1"/><w:lvlOverride w:ilvl="${ilvl}"><w:startOverride w:val="${start}"/></w:lvlOverride></w:num>`
+    ).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${bulletLevels}</w:abstractNum>
+<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${orderedLevels}</w:abstractNum>
+<w:num w:numId="${BULLET_NUM_ID}"><w:abstractNumId w:val="0"/></w:num>${orderedNums}
+</w:numbering>`;
+  }
+
+  // ==================== 文档结构 ====================
+  renderHeader(messages, meta) {
+    const metaItems = [
+      meta.model || meta.platform,
+      meta.created_at && `${t('exportManager.metadata.created')}: ${meta.created_at}`,
+      `${t('exportManager.metadata.exportTime')}: ${DateTimeUtils.formatDateTime(new Date().toISOString())}`,
+      ht('messageCount', { count: messages.length })
+    ].filter(Boolean);
+
+    return [
+      paragraphXml(runXml(meta.name || 'Conversation'), { style: 'Title' }),
+      paragraphXml(runXml(metaItems.join('  ·  ')), { style: 'MessageMeta', border: true })
+    ].join('');
+  }
+
+  async renderMessage(msg) {
+    const { includeThinking, includeTimestamps, includeArtifacts, includeTools, includeCitations, includeAttachments } = this.config;
+    const isHuman = msg.sender === 'human';
+    const sender = msg.participant || msg.sender_label || (isHuman ? 'User' : 'Assistant');
+
+    const parts = [paragraphXml(runXml(sender), { style: 'Heading1' })];
+    if (includeTimestamps && msg.timestamp) {
+      parts.push(paragraphXml(runXml(msg.timestamp), { style: 'MessageMeta' }));
+    }
+
+    if (includeThinking && msg.thinking) {
+      parts.push(this.sectionTitle(`💭 ${ft('thinkingProcess')}`));
+      parts.push(await this.renderMarkdown(msg.thinking, 'SectionBody'));
+    }
+
+    parts.push(await this.renderMarkdown(msg.display_text));
+    parts.push(await this.renderImages(msg));
+
+    if (includeAttachments !== false) parts.push(this.renderAttachments(msg.attachments));
+    if (includeArtifacts) {
+      for (const artifact of msg.artifacts || []) parts.push(this.renderArtifact(artifact));
+    }
+    if (includeTools) {
+      for (const tool of msg.tools || []) parts.push(this.renderTool(tool));
+    }
+    if (includeCitations) parts.push(this.renderCitations(msg.citations));
+
+    return parts.join('');
+  }
+
+  sectionTitle(text) {
+    return paragraphXml(runXml(text), { style: 'SectionTitle' });
+  }
+
+  codeBlock(code) {
+    return paragraphXml(runXml(String(code || '').replace(/\n+$/, '')), { style: 'Code' });
+  }
+
+  // ==================== Markdown ====================
+  /**
+   * 渲染 Markdown 文本：代码块和行间公式由 parseTextWithCodeBlocksAndLatex 拆出，其余按行解析
+   * @param {string} text
+   * @param {string} baseStyle - 普通段落使用的样式
+   */
+  async renderMarkdown(text, baseStyle) {
+    if (!text) return '';
+    const blocks = [];
+
+    for (const part of parseTextWithCodeBlocksAndLatex(text)) {
+      if (part.type === 'code') {
+        blocks.push(this.codeBlock(part.content));
+      } else if (part.type === 'latex-display') {
+        blocks.push(await this.renderDisplayMath(part.content));
+      } else {
+        blocks.push(this.renderTextBlocks(part.content, baseStyle));
+      }
+    }
+
+    return blocks.join('');
+  }
+
+  renderTextBlocks(text, baseStyle) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraphLines = [];
+    // 每一级当前的有序列表 numId；空行不结束列表，普通段落才结束
+    let activeLists = {};
+    let afterListItem = false;
+
+    const flushParagraph = () => {
+      if (paragraphLines.length === 0) return;
+      blocks.push(paragraphXml(paragraphLines.map(line => this.renderInline(line)).join(BREAK_RUN), { style: baseStyle }));
+      paragraphLines = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      if (!line.trim()) {
+        flushParagraph();
+        continue;
+      }
+
+      // 表格：表头行后紧跟分隔行
+      if (line.trim().startsWith('|') && TABLE_SEPARATOR_REGEX.test(lines[i + 1] || '')) {
+        flushParagraph();
+        let end = i + 2;
+        while (end < lines.length && lines[end].trim().startsWith('|')) end++;
+        blocks.push(this.renderTable(lines[i], lines[i + 1], lines.slice(i + 2, end)));
+        activeLists = {};
+        i = end - 1;
+        continue;
+      }
+
+      const heading = HEADING_REGEX.exec(line);
+      if (heading) {
+        flushParagraph();
+        // 消息发送者占用标题 1，正文标题依次下移一级
+        blocks.push(paragraphXml(this.renderInline(heading[2]), { style: `Heading${Math.min(heading[1].length + 1, 6)}` }));
+        activeLists = {};
+        continue;
+      }
+
+      if (HR_REGEX.test(line)) {
+        flushParagraph();
+        blocks.push(paragraphXml('', { border: true }));
+        continue;
+      }
+
+      const listItem = LIST_ITEM_REGEX.exec(line);
+      if (listItem) {
+        flushParagraph();
+        const ilvl = Math.min(Math.floor(listItem[1].replace(/\t/g, '    ').length / 2), 8);
+        const ordered = /^\d/.test(listItem[2]);
+
+        // 回到上一级时关闭更深层的列表
+        for (const level of Object.keys(activeLists)) {
+          if (Number(level) > ilvl || (!ordered && Number(level) === ilvl)) delete activeLists[level];
+        }
+
+        let numId = BULLET_NUM_ID;
+        if (ordered) {
+          activeLists[ilvl] = activeLists[ilvl] || this.createOrderedList(parseInt(listItem[2], 10), ilvl);
+          numId = activeLists[ilvl];
+        }
+
+        const content = listItem[3].replace(/^\[([ xX])\]\s+/, (_, checked) => (checked === ' ' ? '☐ ' : '☑ '));
+        blocks.push(paragraphXml(this.renderInline(content), { style: 'ListParagraph', numId, ilvl }));
+        afterListItem = true;
+        continue;
+      }
+
+      const quote = /^\s*>\s?(.*)$/.exec(line);
+      if (quote) {
+        flushParagraph();
+        blocks.push(paragraphXml(this.renderInline(quote[1]), { style: 'Quote' }));
+        continue;
+      }
+
+      // 列表项后缩进的行视为列表项的续行
+      if (afterListItem && /^\s{2,}/.test(line)) {
+        const ilvl = Math.min(Math.floor(line.search(/\S/) / 2), 8);
+        blocks.push(paragraphXml(this.renderInline(line.trim()), { style: 'ListParagraph', indent: 420 * (ilvl + 1) }));
+        continue;
+      }
+
+      afterListItem = false;
+      activeLists = {};
+      paragraphLines.push(line);
+    }
+
+    flushParagraph();
+    return blocks.join('');
+  }
+
+  /**
+   * 行内 Markdown：粗体、斜体、行内代码、链接、行内公式
+   */
+  renderInline(text, props = {}) {
+    return this.renderSegments(parseInlineMarkdown(text, cleanCodeText), props);
+  }
+
+  renderSegments(segments, props) {
+    return segments.map(segment => {
+      switch (segment.type) {
+        case 'bold':
+          return this.renderSegments(segment.children, { ...props, bold: true });
+        case 'italic':
+          return this.renderSegments(segment.children, { ...props, italic: true });
+        case 'bold-italic':
+          return this.renderSegments(segment.children, { ...props, bold: true, italic: true });
+        case 'code':
+          return runXml(segment.text, { ...props, style: 'CodeChar' });
+        case 'latex-inline':
+          return this.renderInlineMath(segment.text);
+        case 'link':
+          return this.renderHyperlink(segment.text, segment.url, props);
+        default:
+          return runXml(segment.text, props);
+      }
+    }).join('');
+  }
+
+  renderHyperlink(text, url, props = {}) {
+    if (!isExternalUrl(url)) return runXml(text, props);
+    const id = this.addRelationship(REL_TYPES.hyperlink, url, true);
+    return `<w:hyperlink r:id="${id}" w:history="1">${runXml(text, { ...props, style: 'Hyperlink' })}</w:hyperlink>`;
+  }
+
+  renderTable(headerLine, separatorLine, rowLines) {
+    const header = splitTableRow(headerLine);
+    const aligns = splitTableRow(separatorLine).map(getColumnAlign);
+    const rows = rowLines.map(splitTableRow);
+    const columns = Math.max(header.length, ...rows.map(row => row.length));
+    const columnWidth = Math.floor(CONTENT_WIDTH / columns);
+
+    const renderCell = (cell = '', index, isHeader) => {
+      // 单元格内的 <br> 转为换行
+      const content = cell.split(/<br\s*\/?>/i)
+        .map(piece => this.renderInline(piece, isHeader ? { bold: true } : {}))
+        .join(BREAK_RUN);
+      const shading = isHeader ? '<w:shd w:val="clear" w:color="auto" w:fill="F3F1EA"/>' : '';
+      return `<w:tc><w:tcPr><w:tcW w:w="${columnWidth}" w:type="dxa"/>${shading}</w:tcPr>${paragraphXml(content, { align: aligns[index] })}</w:tc>`;
+    };
+
+    const renderRow = (cells, isHeader) => {
+      const rowProps = isHeader ? '<w:trPr><w:tblHeader/></w:trPr>' : '';
+      const filled = Array.from({ length: columns }, (_, index) => renderCell(cells[index], index, isHeader));
+      return `<w:tr>${rowProps}${filled.join('')}</w:tr>`;
+    };
+
+    return [
+      '<w:tbl>',
+      '<w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="5000" w:type="pct"/><w:tblLook w:val="04A0" w:firstRow="1" w:lastRow="0" w:firstColumn="0" w:lastColumn="0" w:noHBand="0" w:noVBand="1"/></w:tblPr>',
+      `<w:tblGrid>${`<w:gridCol w:w="${columnWidth}"/>`.repeat(columns)}</w:tblGrid>`,
+      renderRow(header, true),
+      ...rows.map(row => renderRow(row, false)),
+      '</w:tbl>',
+      // 相邻表格之间需要段落隔开，否则 Word 会合并
+      paragraphXml('')
+    ].join('');
+  }
+
+  // ==================== 公式 ====================
+  renderInlineMath(latex) {
+    try {
+      return latexToOmml(latex);
+    } catch (error) {
+      console.warn('[DOCX导出] 行内公式转换失败，使用文本:', error.message);
+      return runXml(this.latexRenderer.simplifyLaTeX(latex), { italic: true });
+    }
+  }
+
+  async renderDisplayMath(latex) {
+    try {
+      return `<w:p><w:pPr><w:jc w:val="center"/></w:pPr><m:oMathPara>${latexToOmml(latex)}</m:oMathPara></w:p>`;
+    } catch (error) {
+      console.warn('[DOCX导出] 公式转换失败，尝试渲染为图片:', error.message);
+    }
+
+    try {
+      const image = await renderLatexImage(latex);
+      return paragraphXml(this.addImage(image, 'formula'), { align: 'center' });
+    } catch (error) {
+      console.warn('[DOCX导出] 公式图片渲染失败，使用文本:', error.message);
+      return paragraphXml(runXml(this.latexRenderer.simplifyLaTeX(latex), { italic: true }), { align: 'center' });
+    }
+  }
+
+  // ==================== 图片 ====================
+  /**
+   * 把图片写入 word/media 并返回内联图片的 run
+   */
+  addImage({ bytes, mimeType, width, height }, name = 'image') {
+    const extension = WORD_IMAGE_TYPES[mimeType] || 'png';
+    const fileName = `image${this.media.length + 1}.${extension}`;
+    this.media.push({ name: fileName, bytes, extension });
+    const relId = this.addRelationship(REL_TYPES.image, `media/${fileName}`);
+
+    let cx = Math.round(width * EMU_PER_PIXEL);
+    let cy = Math.round(height * EMU_PER_PIXEL);
+    if (cx > MAX_IMAGE_WIDTH) {
+      cy = Math.round(cy * MAX_IMAGE_WIDTH / cx);
+      cx = MAX_IMAGE_WIDTH;
+    }
+
+    const id = ++this.drawingId;
+    return [
+      '<w:r><w:drawing>',
+      `<wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${cx}" cy="${cy}"/>`,
+      `<wp:docPr id="${id}" name="${xmlText(name)} ${id}"/>`,
+      '<wp:cNvGraphicFramePr><a:graphicFrameLocks noChangeAspect="1"/></wp:cNvGraphicFramePr>',
+      '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic>',
+      `<pic:nvPicPr><pic:cNvPr id="${id}" name="${fileName}"/><pic:cNvPicPr/></pic:nvPicPr>`,
+      `<pic:blipFill><a:blip r:embed="${relId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>`,
+      `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>`,
+      '</pic:pic></a:graphicData></a:graphic></wp:inline>',
+      '</w:drawing></w:r>'
+    ].join('');
+  }
+
+  async renderImages(msg) {
+    const images = [
+      ...(msg.images || []),
+      ...(msg.attachments || []).filter(att => att.is_embedded_image)
+    ].map(getImageDisplayData).filter(image => image.src);
+
+    const paragraphs = [];
+    for (const image of images) {
+      try {
+        const prepared = await prepareImage(await fetchImageData(image.src), WORD_IMAGE_TYPES);
+        paragraphs.push(paragraphXml(this.addImage(prepared, image.alt || 'image'), { align: 'center' }));
+      } catch (error) {
+        // 无法嵌入的远程图片保留为链接
+        console.warn('[DOCX导出] 图片嵌入失败:', error.message);
+        const label = `[${image.alt || image.title || 'image'}]`;
+        paragraphs.push(paragraphXml(isExternalUrl(image.src) ? this.renderHyperlink(label, image.src) : runXml(label)));
+      }
+    }
+    return paragraphs.join('');
+  }
+
+  // ==================== 附加内容 ====================
+  renderAttachments(attachments = []) {
+    const files = attachments.filter(att => !att.is_embedded_image);
+    if (files.length === 0) return '';
+
+    return [
+      this.sectionTitle(ft('attachments')),
+      ...files.map(att => paragraphXml(
+        runXml(`${att.file_name || ft('unknown')} (${FileUtils.formatFileSize(att.file_size || 0)})`),
+        { style: 'SectionBody' }
+      ))
+    ].join('');
+  }
+
+  renderArtifact(artifact) {
+    const parts = [this.sectionTitle(`${ft('artifact')} ${artifact.title || ft('noTitle')}`)];
+
+    if (artifact.command === 'create' && artifact.content) {
+      parts.push(this.codeBlock(artifact.content));
+    } else if (artifact.command === 'update' || artifact.command === 'rewrite') {
+      parts.push(
+        paragraphXml(runXml(t('messageDetail.artifacts.originalText'), { bold: true }), { style: 'SectionBody' }),
+        this.codeBlock(artifact.old_str || ''),
+        paragraphXml(runXml(t('messageDetail.artifacts.newText'), { bold: true }), { style: 'SectionBody' }),
+        this.codeBlock(artifact.new_str || '')
+      );
+    }
+
+    return parts.join('');
+  }
+
+  renderTool(tool) {
+    const parts = [this.sectionTitle(`${ft('tool')} ${tool.name || ''}`)];
+
+    if (tool.input && Object.keys(tool.input).length > 0) {
+      parts.push(
+        paragraphXml(runXml(ht('input'), { bold: true }), { style: 'SectionBody' }),
+        this.codeBlock(JSON.stringify(tool.input, null, 2))
+      );
+    }
+
+    if (tool.result) {
+      const isError = tool.result.is_error;
+      parts.push(paragraphXml(
+        runXml(isError ? ht('error') : ht('result'), { bold: true, color: isError ? 'C0392B' : undefined }),
+        { style: 'SectionBody' }
+      ));
+
+      if (tool.name === 'web_search_tool' && Array.isArray(tool.result.content)) {
+        const listId = this.createOrderedList(1, 0);
+        tool.result.content.forEach(item => {
+          parts.push(paragraphXml(this.renderHyperlink(item.title || ft('noTitle'), item.url), { style: 'ListParagraph', numId: listId }));
+        });
+      } else {
+        const text = getToolResultText(tool.result.content);
+        if (text) parts.push(this.codeBlock(text));
+      }
+    }
+
+    return parts.join('');
+  }
+
+  renderCitations(citations = []) {
+    if (citations.length === 0) return '';
+
+    const listId = this.createOrderedList(1, 0);
+    return [
+      this.sectionTitle(ft('citations')),
+      ...citations.map(citation => {
+        const url = citation.url || '';
+        const source = url.includes('/') ? url.split('/')[2] : ft('unknownWebsite');
+        return paragraphXml(
+          this.renderHyperlink(citation.title || ft('unknownSource'), url) + runXml(` · ${source}`, { color: '808080' }),
+          { style: 'ListParagraph', numId: listId }
+        );
+      })
+    ].join('');
+  }
+
+  /**
+   * 生成文件名
+   */
+  generateFileName(meta) {
+    const date = DateTimeUtils.getCurrentDate();
+    const cleanTitle = (meta.name || 'conversation').replace(/[^a-zA-Z0-9\u4e00-\u9fa5]/g, '_');
+    return `${cleanTitle}_${date}.docx`;
+  }
+}
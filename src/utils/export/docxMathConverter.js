@@ -0,0 +1,380 @@
+// utils/export/docxMathConverter.js
+// LaTeX 转 Word 公式（OMML）
+//
+// 支持分数、根号、上下标、\left...\right 定界符、重音符号和常见环境（矩阵、cases、aligned）
+// 符号映射复用 pdfLatexRenderer 的 Unicode 映射表；无法转换的公式抛出 UnsupportedLatexError，
+// 由调用方改用图片或 Unicode 文本
+
+import { LATEX_UNICODE_MAP, MATHBB_MAP, MATHCAL_MAP } from './pdfLatexRenderer';
+import { escapeXml } from '../formatHelpers';
+
+export class UnsupportedLatexError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsupportedLatexError';
+  }
+}
+
+// ==================== 命令表 ====================
+const FRACTION_COMMANDS = new Set(['frac', 'dfrac', 'tfrac', 'cfrac']);
+const TEXT_COMMANDS = new Set(['text', 'textrm', 'textit', 'textbf', 'mbox', 'mathrm', 'operatorname', 'mathit', 'mathsf', 'mathtt']);
+const BOLD_COMMANDS = new Set(['mathbf', 'boldsymbol', 'bm']);
+const IGNORED_COMMANDS = new Set(['displaystyle', 'textstyle', 'scriptstyle', 'limits', 'nolimits', 'nonumber', 'notag']);
+
+const SPACE_COMMANDS = {
+  ',': ' ', ':': ' ', ';': ' ', '!': '', ' ': ' ', quad: ' ', qquad: '  '
+};
+
+const ESCAPED_CHARS = new Set(['{', '}', '|', '_', '%', '$', '#', '&']);
+
+const ACCENTS = {
+  hat: '\u0302', widehat: '\u0302', tilde: '\u0303', widetilde: '\u0303',
+  bar: '\u0305', vec: '\u20D7', dot: '\u0307', ddot: '\u0308', check: '\u030C', acute: '\u0301', grave: '\u0300'
+};
+
+const DELIMITERS = {
+  '\\{': '{', '\\}': '}', '\\|': '‖', '\\langle': '⟨', '\\rangle': '⟩',
+  '\\lfloor': '⌊', '\\rfloor': '⌋', '\\lceil': '⌈', '\\rceil': '⌉', '\\vert': '|', '\\Vert': '‖', '.': ''
+};
+
+const MATRIX_BRACKETS = {
+  matrix: ['', ''], smallmatrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'],
+  Bmatrix: ['{', '}'], vmatrix: ['|', '|'], Vmatrix: ['‖', '‖']
+};
+
+const ARRAY_ENVIRONMENTS = new Set(['aligned', 'align', 'align*', 'alignat', 'alignat*', 'gathered', 'gather', 'gather*', 'split', 'array', 'eqnarray', 'eqnarray*']);
+const PLAIN_ENVIRONMENTS = new Set(['equation', 'equation*']);
+
+// ==================== 解析 ====================
+// 节点：run / frac / rad / script / delim / matrix / eqArr / acc / bar / rowSep / colSep
+class LatexParser {
+  constructor(source) {
+    this.source = source;
+    this.pos = 0;
+  }
+
+  peek() {
+    return this.source[this.pos];
+  }
+
+  skipSpaces() {
+    while (this.pos < this.source.length && /\s/.test(this.source[this.pos])) this.pos++;
+  }
+
+  readCommandName() {
+    const match = /^[a-zA-Z]+\*?|^./.exec(this.source.slice(this.pos + 1));
+    if (!match) throw new UnsupportedLatexError('反斜杠后缺少命令');
+    this.pos += 1 + match[0].length;
+    return match[0];
+  }
+
+  // 读取花括号包裹的原始文本（\text{...} 中的内容不按公式解析）
+  readRawGroup() {
+    this.skipSpaces();
+    if (this.peek() !== '{') return this.source[this.pos++] || '';
+    let depth = 0;
+    const start = this.pos;
+    for (; this.pos < this.source.length; this.pos++) {
+      const char = this.source[this.pos];
+      if (char === '\\') { this.pos++; continue; }
+      if (char === '{') depth++;
+      if (char === '}' && --depth === 0) {
+        this.pos++;
+        return this.source.slice(start + 1, this.pos - 1);
+      }
+    }
+    throw new UnsupportedLatexError('花括号不成对');
+  }
+
+  readOptionalArg() {
+    this.skipSpaces();
+    if (this.peek() !== '[') return null;
+    this.pos++;
+    const nodes = this.parseUntil(']');
+    this.pos++;
+    return nodes;
+  }
+
+  // 读取一个参数：花括号组或单个记号
+  readArg() {
+    this.skipSpaces();
+    if (this.pos >= this.source.length) throw new UnsupportedLatexError('缺少参数');
+    if (this.peek() === '{') {
+      this.pos++;
+      const nodes = this.parseUntil('}');
+      this.pos++;
+      return nodes;
+    }
+    return this.parseAtom();
+  }
+
+  readDelimiter() {
+    this.skipSpaces();
+    if (this.peek() === '\\') {
+      const start = this.pos;
+      const name = this.readCommandName();
+      const token = this.source.slice(start, this.pos);
+      if (token in DELIMITERS) return DELIMITERS[token];
+      if (LATEX_UNICODE_MAP[name]) return LATEX_UNICODE_MAP[name];
+      throw new UnsupportedLatexError(`未知定界符 ${token}`);
+    }
+    const char = this.source[this.pos++];
+    return char === '.' ? '' : char;
+  }
+
+  parseUntil(terminator) {
+    const nodes = [];
+    while (this.pos < this.source.length) {
+      const char = this.peek();
+      if (terminator && char === terminator) return nodes;
+      if (terminator === null && this.source.startsWith('\\right', this.pos)) return nodes;
+      if (terminator === 'end' && this.source.startsWith('\\end', this.pos)) return nodes;
+      if (char === '}') throw new UnsupportedLatexError('多余的 }');
+
+      if (char === '^' || char === '_') {
+        this.pos++;
+        const base = nodes.length > 0 && nodes[nodes.length - 1].type !== 'rowSep' && nodes[nodes.length - 1].type !== 'colSep'
+          ? nodes.pop()
+          : { type: 'run', text: '' };
+        const script = base.type === 'script' && !base[char === '^' ? 'sup' : 'sub']
+          ? base
+          : { type: 'script', base: [base], sup: null, sub: null };
+        script[char === '^' ? 'sup' : 'sub'] = this.readArg();
+        nodes.push(script);
+        continue;
+      }
+
+      nodes.push(...this.parseAtom());
+    }
+    if (terminator) throw new UnsupportedLatexError(`缺少 ${terminator}`);
+    return nodes;
+  }
+
+  parseAtom() {
+    const char = this.peek();
+
+    if (/\s/.test(char)) {
+      this.skipSpaces();
+      return [];
+    }
+    if (char === '{') {
+      this.pos++;
+      const nodes = this.parseUntil('}');
+      this.pos++;
+      return nodes;
+    }
+    if (char === '&') {
+      this.pos++;
+      return [{ type: 'colSep' }];
+    }
+    if (char === '~') {
+      this.pos++;
+      return [{ type: 'run', text: ' ' }];
+    }
+    if (char === '\'') {
+      this.pos++;
+      return [{ type: 'run', text: '′' }];
+    }
+    if (char !== '\\') {
+      this.pos++;
+      return [{ type: 'run', text: char }];
+    }
+
+    // 转义字符和换行
+    const next = this.source[this.pos + 1];
+    if (next === '\\') {
+      this.pos += 2;
+      this.readOptionalArg();
+      return [{ type: 'rowSep' }];
+    }
+    if (ESCAPED_CHARS.has(next)) {
+      this.pos += 2;
+      return [{ type: 'run', text: next }];
+    }
+
+    return this.parseCommand(this.readCommandName());
+  }
+
+  parseCommand(name) {
+    if (FRACTION_COMMANDS.has(name)) {
+      return [{ type: 'frac', num: this.readArg(), den: this.readArg() }];
+    }
+    if (name === 'binom' || name === 'dbinom' || name === 'tbinom') {
+      return [{ type: 'delim', open: '(', close: ')', body: [{ type: 'frac', noBar: true, num: this.readArg(), den: this.readArg() }] }];
+    }
+    if (name === 'sqrt') {
+      const degree = this.readOptionalArg();
+      return [{ type: 'rad', deg: degree, body: this.readArg() }];
+    }
+    if (name === 'left') {
+      const open = this.readDelimiter();
+      const body = this.parseUntil(null);
+      if (!this.source.startsWith('\\right', this.pos)) throw new UnsupportedLatexError('\\left 缺少 \\right');
+      this.pos += '\\right'.length;
+      return [{ type: 'delim', open, close: this.readDelimiter(), body }];
+    }
+    if (name === 'right') throw new UnsupportedLatexError('多余的 \\right');
+    if (name === 'begin') return [this.parseEnvironment(this.readRawGroup().trim())];
+
+    if (TEXT_COMMANDS.has(name)) {
+      const text = this.readRawGroup();
+      return [{ type: 'run', text: name === 'operatorname' || name === 'mathrm' ? text.replace(/\\,/g, ' ') : text, plain: true }];
+    }
+    if (BOLD_COMMANDS.has(name)) {
+      return this.readArg().map(node => (node.type === 'run' ? { ...node, bold: true } : node));
+    }
+    if (name === 'mathbb' || name === 'mathcal') {
+      const map = name === 'mathbb' ? MATHBB_MAP : MATHCAL_MAP;
+      const text = this.readRawGroup();
+      return [{ type: 'run', text: text.split('').map(letter => map[letter] || letter).join('') }];
+    }
+    if (ACCENTS[name]) return [{ type: 'acc', chr: ACCENTS[name], body: this.readArg() }];
+    if (name === 'overline' || name === 'underline') {
+      return [{ type: 'bar', pos: name === 'overline' ? 'top' : 'bot', body: this.readArg() }];
+    }
+    if (name in SPACE_COMMANDS) return [{ type: 'run', text: SPACE_COMMANDS[name] }];
+    if (IGNORED_COMMANDS.has(name)) return [];
+    if (name === 'boxed') return this.readArg();
+    if (name === 'not') return [...this.parseAtom(), { type: 'run', text: '\u0338' }];
+
+    const symbol = LATEX_UNICODE_MAP[name];
+    if (symbol) {
+      // sin、log 等函数名正体显示，后面留一个细空格与自变量隔开
+      return /^[a-z]{2,}$/.test(symbol)
+        ? [{ type: 'run', text: `${symbol}\u2009`, plain: true }]
+        : [{ type: 'run', text: symbol }];
+    }
+
+    throw new UnsupportedLatexError(`不支持的命令 \\${name}`);
+  }
+
+  parseEnvironment(name) {
+    if (name === 'array' || name === 'alignat' || name === 'alignat*') this.readRawGroup(); // 列格式
+    const body = this.parseUntil('end');
+    this.pos += '\\end'.length;
+    const endName = this.readRawGroup().trim();
+    if (endName !== name) throw new UnsupportedLatexError(`环境 ${name} 与 ${endName} 不匹配`);
+
+    const rows = splitRows(body);
+
+    if (MATRIX_BRACKETS[name]) {
+      const [open, close] = MATRIX_BRACKETS[name];
+      const matrix = { type: 'matrix', rows };
+      return open || close ? { type: 'delim', open, close, body: [matrix] } : matrix;
+    }
+    if (name === 'cases' || name === 'dcases') {
+      return { type: 'delim', open: '{', close: '', body: [{ type: 'eqArr', rows: joinCells(rows, ' ') }] };
+    }
+    if (ARRAY_ENVIRONMENTS.has(name)) return { type: 'eqArr', rows: joinCells(rows, '') };
+    if (PLAIN_ENVIRONMENTS.has(name)) return { type: 'eqArr', rows: joinCells(rows, '') };
+
+    throw new UnsupportedLatexError(`不支持的环境 ${name}`);
+  }
+}
+
+// 按 \\ 和 & 拆分为行和单元格
+const splitRows = (nodes) => {
+  const rows = [[[]]];
+  nodes.forEach(node => {
+    const row = rows[rows.length - 1];
+    if (node.type === 'rowSep') rows.push([[]]);
+    else if (node.type === 'colSep') row.push([]);
+    else row[row.length - 1].push(node);
+  });
+  // 去掉末尾 \\ 产生的空行
+  const last = rows[rows.length - 1];
+  if (rows.length > 1 && last.length === 1 && last[0].length === 0) rows.pop();
+  return rows;
+};
+
+const joinCells = (rows, separator) => rows.map(cells => cells.flatMap((cell, index) =>
+  index === 0 || !separator ? cell : [{ type: 'run', text: separator }, ...cell]
+));
+
+// ==================== OMML 生成 ====================
+const runXml = (run) => {
+  const props = [
+    run.plain && '<m:sty m:val="p"/>',
+    run.bold && !run.plain && '<m:sty m:val="b"/>'
+  ].filter(Boolean).join('');
+  return `<m:r>${props ? `<m:rPr>${props}</m:rPr>` : ''}<m:t xml:space="preserve">${escapeXml(run.text)}</m:t></m:r>`;
+};
+
+const nodesXml = (nodes = []) => {
+  const parts = [];
+  let pending = null;
+
+  const flush = () => {
+    if (pending && pending.text) parts.push(runXml(pending));
+    pending = null;
+  };
+
+  nodes.forEach(node => {
+    if (node.type === 'run') {
+      // 样式相同的相邻文本合并为一个 m:r
+      if (pending && !!pending.plain === !!node.plain && !!pending.bold === !!node.bold) {
+        pending = { ...pending, text: pending.text + node.text };
+      } else {
+        flush();
+        pending = { ...node };
+      }
+      return;
+    }
+    flush();
+    parts.push(nodeXml(node));
+  });
+  flush();
+
+  return parts.join('');
+};
+
+const nodeXml = (node) => {
+  switch (node.type) {
+    case 'frac':
+      return `<m:f>${node.noBar ? '<m:fPr><m:type m:val="noBar"/></m:fPr>' : ''}<m:num>${nodesXml(node.num)}</m:num><m:den>${nodesXml(node.den)}</m:den></m:f>`;
+    case 'rad':
+      return node.deg
+        ? `<m:rad><m:deg>${nodesXml(node.deg)}</m:deg><m:e>${nodesXml(node.body)}</m:e></m:rad>`
+        : `<m:rad><m:radPr><m:degHide m:val="1"/></m:radPr><m:deg/><m:e>${nodesXml(node.body)}</m:e></m:rad>`;
+    case 'script': {
+      const base = `<m:e>${nodesXml(node.base)}</m:e>`;
+      if (node.sub && node.sup) return `<m:sSubSup>${base}<m:sub>${nodesXml(node.sub)}</m:sub><m:sup>${nodesXml(node.sup)}</m:sup></m:sSubSup>`;
+      if (node.sup) return `<m:sSup>${base}<m:sup>${nodesXml(node.sup)}</m:sup></m:sSup>`;
+      return `<m:sSub>${base}<m:sub>${nodesXml(node.sub)}</m:sub></m:sSub>`;
+    }
+    case 'delim':
+      return `<m:d><m:dPr><m:begChr m:val="${escapeXml(node.open)}"/><m:endChr m:val="${escapeXml(node.close)}"/></m:dPr><m:e>${nodesXml(node.body)}</m:e></m:d>`;
+    case 'matrix': {
+      const columns = Math.max(...node.rows.map(row => row.length));
+      const rows = node.rows.map(row => {
+        const cells = [...row, ...Array(columns - row.length).fill([])];
+        return `<m:mr>${cells.map(cell => `<m:e>${nodesXml(cell)}</m:e>`).join('')}</m:mr>`;
+      }).join('');
+      return `<m:m><m:mPr><m:mcs><m:mc><m:mcPr><m:count m:val="${columns}"/><m:mcJc m:val="center"/></m:mcPr></m:mc></m:mcs></m:mPr>${rows}</m:m>`;
+    }
+    case 'eqArr':
+      return `<m:eqArr>${node.rows.map(row => `<m:e>${nodesXml(row)}</m:e>`).join('')}</m:eqArr>`;
+    case 'acc':
+      return `<m:acc><m:accPr><m:chr m:val="${node.chr}"/></m:accPr><m:e>${nodesXml(node.body)}</m:e></m:acc>`;
+    case 'bar':
+      return `<m:bar><m:barPr><m:pos m:val="${node.pos}"/></m:barPr><m:e>${nodesXml(node.body)}</m:e></m:bar>`;
+    case 'rowSep':
+    case 'colSep':
+      // 环境外的 \\ 和 & 按空格处理
+      return runXml({ text: ' ' });
+    default:
+      throw new UnsupportedLatexError(`未知节点 ${node.type}`);
+  }
+};
+
+/**
+ * LaTeX 转 OMML
+ * @param {string} latex - LaTeX 源码（不含 $ 定界符）
+ * @returns {string} <m:oMath> 元素
+ * @throws {UnsupportedLatexError} 包含无法转换的命令或环境时
+ */
+export const latexToOmml = (latex) => {
+  const parser = new LatexParser(String(latex || '').trim());
+  const nodes = parser.parseUntil('');
+  return `<m:oMath>${nodesXml(nodes)}</m:oMath>`;
+};
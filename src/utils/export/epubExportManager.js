@@ -0,0 +1,417 @@
+// utils/export/epubExportManager.js
+// EPUB 导出 - 把选中的多个对话生成一本 EPUB 3 电子书，每个对话一章
+//
+// 章节正文复用 HTML 导出的 Markdown 渲染（react-markdown + KaTeX + Prism），React 的静态输出本身就是合法的 XHTML
+// 公式默认输出 MathML；阅读器不支持 MathML 时可改为渲染成图片。图片全部打包进书中，无法下载的远程图片保留为链接
+import JSZip from 'jszip';
+import { saveAs } from 'file-saver';
+import { DateTimeUtils, FileUtils, getImageDisplayData } from '../fileParser';
+import { escapeXml } from '../formatHelpers';
+import { getToolResultText } from '../textUtils';
+import { renderMarkdown, renderCode } from './htmlExportManager';
+import { fetchImageData, prepareImage, renderLatexImage } from './exportImageHelpers';
+import { t, getCurrentLanguage } from '../../index.js';
+
+const et = (key, params) => t(`exportManager.epub.${key}`, params);
+const ht = (key, params) => t(`exportManager.html.${key}`, params);
+const ft = (key) => t(`exportManager.format.${key}`);
+
+// EPUB 核心媒体类型中的图片格式，其余（webp 等）转为 PNG
+const EPUB_IMAGE_TYPES = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/jpg': 'jpg', 'image/gif': 'gif', 'image/svg+xml': 'svg' };
+
+const EPUB_STYLES = `
+body { font-family: serif; line-height: 1.6; margin: 0 4%; }
+h1 { font-size: 1.5em; margin: 1em 0 0.3em; }
+.chapter-meta { color: #6b6a66; font-size: 0.85em; margin: 0 0 1.5em; }
+.message { margin: 0 0 1.2em; padding-bottom: 0.6em; border-bottom: 1px solid #e5e2d9; }
+.message-sender { font-size: 1.05em; margin: 0.8em 0 0.3em; color: #c96442; }
+.message.human .message-sender { color: #3a5a8c; }
+.message-time { color: #808080; font-size: 0.8em; margin: 0 0 0.4em; }
+.section { margin: 0.6em 0; padding: 0.4em 0.8em; border-left: 3px solid #d9d6cc; background: #f7f6f2; font-size: 0.92em; }
+.section-title { font-weight: bold; color: #6b6a66; margin: 0.2em 0; }
+.section-label { font-size: 0.85em; color: #6b6a66; margin: 0.5em 0 0.2em; }
+.tool-error { color: #c0392b; }
+blockquote { margin: 0.6em 0; padding: 0 0.8em; border-left: 3px solid #c96442; color: #595959; }
+table { border-collapse: collapse; margin: 0.6em 0; }
+th, td { border: 1px solid #bfbfbf; padding: 0.2em 0.5em; }
+th { background: #f3f1ea; }
+code { font-family: monospace; font-size: 0.9em; }
+pre { background: #f6f8fa; border: 1px solid #e1e4e8; padding: 0.5em; white-space: pre-wrap; word-wrap: break-word; font-size: 0.85em; }
+img { max-width: 100%; }
+.message-images { text-align: center; }
+.katex-display, .math-block { display: block; text-align: center; margin: 0.6em 0; }
+img.math-image { vertical-align: middle; }
+.token.comment, .token.prolog { color: #6a737d; font-style: italic; }
+.token.keyword, .token.selector, .token.atrule { color: #d73a49; }
+.token.string, .token.char, .token.attr-value, .token.regex { color: #22863a; }
+.token.number, .token.boolean, .token.constant { color: #005cc5; }
+.token.function, .token.class-name { color: #6f42c1; }
+`;
+
+const CONTAINER_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>`;
+
+// 简繁中文共用 zh 语言包代码，EPUB 需要合法的 BCP 47 语言标签
+const getBookLanguage = () => (getCurrentLanguage() === 'zh_' ? 'zh-Hant' : getCurrentLanguage());
+
+const createBookId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+    const random = Math.random() * 16 | 0;
+    return (char === 'x' ? random : ((random & 0x3) | 0x8)).toString(16);
+  });
+};
+
+const unescapeXml = (text) => String(text)
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#x27;|&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const wrapXhtml = (title, body, language) => `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${language}" xml:lang="${language}">
+<head>
+<meta charset="utf-8"/>
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="styles.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+export class EPUBExportManager {
+  constructor() {
+    this.config = {};
+    this.reset();
+  }
+
+  reset() {
+    this.images = [];
+    this.imageCache = new Map();
+    this.mathCache = new Map();
+  }
+
+  /**
+   * 主导出方法
+   * @param {Array} chapters - 章节列表 [{ title, messages, meta }]，messages 已按标记筛选
+   * @param {Object} meta - 书籍元数据(title)
+   * @param {Object} config - 导出配置(includeThinking 等开关、mathFormat: 'mathml' | 'image')
+   */
+  async exportToEPUB(chapters, meta, config = {}) {
+    const zip = await this.buildPackage(chapters, meta, config);
+    const blob = await zip.generateAsync({ type: 'blob', mimeType: 'application/epub+zip', compression: 'DEFLATE' });
+
+    const fileName = this.generateFileName(meta);
+    saveAs(blob, fileName);
+    console.log('[EPUB导出] 导出完成:', fileName);
+    return true;
+  }
+
+  /**
+   * 生成 EPUB 包
+   * @returns {Promise<JSZip>} 尚未生成文件的 JSZip 对象
+   */
+  async buildPackage(chapters, meta, config = {}) {
+    this.config = config;
+    this.reset();
+
+    const language = getBookLanguage();
+    const bookId = `urn:uuid:${createBookId()}`;
+    const bookTitle = meta.title || 'Conversations';
+
+    const chapterFiles = [];
+    for (let index = 0; index < chapters.length; index++) {
+      const chapter = chapters[index];
+      const body = await this.renderChapter(chapter);
+      chapterFiles.push({
+        id: `chapter-${index + 1}`,
+        href: `chapter-${String(index + 1).padStart(3, '0')}.xhtml`,
+        title: chapter.title,
+        hasMath: body.includes('<math'),
+        content: wrapXhtml(chapter.title, `<section epub:type="chapter">\n${body}\n</section>`, language)
+      });
+    }
+
+    const zip = new JSZip();
+    // mimetype 必须是第一个文件且不压缩
+    zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+    zip.file('META-INF/container.xml', CONTAINER_XML);
+    zip.file('OEBPS/content.opf', this.buildPackageDocument(chapterFiles, { bookId, bookTitle, language }));
+    zip.file('OEBPS/nav.xhtml', this.buildNavDocument(chapterFiles, bookTitle, language));
+    zip.file('OEBPS/toc.ncx', this.buildNcx(chapterFiles, bookId, bookTitle));
+    zip.file('OEBPS/styles.css', EPUB_STYLES);
+    chapterFiles.forEach(chapter => zip.file(`OEBPS/${chapter.href}`, chapter.content));
+    this.images.forEach(image => zip.file(`OEBPS/${image.href}`, image.bytes));
+    return zip;
+  }
+
+  // ==================== 包文档与目录 ====================
+  buildPackageDocument(chapterFiles, { bookId, bookTitle, language }) {
+    const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const manifest = [
+      '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+      '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>',
+      '<item id="css" href="styles.css" media-type="text/css"/>',
+      ...chapterFiles.map(chapter =>
+        `<item id="${chapter.id}" href="${chapter.href}" media-type="application/xhtml+xml"${chapter.hasMath ? ' properties="mathml"' : ''}/>`
+      ),
+      ...this.images.map(image => `<item id="${image.id}" href="${image.href}" media-type="${image.mediaType}"/>`)
+    ];
+
+    // 多章节时把目录页放在最前面，方便在阅读器中翻阅
+    const spine = [
+      chapterFiles.length > 1 && '<itemref idref="nav"/>',
+      ...chapterFiles.map(chapter => `<itemref idref="${chapter.id}"/>`)
+    ].filter(Boolean);
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${language}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${bookId}</dc:identifier>
+    <dc:title>${escapeXml(bookTitle)}</dc:title>
+    <dc:language>${language}</dc:language>
+    <dc:creator>Lyra Exporter</dc:creator>
+    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+    ${manifest.join('\n    ')}
+  </manifest>
+  <spine toc="ncx">
+    ${spine.join('\n    ')}
+  </spine>
+</package>`;
+  }
+
+  buildNavDocument(chapterFiles, bookTitle, language) {
+    const items = chapterFiles.map(chapter => `<li><a href="${chapter.href}">${escapeXml(chapter.title)}</a></li>`);
+    return wrapXhtml(bookTitle, [
+      '<nav epub:type="toc" id="toc">',
+      `<h1>${escapeXml(et('contents'))}</h1>`,
+      `<ol>\n${items.join('\n')}\n</ol>`,
+      '</nav>'
+    ].join('\n'), language);
+  }
+
+  // EPUB 2 阅读器使用的目录
+  buildNcx(chapterFiles, bookId, bookTitle) {
+    const points = chapterFiles.map((chapter, index) =>
+      `<navPoint id="nav-${index + 1}" playOrder="${index + 1}"><navLabel><text>${escapeXml(chapter.title)}</text></navLabel><content src="${chapter.href}"/></navPoint>`
+    );
+    return `<?xml version="1.0" encoding="utf-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head><meta name="dtb:uid" content="${bookId}"/></head>
+  <docTitle><text>${escapeXml(bookTitle)}</text></docTitle>
+  <navMap>
+    ${points.join('\n    ')}
+  </navMap>
+</ncx>`;
+  }
+
+  // ==================== 章节内容 ====================
+  async renderChapter(chapter) {
+    const { meta = {}, messages = [] } = chapter;
+    const metaItems = [
+      meta.model || meta.platform,
+      meta.created_at && `${t('exportManager.metadata.created')}: ${meta.created_at}`,
+      ht('messageCount', { count: messages.length })
+    ].filter(Boolean);
+
+    let body = [
+      `<h1>${escapeXml(chapter.title)}</h1>`,
+      `<p class="chapter-meta">${metaItems.map(escapeXml).join(' · ')}</p>`,
+      ...messages.map(msg => this.renderMessage(msg))
+    ].join('\n');
+
+    body = await this.embedImages(body);
+    if (this.config.mathFormat === 'image') {
+      body = await this.renderMathImages(body);
+    }
+    return body;
+  }
+
+  renderMessage(msg) {
+    const { includeThinking, includeTimestamps, includeArtifacts, includeTools, includeCitations, includeAttachments } = this.config;
+    const isHuman = msg.sender === 'human';
+    const sender = msg.participant || msg.sender_label || (isHuman ? 'User' : 'Assistant');
+
+    const sections = [
+      `<h2 class="message-sender">${escapeXml(sender)}</h2>`,
+      includeTimestamps && msg.timestamp && `<p class="message-time">${escapeXml(msg.timestamp)}</p>`,
+      includeThinking && msg.thinking && this.renderSection('thinking', `💭 ${ft('thinkingProcess')}`, renderMarkdown(msg.thinking, 'mathml')),
+      `<div class="message-body">${renderMarkdown(msg.display_text, 'mathml')}</div>`,
+      this.renderImages(msg),
+      includeAttachments !== false && this.renderAttachments(msg.attachments),
+      includeArtifacts && (msg.artifacts || []).map(artifact => this.renderArtifact(artifact)).join(''),
+      includeTools && (msg.tools || []).map(tool => this.renderTool(tool)).join(''),
+      includeCitations && this.renderCitations(msg.citations)
+    ].filter(Boolean).join('\n');
+
+    return `<div class="message ${isHuman ? 'human' : 'assistant'}" id="msg-${msg.index}">\n${sections}\n</div>`;
+  }
+
+  // 阅读器大多不支持 <details>，附加内容直接展开
+  renderSection(className, title, body) {
+    return `<div class="section ${className}"><p class="section-title">${escapeXml(title)}</p>${body}</div>`;
+  }
+
+  renderImages(msg) {
+    const images = [
+      ...(msg.images || []),
+      ...(msg.attachments || []).filter(att => att.is_embedded_image)
+    ].map(getImageDisplayData).filter(image => image.src);
+
+    if (images.length === 0) return '';
+    return `<div class="message-images">${images.map(image =>
+      `<img src="${escapeXml(image.src)}" alt="${escapeXml(image.alt || '')}"/>`
+    ).join('')}</div>`;
+  }
+
+  renderAttachments(attachments = []) {
+    const files = attachments.filter(att => !att.is_embedded_image);
+    if (files.length === 0) return '';
+
+    const items = files.map(att =>
+      `<li>${escapeXml(att.file_name || ft('unknown'))} (${FileUtils.formatFileSize(att.file_size || 0)})</li>`
+    );
+    return this.renderSection('attachments', ft('attachments'), `<ul>${items.join('')}</ul>`);
+  }
+
+  renderArtifact(artifact) {
+    let body = '';
+
+    if (artifact.command === 'create' && artifact.content) {
+      body = artifact.language
+        ? renderCode(artifact.content, artifact.language)
+        : `<pre>${escapeXml(artifact.content)}</pre>`;
+    } else if (artifact.command === 'update' || artifact.command === 'rewrite') {
+      body = [
+        `<p class="section-label">${escapeXml(t('messageDetail.artifacts.originalText'))}</p>`,
+        `<pre>${escapeXml(artifact.old_str || '')}</pre>`,
+        `<p class="section-label">${escapeXml(t('messageDetail.artifacts.newText'))}</p>`,
+        `<pre>${escapeXml(artifact.new_str || '')}</pre>`
+      ].join('');
+    }
+
+    return this.renderSection('artifact', `${ft('artifact')} ${artifact.title || ft('noTitle')}`, body);
+  }
+
+  renderTool(tool) {
+    const parts = [];
+
+    if (tool.input && Object.keys(tool.input).length > 0) {
+      parts.push(`<p class="section-label">${ht('input')}</p>`, renderCode(JSON.stringify(tool.input, null, 2), 'json'));
+    }
+
+    if (tool.result) {
+      parts.push(`<p class="section-label${tool.result.is_error ? ' tool-error' : ''}">${tool.result.is_error ? ht('error') : ht('result')}</p>`);
+      if (tool.name === 'web_search_tool' && Array.isArray(tool.result.content)) {
+        parts.push(`<ol>${tool.result.content.map(item =>
+          `<li><a href="${escapeXml(item.url || '#')}">${escapeXml(item.title || ft('noTitle'))}</a></li>`
+        ).join('')}</ol>`);
+      } else {
+        const text = getToolResultText(tool.result.content);
+        if (text) parts.push(`<pre>${escapeXml(text)}</pre>`);
+      }
+    }
+
+    return this.renderSection('tool', `${ft('tool')} ${tool.name || ''}`, parts.join(''));
+  }
+
+  renderCitations(citations = []) {
+    if (citations.length === 0) return '';
+    const items = citations.map(citation => {
+      const url = citation.url || '#';
+      const source = url.includes('/') ? url.split('/')[2] : ft('unknownWebsite');
+      return `<li><a href="${escapeXml(url)}">${escapeXml(citation.title || ft('unknownSource'))}</a> · ${escapeXml(source)}</li>`;
+    });
+    return this.renderSection('citations', ft('citations'), `<ol>${items.join('')}</ol>`);
+  }
+
+  // ==================== 图片与公式 ====================
+  /**
+   * 把图片写入 OEBPS/images，相同来源只写一次
+   * @returns {string} 章节中引用的相对路径
+   */
+  addImage({ bytes, mimeType }, cacheKey) {
+    if (cacheKey && this.imageCache.has(cacheKey)) return this.imageCache.get(cacheKey);
+
+    const index = this.images.length + 1;
+    const href = `images/image-${String(index).padStart(3, '0')}.${EPUB_IMAGE_TYPES[mimeType] || 'png'}`;
+    this.images.push({ id: `image-${index}`, href, mediaType: mimeType === 'image/jpg' ? 'image/jpeg' : mimeType, bytes });
+    if (cacheKey) this.imageCache.set(cacheKey, href);
+    return href;
+  }
+
+  /**
+   * 章节中的图片（消息图片和 Markdown 中的图片）打包进书中；无法下载的图片替换为链接或文字
+   */
+  async embedImages(html) {
+    const sources = new Set(Array.from(html.matchAll(/<img\b[^>]*?\ssrc="([^"]+)"/g), match => match[1]));
+    let result = html;
+
+    for (const escapedSrc of sources) {
+      const src = unescapeXml(escapedSrc);
+      try {
+        const href = this.imageCache.get(src) || this.addImage(await prepareImage(await fetchImageData(src), EPUB_IMAGE_TYPES), src);
+        result = result.split(`src="${escapedSrc}"`).join(`src="${href}"`);
+      } catch (error) {
+        console.warn('[EPUB导出] 图片打包失败:', src.slice(0, 100), error.message);
+        const tagRegex = new RegExp(`<img\\b[^>]*?\\ssrc="${escapeRegExp(escapedSrc)}"[^>]*>`, 'g');
+        result = result.replace(tagRegex, (tag) => {
+          const alt = /\salt="([^"]*)"/.exec(tag)?.[1] || 'image';
+          return /^https?:/i.test(src) ? `<a href="${escapedSrc}">[${alt}]</a>` : `<span>[${alt}]</span>`;
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 把 KaTeX 输出的 MathML 替换为公式图片（供不支持 MathML 的阅读器使用），渲染失败的公式保留 MathML
+   */
+  async renderMathImages(html) {
+    const formulas = Array.from(html.matchAll(/<span class="katex">(<math[\s\S]*?<\/math>)<\/span>/g));
+    let result = html;
+
+    for (const [whole, math] of formulas) {
+      const tex = /<annotation encoding="application\/x-tex">([\s\S]*?)<\/annotation>/.exec(math)?.[1];
+      if (!tex) continue;
+      const latex = unescapeXml(tex);
+      const displayMode = /<math[^>]*display="block"/.test(math);
+
+      try {
+        const cacheKey = `${displayMode ? 'display' : 'inline'}:${latex}`;
+        if (!this.mathCache.has(cacheKey)) {
+          const image = await renderLatexImage(latex, displayMode);
+          this.mathCache.set(cacheKey, { href: this.addImage(image), width: Math.round(image.width) });
+        }
+        const { href, width } = this.mathCache.get(cacheKey);
+        const image = `<img class="math-image${displayMode ? ' math-block' : ''}" src="${href}" alt="${escapeXml(latex)}" width="${width}"/>`;
+        result = result.replace(whole, () => image);
+      } catch (error) {
+        console.warn('[EPUB导出] 公式图片渲染失败，保留 MathML:', error.message);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 生成文件名
+   */
+  generateFileName(meta) {
+    const date = DateTimeUtils.getCurrentDate();
+    const cleanTitle = (meta.title || 'conversations').replace(/[^a-zA-Z0-9\u4e00-\u9fa5]/g, '_');
+    return `${cleanTitle}_${date}.epub`;
+  }
+}
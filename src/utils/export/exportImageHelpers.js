@@ -0,0 +1,97 @@
+// utils/export/exportImageHelpers.js
+// 文档导出（DOCX、EPUB）共用的图片处理：读取 data URL 或远程图片、获取尺寸、格式转换、公式截图
+
+// 无法读取尺寸时（非浏览器环境）使用的默认尺寸
+export const DEFAULT_IMAGE_SIZE = { width: 480, height: 360 };
+
+/**
+ * 解析 data URL
+ * @returns {{mimeType, bytes}|null}
+ */
+export const parseDataUrl = (value) => {
+  const match = /^data:([^;,]+)(;base64)?,([\s\S]*)$/i.exec(value || '');
+  if (!match) return null;
+  const mimeType = match[1].toLowerCase();
+  if (!match[2]) return { mimeType, bytes: new TextEncoder().encode(decodeURIComponent(match[3])) };
+
+  const binary = atob(match[3].replace(/\s/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return { mimeType, bytes };
+};
+
+/**
+ * 读取图片数据：data URL 直接解码，其余地址通过 fetch 下载（跨域失败时抛出异常）
+ * @returns {Promise<{mimeType, bytes}>}
+ */
+export const fetchImageData = async (src) => {
+  const dataUrl = parseDataUrl(src);
+  if (dataUrl) return dataUrl;
+
+  const response = await fetch(src);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const blob = await response.blob();
+  return { bytes: new Uint8Array(await blob.arrayBuffer()), mimeType: (blob.type || 'image/png').toLowerCase() };
+};
+
+const loadImageElement = (url) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error('图片加载失败'));
+  image.src = url;
+});
+
+/**
+ * 读取图片尺寸，目标格式不支持的图片同时转为 PNG
+ * @param {{mimeType, bytes}} image
+ * @param {Object} supportedTypes - 目标格式支持的 MIME 类型表（mimeType -> 扩展名）
+ * @returns {Promise<{bytes, mimeType, width, height}>}
+ */
+export const prepareImage = async ({ bytes, mimeType }, supportedTypes) => {
+  if (typeof Image === 'undefined' || typeof document === 'undefined') {
+    if (!supportedTypes[mimeType]) throw new Error(`不支持的图片格式 ${mimeType}`);
+    return { bytes, mimeType, ...DEFAULT_IMAGE_SIZE };
+  }
+
+  const objectUrl = URL.createObjectURL(new Blob([bytes], { type: mimeType }));
+  try {
+    const image = await loadImageElement(objectUrl);
+    const width = image.naturalWidth || DEFAULT_IMAGE_SIZE.width;
+    const height = image.naturalHeight || DEFAULT_IMAGE_SIZE.height;
+    if (supportedTypes[mimeType]) return { bytes, mimeType, width, height };
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+    const pngBlob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!pngBlob) throw new Error('图片转换失败');
+    return { bytes: new Uint8Array(await pngBlob.arrayBuffer()), mimeType: 'image/png', width, height };
+  } finally {
+    URL.revokeObjectURL(objectUrl);
+  }
+};
+
+/**
+ * 用 KaTeX 渲染公式并截图为 PNG（需要页面已加载 KaTeX 样式）
+ * @param {string} latex - LaTeX 源码
+ * @param {boolean} displayMode - 是否为行间公式
+ * @returns {Promise<{bytes, mimeType, width, height}>} 宽高为 CSS 像素
+ */
+export const renderLatexImage = async (latex, displayMode = true) => {
+  if (typeof document === 'undefined') throw new Error('无法在当前环境渲染公式图片');
+
+  const [{ default: katex }, { default: html2canvas }] = await Promise.all([import('katex'), import('html2canvas')]);
+  const container = document.createElement('div');
+  container.style.cssText = 'position:fixed;left:-10000px;top:0;display:inline-block;padding:4px;background:#fff;color:#000;font-size:20px;';
+  container.innerHTML = katex.renderToString(latex, { displayMode, throwOnError: true });
+  document.body.appendChild(container);
+
+  try {
+    const canvas = await html2canvas(container, { backgroundColor: '#ffffff', scale: 2, logging: false });
+    const { bytes } = parseDataUrl(canvas.toDataURL('image/png'));
+    return { bytes, mimeType: 'image/png', width: canvas.width / 2, height: canvas.height / 2 };
+  } finally {
+    document.body.removeChild(container);
+  }
+};
@@ -0,0 +1,192 @@
+// utils/export/exportPresets.js
+// 导出预设：把一组导出选项（格式、范围、内容开关、标记筛选、Obsidian 属性和标签、PDF 页面格式等）
+// 保存为命名预设，在导出面板中一键切换；预设可导出为 JSON 与他人共享，批量导出也可使用
+
+import StorageManager from '../storageManager';
+
+const PRESETS_KEY = 'export_presets';
+
+export const PRESET_FILE_TYPE = 'lyra-export-presets';
+export const PRESET_FILE_VERSION = 1;
+
+// 预设保存的选项及其类型
+const PRESET_OPTION_TYPES = {
+  exportFormat: 'string',
+  scope: 'string',
+  includeTimestamps: 'boolean',
+  includeThinking: 'boolean',
+  includeArtifacts: 'boolean',
+  includeTools: 'boolean',
+  includeCitations: 'boolean',
+  includeAttachments: 'boolean',
+  includeImageFiles: 'boolean',
+  excludeDeleted: 'boolean',
+  includeCompleted: 'boolean',
+  includeImportant: 'boolean',
+  exportObsidianMetadata: 'boolean',
+  obsidianProperties: 'properties',
+  obsidianTags: 'tags',
+  obsidianVault: 'boolean',
+  obsidianVaultLayout: 'string',
+  pageFormat: 'string',
+  epubMathFormat: 'string',
+  epubStarredOnly: 'boolean',
+  spreadsheetFormat: 'string',
+  datasetFormat: 'string',
+  datasetBranchMode: 'string'
+};
+
+export const PRESET_OPTION_KEYS = Object.keys(PRESET_OPTION_TYPES);
+
+// 批量导出只用到文档内容相关的选项（没有导出范围，也没有标记）
+const BATCH_OPTION_KEYS = [
+  'includeTimestamps',
+  'includeThinking',
+  'includeArtifacts',
+  'includeTools',
+  'includeCitations',
+  'includeAttachments',
+  'exportObsidianMetadata',
+  'obsidianProperties',
+  'obsidianTags'
+];
+
+// 批量导出支持的格式
+const BATCH_FORMATS = ['markdown', 'org'];
+
+const isValidOption = (type, value) => {
+  if (type === 'tags') {
+    return Array.isArray(value) && value.every(tag => typeof tag === 'string');
+  }
+  if (type === 'properties') {
+    return Array.isArray(value) && value.every(prop => typeof prop?.name === 'string' && typeof prop?.value === 'string');
+  }
+  return typeof value === type;
+};
+
+/**
+ * 从导出选项中取出预设保存的部分，忽略未知或类型不对的值
+ * @param {Object} options - 导出选项
+ * @returns {Object}
+ */
+export const pickPresetOptions = (options = {}) => {
+  const picked = {};
+  PRESET_OPTION_KEYS.forEach(key => {
+    if (options[key] !== undefined && isValidOption(PRESET_OPTION_TYPES[key], options[key])) {
+      picked[key] = options[key];
+    }
+  });
+  return picked;
+};
+
+/**
+ * 预设用于批量导出时的设置
+ * @param {Object} options - 预设的导出选项
+ * @returns {{format: string|null, branchMode: string|null, documentConfig: Object}} 预设未指定时 format / branchMode 为 null
+ */
+export const getBatchPresetSettings = (options = {}) => {
+  const documentConfig = {};
+  BATCH_OPTION_KEYS.forEach(key => {
+    if (options[key] !== undefined) documentConfig[key] = options[key];
+  });
+
+  return {
+    format: BATCH_FORMATS.includes(options.exportFormat) ? options.exportFormat : null,
+    branchMode: options.scope === 'allBranches' ? 'all' : null,
+    documentConfig
+  };
+};
+
+/**
+ * 导出预设管理器（保存在 localStorage）
+ */
+export class ExportPresetManager {
+  /**
+   * @returns {Array<{id, name, options, updatedAt}>}
+   */
+  static getPresets() {
+    const presets = StorageManager.get(PRESETS_KEY, []);
+    return Array.isArray(presets) ? presets.filter(preset => preset?.id && preset.name) : [];
+  }
+
+  static savePresets(presets) {
+    return StorageManager.set(PRESETS_KEY, presets);
+  }
+
+  static findByName(name, presets = this.getPresets()) {
+    const key = String(name || '').trim().toLowerCase();
+    return presets.find(preset => preset.name.toLowerCase() === key) || null;
+  }
+
+  /**
+   * 保存预设，同名（不区分大小写）时覆盖
+   * @param {string} name - 预设名
+   * @param {Object} options - 导出选项
+   * @returns {Object|null} 保存后的预设，名称为空时返回 null
+   */
+  static savePreset(name, options) {
+    const trimmedName = String(name || '').trim();
+    if (!trimmedName) return null;
+
+    const presets = this.getPresets();
+    const existing = this.findByName(trimmedName, presets);
+    const preset = {
+      id: existing?.id || `preset_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      name: trimmedName,
+      options: pickPresetOptions(options),
+      updatedAt: new Date().toISOString()
+    };
+
+    this.savePresets(existing
+      ? presets.map(item => (item.id === existing.id ? preset : item))
+      : [...presets, preset]);
+    return preset;
+  }
+
+  static deletePreset(id) {
+    this.savePresets(this.getPresets().filter(preset => preset.id !== id));
+  }
+
+  /**
+   * 合并导入的预设，同名的覆盖
+   * @param {Array<{name, options}>} imported
+   * @returns {number} 导入的预设数
+   */
+  static importPresets(imported) {
+    imported.forEach(preset => this.savePreset(preset.name, preset.options));
+    return imported.length;
+  }
+
+  /**
+   * 序列化为可分享的 JSON 文件内容
+   */
+  static serialize(presets = this.getPresets()) {
+    return JSON.stringify({
+      type: PRESET_FILE_TYPE,
+      version: PRESET_FILE_VERSION,
+      presets: presets.map(({ name, options }) => ({ name, options }))
+    }, null, 2);
+  }
+
+  /**
+   * 解析导入的预设 JSON
+   * @param {string} text - 文件内容
+   * @returns {Array<{name, options}>}
+   * @throws {Error} 格式不正确或没有可用的预设时
+   */
+  static parseFile(text) {
+    const data = JSON.parse(text);
+    if (data?.type !== PRESET_FILE_TYPE || !Array.isArray(data.presets)) {
+      throw new Error('Invalid preset file');
+    }
+
+    const presets = data.presets
+      .filter(preset => typeof preset?.name === 'string' && preset.name.trim() && preset.options && typeof preset.options === 'object')
+      .map(preset => ({ name: preset.name.trim(), options: pickPresetOptions(preset.options) }));
+
+    if (presets.length === 0) {
+      throw new Error('No presets found in file');
+    }
+    return presets;
+  }
+}
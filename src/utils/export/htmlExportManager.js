@@ -0,0 +1,524 @@
+// utils/export/htmlExportManager.js
+// HTML 导出 - 生成可离线打开的单个 HTML 文件
+//
+// Markdown 由 react-markdown 渲染为静态 HTML（与应用内显示一致），公式由 KaTeX 渲染，代码块由 Prism 高亮
+// 样式、图片和 KaTeX 字体全部内联；思考过程、工具、Artifact 等放在可折叠的 <details> 中
+// 分支切换由文件内的一段脚本完成，分支结构与 ConversationTimeline 相同：按 parent_uuid 分组，兄弟消息按时间排序
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { saveAs } from 'file-saver';
+import { DateTimeUtils, FileUtils, PARSER_CONFIG, getImageDisplayData } from '../fileParser';
+import { escapeXml } from '../formatHelpers';
+import { getToolResultText } from '../textUtils';
+import { t, getCurrentLanguage } from '../../index.js';
+
+const ROOT_UUID = PARSER_CONFIG.ROOT_UUID;
+
+const ht = (key, params) => t(`exportManager.html.${key}`, params);
+const ft = (key) => t(`exportManager.format.${key}`);
+
+// ==================== 内联样式 ====================
+const HTML_EXPORT_STYLES = `
+:root {
+  --bg: #faf9f5; --bg-card: #ffffff; --bg-soft: #f3f1ea; --bg-code: #f6f8fa;
+  --text: #1f1e1d; --text-soft: #6b6a66; --border: #e5e2d9; --accent: #c96442;
+  --human-bg: #eef3fb; --human-border: #c9d8f0;
+}
+html[data-theme="dark"] {
+  --bg: #1f1e1d; --bg-card: #2a2927; --bg-soft: #33312e; --bg-code: #232220;
+  --text: #ecebe6; --text-soft: #a5a39c; --border: #403e3a; --accent: #e08a68;
+  --human-bg: #263041; --human-border: #3a4a63;
+}
+* { box-sizing: border-box; }
+body { margin: 0; background: var(--bg); color: var(--text); font: 15px/1.65 -apple-system, BlinkMacSystemFont, "Segoe UI", "PingFang SC", "Microsoft YaHei", sans-serif; }
+main { max-width: 880px; margin: 0 auto; padding: 24px 16px 64px; }
+a { color: var(--accent); }
+img { max-width: 100%; }
+.doc-header { border-bottom: 1px solid var(--border); margin-bottom: 20px; padding-bottom: 12px; }
+.doc-header h1 { margin: 0 0 6px; font-size: 1.6rem; }
+.doc-meta { display: flex; flex-wrap: wrap; gap: 4px 16px; color: var(--text-soft); font-size: 0.85rem; }
+.doc-actions { display: none; gap: 8px; margin-top: 10px; }
+.js .doc-actions { display: flex; }
+.doc-actions button, .branch-switcher button { border: 1px solid var(--border); background: var(--bg-card); color: var(--text); border-radius: 6px; padding: 3px 10px; cursor: pointer; font-size: 0.8rem; }
+.doc-actions button[aria-pressed="true"] { border-color: var(--accent); color: var(--accent); }
+.message { background: var(--bg-card); border: 1px solid var(--border); border-radius: 10px; padding: 12px 16px; margin-bottom: 14px; }
+.message.human { background: var(--human-bg); border-color: var(--human-border); }
+.message[hidden] { display: none; }
+.show-all-branches .message[hidden] { display: block; opacity: 0.6; }
+.message-header { display: flex; flex-wrap: wrap; align-items: center; gap: 8px; font-size: 0.85rem; color: var(--text-soft); margin-bottom: 6px; }
+.message-sender { font-weight: 600; color: var(--text); }
+.message-mark { border-radius: 4px; padding: 0 6px; background: var(--bg-soft); }
+.branch-switcher { display: none; align-items: center; gap: 4px; margin-left: auto; }
+.js .branch-switcher { display: inline-flex; }
+.branch-switcher button { padding: 0 8px; }
+.markdown > :first-child { margin-top: 0; }
+.markdown > :last-child { margin-bottom: 0; }
+.markdown table { border-collapse: collapse; display: block; overflow-x: auto; }
+.markdown th, .markdown td { border: 1px solid var(--border); padding: 4px 10px; }
+.markdown blockquote { margin: 10px 0; padding: 6px 14px; border-left: 4px solid var(--accent); background: var(--bg-soft); color: var(--text-soft); }
+.markdown .katex-display { overflow-x: auto; overflow-y: hidden; }
+code { font-family: "SFMono-Regular", Consolas, "Liberation Mono", Menlo, monospace; font-size: 0.88em; }
+:not(pre) > code { background: var(--bg-soft); border-radius: 4px; padding: 1px 5px; }
+pre { background: var(--bg-code); border: 1px solid var(--border); border-radius: 6px; padding: 10px 12px; overflow-x: auto; white-space: pre; }
+pre.plain { white-space: pre-wrap; word-break: break-word; }
+details.section { border: 1px solid var(--border); border-radius: 8px; margin: 8px 0; padding: 6px 12px; background: var(--bg-soft); }
+details.section > summary { cursor: pointer; color: var(--text-soft); font-size: 0.9rem; }
+details.section[open] > summary { margin-bottom: 6px; }
+.section-label { font-size: 0.8rem; color: var(--text-soft); margin: 8px 0 4px; }
+.tool-error { color: #d64545; }
+.message-images { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 8px; }
+.message-images img { max-height: 320px; border-radius: 6px; border: 1px solid var(--border); }
+.doc-footer { margin-top: 32px; text-align: center; color: var(--text-soft); font-size: 0.8rem; }
+.token.comment, .token.prolog, .token.doctype, .token.cdata { color: #6a737d; font-style: italic; }
+.token.keyword, .token.selector, .token.important, .token.atrule { color: #d73a49; }
+.token.string, .token.char, .token.attr-value, .token.regex, .token.inserted { color: #22863a; }
+.token.number, .token.boolean, .token.constant, .token.symbol, .token.deleted { color: #005cc5; }
+.token.function, .token.class-name { color: #6f42c1; }
+.token.tag, .token.property, .token.builtin, .token.attr-name { color: #e36209; }
+.token.operator, .token.punctuation { color: #586069; }
+html[data-theme="dark"] .token.comment, html[data-theme="dark"] .token.prolog { color: #8b949e; }
+html[data-theme="dark"] .token.keyword, html[data-theme="dark"] .token.selector, html[data-theme="dark"] .token.atrule { color: #ff7b72; }
+html[data-theme="dark"] .token.string, html[data-theme="dark"] .token.char, html[data-theme="dark"] .token.attr-value, html[data-theme="dark"] .token.regex { color: #a5d6ff; }
+html[data-theme="dark"] .token.number, html[data-theme="dark"] .token.boolean, html[data-theme="dark"] .token.constant { color: #79c0ff; }
+html[data-theme="dark"] .token.function, html[data-theme="dark"] .token.class-name { color: #d2a8ff; }
+html[data-theme="dark"] .token.tag, html[data-theme="dark"] .token.property, html[data-theme="dark"] .token.builtin, html[data-theme="dark"] .token.attr-name { color: #ffa657; }
+html[data-theme="dark"] .token.operator, html[data-theme="dark"] .token.punctuation { color: #c9d1d9; }
+`;
+
+// ==================== 内联脚本：分支切换与主题 ====================
+// 没有 data-parent 的消息始终显示；有兄弟消息时只显示被选中的一个，且其父消息必须可见
+const HTML_EXPORT_SCRIPT = `
+(function () {
+  var root = document.documentElement;
+  root.classList.add('js');
+  var nodes = Array.prototype.slice.call(document.querySelectorAll('.message[data-uuid]'));
+  var byUuid = {};
+  var children = {};
+  var selected = {};
+  nodes.forEach(function (node) {
+    byUuid[node.getAttribute('data-uuid')] = node;
+    var parent = node.getAttribute('data-parent');
+    if (!parent) return;
+    (children[parent] = children[parent] || [])[Number(node.getAttribute('data-branch-index'))] = node.getAttribute('data-uuid');
+  });
+
+  function update() {
+    var memo = {};
+    function isVisible(uuid) {
+      if (uuid in memo) return memo[uuid];
+      memo[uuid] = true;
+      var parent = byUuid[uuid].getAttribute('data-parent');
+      var visible = true;
+      if (parent) {
+        var siblings = children[parent];
+        if (siblings.length > 1 && siblings[selected[parent] || 0] !== uuid) visible = false;
+        else if (byUuid[parent]) visible = isVisible(parent);
+      }
+      memo[uuid] = visible;
+      return visible;
+    }
+    nodes.forEach(function (node) { node.hidden = !isVisible(node.getAttribute('data-uuid')); });
+  }
+
+  document.addEventListener('click', function (event) {
+    var button = event.target.closest('button');
+    if (!button) return;
+    var switcher = button.closest('.branch-switcher');
+    if (switcher) {
+      var parent = switcher.getAttribute('data-parent');
+      var count = children[parent].length;
+      selected[parent] = ((selected[parent] || 0) + Number(button.getAttribute('data-step')) + count) % count;
+      update();
+      var current = byUuid[children[parent][selected[parent]]];
+      if (current) current.scrollIntoView({ block: 'nearest' });
+    } else if (button.id === 'toggle-branches') {
+      var pressed = document.body.classList.toggle('show-all-branches');
+      button.setAttribute('aria-pressed', String(pressed));
+    } else if (button.id === 'toggle-theme') {
+      root.setAttribute('data-theme', root.getAttribute('data-theme') === 'dark' ? 'light' : 'dark');
+    }
+  });
+
+  update();
+})();
+`;
+
+// ==================== Markdown 渲染 ====================
+const h = React.createElement;
+
+export const renderCode = (code, language) => renderToStaticMarkup(h(SyntaxHighlighter, {
+  language,
+  useInlineStyles: false,
+  PreTag: 'pre'
+}, code));
+
+const markdownComponents = {
+  code: ({ node, inline, className, children, ...props }) => {
+    const match = /language-([\w+#-]+)/.exec(className || '');
+    if (!inline && match) {
+      return h(SyntaxHighlighter, {
+        language: match[1],
+        useInlineStyles: false,
+        PreTag: 'pre'
+      }, String(children).replace(/\n$/, ''));
+    }
+    return h('code', { className, ...props }, children);
+  }
+};
+
+/**
+ * 把 Markdown 渲染为静态 HTML
+ * @param {string} text - Markdown 文本
+ * @param {string} mathOutput - KaTeX 输出方式：'htmlAndMathml'（需要 KaTeX 样式）或 'mathml'
+ */
+export const renderMarkdown = (text, mathOutput) => {
+  if (!text) return '';
+  try {
+    return renderToStaticMarkup(h(ReactMarkdown, {
+      remarkPlugins: [remarkGfm, remarkMath],
+      rehypePlugins: [[rehypeKatex, { output: mathOutput, throwOnError: false }]],
+      components: markdownComponents
+    }, text));
+  } catch (error) {
+    console.warn('[HTML导出] Markdown 渲染失败，按纯文本输出:', error.message);
+    return `<pre class="plain">${escapeXml(text)}</pre>`;
+  }
+};
+
+const renderDetails = (className, summary, body, open = false) =>
+  `<details class="section ${className}"${open ? ' open' : ''}><summary>${summary}</summary>${body}</details>`;
+
+// ==================== KaTeX 样式 ====================
+const readAsDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+const fetchAsDataUrl = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return readAsDataUrl(await response.blob());
+};
+
+/**
+ * 从页面已加载的样式表中取出 KaTeX 规则（MessageDetail 引入了 katex.min.css）
+ * @returns {Array<{cssText, baseUrl, isFontFace}>}
+ */
+const collectKatexRules = () => {
+  if (typeof document === 'undefined') return [];
+  const rules = [];
+
+  Array.from(document.styleSheets).forEach(sheet => {
+    let cssRules;
+    try {
+      cssRules = sheet.cssRules;
+    } catch (error) {
+      return; // 跨域样式表无法读取
+    }
+    Array.from(cssRules || []).forEach(rule => {
+      const isFontFace = rule.type === CSSRule.FONT_FACE_RULE;
+      if (isFontFace ? /KaTeX_/.test(rule.cssText) : /\.katex/.test(rule.cssText)) {
+        rules.push({ cssText: rule.cssText, baseUrl: sheet.href || document.baseURI, isFontFace });
+      }
+    });
+  });
+
+  return rules;
+};
+
+// 字体只保留 woff2 一种格式并转为 data URL，取不到时保留原规则
+const inlineFontFace = async ({ cssText, baseUrl }) => {
+  const urls = Array.from(cssText.matchAll(/url\(["']?([^"')]+)["']?\)/g), match => match[1]);
+  const fontUrl = urls.find(url => /\.woff2(\?|$)/.test(url)) || urls[0];
+  if (!fontUrl) return cssText;
+
+  try {
+    const dataUrl = await fetchAsDataUrl(new URL(fontUrl, baseUrl).href);
+    return cssText.replace(/src:[^;}]+/, `src: url("${dataUrl}") format("woff2")`);
+  } catch (error) {
+    console.warn('[HTML导出] KaTeX 字体内联失败:', fontUrl, error.message);
+    return cssText;
+  }
+};
+
+const buildKatexCss = async (rules) => {
+  const parts = [];
+  for (const rule of rules) {
+    parts.push(rule.isFontFace ? await inlineFontFace(rule) : rule.cssText);
+  }
+  return parts.join('\n');
+};
+
+// ==================== 图片内联 ====================
+// 远程图片尽量转为 data URL，跨域等原因失败时保留原链接
+const inlineRemoteImages = async (html) => {
+  const sources = new Set(Array.from(html.matchAll(/<img[^>]+src="(https?:[^"]+)"/g), match => match[1]));
+  if (sources.size === 0) return html;
+
+  let result = html;
+  await Promise.all(Array.from(sources).map(async (escapedSrc) => {
+    try {
+      const dataUrl = await fetchAsDataUrl(escapedSrc.replace(/&amp;/g, '&'));
+      result = result.split(`src="${escapedSrc}"`).join(`src="${dataUrl}"`);
+    } catch (error) {
+      console.warn('[HTML导出] 图片内联失败，保留原链接:', escapedSrc, error.message);
+    }
+  }));
+  return result;
+};
+
+// ==================== HTML 导出管理器 ====================
+export class HTMLExportManager {
+  constructor() {
+    this.config = {};
+    this.mathOutput = 'htmlAndMathml';
+  }
+
+  /**
+   * 主导出方法
+   * @param {Array} messages - 消息列表（已按导出范围和标记筛选）
+   * @param {Object} meta - 元数据(title, platform, model, created_at, updated_at)
+   * @param {Object} config - 导出配置(includeThinking 等开关、theme、allMessages、getMarks)
+   */
+  async exportToHTML(messages, meta, config = {}) {
+    this.config = config;
+
+    // 页面中没有 KaTeX 样式时只输出 MathML，浏览器可以原生显示
+    const katexRules = collectKatexRules();
+    this.mathOutput = katexRules.length > 0 ? 'htmlAndMathml' : 'mathml';
+
+    let body = this.renderDocument(messages, meta);
+    body = await inlineRemoteImages(body);
+
+    const katexCss = body.includes('class="katex"') && katexRules.length > 0
+      ? await buildKatexCss(katexRules)
+      : '';
+
+    const html = [
+      '<!DOCTYPE html>',
+      `<html lang="${escapeXml(getCurrentLanguage())}" data-theme="${config.theme === 'dark' ? 'dark' : 'light'}">`,
+      '<head>',
+      '<meta charset="utf-8">',
+      '<meta name="viewport" content="width=device-width, initial-scale=1">',
+      `<title>${escapeXml(meta.name || 'Conversation')}</title>`,
+      `<style>${HTML_EXPORT_STYLES}${katexCss}</style>`,
+      '</head>',
+      '<body>',
+      body,
+      `<script>${HTML_EXPORT_SCRIPT}</script>`,
+      '</body>',
+      '</html>'
+    ].join('\n');
+
+    const fileName = this.generateFileName(meta);
+    saveAs(new Blob([html], { type: 'text/html;charset=utf-8' }), fileName);
+    console.log('[HTML导出] 导出完成:', fileName);
+    return true;
+  }
+
+  renderDocument(messages, meta) {
+    const branchInfo = this.buildBranchInfo(messages);
+    const hasBranches = Array.from(branchInfo.values()).some(info => info.count > 1);
+
+    const metaItems = [
+      meta.model || meta.platform,
+      meta.created_at && `${t('exportManager.metadata.created')}: ${meta.created_at}`,
+      `${t('exportManager.metadata.exportTime')}: ${DateTimeUtils.formatDateTime(new Date().toISOString())}`,
+      ht('messageCount', { count: messages.length })
+    ].filter(Boolean);
+
+    const actions = [
+      hasBranches && `<button type="button" id="toggle-branches" aria-pressed="false">${ht('showAllBranches')}</button>`,
+      `<button type="button" id="toggle-theme">${ht('toggleTheme')}</button>`
+    ].filter(Boolean);
+
+    return [
+      '<main>',
+      '<header class="doc-header">',
+      `<h1>${escapeXml(meta.name || 'Conversation')}</h1>`,
+      `<div class="doc-meta">${metaItems.map(item => `<span>${escapeXml(item)}</span>`).join('')}</div>`,
+      `<div class="doc-actions">${actions.join('')}</div>`,
+      '</header>',
+      ...messages.map(msg => this.renderMessage(msg, branchInfo.get(msg.uuid))),
+      `<footer class="doc-footer">${ht('generatedBy')}</footer>`,
+      '</main>'
+    ].join('\n');
+  }
+
+  /**
+   * 计算每条消息在分支中的位置
+   * 父消息被筛选掉时向上找最近的已导出祖先，与时间线一样只认根节点和已知消息作为父节点
+   * @returns {Map} uuid -> { parent, index, count }
+   */
+  buildBranchInfo(messages) {
+    const exported = new Map(messages.map(msg => [msg.uuid, msg]));
+    const allMessages = new Map((this.config.allMessages || messages).map(msg => [msg.uuid, msg]));
+
+    const resolveParent = (msg) => {
+      let parent = msg.parent_uuid;
+      const seen = new Set();
+      while (parent && parent !== ROOT_UUID && !exported.has(parent) && allMessages.has(parent) && !seen.has(parent)) {
+        seen.add(parent);
+        parent = allMessages.get(parent).parent_uuid;
+      }
+      return parent === ROOT_UUID || exported.has(parent) ? parent : null;
+    };
+
+    const siblingsByParent = new Map();
+    messages.forEach(msg => {
+      const parent = resolveParent(msg);
+      if (!parent) return;
+      if (!siblingsByParent.has(parent)) siblingsByParent.set(parent, []);
+      siblingsByParent.get(parent).push(msg);
+    });
+
+    const info = new Map();
+    siblingsByParent.forEach((siblings, parent) => {
+      siblings
+        .slice()
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        .forEach((msg, index) => info.set(msg.uuid, { parent, index, count: siblings.length }));
+    });
+    return info;
+  }
+
+  renderMessage(msg, branch) {
+    const { includeThinking, includeTimestamps, includeArtifacts, includeTools, includeCitations } = this.config;
+    const isHuman = msg.sender === 'human';
+    const sender = msg.participant || msg.sender_label || (isHuman ? 'User' : 'Assistant');
+    const marks = this.config.getMarks?.(msg) || {};
+
+    const header = [
+      `<span class="message-sender">${escapeXml(sender)}</span>`,
+      includeTimestamps && msg.timestamp && `<span class="message-time">${escapeXml(msg.timestamp)}</span>`,
+      marks.completed && `<span class="message-mark">✓ ${ht('completed')}</span>`,
+      marks.important && `<span class="message-mark">⭐ ${ht('important')}</span>`,
+      branch?.count > 1 && this.renderBranchSwitcher(branch)
+    ].filter(Boolean).join('');
+
+    const sections = [
+      includeThinking && msg.thinking && renderDetails(
+        'thinking', `💭 ${ft('thinkingProcess')}`, `<div class="markdown">${renderMarkdown(msg.thinking, this.mathOutput)}</div>`
+      ),
+      `<div class="markdown message-body">${renderMarkdown(msg.display_text, this.mathOutput)}</div>`,
+      this.renderImages(msg),
+      this.renderAttachments(msg.attachments),
+      includeArtifacts && (msg.artifacts || []).map(artifact => this.renderArtifact(artifact)).join(''),
+      includeTools && (msg.tools || []).map(tool => this.renderTool(tool)).join(''),
+      includeCitations && this.renderCitations(msg.citations)
+    ].filter(Boolean).join('\n');
+
+    const attributes = [
+      `class="message ${isHuman ? 'human' : 'assistant'}"`,
+      `id="msg-${msg.index}"`,
+      `data-uuid="${escapeXml(msg.uuid)}"`,
+      branch && `data-parent="${escapeXml(branch.parent)}" data-branch-index="${branch.index}"`
+    ].filter(Boolean).join(' ');
+
+    return `<article ${attributes}>\n<div class="message-header">${header}</div>\n${sections}\n</article>`;
+  }
+
+  renderBranchSwitcher(branch) {
+    return [
+      `<span class="branch-switcher" data-parent="${escapeXml(branch.parent)}">`,
+      `<button type="button" data-step="-1" title="${ht('previousBranch')}">‹</button>`,
+      `<span>${branch.index + 1} / ${branch.count}</span>`,
+      `<button type="button" data-step="1" title="${ht('nextBranch')}">›</button>`,
+      '</span>'
+    ].join('');
+  }
+
+  renderImages(msg) {
+    const images = [
+      ...(msg.images || []),
+      ...(msg.attachments || []).filter(att => att.is_embedded_image)
+    ].map(getImageDisplayData).filter(image => image.src);
+
+    if (images.length === 0) return '';
+    return `<div class="message-images">${images.map(image =>
+      `<img src="${escapeXml(image.src)}" alt="${escapeXml(image.alt || '')}" title="${escapeXml(image.title || '')}">`
+    ).join('')}</div>`;
+  }
+
+  renderAttachments(attachments = []) {
+    const files = attachments.filter(att => !att.is_embedded_image);
+    if (files.length === 0) return '';
+
+    const body = files.map(att => {
+      const title = `${escapeXml(att.file_name || ft('unknown'))} (${FileUtils.formatFileSize(att.file_size || 0)})`;
+      return att.extracted_content
+        ? renderDetails('attachment', title, `<pre class="plain">${escapeXml(att.extracted_content)}</pre>`)
+        : `<div>${title}</div>`;
+    }).join('');
+
+    return renderDetails('attachments', ft('attachments'), body);
+  }
+
+  renderArtifact(artifact) {
+    const summary = `${ft('artifact')} ${escapeXml(artifact.title || ft('noTitle'))}`;
+    let body = '';
+
+    if (artifact.command === 'create' && artifact.content) {
+      body = artifact.language
+        ? renderCode(artifact.content, artifact.language)
+        : `<pre>${escapeXml(artifact.content)}</pre>`;
+    } else if (artifact.command === 'update' || artifact.command === 'rewrite') {
+      body = [
+        `<div class="section-label">${t('messageDetail.artifacts.originalText')}</div>`,
+        `<pre class="plain">${escapeXml(artifact.old_str || '')}</pre>`,
+        `<div class="section-label">${t('messageDetail.artifacts.newText')}</div>`,
+        `<pre class="plain">${escapeXml(artifact.new_str || '')}</pre>`
+      ].join('');
+    }
+
+    return renderDetails('artifact', summary, body);
+  }
+
+  renderTool(tool) {
+    const parts = [];
+
+    if (tool.input && Object.keys(tool.input).length > 0) {
+      parts.push(`<div class="section-label">${ht('input')}</div>`, renderCode(JSON.stringify(tool.input, null, 2), 'json'));
+    }
+
+    if (tool.result) {
+      parts.push(`<div class="section-label${tool.result.is_error ? ' tool-error' : ''}">${tool.result.is_error ? ht('error') : ht('result')}</div>`);
+      if (tool.name === 'web_search_tool' && Array.isArray(tool.result.content)) {
+        parts.push(`<ol>${tool.result.content.map(item =>
+          `<li><a href="${escapeXml(item.url || '#')}">${escapeXml(item.title || ft('noTitle'))}</a></li>`
+        ).join('')}</ol>`);
+      } else {
+        const text = getToolResultText(tool.result.content);
+        if (text) parts.push(`<pre class="plain">${escapeXml(text)}</pre>`);
+      }
+    }
+
+    return renderDetails('tool', `${ft('tool')} ${escapeXml(tool.name || '')}`, parts.join(''));
+  }
+
+  renderCitations(citations = []) {
+    if (citations.length === 0) return '';
+    const items = citations.map(citation => {
+      const url = citation.url || '#';
+      const source = url.includes('/') ? url.split('/')[2] : ft('unknownWebsite');
+      return `<li><a href="${escapeXml(url)}">${escapeXml(citation.title || ft('unknownSource'))}</a> · ${escapeXml(source)}</li>`;
+    });
+    return renderDetails('citations', ft('citations'), `<ol>${items.join('')}</ol>`);
+  }
+
+  /**
+   * 生成文件名
+   */
+  generateFileName(meta) {
+    const date = DateTimeUtils.getCurrentDate();
+    const cleanTitle = (meta.name || 'conversation').replace(/[^a-zA-Z0-9\u4e00-\u9fa5]/g, '_');
+    return `${cleanTitle}_${date}.html`;
+  }
+}
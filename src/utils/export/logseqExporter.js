@@ -0,0 +1,219 @@
+// utils/export/logseqExporter.js
+// Logseq 等大纲工具的块格式导出：每条消息是一个带属性（sender:: / timestamp:: / branch::）的块，
+// 正文、思考过程、工具、Artifact 为子块，分支按层级嵌套在分支点消息下
+
+import JSZip from 'jszip';
+import { saveAs } from 'file-saver';
+import { MarkdownGenerator, FileExporter } from '../exportManager';
+import { DateTimeUtils, PlatformUtils } from '../fileParser';
+import { buildBranchTree, walkBranchTree, unwrapDetails } from '../formatHelpers';
+import { t } from '../../index.js';
+
+const gt = (key, params) => t(`exportManager.${key}`, params);
+
+const INDENT = '\t';
+
+// ==================== 块语法 ====================
+// 属性值只能占一行
+const propertyValue = (value) => String(value).replace(/\s*\n\s*/g, ' ').trim();
+
+/**
+ * 生成一个块：首行跟在 "- " 后，属性紧随首行，其余行按块内容缩进
+ * @param {string} text - 块内容（可多行）
+ * @param {number} depth - 嵌套层级
+ * @param {Object} properties - 块属性，空值忽略
+ */
+const toBlock = (text, depth, properties = {}) => {
+  const prefix = INDENT.repeat(depth);
+  const [first = '', ...rest] = String(text || '').replace(/^\s*\n/, '').trimEnd().split('\n');
+  const lines = [`${prefix}- ${first}`];
+
+  Object.entries(properties).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    lines.push(`${prefix}  ${key}:: ${propertyValue(value)}`);
+  });
+  rest.forEach(line => lines.push(`${prefix}  ${line}`));
+
+  return lines.join('\n');
+};
+
+// Logseq 页面文件名：去掉文件系统和命名空间（/）中不允许的字符
+const sanitizePageName = (name) => String(name || '')
+  .replace(/[\\/:*?"<>|#%]/g, '_')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .slice(0, 100) || 'conversation';
+
+/**
+ * Logseq 块格式生成器：复用 MarkdownGenerator 的筛选、发送者标签和各部分格式化
+ */
+export class LogseqGenerator extends MarkdownGenerator {
+  constructor(config = {}) {
+    // 块结构由生成器决定，不使用 Markdown 导出模板
+    super({ ...config, markdownTemplates: null });
+  }
+
+  /**
+   * 生成完整的页面
+   */
+  generate(processedData) {
+    return [
+      this.generatePageProperties(processedData),
+      this.generateMessages(processedData)
+    ].filter(Boolean).join('\n') + '\n';
+  }
+
+  getTitle(processedData) {
+    const { meta_info = {} } = processedData;
+    const uuid = this.config.conversationUuid || meta_info.uuid;
+    const originalTitle = meta_info.title || gt('metadata.defaultTitle');
+    return uuid ? this.renameManager.getRename(uuid, originalTitle) : originalTitle;
+  }
+
+  /**
+   * 页面属性（写在文件开头，不带列表符号）
+   */
+  generatePageProperties(processedData) {
+    const { meta_info = {} } = processedData;
+    const platform = meta_info.platform || processedData.platform;
+    const properties = {
+      title: this.getTitle(processedData),
+      platform: platform ? PlatformUtils.getPlatformName(platform) : '',
+      model: meta_info.model,
+      created: meta_info.created_at
+    };
+
+    return Object.entries(properties)
+      .filter(([, value]) => value)
+      .map(([key, value]) => `${key}:: ${propertyValue(value)}`)
+      .join('\n') + '\n';
+  }
+
+  /**
+   * 生成消息块：有父子关系时按分支嵌套，否则按顺序平铺
+   */
+  generateMessages(processedData) {
+    const { chat_history = [] } = processedData;
+    const filteredMessages = this.filterMessages(chat_history);
+
+    if (filteredMessages.length === 0) {
+      return toBlock(gt('messages.noMatchingMessages'), 0);
+    }
+
+    const blocks = [];
+    const tree = buildBranchTree(chat_history, filteredMessages);
+    if (!tree) {
+      filteredMessages.forEach((msg, index) => blocks.push(this.formatMessageBlock(msg, index + 1, 0)));
+      return blocks.join('\n');
+    }
+
+    let counter = 0;
+    walkBranchTree(tree, {
+      onMessage: (msg, depth, branch) => blocks.push(this.formatMessageBlock(msg, ++counter, depth, branch)),
+      // 最后一个分支通常是最新的，其余分支默认折叠
+      onBranch: (branch, depth, isLast) => blocks.push(toBlock(`🔀 ${gt('format.branch', { label: branch })}`, depth, {
+        collapsed: isLast ? undefined : true
+      }))
+    });
+    return blocks.join('\n');
+  }
+
+  /**
+   * 单条消息：发送者为父块，其余内容为子块
+   */
+  formatMessageBlock(msg, index, depth, branch) {
+    const senderLabel = this.getSenderLabel(msg);
+    const blocks = [toBlock(`**${senderLabel}**`, depth, {
+      sender: senderLabel,
+      timestamp: msg.timestamp,
+      branch
+    })];
+    const childDepth = depth + 1;
+    const isHuman = msg.sender === 'human';
+
+    if (msg.thinking && this.config.includeThinking && !isHuman) {
+      blocks.push(
+        toBlock(`💭 ${gt('format.thinkingProcess')}`, childDepth, { collapsed: true }),
+        toBlock(this.formatThinking(msg.thinking), childDepth + 1)
+      );
+    }
+
+    if (msg.display_text) {
+      blocks.push(toBlock(msg.display_text, childDepth));
+    }
+
+    const imageRefs = this.getImageRefs(msg, index);
+    if (imageRefs.length > 0) {
+      blocks.push(toBlock(imageRefs.join('\n'), childDepth));
+    }
+
+    if (msg.attachments?.length > 0 && this.config.includeAttachments && isHuman) {
+      blocks.push(
+        toBlock(gt('format.attachments'), childDepth, { collapsed: true }),
+        toBlock(this.formatAttachments(msg.attachments), childDepth + 1)
+      );
+    }
+
+    if (msg.artifacts?.length > 0 && this.config.includeArtifacts && !isHuman) {
+      msg.artifacts.forEach(artifact => blocks.push(this.formatDetailsBlock(this.formatArtifact(artifact), childDepth)));
+    }
+
+    if (msg.tools?.length > 0 && this.config.includeTools) {
+      msg.tools.forEach(tool => blocks.push(this.formatDetailsBlock(this.formatTool(tool), childDepth)));
+    }
+
+    if (msg.citations?.length > 0 && this.config.includeCitations) {
+      blocks.push(this.formatDetailsBlock(this.formatCitations(msg.citations), childDepth));
+    }
+
+    return blocks.join('\n');
+  }
+
+  /**
+   * 把 <details> 格式的内容转成折叠的父块 + 内容子块
+   */
+  formatDetailsBlock(text, depth) {
+    const details = unwrapDetails(text);
+    if (!details) return toBlock(text, depth);
+
+    const blocks = [toBlock(details.summary, depth, details.body ? { collapsed: true } : {})];
+    if (details.body) blocks.push(toBlock(details.body, depth + 1));
+    return blocks.join('\n');
+  }
+}
+
+// ==================== 导出 ====================
+/**
+ * 导出 Logseq 页面：单个对话保存为 .md，多个对话打包为 ZIP（pages/ 目录可直接放入图谱）
+ * @param {Array} dataList - processedData 列表，_exportConfig.marks 为该对话的标记
+ * @param {Object} config - Markdown 导出配置
+ */
+export const exportLogseqPages = async (dataList, config = {}) => {
+  const usedNames = new Set();
+  const pages = dataList.map(item => {
+    const generator = new LogseqGenerator({
+      ...config,
+      marks: item._exportConfig?.marks,
+      conversationUuid: item._exportConfig?.conversationUuid
+    });
+
+    const baseName = sanitizePageName(generator.getTitle(item));
+    let name = baseName;
+    for (let counter = 2; usedNames.has(name.toLowerCase()); counter++) {
+      name = `${baseName} (${counter})`;
+    }
+    usedNames.add(name.toLowerCase());
+
+    return { name, content: generator.generate(item) };
+  });
+
+  if (pages.length === 1) {
+    return FileExporter.saveTextFile(pages[0].content, `${pages[0].name}.md`);
+  }
+
+  const zip = new JSZip();
+  pages.forEach(page => zip.file(`pages/${page.name}.md`, page.content));
+  const zipBlob = await zip.generateAsync({ type: 'blob' });
+  saveAs(zipBlob, `Logseq_Pages_${DateTimeUtils.getCurrentDate()}.zip`);
+  return true;
+};
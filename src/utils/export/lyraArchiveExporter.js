@@ -0,0 +1,150 @@
+// utils/export/lyraArchiveExporter.js
+// 导出 Lyra 归档：标准化后的对话 + 用户状态，可重新导入并恢复标记、排序、重命名和星标
+// 归档结构和版本迁移见 fileParser/lyraArchiveParser.js
+
+import { saveAs } from 'file-saver';
+import {
+  isFullExportFormat,
+  loadConversationData,
+  resolveRawTimestamp,
+  DateTimeUtils,
+  LYRA_ARCHIVE_SCHEMA,
+  LYRA_ARCHIVE_VERSION
+} from '../fileParser';
+import { withParsedFile } from '../fileParser/parseWorkerClient';
+import {
+  generateFileCardUuid,
+  generateConversationCardUuid,
+  generateFileHash,
+  groupCardUuidsByFile
+} from '../data/uuidManager';
+import { StarManager } from '../data/starManager';
+import { collectCardState } from '../data/archiveStateManager';
+
+// 写入归档的 processedData 字段；raw_data 是平台原始数据，不属于标准结构
+const toArchiveData = (data) => ({
+  format: data.format,
+  platform: data.platform || data.meta_info?.platform || data.format,
+  meta_info: data.meta_info || {},
+  chat_history: data.chat_history || [],
+  branches: data.branches || [],
+  branch_points: data.branch_points || []
+});
+
+/**
+ * 把一个已解析的文件转换为归档中的对话记录
+ * @param {Array|null} conversationUuids - 容器中只导出指定对话，null 表示全部
+ */
+const buildFileConversations = async (data, file, fileIndex, conversationUuids, starManager) => {
+  if (isFullExportFormat(data.format)) {
+    const conversations = (data.views?.conversationList || [])
+      .filter(conv => !conversationUuids || conversationUuids.includes(conv.uuid));
+    const records = [];
+
+    // 逐个读取：Worker 中的容器按需返回对话
+    for (const conv of conversations) {
+      const convData = await loadConversationData(data, conv.uuid, { cache: false });
+      if (!convData) continue;
+
+      records.push({
+        uuid: conv.uuid,
+        source_file: conv.source_file || file.name,
+        project: conv.project || null,
+        is_starred: !!conv.is_starred,
+        created_at: conv.created_at || null,
+        updated_at: conv.updated_at || null,
+        data: toArchiveData(convData),
+        state: collectCardState(generateConversationCardUuid(fileIndex, conv.uuid, file), starManager)
+      });
+    }
+    return records;
+  }
+
+  const createdAt = resolveRawTimestamp(data.raw_data);
+  return [{
+    uuid: data.meta_info?.uuid || `file-${generateFileHash(file)}`,
+    source_file: file.name,
+    project: null,
+    is_starred: false,
+    created_at: createdAt,
+    updated_at: createdAt,
+    data: toArchiveData(data),
+    state: collectCardState(generateFileCardUuid(fileIndex, file))
+  }];
+};
+
+/**
+ * 按导出范围收集要写入归档的文件和对话
+ * 归档是无损备份：始终写入完整对话（不按当前分支或标记筛选），标记作为状态保存
+ * @returns {Map} fileIndex -> 对话UUID列表（null 表示整个文件）
+ */
+const resolveTargets = ({ scope, files, currentFileIndex, selectedConversationUuid, operatedFiles }) => {
+  const targets = new Map();
+
+  switch (scope) {
+    case 'current':
+    case 'currentBranch':
+      if (files[currentFileIndex]) {
+        targets.set(currentFileIndex, selectedConversationUuid ? [selectedConversationUuid] : null);
+      }
+      break;
+
+    case 'operated':
+      groupCardUuidsByFile(operatedFiles || [], files).forEach((entry, fileIndex) => {
+        if (entry.conversationUuids.length > 0) {
+          targets.set(fileIndex, entry.conversationUuids);
+        } else if (entry.wholeFile) {
+          targets.set(fileIndex, null);
+        }
+      });
+      break;
+
+    default:
+      files.forEach((file, fileIndex) => targets.set(fileIndex, null));
+  }
+
+  return targets;
+};
+
+/**
+ * 生成 Lyra 归档对象（当前版本）
+ * 当前文件沿用页面已加载的数据（fileData），其他文件在 Worker 中解析
+ * @param {Object} options - { scope, files, currentFileIndex, selectedConversationUuid, operatedFiles, fileData, title }
+ */
+export const buildLyraArchive = async (options) => {
+  const { files = [], currentFileIndex, fileData, title } = options;
+  const starManager = new StarManager(true);
+  const conversations = [];
+
+  for (const [fileIndex, conversationUuids] of resolveTargets({ ...options, files })) {
+    const file = files[fileIndex];
+    try {
+      const loadedData = fileIndex === currentFileIndex ? fileData : null;
+      conversations.push(...await withParsedFile(file, (data) => (
+        buildFileConversations(data, file, fileIndex, conversationUuids, starManager)
+      ), { loadedData }));
+    } catch (err) {
+      console.error(`无法处理文件 ${file.name}:`, err);
+    }
+  }
+
+  return {
+    schema: LYRA_ARCHIVE_SCHEMA,
+    version: LYRA_ARCHIVE_VERSION,
+    exported_at: new Date().toISOString(),
+    title: title || (conversations.length === 1 ?
+      (conversations[0].state.title || conversations[0].data.meta_info?.title) :
+      'Lyra Archive'),
+    conversations
+  };
+};
+
+/**
+ * 保存归档为 JSON 文件
+ */
+export const saveLyraArchive = (archive) => {
+  const cleanTitle = String(archive.title || 'lyra_archive').replace(/[^a-zA-Z0-9\u4e00-\u9fa5]/g, '_');
+  const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json;charset=utf-8' });
+  saveAs(blob, `${cleanTitle}_${DateTimeUtils.getCurrentDate()}.lyra.json`);
+  return true;
+};
@@ -110,7 +110,18 @@ const ensureUniqueFileName = (rawName, usedFileNames) => {
   }
 };
 
-const collectMessageImageRefs = (messages, zip, usedFileNames) => {
+/**
+ * 把消息中的内嵌图片写入 ZIP，返回按消息索引分组的图片引用
+ * @param {Object} options
+ * @param {string} options.folder - ZIP 中的图片目录
+ * @param {string} options.namePrefix - 图片文件名前缀（多个对话共用目录时区分来源）
+ * @param {Function} options.formatRef - (fileName, path) => 引用文本，默认生成 Markdown 图片链接
+ */
+export const collectMessageImageRefs = (messages, zip, usedFileNames, {
+  folder = 'images',
+  namePrefix = '',
+  formatRef = (fileName, path) => `![${fileName}](${path})`
+} = {}) => {
   const refsByMessageKey = {};
 
   (messages || []).forEach((msg, messagePos) => {
@@ -135,11 +146,11 @@ const collectMessageImageRefs = (messages, zip, usedFileNames) => {
 
       const nameStem = sanitizeFileName(stripFileExt(extracted.sourceName || `image_${candidateIdx + 1}`));
       const ext = extFromMime(extracted.mimeType);
-      const rawFileName = `msg_${sanitizeFileName(String(messageKey))}_${nameStem}.${ext}`;
+      const rawFileName = `${namePrefix ? `${namePrefix}_` : ''}msg_${sanitizeFileName(String(messageKey))}_${nameStem}.${ext}`;
       const uniqueFileName = ensureUniqueFileName(rawFileName, usedFileNames);
 
-      zip.file(`images/${uniqueFileName}`, base64ToU8(extracted.base64), { binary: true });
-      refs.push(`![${uniqueFileName}](images/${uniqueFileName})`);
+      zip.file(`${folder}/${uniqueFileName}`, base64ToU8(extracted.base64), { binary: true });
+      refs.push(formatRef(uniqueFileName, `${folder}/${uniqueFileName}`));
     });
 
     if (refs.length > 0) {
@@ -0,0 +1,252 @@
+// utils/export/markdownTemplates.js
+// Markdown 导出模板：文档、消息、思考过程、工具、Artifact、引用各有一个模板，
+// 语法为 {{变量}}、{{quote 变量}}（逐行加引用前缀）、{{#if 变量}}…{{else}}…{{/if}} 和 {{#unless 变量}}…{{/unless}}，
+// 模板为空时使用内置格式
+
+export const TEMPLATE_FILE_TYPE = 'lyra-markdown-templates';
+export const TEMPLATE_FILE_VERSION = 1;
+
+export const TEMPLATE_NAMES = ['document', 'message', 'thinking', 'tool', 'artifact', 'citation'];
+
+// 各模板可用的变量（设置面板中的提示）
+export const TEMPLATE_VARIABLES = {
+  document: ['title', 'created', 'exportTime', 'date', 'platform', 'model', 'uuid', 'messageCount', 'totalCount', 'filters', 'frontMatter', 'characterCards', 'messages', 'footer'],
+  message: ['title', 'number', 'sender', 'role', 'isHuman', 'isAssistant', 'timestamp', 'branch', 'branchMarker', 'uuid', 'parentUuid', 'marks', 'completed', 'important', 'deleted', 'content', 'thinking', 'images', 'attachments', 'artifacts', 'tools', 'citations'],
+  thinking: ['thinking', 'label'],
+  tool: ['name', 'query', 'input', 'result'],
+  artifact: ['id', 'title', 'type', 'language', 'command', 'content'],
+  citation: ['number', 'title', 'url', 'source']
+};
+
+export const DEFAULT_MARKDOWN_TEMPLATES = {
+  enabled: false,
+  document: '',
+  message: '',
+  thinking: '',
+  tool: '',
+  artifact: '',
+  citation: ''
+};
+
+// 常用布局示例，可在设置面板中一键载入
+export const TEMPLATE_EXAMPLES = {
+  obsidianCallouts: {
+    message: [
+      '{{thinking}}',
+      '> [!{{#if isHuman}}question{{else}}note{{/if}}] {{sender}}{{#if timestamp}} · {{timestamp}}{{/if}}{{#if marks}} · {{marks}}{{/if}}',
+      '{{quote content}}',
+      '',
+      '{{images}}',
+      '{{attachments}}',
+      '{{artifacts}}',
+      '{{tools}}',
+      '{{citations}}'
+    ].join('\n'),
+    thinking: '> [!abstract]- {{label}}\n{{quote thinking}}\n',
+    tool: '> [!example]- 🔧 {{name}}{{#if query}}: {{query}}{{/if}}\n{{#if result}}\n{{quote result}}\n{{/if}}\n',
+    artifact: '> [!info]- 📄 {{title}}\n> ```{{language}}\n{{quote content}}\n> ```\n',
+    citation: '{{number}}. [{{title}}]({{url}})'
+  },
+  assistantQuote: {
+    message: [
+      '{{#if isHuman}}',
+      '**{{sender}}:** {{content}}',
+      '{{else}}',
+      '> **{{sender}}:**',
+      '>',
+      '{{quote content}}',
+      '{{/if}}',
+      '',
+      '{{images}}',
+      '{{artifacts}}',
+      '{{tools}}',
+      '{{citations}}'
+    ].join('\n')
+  },
+  frontMatter: {
+    document: [
+      '---',
+      'title: "{{title}}"',
+      'created: {{created}}',
+      'exported: {{exportTime}}',
+      '{{#if platform}}',
+      'platform: {{platform}}',
+      '{{/if}}',
+      '{{#if model}}',
+      'model: {{model}}',
+      '{{/if}}',
+      'messages: {{messageCount}}',
+      'source: lyra-exporter',
+      '---',
+      '',
+      '# {{title}}',
+      '',
+      '{{characterCards}}',
+      '{{messages}}',
+      '{{footer}}'
+    ].join('\n')
+  }
+};
+
+// ==================== 模板解析 ====================
+const TAG_PATTERN = /\{\{\s*(?:(#if|#unless)\s+([\w.]+)|(else|\/if|\/unless)|(quote)\s+([\w.]+)|([\w.]+))\s*\}\}/g;
+// 单独占一行的控制标签连同换行一起去掉；单独占一行的变量为空时整行去掉。
+// 两者都按原模板的行判断，避免在输出中留下空行
+const STANDALONE_CONTROL_LINE = /^[ \t]*(\{\{\s*(?:#if|#unless)\s+[\w.]+\s*\}\}|\{\{\s*(?:else|\/if|\/unless)\s*\}\})[ \t]*\r?$/;
+const STANDALONE_VARIABLE_LINE = /^[ \t]*\{\{\s*(?:quote\s+)?([\w.]+)\s*\}\}[ \t]*\r?$/;
+
+const normalizeStandaloneLines = (source) => {
+  const lines = source.split('\n');
+  return lines.map((line, index) => {
+    const newline = index < lines.length - 1 ? '\n' : '';
+    const control = line.match(STANDALONE_CONTROL_LINE);
+    if (control) return control[1];
+    const variable = line.match(STANDALONE_VARIABLE_LINE);
+    if (variable) return `{{#if ${variable[1]}}}${line}${newline}{{/if}}`;
+    return line + newline;
+  }).join('');
+};
+
+/**
+ * 把模板解析为节点树
+ * @param {string} template - 模板文本
+ * @returns {Array} 节点：字符串、{ type: 'var', path, quote } 或 { type: 'if', path, negate, then, otherwise }
+ * @throws {Error} 条件块未闭合或不匹配时
+ */
+export function parseTemplate(template) {
+  const source = normalizeStandaloneLines(String(template || ''));
+  const root = { nodes: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    const current = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      current.nodes.push(source.slice(lastIndex, match.index));
+    }
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    const [, block, blockPath, control, quote, quotePath, variable] = match;
+    if (block) {
+      const node = { type: 'if', tag: block.slice(1), path: blockPath, negate: block === '#unless', then: [], otherwise: [] };
+      node.nodes = node.then;
+      current.nodes.push(node);
+      stack.push(node);
+    } else if (control === 'else') {
+      if (stack.length === 1 || current.nodes === current.otherwise) {
+        throw new Error(`Unexpected {{else}} at position ${match.index}`);
+      }
+      current.nodes = current.otherwise;
+    } else if (control) {
+      if (stack.length === 1 || control.slice(1) !== current.tag) {
+        throw new Error(`Unexpected {{${control}}} at position ${match.index}`);
+      }
+      stack.pop();
+    } else if (quote) {
+      current.nodes.push({ type: 'var', path: quotePath, quote: true });
+    } else {
+      current.nodes.push({ type: 'var', path: variable });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#${stack[stack.length - 1].tag} ${stack[stack.length - 1].path}}}`);
+  }
+  if (lastIndex < source.length) {
+    root.nodes.push(source.slice(lastIndex));
+  }
+  return root.nodes;
+}
+
+const lookup = (vars, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), vars);
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const stringify = (value) => {
+  if (value === undefined || value === null || value === false) return '';
+  if (Array.isArray(value)) return value.map(stringify).filter(Boolean).join('\n');
+  return String(value);
+};
+
+// 给每一行加上引用前缀（空行也保留 ">"，引用块才不会断开）
+const toQuote = (text) => text.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+
+const renderNodes = (nodes, vars) => nodes.map(node => {
+  if (typeof node === 'string') return node;
+  if (node.type === 'var') {
+    const text = stringify(lookup(vars, node.path));
+    return node.quote && text ? toQuote(text) : text;
+  }
+  const passed = isTruthy(lookup(vars, node.path)) !== node.negate;
+  return renderNodes(passed ? node.then : node.otherwise, vars);
+}).join('');
+
+/**
+ * 编译模板，返回渲染函数
+ * @param {string} template - 模板文本
+ * @returns {Function} (vars) => string
+ */
+export function compileTemplate(template) {
+  const nodes = parseTemplate(template);
+  return (vars = {}) => renderNodes(nodes, vars);
+}
+
+/**
+ * 渲染模板
+ * @param {string} template - 模板文本
+ * @param {Object} vars - 变量
+ * @returns {string}
+ */
+export function renderTemplate(template, vars) {
+  return compileTemplate(template)(vars);
+}
+
+// ==================== 导入导出 ====================
+/**
+ * 序列化为可分享的 JSON 文件内容
+ */
+export function serializeTemplates(templates) {
+  const data = {};
+  TEMPLATE_NAMES.forEach(name => {
+    data[name] = templates?.[name] || '';
+  });
+
+  return JSON.stringify({
+    type: TEMPLATE_FILE_TYPE,
+    version: TEMPLATE_FILE_VERSION,
+    templates: data
+  }, null, 2);
+}
+
+/**
+ * 解析导入的模板 JSON，并检查每个模板的语法
+ * @param {string} text - 文件内容
+ * @returns {Object} 模板（只含已知的模板名）
+ * @throws {Error} 格式不正确时
+ */
+export function parseTemplatesFile(text) {
+  const data = JSON.parse(text);
+  // 也接受直接保存的模板对象
+  const source = data?.type === TEMPLATE_FILE_TYPE ? data.templates : data;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    throw new Error('Invalid template file');
+  }
+
+  const templates = {};
+  TEMPLATE_NAMES.forEach(name => {
+    const value = source[name];
+    if (value === undefined || value === null) return;
+    if (typeof value !== 'string') {
+      throw new Error(`Template "${name}" must be a string`);
+    }
+    parseTemplate(value);
+    templates[name] = value;
+  });
+
+  if (Object.keys(templates).length === 0) {
+    throw new Error('Invalid template file');
+  }
+  return templates;
+}
@@ -0,0 +1,314 @@
+// utils/export/obsidianVaultExporter.js
+// Obsidian 仓库导出：每个对话一篇笔记（按平台、项目或日期分文件夹），图片放入 attachments/，
+// Artifact 单独成笔记，另生成索引笔记（MOC）
+// 笔记名由原始标题和对话ID组成，重命名只改显示标题和别名；重复导出会覆盖原来的笔记，而不是生成新文件
+
+import JSZip from 'jszip';
+import { saveAs } from 'file-saver';
+import { MarkdownGenerator } from '../exportManager';
+import { collectMessageImageRefs } from './markdownImageZipExporter';
+import { DateTimeUtils, PlatformUtils, TextUtils, resolveRawTimestamp } from '../fileParser';
+import { getRenameManager } from '../renameManager';
+import { t } from '../../index.js';
+
+const ot = (key, params) => t(`exportManager.obsidian.${key}`, params);
+
+// 目录和索引笔记使用固定名称，切换界面语言后重复导出仍然落在同一位置
+const VAULT_ROOT = 'Lyra';
+const INDEX_NOTE = 'Lyra Index';
+const CONVERSATIONS_FOLDER = 'Conversations';
+const ARTIFACTS_FOLDER = 'Artifacts';
+const ATTACHMENTS_FOLDER = 'attachments';
+const NO_PROJECT_FOLDER = 'No Project';
+const UNDATED_FOLDER = 'Undated';
+
+// ==================== 工具函数 ====================
+// 去掉 Obsidian 文件名和链接中不允许的字符
+const sanitizeNoteName = (name, fallback = 'Untitled') => {
+  const cleaned = String(name || '')
+    .replace(/[\\/:*?"<>|#^[\]]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 80)
+    .trim();
+  return cleaned || fallback;
+};
+
+const sanitizeTag = (tag) => String(tag || '')
+  .trim()
+  .replace(/^#/, '')
+  .replace(/\s+/g, '-')
+  .replace(/[,.;:!?'"()[\]{}<>#&*+=|\\`~^$%@]/g, '');
+
+const yamlString = (value) => JSON.stringify(String(value));
+
+const wikiLink = (noteName, alias) => {
+  const label = String(alias || '').replace(/[|[\]]/g, ' ').trim();
+  return label && label !== noteName ? `[[${noteName}|${label}]]` : `[[${noteName}]]`;
+};
+
+const buildFrontMatter = (fields, tags = []) => {
+  const lines = ['---'];
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    if (Array.isArray(value)) {
+      lines.push(`${key}:`);
+      value.forEach(item => lines.push(`  - ${yamlString(item)}`));
+    } else {
+      lines.push(`${key}: ${typeof value === 'number' ? value : yamlString(value)}`);
+    }
+  });
+  if (tags.length > 0) {
+    lines.push('tags:');
+    tags.forEach(tag => lines.push(`  - ${tag}`));
+  }
+  lines.push('---', '');
+  return lines.join('\n');
+};
+
+// 自定义属性：与 MarkdownGenerator 一致，含逗号的值视为列表
+const getCustomProperties = (properties = []) => Object.fromEntries(
+  properties
+    .filter(prop => prop?.name)
+    .map(prop => [prop.name, String(prop.value || '').includes(',')
+      ? prop.value.split(',').map(value => value.trim())
+      : prop.value])
+);
+
+const getCreatedDate = (item) => (
+  DateTimeUtils.toISODate(resolveRawTimestamp(item.raw_data)) ||
+  DateTimeUtils.toISODate(item.chat_history?.[0]?.timestamp)
+);
+
+/**
+ * 按 Artifact ID 合并创建和修改记录，得到每个 Artifact 的最终内容
+ * @returns {Array} [{ key, firstTitle, title, type, language, content, versions, items }]，items 为消息中的原始 Artifact 对象
+ */
+const collectArtifacts = (messages) => {
+  const artifacts = new Map();
+
+  for (const msg of messages) {
+    for (const artifact of msg.artifacts || []) {
+      const key = artifact.id || artifact.title || `artifact-${artifacts.size + 1}`;
+      if (!artifacts.has(key)) {
+        artifacts.set(key, { key, firstTitle: artifact.title || '', title: '', type: '', language: '', content: '', versions: 0, items: [] });
+      }
+      const entry = artifacts.get(key);
+
+      if (artifact.command === 'update' && artifact.old_str) {
+        entry.content = entry.content.replace(artifact.old_str, () => artifact.new_str || '');
+      } else if (artifact.command === 'rewrite') {
+        entry.content = artifact.content || artifact.new_str || entry.content;
+      } else if (artifact.content) {
+        entry.content = artifact.content;
+      }
+      entry.title = artifact.title || entry.title;
+      entry.type = artifact.type || entry.type;
+      entry.language = artifact.language || entry.language;
+      entry.versions++;
+      entry.items.push(artifact);
+    }
+  }
+
+  return Array.from(artifacts.values());
+};
+
+/**
+ * 仓库笔记生成器：front matter 换成仓库属性，Artifact 换成指向单独笔记的链接
+ */
+class VaultMarkdownGenerator extends MarkdownGenerator {
+  generateMetadata() {
+    return this.config.vaultFrontMatter || '';
+  }
+
+  formatMessage(msg, index) {
+    // 同一条消息里对同一个 Artifact 的多次修改只链接一次
+    this.linkedArtifactNotes = new Set();
+    return super.formatMessage(msg, index);
+  }
+
+  formatArtifact(artifact) {
+    const note = this.config.artifactNotes?.get(artifact);
+    if (!note) return super.formatArtifact(artifact);
+    if (this.linkedArtifactNotes.has(note)) return '';
+    this.linkedArtifactNotes.add(note);
+    return `> 📄 ${wikiLink(note.noteName, note.title)}\n`;
+  }
+}
+
+// ==================== 笔记 ====================
+const describeConversation = (item, layout) => {
+  const meta = item.meta_info || {};
+  const cardUuid = item._exportConfig?.conversationUuid;
+  const id = meta.uuid || cardUuid || '';
+  const originalTitle = meta.title || t('exportManager.metadata.defaultTitle');
+  const platform = item.platform || meta.platform || item.format || '';
+  const project = meta.project?.name || '';
+  const created = getCreatedDate(item);
+
+  let folder = sanitizeNoteName(PlatformUtils.getPlatformName(platform));
+  if (layout === 'project') folder = project ? sanitizeNoteName(project) : NO_PROJECT_FOLDER;
+  if (layout === 'date') folder = created ? `${created.slice(0, 4)}/${created.slice(0, 7)}` : UNDATED_FOLDER;
+
+  return {
+    item,
+    id,
+    // 没有任何ID时用标题和创建日期生成，保证重复导出时不变
+    shortId: id.replace(/[^a-zA-Z0-9]/g, '').slice(-8) || TextUtils.hashString(`${originalTitle}|${created}`),
+    originalTitle,
+    title: cardUuid ? getRenameManager().getRename(cardUuid, originalTitle) : originalTitle,
+    platform,
+    project,
+    model: meta.model || '',
+    created,
+    folder
+  };
+};
+
+/**
+ * 确定笔记名：原始标题加对话ID，不随导出范围、导出顺序或重命名变化
+ * 链接只用笔记名，对话ID保证整个仓库中不重名；显示标题写入 front matter 和链接别名
+ */
+const getNoteName = (entry) => `${sanitizeNoteName(entry.originalTitle)} (${entry.shortId})`;
+
+/**
+ * Artifact 笔记名：首个版本的标题加对话ID和 Artifact ID 的哈希，后续修改不改变笔记名
+ */
+const getArtifactNoteName = (artifact, entry) => (
+  `${sanitizeNoteName(artifact.firstTitle, 'Artifact')} (${entry.shortId}-${TextUtils.hashString(artifact.key)})`
+);
+
+const buildArtifactNote = (artifact, entry, tags) => {
+  const isMarkdown = artifact.type === 'text/markdown';
+  const body = isMarkdown
+    ? artifact.content
+    : ['```' + (artifact.language || ''), artifact.content, '```'].join('\n');
+
+  return [
+    buildFrontMatter({
+      title: artifact.title,
+      aliases: artifact.title ? [artifact.title] : [],
+      conversation: wikiLink(entry.noteName),
+      type: artifact.type,
+      language: artifact.language,
+      versions: artifact.versions
+    }, [...tags, 'artifact']),
+    `# ${artifact.title || entry.noteName}`,
+    '',
+    `${ot('fromConversation')}: ${wikiLink(entry.noteName, entry.title)}`,
+    '',
+    body,
+    ''
+  ].join('\n');
+};
+
+const buildIndexNote = (entries, tags) => {
+  const lines = [
+    buildFrontMatter({ title: INDEX_NOTE }, tags),
+    `# ${ot('indexTitle')}`,
+    '',
+    `*${t('exportManager.metadata.exportTime')}: ${DateTimeUtils.formatDateTime(new Date())}*`,
+    `*${ot('indexSummary', { conversations: entries.length, artifacts: entries.reduce((sum, entry) => sum + entry.artifacts.length, 0) })}*`,
+    ''
+  ];
+
+  const folders = new Map();
+  entries.forEach(entry => {
+    if (!folders.has(entry.folder)) folders.set(entry.folder, []);
+    folders.get(entry.folder).push(entry);
+  });
+
+  Array.from(folders.keys()).sort().forEach(folder => {
+    lines.push(`## ${folder}`, '');
+    folders.get(folder)
+      .sort((a, b) => (b.created || '').localeCompare(a.created || '') || a.noteName.localeCompare(b.noteName))
+      .forEach(entry => {
+        const details = [entry.created, entry.model, entry.tags.map(tag => `#${tag}`).join(' ')].filter(Boolean);
+        lines.push(`- ${wikiLink(entry.noteName, entry.title)}${details.length > 0 ? ` · ${details.join(' · ')}` : ''}`);
+        entry.artifacts.forEach(artifact => {
+          lines.push(`  - 📄 ${wikiLink(artifact.noteName, artifact.title)}`);
+        });
+      });
+    lines.push('');
+  });
+
+  return lines.join('\n');
+};
+
+// ==================== 导出 ====================
+/**
+ * 生成 Obsidian 仓库 ZIP
+ * @param {Array} dataList - processedData 列表（chat_history 已按标记筛选），
+ *   _exportConfig.conversationUuid 为卡片UUID，_exportConfig.marks 为该对话的标记
+ * @param {Object} config - Markdown 导出配置，另含 obsidianVaultLayout: 'platform' | 'project' | 'date'
+ * @returns {JSZip}
+ */
+export const buildObsidianVault = (dataList, config = {}) => {
+  const zip = new JSZip();
+  const usedImageNames = new Set();
+  const layout = config.obsidianVaultLayout || 'platform';
+  const userTags = (config.obsidianTags || []).map(sanitizeTag).filter(Boolean);
+  const customProperties = getCustomProperties(config.obsidianProperties);
+
+  const entries = dataList.map(item => describeConversation(item, layout));
+  entries.forEach(entry => {
+    entry.noteName = getNoteName(entry);
+  });
+
+  entries.forEach(entry => {
+    const { item } = entry;
+    const messages = item.chat_history || [];
+    const platformTag = sanitizeTag(entry.platform).toLowerCase();
+    entry.tags = [...userTags, platformTag].filter((tag, index, list) => tag && list.indexOf(tag) === index);
+
+    // Artifact：每个 ID 一篇笔记，内容为最后一个版本
+    const artifactNotes = new Map();
+    entry.artifacts = (config.includeArtifacts ? collectArtifacts(messages) : []).map(artifact => {
+      const note = { ...artifact, noteName: getArtifactNoteName(artifact, entry) };
+      artifact.items.forEach(original => artifactNotes.set(original, note));
+      zip.file(`${VAULT_ROOT}/${ARTIFACTS_FOLDER}/${entry.noteName}/${note.noteName}.md`, buildArtifactNote(note, entry, userTags));
+      return note;
+    });
+
+    const imageRefsByMessageKey = collectMessageImageRefs(messages, zip, usedImageNames, {
+      folder: `${VAULT_ROOT}/${ATTACHMENTS_FOLDER}`,
+      namePrefix: entry.shortId,
+      formatRef: (fileName) => `![[${fileName}]]`
+    });
+
+    const vaultFrontMatter = buildFrontMatter({
+      title: entry.title,
+      aliases: [entry.title],
+      lyra_id: entry.id,
+      platform: PlatformUtils.getPlatformName(entry.platform),
+      model: entry.model,
+      project: entry.project,
+      created: entry.created,
+      messages: messages.length,
+      ...customProperties
+    }, entry.tags);
+
+    const generator = new VaultMarkdownGenerator({
+      ...config,
+      marks: item._exportConfig?.marks,
+      conversationUuid: item._exportConfig?.conversationUuid,
+      imageRefsByMessageKey,
+      artifactNotes,
+      vaultFrontMatter
+    });
+    zip.file(`${VAULT_ROOT}/${CONVERSATIONS_FOLDER}/${entry.folder}/${entry.noteName}.md`, generator.generate(item));
+  });
+
+  zip.file(`${VAULT_ROOT}/${INDEX_NOTE}.md`, buildIndexNote(entries, userTags));
+  return zip;
+};
+
+/**
+ * 导出 Obsidian 仓库 ZIP
+ */
+export const exportObsidianVault = async (dataList, config = {}) => {
+  const zip = buildObsidianVault(dataList, config);
+  const zipBlob = await zip.generateAsync({ type: 'blob' });
+  saveAs(zipBlob, `Obsidian_Vault_${DateTimeUtils.getCurrentDate()}.zip`);
+  return true;
+};
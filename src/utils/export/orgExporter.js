@@ -0,0 +1,342 @@
+// utils/export/orgExporter.js
+// Org-mode 导出：每条消息是一个带 :PROPERTIES: 抽屉（uuid、parent、sender、timestamp、branch）的标题，
+// 思考过程和工具放入 #+begin_details 块，Markdown 正文转为 Org 语法，LaTeX 保留为 Org 原生公式片段
+
+import { saveAs } from 'file-saver';
+import { MarkdownGenerator } from '../exportManager';
+import { DateTimeUtils, PlatformUtils } from '../fileParser';
+import { buildBranchTree, walkBranchTree, unwrapDetails } from '../formatHelpers';
+import { t } from '../../index.js';
+
+const gt = (key, params) => t(`exportManager.${key}`, params);
+
+// 转换行内格式时临时替换代码和公式，避免被当作强调符号处理
+const PLACEHOLDER_START = '\uE000';
+const PLACEHOLDER_END = '\uE001';
+const BOLD_MARK = '\uE002';
+
+// ==================== Markdown → Org ====================
+// 源码块中以 * 或 #+ 开头的行需要用逗号转义，否则会被当作标题或关键字
+const escapeBlockLine = (line) => line.replace(/^(\s*)(,*(?:\*|#\+))/, '$1,$2');
+
+// 属性和关键字的值只能占一行
+const singleLine = (value) => String(value).replace(/\s*\n\s*/g, ' ').trim();
+
+/**
+ * 转换行内格式：代码、公式、链接、图片、粗体、斜体、删除线
+ */
+const convertInline = (text) => {
+  const protectedParts = [];
+  const protect = (value) => {
+    protectedParts.push(value);
+    return `${PLACEHOLDER_START}${protectedParts.length - 1}${PLACEHOLDER_END}`;
+  };
+
+  let result = text
+    .replace(/`([^`]+)`/g, (_, code) => protect(`~${code}~`))
+    .replace(/\$\$([^$]+)\$\$/g, (_, latex) => protect(`\\[${latex}\\]`))
+    .replace(/\\\[([\s\S]+?)\\\]/g, (whole) => protect(whole))
+    .replace(/\\\(([\s\S]+?)\\\)/g, (whole) => protect(whole))
+    .replace(/(^|[^\\$])\$([^\s$](?:[^$]*[^\s$])?)\$(?!\d)/g, (_, before, latex) => before + protect(`\\(${latex}\\)`))
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g, (_, alt, url) => protect(`[[${url}]]`))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (_, label, url) => protect(`[[${url}][${label}]]`));
+
+  result = result
+    .replace(/\*\*([^*]+)\*\*/g, `${BOLD_MARK}$1${BOLD_MARK}`)
+    .replace(/__([^_]+)__/g, `${BOLD_MARK}$1${BOLD_MARK}`)
+    .replace(/(^|[^*\w])\*([^*\s](?:[^*]*[^*\s])?)\*(?![*\w])/g, '$1/$2/')
+    .replace(/(^|[^_\w])_([^_\s](?:[^_]*[^_\s])?)_(?![_\w])/g, '$1/$2/')
+    .replace(/~~([^~]+)~~/g, '+$1+')
+    .replace(new RegExp(BOLD_MARK, 'g'), '*');
+
+  const placeholderPattern = new RegExp(`${PLACEHOLDER_START}(\\d+)${PLACEHOLDER_END}`, 'g');
+  return result.replace(placeholderPattern, (_, index) => protectedParts[Number(index)]);
+};
+
+/**
+ * 把 Markdown 文本转换为 Org 语法
+ * 标题转为粗体行（消息本身已是标题，正文标题不能打乱层级），代码块转为 #+begin_src，
+ * 引用转为 #+begin_quote，表格分隔行转为 Org 格式，公式保留为 \( \) 和 \[ \]
+ */
+export const markdownToOrg = (markdown) => {
+  const output = [];
+  let codeFence = null;
+  let inMath = false;
+  let inQuote = false;
+
+  const closeQuote = () => {
+    if (inQuote) output.push('#+end_quote');
+    inQuote = false;
+  };
+
+  String(markdown || '').split('\n').forEach(line => {
+    if (codeFence) {
+      if (line.trim().startsWith(codeFence)) {
+        output.push('#+end_src');
+        codeFence = null;
+      } else {
+        output.push(escapeBlockLine(line));
+      }
+      return;
+    }
+
+    if (inMath) {
+      if (line.trim() === '$$' || line.trim() === '\\]') {
+        output.push('\\]');
+        inMath = false;
+      } else {
+        output.push(line);
+      }
+      return;
+    }
+
+    const fence = /^\s*(`{3,}|~{3,})\s*([\w+#-]*)/.exec(line);
+    if (fence) {
+      closeQuote();
+      codeFence = fence[1];
+      output.push(`#+begin_src ${fence[2] || 'text'}`);
+      return;
+    }
+
+    if (line.trim() === '$$' || line.trim() === '\\[') {
+      closeQuote();
+      output.push('\\[');
+      inMath = true;
+      return;
+    }
+
+    const quote = /^\s*>\s?(.*)$/.exec(line);
+    if (quote) {
+      if (!inQuote) output.push('#+begin_quote');
+      inQuote = true;
+      output.push(convertInline(quote[1]));
+      return;
+    }
+    closeQuote();
+
+    const heading = /^\s*#{1,6}\s+(.+?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      output.push(`*${convertInline(heading[1].replace(/\*\*|__/g, ''))}*`);
+      return;
+    }
+
+    if (/^\s*\|(\s*:?-{3,}:?\s*\|)+\s*$/.test(line)) {
+      const columns = line.trim().split('|').length - 2;
+      output.push(`|${Array(columns).fill('---').join('+')}|`);
+      return;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      output.push('-----');
+      return;
+    }
+
+    const bullet = /^(\s*)[*+]\s+(.*)$/.exec(line);
+    if (bullet) {
+      output.push(`${bullet[1]}- ${convertInline(bullet[2])}`);
+      return;
+    }
+
+    output.push(convertInline(line));
+  });
+
+  closeQuote();
+  if (codeFence) output.push('#+end_src');
+  if (inMath) output.push('\\]');
+  return output.join('\n');
+};
+
+/**
+ * 生成 #+begin_details 折叠块，摘要写在块参数中
+ */
+const detailsBlock = (summary, body) => [
+  `#+begin_details ${singleLine(summary)}`,
+  body,
+  '#+end_details',
+  ''
+].join('\n');
+
+/**
+ * Org-mode 生成器：复用 MarkdownGenerator 的筛选、标题格式、发送者标签和各部分内容
+ */
+export class OrgGenerator extends MarkdownGenerator {
+  constructor(config = {}) {
+    // 消息层级由 Org 星号决定，不使用 Markdown 标题前缀；Markdown 模板不适用于 Org
+    super({ ...config, includeHeaderPrefix: false, markdownTemplates: null });
+  }
+
+  /**
+   * 生成完整的 Org 文档
+   */
+  generate(processedData) {
+    return [
+      this.generateHeader(processedData),
+      this.generateMessages(processedData),
+      convertInline(this.generateFooter(processedData))
+    ].filter(Boolean).join('\n');
+  }
+
+  getTitle(processedData) {
+    const { meta_info = {} } = processedData;
+    const uuid = this.config.conversationUuid || meta_info.uuid;
+    const originalTitle = meta_info.title || gt('metadata.defaultTitle');
+    return uuid ? this.renameManager.getRename(uuid, originalTitle) : originalTitle;
+  }
+
+  /**
+   * 文件级属性抽屉和关键字
+   */
+  generateHeader(processedData) {
+    const { meta_info = {} } = processedData;
+    const platform = meta_info.platform || processedData.platform;
+    const properties = {
+      PLATFORM: platform ? PlatformUtils.getPlatformName(platform) : '',
+      MODEL: meta_info.model,
+      UUID: meta_info.uuid
+    };
+    const propertyLines = Object.entries(properties)
+      .filter(([, value]) => value)
+      .map(([key, value]) => `:${key}: ${singleLine(value)}`);
+
+    const lines = propertyLines.length > 0 ? [':PROPERTIES:', ...propertyLines, ':END:'] : [];
+    lines.push(`#+TITLE: ${singleLine(this.getTitle(processedData))}`);
+    if (meta_info.created_at) lines.push(`#+DATE: ${singleLine(meta_info.created_at)}`);
+
+    const filterDescription = this.getFilterDescription();
+    if (filterDescription) {
+      lines.push(`#+DESCRIPTION: ${gt('metadata.filterCondition')}: ${filterDescription}`);
+    }
+
+    lines.push('');
+    return lines.join('\n');
+  }
+
+  /**
+   * 生成消息标题：有父子关系时分支下降一层，否则按顺序平铺
+   */
+  generateMessages(processedData) {
+    const { chat_history = [] } = processedData;
+    const filteredMessages = this.filterMessages(chat_history);
+
+    if (filteredMessages.length === 0) {
+      return convertInline(gt('messages.noMatchingMessages')) + '\n';
+    }
+
+    const sections = [];
+    const tree = buildBranchTree(chat_history, filteredMessages);
+    if (!tree) {
+      filteredMessages.forEach((msg, index) => sections.push(this.formatOrgMessage(msg, index + 1, 1)));
+      return sections.join('\n');
+    }
+
+    let counter = 0;
+    walkBranchTree(tree, {
+      onMessage: (msg, depth, branch) => sections.push(this.formatOrgMessage(msg, ++counter, depth + 1, branch)),
+      onBranch: (branch, depth) => sections.push(`${'*'.repeat(depth + 1)} 🔀 ${gt('format.branch', { label: branch })}\n`)
+    });
+    return sections.join('\n');
+  }
+
+  /**
+   * 单条消息：标题 + 属性抽屉 + 正文和各折叠块
+   */
+  formatOrgMessage(msg, index, level, branch) {
+    const title = this.formatMessageTitle(msg, index, this.getBranchMarker(msg));
+    const drawer = {
+      UUID: msg.uuid,
+      PARENT: msg.parent_uuid,
+      SENDER: this.getSenderLabel(msg),
+      TIMESTAMP: msg.timestamp,
+      BRANCH: branch
+    };
+
+    const lines = [
+      `${'*'.repeat(level)} ${singleLine(title)}`,
+      ':PROPERTIES:',
+      ...Object.entries(drawer)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => `:${key}: ${singleLine(value)}`),
+      ':END:'
+    ];
+
+    if (this.config.includeTimestamps && msg.timestamp) {
+      lines.push(`/${msg.timestamp}/`);
+    }
+    lines.push('');
+
+    const isHuman = msg.sender === 'human';
+
+    if (msg.thinking && this.config.includeThinking && !isHuman) {
+      lines.push(detailsBlock(`💭 ${gt('format.thinkingProcess')}`, markdownToOrg(msg.thinking)));
+    }
+
+    if (msg.display_text) {
+      lines.push(markdownToOrg(msg.display_text), '');
+    }
+
+    const imageRefs = this.getImageRefs(msg, index);
+    if (imageRefs.length > 0) {
+      lines.push(...imageRefs.map(markdownToOrg), '');
+    }
+
+    if (msg.attachments?.length > 0 && this.config.includeAttachments && isHuman) {
+      const attachments = this.formatAttachments(msg.attachments).trim().split('\n').map(escapeBlockLine).join('\n');
+      lines.push(detailsBlock(gt('format.attachments'), ['#+begin_example', attachments, '#+end_example'].join('\n')));
+    }
+
+    if (msg.artifacts?.length > 0 && this.config.includeArtifacts && !isHuman) {
+      msg.artifacts.forEach(artifact => lines.push(this.formatOrgDetails(this.formatArtifact(artifact))));
+    }
+
+    if (msg.tools?.length > 0 && this.config.includeTools) {
+      msg.tools.forEach(tool => lines.push(this.formatOrgDetails(this.formatTool(tool))));
+    }
+
+    if (msg.citations?.length > 0 && this.config.includeCitations) {
+      lines.push(this.formatOrgDetails(this.formatCitations(msg.citations)));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * 把 <details> 格式的内容转换为 #+begin_details 块
+   */
+  formatOrgDetails(text) {
+    const details = unwrapDetails(text);
+    if (!details) return markdownToOrg(text) + '\n';
+    return detailsBlock(details.summary, markdownToOrg(details.body));
+  }
+}
+
+// ==================== 导出 ====================
+/**
+ * 生成 Org 文件名
+ */
+export const generateOrgFileName = (title) => {
+  const cleanTitle = String(title || 'conversation').replace(/[^a-zA-Z0-9\u4e00-\u9fa5]/g, '_');
+  return `${cleanTitle}_${DateTimeUtils.getCurrentDate()}.org`;
+};
+
+/**
+ * 导出 Org 文件：单个对话保存为 .org，多个对话交给 BatchExportManager 打包为 ZIP
+ * @param {Array} dataList - processedData 列表，_exportConfig.marks 为该对话的标记
+ * @param {Object} config - Markdown 导出配置
+ */
+export const exportOrgFiles = async (dataList, config = {}) => {
+  if (dataList.length === 1) {
+    const [item] = dataList;
+    const generator = new OrgGenerator({
+      ...config,
+      marks: item._exportConfig?.marks,
+      conversationUuid: item._exportConfig?.conversationUuid
+    });
+    const blob = new Blob([generator.generate(item)], { type: 'text/plain;charset=utf-8' });
+    saveAs(blob, generateOrgFileName(generator.getTitle(item)));
+    return true;
+  }
+
+  const { batchExportManager } = await import('../batchExportManager');
+  await batchExportManager.exportProcessedDataToZip(dataList, { ...config, format: 'org' });
+  return true;
+};
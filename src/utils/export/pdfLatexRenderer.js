@@ -27,7 +27,7 @@ const LATEX_RENDER_CONSTANTS = {
 /**
  * LaTeX到Unicode的映射表
  */
-const LATEX_UNICODE_MAP = {
+export const LATEX_UNICODE_MAP = {
   // 希腊字母小写
   'alpha': 'α', 'beta': 'β', 'gamma': 'γ', 'delta': 'δ',
   'epsilon': 'ε', 'varepsilon': 'ε', 'zeta': 'ζ', 'eta': 'η',
@@ -96,7 +96,7 @@ const LATEX_UNICODE_MAP = {
 };
 
 // 数学花体字母映射表（\mathcal{X}）
-const MATHCAL_MAP = {
+export const MATHCAL_MAP = {
   'A': '𝒜', 'B': 'ℬ', 'C': '𝒞', 'D': '𝒟', 'E': 'ℰ', 'F': 'ℱ',
   'G': '𝒢', 'H': 'ℋ', 'I': 'ℐ', 'J': '𝒥', 'K': '𝒦', 'L': 'ℒ',
   'M': 'ℳ', 'N': '𝒩', 'O': '𝒪', 'P': '𝒫', 'Q': '𝒬', 'R': 'ℛ',
@@ -105,7 +105,7 @@ const MATHCAL_MAP = {
 };
 
 // 黑板粗体映射（\mathbb{X}）
-const MATHBB_MAP = {
+export const MATHBB_MAP = {
   'A': '𝔸', 'B': '𝔹', 'C': 'ℂ', 'D': '𝔻', 'E': '𝔼', 'F': '𝔽',
   'G': '𝔾', 'H': 'ℍ', 'I': '𝕀', 'J': '𝕁', 'K': '𝕂', 'L': '𝕃',
   'M': '𝕄', 'N': 'ℕ', 'O': '𝕆', 'P': 'ℙ', 'Q': 'ℚ', 'R': 'ℝ',
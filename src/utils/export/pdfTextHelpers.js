@@ -242,8 +242,10 @@ export function parseTextWithCodeBlocksAndLatex(text) {
  * 解析行内markdown格式和LaTeX
  * 返回格式化的文本片段数组
  * 支持嵌套结构（如 **$...$** 会生成包含LaTeX子节点的粗体节点）
+ * @param {string} text - 文本
+ * @param {Function} normalize - 文本片段的清理函数，默认为适配 PDF 字体的 cleanText
  */
-export function parseInlineMarkdown(text) {
+export function parseInlineMarkdown(text, normalize = cleanText) {
   const segments = [];
 
   // 正则表达式模式（按优先级）
@@ -300,14 +302,14 @@ export function parseInlineMarkdown(text) {
     if (match.start > lastEnd) {
       segments.push({
         type: 'normal',
-        text: cleanText(text.substring(lastEnd, match.start))
+        text: normalize(text.substring(lastEnd, match.start))
       });
     }
 
     // 处理匹配项
     if (match.recursive && match.type !== 'latex-inline') {
       // 递归解析内部内容（粗体/斜体内可能包含LaTeX）
-      const innerSegments = parseInlineMarkdown(match.text);
+      const innerSegments = parseInlineMarkdown(match.text, normalize);
       segments.push({
         type: match.type,
         children: innerSegments
@@ -316,7 +318,7 @@ export function parseInlineMarkdown(text) {
       // 非递归类型（LaTeX、代码、链接）
       segments.push({
         type: match.type,
-        text: match.type === 'latex-inline' ? match.text : cleanText(match.text),
+        text: match.type === 'latex-inline' ? match.text : normalize(match.text),
         url: match.url
       });
     }
@@ -328,7 +330,7 @@ export function parseInlineMarkdown(text) {
   if (lastEnd < text.length) {
     segments.push({
       type: 'normal',
-      text: cleanText(text.substring(lastEnd))
+      text: normalize(text.substring(lastEnd))
     });
   }
 
@@ -336,7 +338,7 @@ export function parseInlineMarkdown(text) {
   if (segments.length === 0) {
     segments.push({
       type: 'normal',
-      text: cleanText(text)
+      text: normalize(text)
     });
   }
 
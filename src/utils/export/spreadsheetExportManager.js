@@ -0,0 +1,302 @@
+// utils/export/spreadsheetExportManager.js
+// 表格导出：每条消息一行，便于在 Excel / pandas 中统计分析
+//
+// CSV 为单个文件（所有对话合并）；XLSX 直接生成 SpreadsheetML 并用 JSZip 打包，每个对话一张工作表，另附汇总表
+import JSZip from 'jszip';
+import { saveAs } from 'file-saver';
+import { DateTimeUtils } from '../fileParser';
+import { buildBranchTree, walkBranchTree, escapeXml, toExcelColumn } from '../formatHelpers';
+import { countWords } from '../textUtils';
+import { cleanCodeText } from './pdfTextHelpers';
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// 列名保持英文蛇形命名，方便脚本按列名读取
+export const SPREADSHEET_COLUMNS = [
+  'conversation_title',
+  'conversation_uuid',
+  'message_uuid',
+  'parent_uuid',
+  'sender',
+  'model',
+  'timestamp',
+  'branch_id',
+  'characters',
+  'words',
+  'completed',
+  'important',
+  'deleted',
+  'has_thinking',
+  'has_tools',
+  'has_artifacts',
+  'has_images'
+];
+
+const SUMMARY_COLUMNS = [
+  'sheet',
+  'conversation_title',
+  'conversation_uuid',
+  'platform',
+  'model',
+  'messages',
+  'human_messages',
+  'assistant_messages',
+  'branches',
+  'characters',
+  'words',
+  'completed',
+  'important',
+  'deleted'
+];
+
+const SUMMARY_SHEET_NAME = 'Summary';
+const MAX_SHEET_NAME_LENGTH = 31;
+
+// ==================== 工具函数 ====================
+const hasImages = (msg) => (msg.images?.length > 0) ||
+  (msg.attachments || []).some(att => att.is_embedded_image || att.file_type?.startsWith('image/'));
+
+/**
+ * 计算每条消息所在的分支：优先使用解析器给出的 branch_id，否则按父子关系推算
+ */
+const getBranchIds = (messages) => {
+  const branchIds = new Map();
+  const tree = buildBranchTree(messages, messages);
+  if (tree) {
+    walkBranchTree(tree, {
+      onMessage: (msg, depth, branch) => branchIds.set(msg.uuid, branch),
+      onBranch: () => {}
+    });
+  }
+  messages.forEach(msg => {
+    if (msg.branch_id) branchIds.set(msg.uuid, msg.branch_id);
+  });
+  return branchIds;
+};
+
+// ==================== CSV ====================
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// ==================== XLSX 片段 ====================
+// XML 1.0 不允许的控制字符需要去掉（cleanCodeText 会移除），否则 Excel 会提示文件损坏
+const xmlText = (text) => escapeXml(cleanCodeText(String(text ?? '')));
+
+const cellXml = (value, ref, style) => {
+  const styleAttr = style ? ` s="${style}"` : '';
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+  }
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${xmlText(value)}</t></is></c>`;
+};
+
+/**
+ * 生成工作表：首行为加粗表头并冻结，整个区域启用自动筛选
+ */
+const buildSheetXml = (columns, rows) => {
+  const lastColumn = toExcelColumn(columns.length);
+  const headerRow = `<row r="1">${columns.map((name, index) => cellXml(name, `${toExcelColumn(index + 1)}1`, 1)).join('')}</row>`;
+  const dataRows = rows.map((row, rowIndex) => {
+    const rowNumber = rowIndex + 2;
+    const cells = columns.map((name, index) => cellXml(row[name], `${toExcelColumn(index + 1)}${rowNumber}`)).join('');
+    return `<row r="${rowNumber}">${cells}</row>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><dimension ref="A1:${lastColumn}${rows.length + 1}"/><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><sheetFormatPr defaultRowHeight="15"/><sheetData>${headerRow}${dataRows.join('')}</sheetData><autoFilter ref="A1:${lastColumn}${rows.length + 1}"/></worksheet>`;
+};
+
+const buildContentTypesXml = (sheetCount) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>${
+  Array.from({ length: sheetCount }, (_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+}</Types>`;
+
+const ROOT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`;
+
+// 样式 0 为默认，样式 1 为加粗表头
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs><cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles></styleSheet>`;
+
+const buildWorkbookXml = (sheetNames) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${
+  sheetNames.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+}</sheets></workbook>`;
+
+const buildWorkbookRelsXml = (sheetCount) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${
+  Array.from({ length: sheetCount }, (_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+}<Relationship Id="rId${sheetCount + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`;
+
+/**
+ * 工作表名：最长 31 个字符，不能包含 []:*?/\，且不区分大小写唯一
+ */
+const getUniqueSheetName = (title, usedNames) => {
+  const baseName = cleanCodeText(String(title || ''))
+    .replace(/[[\]:*?/\\]/g, '_')
+    .replace(/\s+/g, ' ')
+    .replace(/^'+|'+$/g, '')
+    .trim() || 'Conversation';
+
+  let name = baseName.slice(0, MAX_SHEET_NAME_LENGTH);
+  for (let counter = 2; usedNames.has(name.toLowerCase()); counter++) {
+    const suffix = ` (${counter})`;
+    name = baseName.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+  }
+  usedNames.add(name.toLowerCase());
+  return name;
+};
+
+/**
+ * 表格导出管理器
+ */
+export class SpreadsheetExportManager {
+  constructor(config = {}) {
+    this.config = {
+      format: 'csv',
+      ...config
+    };
+  }
+
+  /**
+   * 主导出方法
+   * @param {Array} conversations - [{ title, uuid, platform, model, messages, filteredMessages, marks }]，
+   *   messages 为完整消息（用于推算分支），filteredMessages 为按标记筛选后要导出的消息，marks 为 {completed, important, deleted}
+   * @param {Object} meta - 导出元数据(title)
+   * @returns {Promise<{rows, conversations}|null>} 没有可导出的消息时返回 null
+   */
+  async exportToSpreadsheet(conversations, meta = {}) {
+    const tables = this.buildTables(conversations);
+    const rowCount = tables.reduce((sum, table) => sum + table.rows.length, 0);
+    if (rowCount === 0) return null;
+
+    let blob;
+    let extension;
+    if (this.config.format === 'xlsx') {
+      const zip = this.buildWorkbook(tables);
+      blob = await zip.generateAsync({ type: 'blob', mimeType: XLSX_MIME_TYPE, compression: 'DEFLATE' });
+      extension = 'xlsx';
+    } else {
+      // 带 BOM，Excel 打开时才能正确识别 UTF-8
+      blob = new Blob(['\uFEFF' + this.toCSV(tables)], { type: 'text/csv;charset=utf-8' });
+      extension = 'csv';
+    }
+
+    const fileName = this.generateFileName(meta, extension);
+    saveAs(blob, fileName);
+    console.log('[表格导出] 导出完成:', fileName, rowCount);
+    return { rows: rowCount, conversations: tables.length };
+  }
+
+  /**
+   * 把每个对话转换为行数据
+   * @returns {Array<{conversation, rows}>}
+   */
+  buildTables(conversations) {
+    return conversations.map(conversation => ({
+      conversation,
+      rows: this.buildRows(conversation)
+    }));
+  }
+
+  buildRows({ title, uuid, model, messages = [], filteredMessages, marks }) {
+    const branchIds = getBranchIds(messages);
+    return (filteredMessages || messages).map(msg => {
+      const text = msg.display_text || '';
+      return {
+        conversation_title: title || '',
+        conversation_uuid: uuid || '',
+        message_uuid: msg.uuid || '',
+        parent_uuid: msg.parent_uuid || '',
+        sender: msg.sender || '',
+        model: msg.model || model || '',
+        timestamp: msg.timestamp || '',
+        branch_id: branchIds.get(msg.uuid) || '',
+        characters: text.length,
+        words: countWords(text),
+        completed: !!marks?.completed?.has(msg.index),
+        important: !!marks?.important?.has(msg.index),
+        deleted: !!marks?.deleted?.has(msg.index),
+        has_thinking: !!msg.thinking,
+        has_tools: msg.tools?.length > 0,
+        has_artifacts: msg.artifacts?.length > 0,
+        has_images: hasImages(msg)
+      };
+    });
+  }
+
+  /**
+   * 汇总表：每个对话一行
+   */
+  buildSummaryRow({ conversation, rows, sheetName }) {
+    const count = (predicate) => rows.filter(predicate).length;
+    return {
+      sheet: sheetName,
+      conversation_title: conversation.title || '',
+      conversation_uuid: conversation.uuid || '',
+      platform: conversation.platform || '',
+      model: conversation.model || '',
+      messages: rows.length,
+      human_messages: count(row => row.sender === 'human'),
+      assistant_messages: count(row => row.sender !== 'human'),
+      branches: new Set(rows.map(row => row.branch_id).filter(Boolean)).size,
+      characters: rows.reduce((sum, row) => sum + row.characters, 0),
+      words: rows.reduce((sum, row) => sum + row.words, 0),
+      completed: count(row => row.completed),
+      important: count(row => row.important),
+      deleted: count(row => row.deleted)
+    };
+  }
+
+  toCSV(tables) {
+    const lines = [SPREADSHEET_COLUMNS.map(csvCell).join(',')];
+    tables.forEach(({ rows }) => {
+      rows.forEach(row => lines.push(SPREADSHEET_COLUMNS.map(name => csvCell(row[name])).join(',')));
+    });
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * 生成 XLSX 包：汇总表在前，随后每个对话一张工作表
+   * @returns {JSZip} 尚未生成文件的 JSZip 对象
+   */
+  buildWorkbook(tables) {
+    const usedNames = new Set([SUMMARY_SHEET_NAME.toLowerCase()]);
+    const sheets = tables
+      .filter(table => table.rows.length > 0)
+      .map(table => ({ ...table, sheetName: getUniqueSheetName(table.conversation.title, usedNames) }));
+
+    const sheetNames = [SUMMARY_SHEET_NAME, ...sheets.map(sheet => sheet.sheetName)];
+    const sheetXmls = [
+      buildSheetXml(SUMMARY_COLUMNS, sheets.map(sheet => this.buildSummaryRow(sheet))),
+      ...sheets.map(sheet => buildSheetXml(SPREADSHEET_COLUMNS, sheet.rows))
+    ];
+
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', buildContentTypesXml(sheetXmls.length));
+    zip.file('_rels/.rels', ROOT_RELS_XML);
+    zip.file('xl/workbook.xml', buildWorkbookXml(sheetNames));
+    zip.file('xl/_rels/workbook.xml.rels', buildWorkbookRelsXml(sheetXmls.length));
+    zip.file('xl/styles.xml', STYLES_XML);
+    sheetXmls.forEach((xml, i) => zip.file(`xl/worksheets/sheet${i + 1}.xml`, xml));
+    return zip;
+  }
+
+  /**
+   * 生成文件名
+   */
+  generateFileName(meta, extension) {
+    const date = DateTimeUtils.getCurrentDate();
+    const cleanTitle = (meta.title || 'messages').replace(/[^a-zA-Z0-9\u4e00-\u9fa5]/g, '_');
+    return `${cleanTitle}_${date}.${extension}`;
+  }
+}
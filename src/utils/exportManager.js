@@ -1,10 +1,12 @@
 // utils/exportManager.js
 import { StorageUtils } from '../App';
-import { DateTimeUtils, FileUtils } from './fileParser';
-import { generateFileCardUuid, generateConversationCardUuid, parseUuid, generateFileHash } from './data/uuidManager';
-import { extractChatData, detectBranches } from './fileParser';
+import { DateTimeUtils, FileUtils, PlatformUtils } from './fileParser';
+import { generateFileCardUuid, generateConversationCardUuid, groupCardUuidsByFile } from './data/uuidManager';
+import { isFullExportFormat, loadConversationData } from './fileParser';
+import { withParsedFile } from './fileParser/parseWorkerClient';
 import { MarkManager } from './data/markManager';
 import { SortManager } from './data/sortManager';
+import { StarManager } from './data/starManager';
 import { getRenameManager } from './renameManager';
 import {
   escapeXml,
@@ -14,12 +16,15 @@ import {
   formatArtifact as formatArtifactHelper,
   formatTool as formatToolHelper,
   formatCitations as formatCitationsHelper,
+  formatCharacterCard as formatCharacterCardHelper,
   getBranchMarker as getBranchMarkerHelper,
   getSenderLabel as getSenderLabelHelper,
   toExcelColumn,
   toRoman
 } from './formatHelpers';
 import { exportMarkdownWithImagesZip } from './export/markdownImageZipExporter';
+import { compileTemplate } from './export/markdownTemplates';
+import { getToolResultText } from './textUtils';
 import { t } from '../index.js';
 
 /**
@@ -60,9 +65,15 @@ export class MarkdownGenerator {
    * 生成完整的Markdown文档
    */
   generate(processedData) {
+    const documentTemplate = this.getTemplate('document');
+    if (documentTemplate) {
+      return this.renderDocument(documentTemplate, processedData, this.generateMessages(processedData));
+    }
+
     const sections = [
       this.generateMetadata(processedData),
       this.generateHeader(processedData),
+      this.generateCharacterCards(processedData),
       this.generateMessages(processedData),
       this.generateFooter(processedData)
     ];
@@ -137,6 +148,16 @@ export class MarkdownGenerator {
     return lines.join('\n');
   }
 
+  /**
+   * 生成角色卡（SillyTavern 聊天附带角色卡时）
+   */
+  generateCharacterCards(processedData) {
+    const cards = processedData.meta_info?.character_cards || [];
+    if (cards.length === 0) return '';
+
+    return [...cards.map(card => formatCharacterCardHelper(card, gt)), '---', ''].join('\n');
+  }
+
   /**
    * 生成消息内容
    */
@@ -148,9 +169,13 @@ export class MarkdownGenerator {
       return gt('messages.noMatchingMessages') + '\n';
     }
 
-    return filteredMessages
-      .map((msg, index) => this.formatMessage(msg, index + 1))
-      .join('\n---\n\n');
+    const messages = filteredMessages.map((msg, index) => this.formatMessage(msg, index + 1));
+
+    // 自定义消息模板：消息之间只空一行，分隔线等由模板自行决定
+    if (this.getTemplate('message')) {
+      return messages.map(text => text.replace(/\n+$/, '')).join('\n\n') + '\n';
+    }
+    return messages.join('\n---\n\n');
   }
 
   /**
@@ -210,7 +235,12 @@ export class MarkdownGenerator {
   /**
   * 格式化单条消息
   */
-  formatMessage(msg, index) {
+  formatMessage(msg, index, branch) {
+  const messageTemplate = this.getTemplate('message');
+  if (messageTemplate) {
+    return this.renderMessage(messageTemplate, msg, index, branch);
+  }
+
   const lines = [];
 
   // 标题 - 使用配置的格式
@@ -279,6 +309,11 @@ export class MarkdownGenerator {
    * 格式化思考过程
    */
   formatThinking(thinking) {
+    const thinkingTemplate = this.getTemplate('thinking');
+    if (thinkingTemplate) {
+      return thinkingTemplate({ thinking, label: gt('format.thinkingLabel') });
+    }
+
     const format = this.config.thinkingFormat || 'codeblock';
     return formatThinkingHelper(thinking, format, gt('format.thinkingLabel'));
   }
@@ -312,6 +347,17 @@ export class MarkdownGenerator {
    * 格式化Artifact
    */
   formatArtifact(artifact) {
+    const artifactTemplate = this.getTemplate('artifact');
+    if (artifactTemplate) {
+      return artifactTemplate({
+        id: artifact.id || '',
+        title: artifact.title || gt('format.noTitle'),
+        type: artifact.type || '',
+        language: artifact.language || '',
+        command: artifact.command || '',
+        content: artifact.content || ''
+      });
+    }
     return formatArtifactHelper(artifact, gt);
   }
 
@@ -319,6 +365,15 @@ export class MarkdownGenerator {
    * 格式化工具使用
    */
   formatTool(tool) {
+    const toolTemplate = this.getTemplate('tool');
+    if (toolTemplate) {
+      return toolTemplate({
+        name: tool.name || '',
+        query: tool.query || '',
+        input: tool.input && typeof tool.input === 'object' ? JSON.stringify(tool.input, null, 2) : (tool.input || ''),
+        result: getToolResultText(tool.result?.content ?? tool.result, { includeSearchResults: true })
+      });
+    }
     return formatToolHelper(tool, gt);
   }
 
@@ -326,6 +381,18 @@ export class MarkdownGenerator {
    * 格式化引用
    */
   formatCitations(citations) {
+    const citationTemplate = this.getTemplate('citation');
+    if (citationTemplate) {
+      return citations.map((citation, index) => {
+        const url = citation.url || '';
+        return citationTemplate({
+          number: index + 1,
+          title: citation.title || gt('format.unknownSource'),
+          url,
+          source: url.includes('/') ? url.split('/')[2] : ''
+        });
+      }).join('\n') + '\n';
+    }
     return formatCitationsHelper(citations, gt);
   }
 
@@ -394,6 +461,88 @@ export class MarkdownGenerator {
 
     return filters.join(',');
   }
+
+  // ==================== 自定义模板 ====================
+  /**
+   * 获取已启用且非空的模板（编译结果缓存在实例上）
+   * @param {string} name - 模板名，见 TEMPLATE_NAMES
+   * @returns {Function|null} 渲染函数，未设置时返回 null（使用内置格式）
+   */
+  getTemplate(name) {
+    const templates = this.config.markdownTemplates;
+    if (!templates?.enabled || !templates[name]?.trim()) return null;
+
+    this.compiledTemplates = this.compiledTemplates || {};
+    if (!this.compiledTemplates[name]) {
+      this.compiledTemplates[name] = compileTemplate(templates[name]);
+    }
+    return this.compiledTemplates[name];
+  }
+
+  /**
+   * 用文档模板生成整篇文档
+   * @param {Function} template - 编译后的文档模板
+   * @param {string} messages - 已生成的消息部分
+   */
+  renderDocument(template, processedData, messages) {
+    const { meta_info = {}, chat_history = [] } = processedData;
+    const uuid = this.config.conversationUuid || meta_info.uuid;
+    const originalTitle = meta_info.title || gt('metadata.defaultTitle');
+    const platform = meta_info.platform || processedData.platform;
+
+    return template({
+      title: uuid ? this.renameManager.getRename(uuid, originalTitle) : originalTitle,
+      created: meta_info.created_at || '',
+      exportTime: DateTimeUtils.formatDateTime(new Date()),
+      date: DateTimeUtils.getCurrentDate(),
+      platform: platform ? PlatformUtils.getPlatformName(platform) : '',
+      model: meta_info.model || '',
+      uuid: meta_info.uuid || '',
+      messageCount: this.filterMessages(chat_history).length,
+      totalCount: chat_history.length,
+      filters: this.getFilterDescription(),
+      frontMatter: this.generateMetadata(processedData),
+      characterCards: this.generateCharacterCards(processedData),
+      messages,
+      footer: this.generateFooter(processedData).trim()
+    });
+  }
+
+  /**
+   * 用消息模板格式化单条消息：各部分仍受导出内容开关控制
+   * @param {string} [branch] - 分支标签（全部分支导出时传入）
+   */
+  renderMessage(template, msg, index, branch) {
+    const isHuman = msg.sender === 'human';
+    const marks = this.config.marks || {};
+    const markNames = ['completed', 'important', 'deleted'].filter(mark => marks[mark]?.has(msg.index));
+    const branchMarker = this.getBranchMarker(msg);
+
+    return template({
+      title: this.formatMessageTitle(msg, index, branchMarker),
+      number: index,
+      sender: this.getSenderLabel(msg),
+      role: msg.sender,
+      isHuman,
+      isAssistant: !isHuman,
+      timestamp: this.config.includeTimestamps ? msg.timestamp || '' : '',
+      branch: branch || msg.branch_id || '',
+      branchMarker: branchMarker.trim(),
+      uuid: msg.uuid || '',
+      parentUuid: msg.parent_uuid || '',
+      marks: markNames.join(', '),
+      completed: markNames.includes('completed'),
+      important: markNames.includes('important'),
+      deleted: markNames.includes('deleted'),
+      content: msg.display_text || '',
+      thinking: msg.thinking && this.config.includeThinking && !isHuman ? this.formatThinking(msg.thinking) : '',
+      images: this.getImageRefs(msg, index),
+      attachments: msg.attachments?.length > 0 && this.config.includeAttachments && isHuman ? this.formatAttachments(msg.attachments) : '',
+      artifacts: this.config.includeArtifacts && !isHuman ? (msg.artifacts || []).map(artifact => this.formatArtifact(artifact)) : [],
+      tools: this.config.includeTools ? (msg.tools || []).map(tool => this.formatTool(tool)) : [],
+      citations: msg.citations?.length > 0 && this.config.includeCitations ? this.formatCitations(msg.citations) : ''
+    });
+  }
 }
 
 /**
@@ -477,21 +626,65 @@ export class FileExporter {
 }
 
 /**
- * 辅助函数：处理单个文件
+ * 辅助函数：读取文件的解析数据交给 use 处理
+ * 当前文件沿用页面已加载的数据（Worker 中的容器不再重新解析），其他文件在 Worker 中解析
+ */
+function processFileForExport(file, fileIndex, { currentFileIndex, fileData }, use) {
+  const loadedData = fileIndex === currentFileIndex ? fileData : null;
+  return withParsedFile(file, use, { loadedData });
+}
+
+/**
+ * 辅助函数：把多对话容器展开为逐个对话的导出数据
+ * @param {Array|null} conversationUuids - 只导出指定对话，null 表示全部
+ */
+async function expandLibraryForExport(data, file, fileIndex, conversationUuids = null) {
+  const conversations = (data.views?.conversationList || [])
+    .filter(conv => !conversationUuids || conversationUuids.includes(conv.uuid));
+  const renameManager = getRenameManager();
+  const results = [];
+
+  // 逐个读取：Worker 中的容器按需返回对话
+  for (const conv of conversations) {
+    const convData = await loadConversationData(data, conv.uuid, { cache: false });
+    if (!convData) continue;
+
+    const convUuid = generateConversationCardUuid(fileIndex, conv.uuid, file);
+    const convSortManager = new SortManager(convData.chat_history || [], convUuid);
+
+    results.push({
+      ...convData,
+      meta_info: {
+        ...convData.meta_info,
+        title: renameManager.getRename(convUuid, conv.name || convData.meta_info?.title || '未命名对话'),
+        project: convData.meta_info?.project || conv.project || null
+      },
+      chat_history: convSortManager.getSortedMessages(),
+      _exportConfig: { conversationUuid: convUuid, isStarred: !!conv.is_starred }
+    });
+  }
+
+  return results;
+}
+
+/**
+ * 辅助函数：收集整个文件的导出数据（多对话容器逐个对话导出）
  */
-async function processFileForExport(file, fileIndex) {
-  // 检查是否有预处理的合并数据（用于合并的JSONL文件）
-  if (file._mergedProcessedData) {
-    console.log('[Lyra] 使用预处理的合并数据:', file.name);
-    return file._mergedProcessedData;
-  }
-
-  // 否则正常解析文件
-  const text = await file.text();
-  const jsonData = JSON.parse(text);
-  let data = extractChatData(jsonData, file.name);
-  data = detectBranches(data);
-  return data;
+function collectFileExportData(file, fileIndex, context) {
+  return processFileForExport(file, fileIndex, context, async (data) => {
+    if (isFullExportFormat(data.format)) {
+      return expandLibraryForExport(data, file, fileIndex);
+    }
+
+    const fileUuid = generateFileCardUuid(fileIndex, file);
+    const fileSortManager = new SortManager(data.chat_history || [], fileUuid);
+
+    return [{
+      ...data,
+      chat_history: fileSortManager.getSortedMessages(),
+      _exportConfig: { conversationUuid: fileUuid }
+    }];
+  });
 }
 
 /**
@@ -535,6 +728,238 @@ function filterMessagesByOptions(messages, exportOptions, markManagerRef) {
   });
 }
 
+/**
+ * 获取当前对话或当前分支要导出的消息（保留自定义排序）
+ */
+function getCurrentScopeMessages({ scope, processedData, sortManagerRef, sortedMessages, displayMessages }) {
+  if (scope === 'current') {
+    return sortManagerRef?.current?.hasCustomSort() ?
+      sortedMessages : (processedData.chat_history || []);
+  }
+
+  const branchMessages = displayMessages || processedData.chat_history || [];
+  return sortManagerRef?.current?.hasCustomSort() ?
+    sortManagerRef.current.getSortedMessages().filter(msg =>
+      branchMessages.some(bm => bm.uuid === msg.uuid)
+    ) : branchMessages;
+}
+
+/**
+ * 按导出范围收集要导出的对话数据（Markdown 和 EPUB 共用）
+ * fileData 为当前文件已加载的数据，导出当前文件时直接使用
+ * @returns {Promise<Array>} processedData 列表，_exportConfig.conversationUuid 为对应的卡片UUID
+ */
+async function collectExportData({
+  exportOptions,
+  processedData,
+  sortManagerRef,
+  sortedMessages,
+  displayMessages,
+  operatedFiles,
+  files,
+  currentFileIndex,
+  fileData
+}) {
+  let dataToExport = [];
+  const fileContext = { currentFileIndex, fileData };
+  
+  switch (exportOptions.scope) {
+    case 'current':
+    case 'allBranches':
+      if (processedData) {
+        // 全部分支按消息树排列，不使用自定义排序
+        const messagesToExport = exportOptions.scope === 'current' && sortManagerRef?.current?.hasCustomSort() ?
+          sortedMessages : (processedData.chat_history || []);
+
+        // 内联：获取对话UUID（容器中的对话使用对话卡片UUID）
+        let conversationUuid = null;
+        if (exportOptions.selectedConversationUuid) {
+          if (files[currentFileIndex]) {
+            conversationUuid = generateConversationCardUuid(currentFileIndex, exportOptions.selectedConversationUuid, files[currentFileIndex]);
+          }
+        } else if (files[currentFileIndex]) {
+          conversationUuid = generateFileCardUuid(currentFileIndex, files[currentFileIndex]);
+        }
+
+        dataToExport = [{
+          ...processedData,
+          chat_history: messagesToExport,
+          _exportConfig: { conversationUuid }
+        }];
+      }
+      break;
+    
+    case 'currentBranch':
+      if (processedData && processedData.chat_history) {
+        let branchMessages = displayMessages || processedData.chat_history || [];
+
+        const messagesToExport = sortManagerRef?.current?.hasCustomSort() ?
+          sortManagerRef.current.getSortedMessages().filter(msg =>
+            branchMessages.some(bm => bm.uuid === msg.uuid)
+          ) : branchMessages;
+
+        // 内联：获取对话UUID（容器中的对话使用对话卡片UUID）
+        let conversationUuid = null;
+        if (exportOptions.selectedConversationUuid) {
+          if (files[currentFileIndex]) {
+            conversationUuid = generateConversationCardUuid(currentFileIndex, exportOptions.selectedConversationUuid, files[currentFileIndex]);
+          }
+        } else if (files[currentFileIndex]) {
+          conversationUuid = generateFileCardUuid(currentFileIndex, files[currentFileIndex]);
+        }
+
+        dataToExport = [{
+          ...processedData,
+          chat_history: messagesToExport,
+          _exportConfig: { conversationUuid }
+        }];
+      }
+      break;
+      
+    case 'operated': {
+      // 按文件分组：文件UUID导出整个文件，对话UUID只导出容器中的对应对话
+      const operatedByFile = groupCardUuidsByFile(operatedFiles, files);
+
+      for (const [fileIndex, entry] of operatedByFile) {
+        const file = files[fileIndex];
+        try {
+          const items = await processFileForExport(file, fileIndex, fileContext, async (data) => {
+            if (isFullExportFormat(data.format)) {
+              return entry.conversationUuids.length > 0 ?
+                expandLibraryForExport(data, file, fileIndex, entry.conversationUuids) : [];
+            }
+            if (!entry.wholeFile) return [];
+
+            const fileUuid = generateFileCardUuid(fileIndex, file);
+            const fileSortManager = new SortManager(data.chat_history || [], fileUuid);
+            const sortedMsgs = fileSortManager.getSortedMessages();
+
+            return [{
+              ...data,
+              chat_history: sortedMsgs,
+              _exportConfig: { conversationUuid: fileUuid }
+            }];
+          });
+          dataToExport.push(...items);
+        } catch (err) {
+          console.error(`无法处理文件 ${file.name}:`, err);
+        }
+      }
+      break;
+    }
+      
+    case 'currentFile':
+      // 当前文件：多对话容器导出其中全部对话
+      if (files[currentFileIndex]) {
+        try {
+          dataToExport = await collectFileExportData(files[currentFileIndex], currentFileIndex, fileContext);
+        } catch (err) {
+          console.error(`无法处理文件 ${files[currentFileIndex].name}:`, err);
+        }
+      }
+      break;
+
+    case 'all':
+      for (let fileIndex = 0; fileIndex < files.length; fileIndex++) {
+        const file = files[fileIndex];
+        try {
+          dataToExport.push(...await collectFileExportData(file, fileIndex, fileContext));
+        } catch (err) {
+          console.error(`无法处理文件 ${file.name}:`, err);
+        }
+      }
+      break;
+  }
+
+  return dataToExport;
+}
+
+/**
+ * 获取某个导出对话的标记：当前对话沿用页面上的标记，其他对话按卡片UUID读取各自的标记
+ */
+function getItemMarkManagerRef(item, exportOptions, markManagerRef) {
+  if (['current', 'currentBranch', 'allBranches'].includes(exportOptions.scope)) {
+    return markManagerRef;
+  }
+  const uuid = item._exportConfig?.conversationUuid;
+  return { current: uuid ? new MarkManager(uuid) : null };
+}
+
+/**
+ * 收集数据集导出的对话：消息保留完整的分支结构，allowedUuids 为按标记筛选后保留的消息
+ */
+async function collectDatasetConversations({ exportOptions, markManagerRef, ...scopeArgs }) {
+  const dataList = await collectExportData({ exportOptions, ...scopeArgs });
+  const filterOptions = exportOptions.datasetBranchMode === 'important'
+    ? { ...exportOptions, includeImportant: true }
+    : exportOptions;
+
+  return dataList.map(item => {
+    const messages = item.chat_history || [];
+    const itemMarkManagerRef = getItemMarkManagerRef(item, exportOptions, markManagerRef);
+    return {
+      title: item.meta_info?.title,
+      messages,
+      allowedUuids: new Set(filterMessagesByOptions(messages, filterOptions, itemMarkManagerRef).map(msg => msg.uuid)),
+      systemPrompt: item.meta_info?.system_prompt || ''
+    };
+  });
+}
+
+/**
+ * 收集表格导出的对话：messages 为完整消息（用于推算分支），filteredMessages 为按标记筛选后导出的行
+ */
+async function collectSpreadsheetConversations({ exportOptions, markManagerRef, ...scopeArgs }) {
+  const dataList = await collectExportData({ exportOptions, ...scopeArgs });
+
+  return dataList.map(item => {
+    const messages = item.chat_history || [];
+    const itemMarkManagerRef = getItemMarkManagerRef(item, exportOptions, markManagerRef);
+    const conversationUuid = item._exportConfig?.conversationUuid;
+    const title = item.meta_info?.title || '';
+    return {
+      title: conversationUuid ? getRenameManager().getRename(conversationUuid, title) : title,
+      uuid: item.meta_info?.uuid || '',
+      platform: item.meta_info?.platform || item.platform || '',
+      model: item.meta_info?.model || '',
+      messages,
+      filteredMessages: filterMessagesByOptions(messages, exportOptions, itemMarkManagerRef),
+      marks: itemMarkManagerRef.current?.getMarks()
+    };
+  });
+}
+
+const getDatasetConfig = (exportOptions) => ({
+  format: exportOptions.datasetFormat || 'openai',
+  branchMode: exportOptions.datasetBranchMode || 'latest',
+  includeThinking: exportOptions.includeThinking,
+  includeTools: exportOptions.includeTools,
+  includeArtifacts: exportOptions.includeArtifacts
+});
+
+/**
+ * 预估数据集导出的样本数和 token 数（导出面板中的预览）
+ * @returns {Promise<{samples, conversations, totalTokens, maxTokens}>}
+ */
+export async function previewDatasetExport({
+  exportOptions,
+  processedData,
+  sortManagerRef,
+  sortedMessages,
+  markManagerRef,
+  operatedFiles,
+  files,
+  currentFileIndex,
+  fileData,
+  displayMessages
+}) {
+  const conversations = await collectDatasetConversations({
+    exportOptions, markManagerRef, processedData, sortManagerRef, sortedMessages, displayMessages, operatedFiles, files, currentFileIndex, fileData
+  });
+  const { DatasetExportManager } = await import('./export/datasetExportManager');
+  return new DatasetExportManager(getDatasetConfig(exportOptions)).preview(conversations);
+}
+
 /**
  * 处理导出操作
  */
@@ -548,6 +973,7 @@ export async function handleExport({
   operatedFiles,
   files,
   currentFileIndex,
+  fileData,
   displayMessages,
   i18n,
   openScreenshotPreview,  // 新增：打开截图预览面板的回调
@@ -564,17 +990,9 @@ export async function handleExport({
       }
 
       // 准备要导出的消息
-      let messagesToExport = [];
-      if (exportOptions.scope === 'current') {
-        messagesToExport = sortManagerRef?.current?.hasCustomSort() ?
-          sortedMessages : (processedData.chat_history || []);
-      } else if (exportOptions.scope === 'currentBranch') {
-        const branchMessages = displayMessages || processedData.chat_history || [];
-        messagesToExport = sortManagerRef?.current?.hasCustomSort() ?
-          sortManagerRef.current.getSortedMessages().filter(msg =>
-            branchMessages.some(bm => bm.uuid === msg.uuid)
-          ) : branchMessages;
-      }
+      const messagesToExport = getCurrentScopeMessages({
+        scope: exportOptions.scope, processedData, sortManagerRef, sortedMessages, displayMessages
+      });
 
       // 应用筛选条件
       const filteredMessages = filterMessagesByOptions(messagesToExport, exportOptions, markManagerRef);
@@ -614,6 +1032,93 @@ export async function handleExport({
       );
     }
 
+    // 检查是否为DOCX导出
+    if (exportOptions.exportFormat === 'docx') {
+      // DOCX导出只支持当前对话或当前分支
+      if (exportOptions.scope !== 'current' && exportOptions.scope !== 'currentBranch') {
+        alert(gt('errors.docxOnlySupportsCurrent'));
+        return false;
+      }
+
+      const messagesToExport = getCurrentScopeMessages({
+        scope: exportOptions.scope, processedData, sortManagerRef, sortedMessages, displayMessages
+      });
+      const filteredMessages = filterMessagesByOptions(messagesToExport, exportOptions, markManagerRef);
+
+      if (filteredMessages.length === 0) {
+        alert(gt('errors.noMatchingMessages'));
+        return false;
+      }
+
+      // 动态导入DOCX导出管理器
+      const { DOCXExportManager } = await import('./export/docxExportManager');
+      const docxManager = new DOCXExportManager();
+
+      return docxManager.exportToDOCX(
+        filteredMessages,
+        {
+          name: processedData?.meta_info?.title || 'Conversation',
+          platform: processedData?.meta_info?.platform || 'Claude',
+          model: processedData?.meta_info?.model,
+          created_at: processedData?.meta_info?.created_at
+        },
+        {
+          includeThinking: exportOptions.includeThinking,
+          includeArtifacts: exportOptions.includeArtifacts,
+          includeTimestamps: exportOptions.includeTimestamps,
+          includeTools: exportOptions.includeTools,
+          includeCitations: exportOptions.includeCitations,
+          includeAttachments: exportOptions.includeAttachments
+        }
+      );
+    }
+
+    // 检查是否为HTML导出
+    if (exportOptions.exportFormat === 'html') {
+      // HTML导出只支持当前对话或当前分支（当前对话导出时可在文件中切换分支）
+      if (exportOptions.scope !== 'current' && exportOptions.scope !== 'currentBranch') {
+        alert(gt('errors.htmlOnlySupportsCurrent'));
+        return false;
+      }
+
+      const messagesToExport = getCurrentScopeMessages({
+        scope: exportOptions.scope, processedData, sortManagerRef, sortedMessages, displayMessages
+      });
+      const filteredMessages = filterMessagesByOptions(messagesToExport, exportOptions, markManagerRef);
+
+      if (filteredMessages.length === 0) {
+        alert(gt('errors.noMatchingMessages'));
+        return false;
+      }
+
+      // 动态导入HTML导出管理器（包含 Markdown 渲染和代码高亮，体积较大）
+      const { HTMLExportManager } = await import('./export/htmlExportManager');
+      const htmlManager = new HTMLExportManager();
+
+      return htmlManager.exportToHTML(
+        filteredMessages,
+        {
+          name: processedData?.meta_info?.title || 'Conversation',
+          platform: processedData?.meta_info?.platform || 'Claude',
+          model: processedData?.meta_info?.model,
+          created_at: processedData?.meta_info?.created_at
+        },
+        {
+          includeThinking: exportOptions.includeThinking,
+          includeArtifacts: exportOptions.includeArtifacts,
+          includeTimestamps: exportOptions.includeTimestamps,
+          includeTools: exportOptions.includeTools,
+          includeCitations: exportOptions.includeCitations,
+          theme: currentTheme,
+          allMessages: processedData.chat_history || [],
+          getMarks: (msg) => ({
+            completed: markManagerRef?.current?.isMarked(msg.index, 'completed'),
+            important: markManagerRef?.current?.isMarked(msg.index, 'important')
+          })
+        }
+      );
+    }
+
     // 检查是否为截图导出
     if (exportOptions.exportFormat === 'screenshot') {
       // 截图导出只支持当前对话或当前分支
@@ -623,17 +1128,9 @@ export async function handleExport({
       }
 
       // 准备要导出的消息
-      let messagesToExport = [];
-      if (exportOptions.scope === 'current') {
-        messagesToExport = sortManagerRef?.current?.hasCustomSort() ?
-          sortedMessages : (processedData.chat_history || []);
-      } else if (exportOptions.scope === 'currentBranch') {
-        const branchMessages = displayMessages || processedData.chat_history || [];
-        messagesToExport = sortManagerRef?.current?.hasCustomSort() ?
-          sortManagerRef.current.getSortedMessages().filter(msg =>
-            branchMessages.some(bm => bm.uuid === msg.uuid)
-          ) : branchMessages;
-      }
+      const messagesToExport = getCurrentScopeMessages({
+        scope: exportOptions.scope, processedData, sortManagerRef, sortedMessages, displayMessages
+      });
 
       // 应用筛选条件
       const filteredMessages = filterMessagesByOptions(messagesToExport, exportOptions, markManagerRef);
@@ -672,6 +1169,126 @@ export async function handleExport({
       return true;
     }
 
+    // Lyra 归档：完整对话 + 用户状态，不应用筛选条件
+    if (exportOptions.exportFormat === 'lyra_archive') {
+      const { buildLyraArchive, saveLyraArchive } = await import('./export/lyraArchiveExporter');
+      const archive = await buildLyraArchive({
+        scope: exportOptions.scope,
+        files,
+        currentFileIndex,
+        selectedConversationUuid: exportOptions.selectedConversationUuid,
+        operatedFiles,
+        fileData
+      });
+
+      if (archive.conversations.length === 0) {
+        alert(gt('errors.noDataToExport'));
+        return false;
+      }
+      return saveLyraArchive(archive);
+    }
+
+    // EPUB：所选范围内的每个对话生成一章
+    if (exportOptions.exportFormat === 'epub') {
+      const dataList = await collectExportData({
+        exportOptions, processedData, sortManagerRef, sortedMessages, displayMessages, operatedFiles, files, currentFileIndex, fileData
+      });
+      const renameManager = getRenameManager();
+      const starManager = exportOptions.epubStarredOnly ? new StarManager(true) : null;
+
+      const chapters = dataList
+        .filter(item => !starManager || starManager.isStarred(item._exportConfig?.conversationUuid, item._exportConfig?.isStarred))
+        .map(item => {
+          const uuid = item._exportConfig?.conversationUuid;
+          const itemMarkManagerRef = getItemMarkManagerRef(item, exportOptions, markManagerRef);
+          const originalTitle = item.meta_info?.title || gt('metadata.defaultTitle');
+
+          return {
+            title: uuid ? renameManager.getRename(uuid, originalTitle) : originalTitle,
+            messages: filterMessagesByOptions(item.chat_history || [], exportOptions, itemMarkManagerRef),
+            meta: {
+              platform: item.meta_info?.platform || item.platform,
+              model: item.meta_info?.model,
+              created_at: item.meta_info?.created_at
+            }
+          };
+        })
+        .filter(chapter => chapter.messages.length > 0);
+
+      if (chapters.length === 0) {
+        alert(gt(dataList.length === 0 ? 'errors.noDataToExport' : 'errors.noMatchingMessages'));
+        return false;
+      }
+
+      // 动态导入EPUB导出管理器（复用HTML导出的Markdown渲染）
+      const { EPUBExportManager } = await import('./export/epubExportManager');
+      const epubManager = new EPUBExportManager();
+
+      return epubManager.exportToEPUB(
+        chapters,
+        {
+          title: chapters.length === 1 ? chapters[0].title : t('exportManager.epub.bookTitle', { count: chapters.length })
+        },
+        {
+          includeThinking: exportOptions.includeThinking,
+          includeArtifacts: exportOptions.includeArtifacts,
+          includeTimestamps: exportOptions.includeTimestamps,
+          includeTools: exportOptions.includeTools,
+          includeCitations: exportOptions.includeCitations,
+          includeAttachments: exportOptions.includeAttachments,
+          mathFormat: exportOptions.epubMathFormat || 'mathml'
+        }
+      );
+    }
+
+    // 微调数据集：OpenAI chat JSONL / ShareGPT / Alpaca
+    if (exportOptions.exportFormat === 'dataset') {
+      const conversations = await collectDatasetConversations({
+        exportOptions, markManagerRef, processedData, sortManagerRef, sortedMessages, displayMessages, operatedFiles, files, currentFileIndex, fileData
+      });
+
+      if (conversations.length === 0) {
+        alert(gt('errors.noDataToExport'));
+        return false;
+      }
+
+      const { DatasetExportManager } = await import('./export/datasetExportManager');
+      const datasetManager = new DatasetExportManager(getDatasetConfig(exportOptions));
+      const stats = datasetManager.exportToDataset(conversations, {
+        title: conversations.length === 1 ? conversations[0].title : 'dataset'
+      });
+
+      if (!stats) {
+        alert(gt('errors.noMatchingMessages'));
+        return false;
+      }
+      return true;
+    }
+
+    // 表格：每条消息一行（CSV / XLSX）
+    if (exportOptions.exportFormat === 'spreadsheet') {
+      const conversations = await collectSpreadsheetConversations({
+        exportOptions, markManagerRef, processedData, sortManagerRef, sortedMessages, displayMessages, operatedFiles, files, currentFileIndex, fileData
+      });
+
+      if (conversations.length === 0) {
+        alert(gt('errors.noDataToExport'));
+        return false;
+      }
+
+      const { SpreadsheetExportManager } = await import('./export/spreadsheetExportManager');
+      const spreadsheetManager = new SpreadsheetExportManager({ format: exportOptions.spreadsheetFormat || 'csv' });
+      const stats = await spreadsheetManager.exportToSpreadsheet(conversations, {
+        title: conversations.length === 1 ? conversations[0].title : 'messages'
+      });
+
+      if (!stats) {
+        alert(gt('errors.noMatchingMessages'));
+        return false;
+      }
+      return true;
+    }
+
     // 原有的 Markdown 导出逻辑
     const exportFormatConfig = StorageUtils.getLocalStorage('export-config', {
       includeNumbering: true,
@@ -684,156 +1301,55 @@ export async function handleExport({
       includeImageFiles: false
     });
 
-    let dataToExport = [];
-    
-    switch (exportOptions.scope) {
-      case 'current':
-        if (processedData) {
-          const messagesToExport = sortManagerRef?.current?.hasCustomSort() ?
-            sortedMessages : (processedData.chat_history || []);
-
-          // 内联：获取对话UUID
-          let conversationUuid = null;
-          if (processedData.format === 'claude_full_export') {
-            const uuid = exportOptions.selectedConversationUuid || processedData.meta_info?.uuid;
-            if (uuid && files[currentFileIndex]) {
-              conversationUuid = generateConversationCardUuid(currentFileIndex, uuid, files[currentFileIndex]);
-            }
-          } else if (files[currentFileIndex]) {
-            conversationUuid = generateFileCardUuid(currentFileIndex, files[currentFileIndex]);
-          }
-
-          dataToExport = [{
-            ...processedData,
-            chat_history: messagesToExport,
-            _exportConfig: { conversationUuid }
-          }];
-        }
-        break;
-      
-      case 'currentBranch':
-        if (processedData && processedData.chat_history) {
-          let branchMessages = displayMessages || processedData.chat_history || [];
-
-          const messagesToExport = sortManagerRef?.current?.hasCustomSort() ?
-            sortManagerRef.current.getSortedMessages().filter(msg =>
-              branchMessages.some(bm => bm.uuid === msg.uuid)
-            ) : branchMessages;
-
-          // 内联：获取对话UUID
-          let conversationUuid = null;
-          if (processedData.format === 'claude_full_export') {
-            const uuid = processedData.meta_info?.uuid;
-            if (uuid && files[currentFileIndex]) {
-              conversationUuid = generateConversationCardUuid(currentFileIndex, uuid, files[currentFileIndex]);
-            }
-          } else if (files[currentFileIndex]) {
-            conversationUuid = generateFileCardUuid(currentFileIndex, files[currentFileIndex]);
-          }
+    const dataToExport = await collectExportData({
+      exportOptions, processedData, sortManagerRef, sortedMessages, displayMessages, operatedFiles, files, currentFileIndex, fileData
+    });
 
-          dataToExport = [{
-            ...processedData,
-            chat_history: messagesToExport,
-            _exportConfig: { conversationUuid }
-          }];
-        }
-        break;
-        
-      case 'operated':
-        const processedFileIndices = new Set();
-
-        for (const fileUuid of operatedFiles) {
-          const parsed = parseUuid(fileUuid);
-          let fileIndex = -1;
-          let isConversation = false;
-          let conversationUuid = null;
-
-          if (parsed.conversationUuid) {
-            isConversation = true;
-            conversationUuid = parsed.conversationUuid;
-            fileIndex = parsed.fileIndex;
-          } else {
-            fileIndex = files.findIndex((file, index) => {
-              const fUuid = generateFileCardUuid(index, file);
-              return fUuid === fileUuid || fileUuid.includes(generateFileHash(file));
-            });
-          }
+    if (dataToExport.length === 0) {
+      alert(gt('errors.noDataToExport'));
+      return false;
+    }
 
-          if (fileIndex !== -1 && !processedFileIndices.has(fileIndex)) {
-            const file = files[fileIndex];
-            try {
-              const data = await processFileForExport(file, fileIndex);
-
-              if (data.format === 'claude_full_export' && isConversation && conversationUuid) {
-                const conversation = data.views?.conversationList?.find(
-                  conv => conv.uuid === conversationUuid
-                );
-
-                if (conversation) {
-                  const conversationMessages = data.chat_history?.filter(
-                    msg => msg.conversation_uuid === conversationUuid && !msg.is_conversation_header
-                  ) || [];
-
-                  const convUuid = generateConversationCardUuid(fileIndex, conversationUuid, file);
-                  const convSortManager = new SortManager(conversationMessages, convUuid);
-                  const sortedMsgs = convSortManager.getSortedMessages();
-
-                  dataToExport.push({
-                    ...data,
-                    meta_info: {
-                      ...data.meta_info,
-                      title: conversation.name || '未命名对话',
-                      uuid: conversationUuid
-                    },
-                    chat_history: sortedMsgs,
-                    views: {
-                      conversationList: [conversation]
-                    },
-                    _exportConfig: { conversationUuid: convUuid }
-                  });
-                }
-              } else {
-                const fileSortManager = new SortManager(data.chat_history || [], fileUuid);
-                const sortedMsgs = fileSortManager.getSortedMessages();
-
-                dataToExport.push({
-                  ...data,
-                  chat_history: sortedMsgs
-                });
-
-                processedFileIndices.add(fileIndex);
-              }
-            } catch (err) {
-              console.error(`无法处理文件 ${file.name}:`, err);
-            }
-          }
+    // Logseq 块格式和 Org-mode：保留完整的分支结构，由生成器按各对话的标记筛选
+    if (exportOptions.exportFormat === 'logseq' || exportOptions.exportFormat === 'org') {
+      const dataWithMarks = dataToExport.map(item => ({
+        ...item,
+        _exportConfig: {
+          ...item._exportConfig,
+          marks: getItemMarkManagerRef(item, exportOptions, markManagerRef)?.current?.getMarks()
         }
-        break;
-        
-      case 'all':
-        for (let fileIndex = 0; fileIndex < files.length; fileIndex++) {
-          const file = files[fileIndex];
-          try {
-            const data = await processFileForExport(file, fileIndex);
+      }));
 
-            const fileUuid = generateFileCardUuid(fileIndex, file);
-            const fileSortManager = new SortManager(data.chat_history || [], fileUuid);
-            const sortedMsgs = fileSortManager.getSortedMessages();
+      if (exportOptions.exportFormat === 'org') {
+        const { exportOrgFiles } = await import('./export/orgExporter');
+        return exportOrgFiles(dataWithMarks, { ...exportFormatConfig, ...exportOptions });
+      }
+      const { exportLogseqPages } = await import('./export/logseqExporter');
+      return exportLogseqPages(dataWithMarks, { ...exportFormatConfig, ...exportOptions });
+    }
 
-            dataToExport.push({
-              ...data,
-              chat_history: sortedMsgs
-            });
-          } catch (err) {
-            console.error(`无法处理文件 ${file.name}:`, err);
-          }
-        }
-        break;
+    // 全部分支：共同前缀只写一次，每个分支单独成节，并附消息树结构图
+    if (exportOptions.scope === 'allBranches') {
+      const { exportBranchTreeMarkdown } = await import('./export/branchTreeExporter');
+      return exportBranchTreeMarkdown(dataToExport[0], {
+        ...exportFormatConfig,
+        ...exportOptions,
+        marks: markManagerRef?.current?.getMarks(),
+        conversationUuid: dataToExport[0]._exportConfig?.conversationUuid
+      });
     }
-    
-    if (dataToExport.length === 0) {
-      alert(gt('errors.noDataToExport'));
-      return false;
+
+    // Obsidian 仓库：每个对话一篇笔记，按各自的标记筛选
+    if (exportOptions.obsidianVault) {
+      const { exportObsidianVault } = await import('./export/obsidianVaultExporter');
+      return exportObsidianVault(dataToExport.map(item => {
+        const itemMarkManagerRef = getItemMarkManagerRef(item, exportOptions, markManagerRef);
+        return {
+          ...item,
+          chat_history: filterMessagesByOptions(item.chat_history || [], exportOptions, itemMarkManagerRef),
+          _exportConfig: { ...item._exportConfig, marks: itemMarkManagerRef?.current?.getMarks() }
+        };
+      }), { ...exportFormatConfig, ...exportOptions });
     }
 
     const success = await exportData({
@@ -0,0 +1,578 @@
+// apiLogParser.js
+// OpenAI / Anthropic API 请求日志的解析器和分支检测
+//
+// 日志通常是 JSONL，每行一次请求：{ request: { model, system, messages, tools }, response: {...} }
+// （也接受 { body, response: { body } }、扁平的 { model, messages, response } 等写法）
+// 每次请求都带着完整的历史消息，所以按消息前缀拼成一棵树：
+//   前缀相同的请求属于同一个对话，后续内容不同（重新生成、改写提问）的地方形成分支
+//   开头就不同（系统提示词或第一条提问不同）的请求是不同的对话
+
+import {
+  MessageBuilder,
+  DateTimeUtils,
+  TextUtils,
+  PARSER_CONFIG,
+  processAttachments,
+  buildMessageMaps,
+  markBranchPath,
+  extractBranchInfo
+} from './helpers.js';
+import { createConversationLibrary } from './conversationLibrary.js';
+import { getToolResultText } from '../textUtils';
+import claudeIcon from '../../assets/icons/Claude.svg';
+import chatgptIcon from '../../assets/icons/ChatGPT.svg';
+
+const PROVIDER_LABELS = {
+  openai_api: 'OpenAI API',
+  anthropic_api: 'Anthropic API'
+};
+
+// ==================== 工具函数 ====================
+const parseArguments = (args) => {
+  if (typeof args !== 'string') return args || {};
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    return args;
+  }
+};
+
+const toImageAttachment = (url, mimeType, index) => processAttachments([{
+  name: `image_${index + 1}`,
+  mime_type: mimeType || (url.match(/^data:([^;,]+)/)?.[1]) || 'image/png',
+  url
+}])[0];
+
+// ==================== 请求记录 ====================
+/**
+ * 取出一行日志中的请求、响应和时间
+ * @returns {{ request, response, timestamp }|null} 没有 messages 数组时返回 null
+ */
+const unwrapLogRecord = (record) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return null;
+  const request = [record.request?.body, record.request, record.body, record.input, record]
+    .find(candidate => candidate && typeof candidate === 'object' && Array.isArray(candidate.messages));
+  if (!request) return null;
+
+  const response = [record.response?.body, record.response, record.output, record.completion]
+    .find(candidate => candidate && typeof candidate === 'object' && (Array.isArray(candidate.choices) || Array.isArray(candidate.content)));
+
+  const timestamp = DateTimeUtils.toISOTime(
+    record.timestamp ?? record.created_at ?? record.time ?? record.request_time ?? response?.created ?? null
+  );
+  return { request, response: response || null, timestamp };
+};
+
+const isApiMessage = (msg) => !!msg && typeof msg === 'object' && typeof msg.role === 'string' && 'content' in msg;
+
+// Anthropic 的特征：顶层 system、内容块里的 tool_use / tool_result / thinking，或 type: 'message' 的响应
+const ANTHROPIC_BLOCK_TYPES = new Set(['tool_use', 'tool_result', 'thinking', 'redacted_thinking']);
+
+const detectProvider = ({ request, response }) => {
+  if (response?.type === 'message' || (response && Array.isArray(response.content))) return 'anthropic_api';
+  if (response?.choices) return 'openai_api';
+  if (request.system !== undefined) return 'anthropic_api';
+  const hasAnthropicBlocks = request.messages.some(msg =>
+    Array.isArray(msg?.content) && msg.content.some(block => ANTHROPIC_BLOCK_TYPES.has(block?.type))
+  );
+  return hasAnthropicBlocks ? 'anthropic_api' : 'openai_api';
+};
+
+// ==================== 消息规范化 ====================
+// 规范化后的消息（turn）：{ role, text, thinking, tools, toolResults, attachments }
+// role 为 system / user / assistant；只有工具结果的消息（OpenAI 的 role: tool）role 为 tool
+
+const createTurn = (role) => ({ role, text: '', thinking: '', tools: [], toolResults: [], attachments: [] });
+
+const appendText = (turn, text) => {
+  if (!text) return;
+  turn.text = turn.text ? `${turn.text}\n\n${text}` : text;
+};
+
+// 内容块（两家格式的常见块都在这里处理）
+const applyContentBlock = (turn, block) => {
+  if (typeof block === 'string') {
+    appendText(turn, block);
+    return;
+  }
+  if (!block || typeof block !== 'object') return;
+
+  switch (block.type) {
+    case 'text':
+    case 'input_text':
+    case 'output_text':
+      appendText(turn, block.text);
+      break;
+    case 'refusal':
+      appendText(turn, block.refusal);
+      break;
+    case 'thinking':
+      turn.thinking = [turn.thinking, block.thinking].filter(Boolean).join('\n\n');
+      break;
+    case 'image_url': {
+      const url = typeof block.image_url === 'string' ? block.image_url : block.image_url?.url;
+      if (url) turn.attachments.push(toImageAttachment(url, '', turn.attachments.length));
+      break;
+    }
+    case 'image': {
+      const source = block.source || {};
+      const url = source.type === 'base64' ? `data:${source.media_type};base64,${source.data}` : source.url;
+      if (url) turn.attachments.push(toImageAttachment(url, source.media_type, turn.attachments.length));
+      break;
+    }
+    case 'document':
+      turn.attachments.push(...processAttachments([{
+        name: block.title || block.source?.file_name || 'document',
+        mime_type: block.source?.media_type || '',
+        extracted_content: block.source?.type === 'text' ? block.source.data : ''
+      }]));
+      break;
+    case 'tool_use':
+    case 'server_tool_use':
+      turn.tools.push({ id: block.id || '', name: block.name || 'unknown', input: block.input || {}, result: null });
+      break;
+    case 'tool_result':
+    case 'web_search_tool_result':
+      turn.toolResults.push({ id: block.tool_use_id || '', content: getToolResultText(block.content), is_error: !!block.is_error });
+      break;
+    default:
+      break;
+  }
+};
+
+const normalizeMessage = (msg) => {
+  const role = msg.role === 'developer' ? 'system' : msg.role;
+
+  // OpenAI 的工具结果消息
+  if (role === 'tool' || role === 'function') {
+    const turn = createTurn('tool');
+    turn.toolResults.push({ id: msg.tool_call_id || msg.name || '', content: getToolResultText(msg.content), is_error: false });
+    return turn;
+  }
+
+  const turn = createTurn(role);
+  if (Array.isArray(msg.content)) {
+    msg.content.forEach(block => applyContentBlock(turn, block));
+  } else {
+    appendText(turn, typeof msg.content === 'string' ? msg.content : '');
+  }
+
+  // 兼容 OpenAI 接口的推理模型把思考过程放在 reasoning_content
+  const reasoning = msg.reasoning_content || (typeof msg.reasoning === 'string' ? msg.reasoning : '');
+  if (reasoning) turn.thinking = reasoning;
+
+  (msg.tool_calls || []).forEach(call => {
+    turn.tools.push({
+      id: call.id || '',
+      name: call.function?.name || call.type || 'unknown',
+      input: parseArguments(call.function?.arguments),
+      result: null
+    });
+  });
+  if (msg.function_call) {
+    turn.tools.push({ id: msg.function_call.name, name: msg.function_call.name, input: parseArguments(msg.function_call.arguments), result: null });
+  }
+
+  // Anthropic 只含 tool_result 块的 user 消息不是真正的提问
+  if (role === 'user' && !turn.text && turn.attachments.length === 0 && turn.toolResults.length > 0) {
+    turn.role = 'tool';
+  }
+  return turn;
+};
+
+const normalizeSystem = (system) => {
+  const turn = createTurn('system');
+  if (Array.isArray(system)) {
+    system.forEach(block => applyContentBlock(turn, block));
+  } else {
+    appendText(turn, typeof system === 'string' ? system : '');
+  }
+  return turn;
+};
+
+// 响应中的回答；OpenAI 的 n > 1 会有多个 choices，各自成为一个分支
+const normalizeResponse = (response, provider) => {
+  if (!response) return [];
+  const meta = {
+    model: response.model || '',
+    usage: response.usage || null,
+    stop_reason: response.stop_reason || null
+  };
+
+  if (provider === 'anthropic_api') {
+    return [{ ...normalizeMessage({ role: 'assistant', content: response.content || [] }), ...meta }];
+  }
+  return (response.choices || [])
+    .filter(choice => choice?.message)
+    .map(choice => ({
+      ...normalizeMessage({ role: 'assistant', ...choice.message }),
+      ...meta,
+      stop_reason: choice.finish_reason || null
+    }));
+};
+
+// 同一条消息在不同请求中应得到相同的键：思考过程和工具调用 id 不参与比较
+// （Anthropic 允许在后续请求中省略之前的 thinking 块）
+const getTurnKey = (turn) => JSON.stringify([
+  turn.role,
+  turn.text.trim(),
+  turn.tools.map(tool => [tool.name, tool.input]),
+  turn.toolResults.map(result => [result.id, result.content]),
+  turn.attachments.map(att => [att.file_name, att.link.length, att.link.slice(-32)])
+]);
+
+const getRequestTurns = (request, provider) => {
+  const turns = [];
+  if (provider === 'anthropic_api' && request.system) {
+    turns.push(normalizeSystem(request.system));
+  }
+  request.messages.filter(isApiMessage).forEach(msg => turns.push(normalizeMessage(msg)));
+  return turns;
+};
+
+// 请求中声明的工具名称
+const getToolNames = (request) => (Array.isArray(request.tools) ? request.tools : [])
+  .map(tool => tool?.name || tool?.function?.name)
+  .filter(Boolean);
+
+// ==================== 前缀树 ====================
+/**
+ * 把所有请求按消息前缀合并为前缀树；根节点的每个子节点是一个对话
+ * 节点：{ key, turn, timestamp, children: [] }，都是普通对象，可在 Worker 间传递
+ */
+const buildLogTree = (records) => {
+  const root = { children: [], childIndex: new Map() };
+  const conversations = new Map();
+
+  const addChild = (parent, turn, timestamp) => {
+    const key = getTurnKey(turn);
+    let node = parent.childIndex.get(key);
+    if (!node) {
+      node = { key, turn, timestamp, children: [], childIndex: new Map() };
+      parent.childIndex.set(key, node);
+      parent.children.push(node);
+      return node;
+    }
+    // 已有的节点来自之前的请求：补上后来才出现的思考过程和响应信息
+    if (!node.turn.thinking && turn.thinking) node.turn.thinking = turn.thinking;
+    if (!node.turn.model && turn.model) {
+      node.turn.model = turn.model;
+      node.turn.usage = turn.usage;
+      node.turn.stop_reason = turn.stop_reason;
+    }
+    if (!node.timestamp && timestamp) node.timestamp = timestamp;
+    return node;
+  };
+
+  records.forEach(record => {
+    const provider = detectProvider(record);
+    const turns = getRequestTurns(record.request, provider);
+    if (turns.length === 0) return;
+
+    let node = root;
+    turns.forEach(turn => { node = addChild(node, turn, record.timestamp); });
+    normalizeResponse(record.response, provider).forEach(turn => addChild(node, turn, record.timestamp));
+
+    // 对话级别的统计
+    const conversationKey = root.children.find(child => child.key === getTurnKey(turns[0]));
+    if (!conversations.has(conversationKey)) {
+      conversations.set(conversationKey, { provider, requests: 0, usage: [], tools: new Set(), firstAt: null, lastAt: null });
+    }
+    const stats = conversations.get(conversationKey);
+    stats.requests += 1;
+    if (record.response?.usage) stats.usage.push(record.response.usage);
+    getToolNames(record.request).forEach(name => stats.tools.add(name));
+    if (record.timestamp) {
+      if (!stats.firstAt || record.timestamp < stats.firstAt) stats.firstAt = record.timestamp;
+      if (!stats.lastAt || record.timestamp > stats.lastAt) stats.lastAt = record.timestamp;
+    }
+  });
+
+  // 去掉只用于构建的索引
+  const strip = (node) => {
+    delete node.childIndex;
+    node.children.forEach(strip);
+    return node;
+  };
+
+  return root.children.map(node => {
+    const stats = conversations.get(node);
+    return {
+      ...stats,
+      tools: Array.from(stats.tools),
+      root: strip(node)
+    };
+  });
+};
+
+// 两家的 usage 字段名不同，统一后求和
+const sumUsage = (usageList) => usageList.reduce((total, usage) => {
+  const input = usage.input_tokens ?? usage.prompt_tokens ?? 0;
+  const output = usage.output_tokens ?? usage.completion_tokens ?? 0;
+  total.input_tokens += input;
+  total.output_tokens += output;
+  total.cache_read_input_tokens += usage.cache_read_input_tokens ?? usage.prompt_tokens_details?.cached_tokens ?? 0;
+  total.total_tokens += usage.total_tokens ?? (input + output);
+  return total;
+}, { input_tokens: 0, output_tokens: 0, cache_read_input_tokens: 0, total_tokens: 0 });
+
+// 不在时间线上显示的节点：系统提示词和只含工具结果的消息
+const isHiddenTurn = (turn) => turn.role === 'system' || turn.role === 'tool';
+
+const walkTree = (node, visit) => {
+  visit(node);
+  node.children.forEach(child => walkTree(child, visit));
+};
+
+const getConversationTitle = (root) => {
+  let firstUserText = '';
+  walkTree(root, node => {
+    if (!firstUserText && node.turn.role === 'user' && node.turn.text) firstUserText = node.turn.text;
+  });
+  const title = firstUserText.replace(/\s+/g, ' ').trim();
+  return title.length > 50 ? `${title.slice(0, 50)}…` : title;
+};
+
+// 最近一次响应的模型
+const getLatestModel = (root) => {
+  let latest = null;
+  walkTree(root, node => {
+    if (node.turn.role !== 'assistant' || !node.turn.model) return;
+    const time = node.timestamp || '';
+    if (!latest || time >= latest.time) latest = { model: node.turn.model, time };
+  });
+  return latest?.model || '';
+};
+
+const countVisibleTurns = (root) => {
+  let count = 0;
+  walkTree(root, node => { if (!isHiddenTurn(node.turn)) count += 1; });
+  return count;
+};
+
+// ==================== API 日志解析器 ====================
+/**
+ * 把一棵对话前缀树转为 processedData
+ * @param {Object} conversation - buildLogTree 的结果：{ provider, root, requests, usage, tools, firstAt, lastAt }
+ */
+const buildLogConversation = (conversation, fileName = '') => {
+  const { provider, root } = conversation;
+  const conversationId = `api_${TextUtils.hashString(root.key)}`;
+  const assistantLabel = PROVIDER_LABELS[provider];
+  const chatHistory = [];
+  const models = new Set();
+
+  // 隐藏节点不生成消息：工具结果写回上一条助手消息，子节点挂到最近的已生成祖先上
+  const visit = (node, parentUuid, lastAssistant) => {
+    const { turn } = node;
+
+    if (isHiddenTurn(turn)) {
+      turn.toolResults.forEach((result, index) => {
+        const tools = lastAssistant?.tools || [];
+        const tool = tools.find(item => item.id && item.id === result.id) || (!result.id ? tools[index] : null);
+        if (tool) tool.result = { name: tool.name, is_error: result.is_error, content: result.content };
+      });
+      node.children.forEach(child => visit(child, parentUuid, lastAssistant));
+      return;
+    }
+
+    const isHuman = turn.role === 'user';
+    // 由父消息和内容得出，日志追加新请求后已有消息的 uuid 不变
+    const uuid = `${conversationId}_${TextUtils.hashString(`${parentUuid}|${node.key}`)}`;
+    const timestamp = node.timestamp ? DateTimeUtils.formatDateTime(node.timestamp) : '';
+    const label = isHuman ? 'User' : (turn.model || assistantLabel);
+
+    const messageData = new MessageBuilder(chatHistory.length, uuid, parentUuid, isHuman ? 'human' : 'assistant', label, timestamp)
+      .setContent(turn.text)
+      .addTools(turn.tools.map(tool => ({ ...tool })))
+      .finalize(isHuman);
+
+    if (turn.thinking) messageData.thinking = turn.thinking;
+    messageData.attachments.push(...turn.attachments);
+    if (!isHuman) {
+      messageData.model = turn.model || '';
+      messageData.usage = turn.usage || null;
+      messageData.stop_reason = turn.stop_reason || null;
+      if (turn.model) models.add(turn.model);
+    }
+    messageData._created_at = node.timestamp || null;
+    chatHistory.push(messageData);
+
+    node.children.forEach(child => visit(child, uuid, isHuman ? lastAssistant : messageData));
+  };
+  visit(root, PARSER_CONFIG.ROOT_UUID, null);
+
+  const systemPrompt = root.turn.role === 'system' ? root.turn.text : '';
+  const createdAt = conversation.firstAt ? DateTimeUtils.formatDateTime(conversation.firstAt) : '';
+
+  return {
+    meta_info: {
+      title: getConversationTitle(root) || fileName.replace(/\.(jsonl|json)$/i, '') || 'API 对话',
+      created_at: createdAt,
+      updated_at: conversation.lastAt ? DateTimeUtils.formatDateTime(conversation.lastAt) : createdAt,
+      project_uuid: '',
+      uuid: conversationId,
+      model: getLatestModel(root),
+      models: Array.from(models),
+      platform: provider,
+      system_prompt: systemPrompt,
+      tools: conversation.tools,
+      usage: { requests: conversation.requests, ...sumUsage(conversation.usage) },
+      has_embedded_images: chatHistory.some(msg => msg.attachments.some(att => att.is_embedded_image)),
+      images_processed: 0
+    },
+    chat_history: chatHistory,
+    raw_data: conversation,
+    format: 'api_log',
+    platform: provider
+  };
+};
+
+const getLogRecords = (jsonData) => (Array.isArray(jsonData) ? jsonData : [jsonData])
+  .map(unwrapLogRecord)
+  .filter(Boolean);
+
+/**
+ * 解析只含一个对话的 API 日志
+ * @param {Array|Object} jsonData - JSONL 的记录数组，或单条请求记录
+ */
+export const extractApiLogData = (jsonData, fileName = '') => {
+  const [conversation] = buildLogTree(getLogRecords(jsonData));
+  if (!conversation) {
+    throw new Error('[API Log Parser] 没有可解析的请求');
+  }
+  return buildLogConversation(conversation, fileName);
+};
+
+// ==================== 分支检测 ====================
+// 同一前缀下不同的后续消息形成分支，最早出现的一个作为主线
+export const detectApiLogBranches = (processedData) => {
+  if (!processedData?.chat_history) {
+    return processedData;
+  }
+
+  const messages = processedData.chat_history;
+  const ROOT_UUID = PARSER_CONFIG.ROOT_UUID;
+  const { parentChildMap, messageMap } = buildMessageMaps(messages);
+
+  messages.forEach(msg => {
+    msg.is_branch_point = false;
+    msg.branch_id = null;
+    msg.branch_level = 0;
+  });
+
+  const branchPoints = [];
+  parentChildMap.forEach((children, parentUuid) => {
+    if (children.length < 2) return;
+    if (parentUuid === ROOT_UUID) {
+      // 系统提示词之后的第一条提问不同：根节点作为虚拟分支点
+      branchPoints.push(ROOT_UUID);
+    } else if (messageMap.has(parentUuid)) {
+      messageMap.get(parentUuid).is_branch_point = true;
+      branchPoints.push(parentUuid);
+    }
+  });
+
+  const visited = new Set();
+  const rootMessages = messages.filter(msg => msg.parent_uuid === ROOT_UUID || !messageMap.has(msg.parent_uuid));
+  rootMessages.forEach((msg, index) => {
+    const branchPath = index === 0 ? 'main' : `branch_root_${index}`;
+    markBranchPath(msg.uuid, branchPath, index === 0 ? 0 : 1, messageMap, parentChildMap, visited);
+  });
+
+  return {
+    ...processedData,
+    branches: extractBranchInfo(messages),
+    branch_points: branchPoints
+  };
+};
+
+// ==================== 多对话日志 ====================
+const loadApiLogConversation = (conversation) => detectApiLogBranches(buildLogConversation(conversation));
+
+/**
+ * 解析包含多个对话的 API 日志：加载时只建立索引，打开对话时才生成消息
+ */
+export const extractApiLogCollection = (jsonData, fileName = '') => {
+  const records = getLogRecords(jsonData);
+  const skipped = (Array.isArray(jsonData) ? jsonData.length : 1) - records.length;
+
+  const entries = buildLogTree(records).map(conversation => ({
+    lazySource: { format: 'api_log_collection', source: conversation },
+    summary: {
+      title: getConversationTitle(conversation.root) || 'API 对话',
+      model: getLatestModel(conversation.root),
+      platform: conversation.provider,
+      format: 'api_log',
+      messageCount: countVisibleTurns(conversation.root),
+      createdAt: conversation.firstAt
+    },
+    uuid: `api_${TextUtils.hashString(conversation.root.key)}`,
+    updatedAt: conversation.lastAt
+  }));
+
+  return createConversationLibrary({
+    format: 'api_log_collection',
+    title: fileName.replace(/\.(jsonl|json)$/i, '') || 'API Log',
+    entries,
+    extraMeta: {
+      request_count: records.length,
+      skipped_records: skipped
+    }
+  });
+};
+
+// ==================== 解析器注册信息 ====================
+// 按第一条消息（含系统提示词）统计日志中的对话数
+const countLogConversations = (json) => {
+  const firstKeys = new Set();
+  getLogRecords(json).forEach(record => {
+    const [first] = getRequestTurns(record.request, detectProvider(record));
+    if (first) firstKeys.add(getTurnKey(first));
+  });
+  return firstKeys.size;
+};
+
+const isApiLog = (json) => {
+  const records = (Array.isArray(json) ? json : [json]).slice(0, 20);
+  return records.some(record => {
+    const unwrapped = unwrapLogRecord(record);
+    return !!unwrapped && unwrapped.request.messages.some(isApiMessage);
+  });
+};
+
+const getLogLabel = ({ platform, isChinese }) => {
+  const provider = PROVIDER_LABELS[platform] || 'API';
+  return isChinese ? `${provider} 日志` : `${provider} Log`;
+};
+
+const OPENAI_LOG_ICON = { src: chatgptIcon, whiteBackground: true };
+const ANTHROPIC_LOG_ICON = { src: claudeIcon, whiteBackground: false };
+
+const getLogIcon = (platform) => (platform === 'openai_api' ? OPENAI_LOG_ICON : ANTHROPIC_LOG_ICON);
+
+export const apiLogParserDefinition = {
+  format: 'api_log',
+  detect: (json) => (isApiLog(json) && countLogConversations(json) === 1 ? 0.85 : 0),
+  extract: extractApiLogData,
+  detectBranches: detectApiLogBranches,
+  requiredFields: { shape: 'array', fields: ['messages'] },
+  label: getLogLabel,
+  icon: getLogIcon,
+  platforms: {
+    openai_api: { name: PROVIDER_LABELS.openai_api, className: 'platform-chatgpt' },
+    anthropic_api: { name: PROVIDER_LABELS.anthropic_api, className: 'platform-claude' }
+  },
+  features: { thinking: true }
+};
+
+export const apiLogCollectionParserDefinition = {
+  format: 'api_log_collection',
+  detect: (json) => (isApiLog(json) && countLogConversations(json) > 1 ? 0.85 : 0),
+  extract: extractApiLogCollection,
+  loadConversation: loadApiLogConversation,
+  requiredFields: { shape: 'array', fields: ['messages'] },
+  label: { zh: 'API 日志', en: 'API Log' },
+  icon: getLogIcon,
+  isContainer: true
+};
@@ -0,0 +1,201 @@
+// archiveParser.js
+// ZIP 压缩包导入：油猴脚本"导出全部"生成的压缩包、Claude/ChatGPT 官方导出压缩包
+
+import JSZip from 'jszip';
+import { createConversationLibrary, resolveRawTimestamp } from './conversationLibrary.js';
+import { isCharacterCardCandidate, readCharacterCardFile } from './characterCard.js';
+
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/x-zip'];
+
+// 压缩包中需要跳过的条目（系统文件、隐藏文件）
+const isIgnoredEntry = (name) => {
+  const baseName = name.split('/').pop();
+  return name.startsWith('__MACOSX/') || baseName.startsWith('.') || !baseName;
+};
+
+// ==================== 附属文件 ====================
+// 与对话放在一起的附属文件（本身不是对话）：
+// Claude 官方导出中的 projects.json / users.json，以及与 SillyTavern 聊天打包的角色卡
+const CHARACTER_CARDS_FILE = 'character_cards.json';
+
+const COMPANION_FILES = {
+  'projects.json': 'projects',
+  'users.json': 'users',
+  [CHARACTER_CARDS_FILE]: 'characterCards'
+};
+
+export const getCompanionFileKey = (fileName = '') =>
+  COMPANION_FILES[fileName.split('/').pop().toLowerCase()] || null;
+
+export const isArchiveFile = (file) => {
+  if (!file) return false;
+  return /\.zip$/i.test(file.name || '') || ZIP_MIME_TYPES.includes(file.type);
+};
+
+/**
+ * 读取压缩包中所有 JSON/JSONL/Markdown 条目（批量导出的 Markdown 压缩包也能重新导入）
+ * @param {ArrayBuffer|Blob} buffer - 压缩包内容
+ * @returns {Promise<Array>} [{ name, text, date }]
+ */
+export const readArchiveEntries = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const entries = [];
+
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir || isIgnoredEntry(entry.name)) continue;
+    if (!/\.(json|jsonl|md|markdown)$/i.test(entry.name)) continue;
+
+    entries.push({
+      name: entry.name,
+      text: await entry.async('string'),
+      date: entry.date ? entry.date.toISOString() : null
+    });
+  }
+
+  // 保持压缩包内的路径顺序，便于对照
+  return entries.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * 把压缩包中解析出的对话组装成容器
+ * @param {Array} members - [{ name, date, conversations: [processedData], error? }]
+ * @param {string} fileName - 压缩包文件名
+ */
+export const buildArchiveLibrary = (members, fileName = '') => {
+  const entries = [];
+  const skippedFiles = [];
+
+  members.forEach(member => {
+    if (member.error || !member.conversations?.length) {
+      skippedFiles.push({ name: member.name, reason: member.error || 'empty' });
+      return;
+    }
+    member.conversations.forEach(conversation => {
+      entries.push({
+        ...conversation,
+        sourceFile: member.name,
+        // 原始数据没有时间时，退回到压缩包条目的修改时间
+        createdAt: conversation.createdAt || resolveRawTimestamp(conversation.data?.raw_data, member.date)
+      });
+    });
+  });
+
+  if (entries.length === 0) {
+    throw new Error(`[Parser] 压缩包中没有可识别的对话文件（已跳过 ${skippedFiles.length} 个文件）`);
+  }
+
+  return createConversationLibrary({
+    format: 'zip_archive',
+    title: fileName.replace(/\.zip$/i, '') || 'Archive',
+    entries,
+    extraMeta: {
+      source_files: members.length,
+      skipped_files: skippedFiles
+    }
+  });
+};
+
+// 官方导出的 conversations.json 与 projects.json/users.json 打包
+const bundleOfficialExport = async (files) => {
+  const companions = files.filter(file => getCompanionFileKey(file.name));
+  const conversationFile = files.find(file => /(^|\/)conversations\.json$/i.test(file.name));
+  if (companions.length === 0 || !conversationFile) return files;
+
+  const zip = new JSZip();
+  for (const file of [conversationFile, ...companions]) {
+    zip.file(file.name, await file.text());
+  }
+
+  const blob = await zip.generateAsync({ type: 'blob' });
+  const baseName = conversationFile.name.replace(/\.json$/i, '');
+  const bundled = new File([blob], `${baseName}.zip`, {
+    type: 'application/zip',
+    lastModified: conversationFile.lastModified
+  });
+
+  return [
+    bundled,
+    ...files.filter(file => file !== conversationFile && !companions.includes(file))
+  ];
+};
+
+// SillyTavern 聊天中出现的角色名：头部的 character_name 和非用户消息的 name（群聊有多个）
+const getChatCharacterNames = (text) => {
+  const names = new Set();
+  text.split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      const entry = JSON.parse(line);
+      if (typeof entry.character_name === 'string') names.add(entry.character_name.toLowerCase());
+      if (typeof entry.name === 'string' && !entry.is_user && !entry.is_system) names.add(entry.name.toLowerCase());
+    } catch (error) {
+      // 跳过无法解析的行，与 parseJSONL 一致
+    }
+  });
+  return names;
+};
+
+// SillyTavern 聊天与角色卡（PNG 或 JSON）打包：按角色名匹配，只选了一张角色卡时用于所有聊天
+const bundleCharacterCards = async (files) => {
+  const chats = files.filter(file => /\.jsonl$/i.test(file.name));
+  if (chats.length === 0) return files;
+
+  const cards = [];
+  for (const file of files.filter(isCharacterCardCandidate)) {
+    const card = await readCharacterCardFile(file);
+    if (card) cards.push({ file, card });
+  }
+  if (cards.length === 0) return files;
+
+  const usedCards = new Set();
+  const bundledChats = new Map();
+  for (const chat of chats) {
+    const text = await chat.text();
+    const names = getChatCharacterNames(text);
+    let matched = cards.filter(({ card }) => names.has(card.name.toLowerCase()));
+    if (matched.length === 0 && cards.length === 1) matched = cards;
+    if (matched.length === 0) continue;
+
+    const zip = new JSZip();
+    zip.file(chat.name, text);
+    zip.file(CHARACTER_CARDS_FILE, JSON.stringify(matched.map(({ card }) => card)));
+    matched.forEach(({ file }) => usedCards.add(file));
+
+    const blob = await zip.generateAsync({ type: 'blob' });
+    bundledChats.set(chat, new File([blob], `${chat.name.replace(/\.jsonl$/i, '')}.zip`, {
+      type: 'application/zip',
+      lastModified: chat.lastModified
+    }));
+  }
+
+  // 没有匹配到聊天的 PNG 角色卡无法单独打开，直接忽略
+  cards.forEach(({ file, card }) => {
+    if (!usedCards.has(file) && /\.png$/i.test(file.name)) {
+      console.warn(`[Parser] 角色卡 ${card.name} 没有匹配的聊天记录，已忽略`);
+      usedCards.add(file);
+    }
+  });
+
+  return files
+    .filter(file => !usedCards.has(file))
+    .map(file => bundledChats.get(file) || file);
+};
+
+/**
+ * 把同时选中的附属文件与对话打包成压缩包：
+ *   官方导出的 conversations.json + projects.json/users.json
+ *   SillyTavern 聊天（.jsonl）+ 角色卡（.png / .json）
+ * 这样附属文件能随对话一起解析，也能作为单个文件持久化
+ * @param {Array<File>} files - 用户选中的文件
+ * @returns {Promise<Array<File>>} 没有附属文件时原样返回
+ */
+export const bundleCompanionFiles = async (files) =>
+  bundleCharacterCards(await bundleOfficialExport(files));
+
+// ==================== 解析器注册信息 ====================
+// 压缩包不是 JSON，由 parseChatFile 单独读取，这里只提供显示信息
+export const zipArchiveParserDefinition = {
+  format: 'zip_archive',
+  label: { zh: '压缩包', en: 'ZIP Archive' },
+  isContainer: true
+};
@@ -0,0 +1,126 @@
+// characterCard.js
+// SillyTavern 角色卡读取：PNG 角色卡（tEXt 块 chara / ccv3 中的 base64 JSON）或 JSON 角色卡
+//
+// 角色卡有三个版本：V1 字段直接在顶层；V2 / V3 为 { spec: 'chara_card_v2'|'chara_card_v3', data: {...} }
+// 读取结果统一为 { name, description, personality, scenario, first_mes, mes_example, creator_notes, tags, avatar }
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// JSON 角色卡一般只有几 KB，更大的 JSON 不读取内容判断
+const MAX_CARD_JSON_SIZE = 2 * 1024 * 1024;
+
+// ==================== PNG 读取 ====================
+const isPng = (bytes) => PNG_SIGNATURE.every((value, index) => bytes[index] === value);
+
+/**
+ * 读取 PNG 中所有 tEXt 块
+ * @param {Uint8Array} bytes
+ * @returns {Object} { keyword: text }
+ */
+export const readPngTextChunks = (bytes) => {
+  const chunks = {};
+  if (!isPng(bytes)) return chunks;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const dataStart = offset + 8;
+    if (dataStart + length > bytes.length) break;
+
+    if (type === 'tEXt') {
+      const data = bytes.subarray(dataStart, dataStart + length);
+      const separator = data.indexOf(0);
+      if (separator > 0) {
+        // tEXt 为 Latin-1 编码
+        const keyword = String.fromCharCode(...data.subarray(0, separator));
+        let text = '';
+        for (let i = separator + 1; i < data.length; i++) text += String.fromCharCode(data[i]);
+        chunks[keyword] = text;
+      }
+    }
+    if (type === 'IEND') break;
+    offset = dataStart + length + 4; // 跳过 CRC
+  }
+
+  return chunks;
+};
+
+const decodeBase64Utf8 = (base64) => {
+  const binary = atob(base64.trim());
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new TextDecoder('utf-8').decode(bytes);
+};
+
+const toDataUrl = (bytes, mimeType) => {
+  let binary = '';
+  const CHUNK = 0x8000;
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK));
+  }
+  return `data:${mimeType};base64,${btoa(binary)}`;
+};
+
+// ==================== 角色卡规范化 ====================
+export const isCharacterCardJson = (json) => {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) return false;
+  if (typeof json.spec === 'string' && json.spec.startsWith('chara_card')) return true;
+  return typeof json.name === 'string' && ('first_mes' in json || 'char_persona' in json);
+};
+
+/**
+ * 把任意版本的角色卡转为统一结构
+ * @param {Object} json - 角色卡 JSON
+ * @param {string} avatar - 头像（PNG 角色卡本身的 data URL）
+ */
+export const normalizeCharacterCard = (json, avatar = '') => {
+  const data = json.data && typeof json.data === 'object' ? json.data : json;
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+  return {
+    name: text(data.name) || text(json.name) || 'Character',
+    description: text(data.description) || text(data.char_persona),
+    personality: text(data.personality),
+    scenario: text(data.scenario) || text(data.world_scenario),
+    first_mes: text(data.first_mes) || text(data.char_greeting),
+    mes_example: text(data.mes_example) || text(data.example_dialogue),
+    creator_notes: text(data.creator_notes),
+    tags: Array.isArray(data.tags) ? data.tags.filter(tag => typeof tag === 'string') : [],
+    spec: json.spec || 'chara_card_v1',
+    avatar
+  };
+};
+
+// ==================== 文件读取 ====================
+export const isCharacterCardCandidate = (file) =>
+  /\.png$/i.test(file?.name || '') || (/\.json$/i.test(file?.name || '') && (file.size || 0) <= MAX_CARD_JSON_SIZE);
+
+/**
+ * 读取角色卡文件
+ * @param {File} file - PNG 或 JSON 角色卡
+ * @returns {Promise<Object|null>} 规范化的角色卡；不是角色卡时返回 null
+ */
+export const readCharacterCardFile = async (file) => {
+  if (!isCharacterCardCandidate(file)) return null;
+
+  try {
+    if (/\.png$/i.test(file.name)) {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      const chunks = readPngTextChunks(bytes);
+      // V3 角色卡同时写入 ccv3 和兼容用的 chara，优先读取 ccv3
+      const encoded = chunks.ccv3 || chunks.chara;
+      if (!encoded) return null;
+      const json = JSON.parse(decodeBase64Utf8(encoded));
+      return isCharacterCardJson(json) ? normalizeCharacterCard(json, toDataUrl(bytes, 'image/png')) : null;
+    }
+
+    const json = JSON.parse(await file.text());
+    return isCharacterCardJson(json) ? normalizeCharacterCard(json) : null;
+  } catch (error) {
+    console.warn(`[Character Card] ${file.name} 读取失败:`, error.message);
+    return null;
+  }
+};
@@ -9,6 +9,8 @@ import {
   buildMessageMaps,
   extractBranchInfo
 } from './helpers.js';
+import { createConversationLibrary, createArrayExtract } from './conversationLibrary.js';
+import chatgptIcon from '../../assets/icons/ChatGPT.svg';
 
 // 从 base64 数据检测图片 MIME 类型
 const detectMimeType = (base64Data, defaultType = 'image/png') => {
@@ -609,3 +611,90 @@ export const detectChatGPTBranches = (processedData) => {
     branches: extractBranchInfo(messages)
   };
 };
+
+// ==================== ChatGPT 账号完整导出 ====================
+// 自定义 GPT / 项目（gizmo）信息，官方导出中只有 ID，没有名称
+const getGizmoProject = (conversation) => {
+  const gizmoId = conversation.gizmo_id;
+  if (!gizmoId) return null;
+  const isProject = gizmoId.startsWith('g-p-') || conversation.gizmo_type === 'snorlax';
+  const shortId = gizmoId.replace(/^g-(p-)?/, '').slice(0, 8);
+  return {
+    uuid: gizmoId,
+    name: isProject ? `Project ${shortId}` : `GPT ${shortId}`
+  };
+};
+
+/**
+ * 逐个解析 ChatGPT 官方"导出数据"中 conversations.json 的对话
+ * 顶层是数组，每个元素都是一个完整的 mapping 树
+ * @param {String} fileName - 文件名，用于容器标题
+ */
+export const createChatGPTFullExportExtractor = (fileName = '') => {
+  const entries = [];
+  const failed = [];
+
+  const add = (conversation, index) => {
+    try {
+      const data = detectChatGPTBranches(extractChatGPTData(conversation));
+      entries.push({
+        data,
+        uuid: conversation.conversation_id || conversation.id,
+        project: getGizmoProject(conversation),
+        isStarred: !!conversation.is_starred
+      });
+    } catch (error) {
+      console.warn(`[ChatGPT Parser] 跳过第 ${index + 1} 个对话:`, error.message);
+      failed.push({ index, title: conversation?.title || '', reason: error.message });
+    }
+  };
+
+  const finish = () => createConversationLibrary({
+    format: 'chatgpt_full_export',
+    title: fileName.replace(/\.(jsonl|json)$/i, '') || 'ChatGPT Export',
+    entries,
+    extraMeta: {
+      skipped_conversations: failed
+    }
+  });
+
+  return { add, finish };
+};
+
+/**
+ * 解析 ChatGPT 官方"导出数据"中的 conversations.json
+ * @param {Array} jsonData - conversations.json 的内容
+ * @param {String} fileName - 文件名，用于容器标题
+ */
+export const extractChatGPTFullExport = createArrayExtract(createChatGPTFullExportExtractor);
+
+// ==================== 解析器注册信息 ====================
+// 会话导出包含 mapping（对象）和指向当前节点的 current_node
+const isChatGPTConversation = (json) =>
+  !!json && typeof json === 'object' && !Array.isArray(json) &&
+  !!json.mapping && typeof json.mapping === 'object' && !!json.current_node;
+
+const CHATGPT_ICON = { src: chatgptIcon, whiteBackground: true };
+
+export const chatgptParserDefinition = {
+  format: 'chatgpt',
+  detect: (json) => (isChatGPTConversation(json) ? 0.9 : 0),
+  extract: extractChatGPTData,
+  detectBranches: detectChatGPTBranches,
+  requiredFields: { shape: 'object', fields: ['mapping', 'current_node'] },
+  label: 'ChatGPT',
+  icon: CHATGPT_ICON,
+  platforms: { chatgpt: { name: 'ChatGPT', className: 'platform-chatgpt' } },
+  features: { thinking: true }
+};
+
+export const chatgptFullExportParserDefinition = {
+  format: 'chatgpt_full_export',
+  detect: (json) => (Array.isArray(json) && isChatGPTConversation(json[0]) ? 0.9 : 0),
+  extract: extractChatGPTFullExport,
+  createExtractor: createChatGPTFullExportExtractor,
+  requiredFields: { shape: 'array', fields: ['mapping', 'current_node'] },
+  label: { zh: 'ChatGPT 完整导出', en: 'ChatGPT Full Export' },
+  icon: CHATGPT_ICON,
+  isContainer: true
+};
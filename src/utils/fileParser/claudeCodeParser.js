@@ -0,0 +1,367 @@
+// claudeCodeParser.js
+// Claude Code 会话记录（~/.claude/projects/*/<sessionId>.jsonl）的解析器和分支检测
+
+import {
+  MessageBuilder,
+  DateTimeUtils,
+  PARSER_CONFIG,
+  processContentArray,
+  extractToolUse,
+  extractToolResult,
+  buildMessageMaps,
+  extractBranchInfo
+} from './helpers.js';
+import claudeIcon from '../../assets/icons/Claude.svg';
+
+// 会话中真正构成对话的记录类型；其余（file-history-snapshot 等）只参与父子链
+const MESSAGE_TYPES = ['user', 'assistant'];
+
+// ==================== 格式检测 ====================
+export const isClaudeCodeSession = (records) => {
+  if (!Array.isArray(records) || records.length === 0) return false;
+  return records.some(record =>
+    record && typeof record === 'object' &&
+    record.uuid && record.sessionId && 'parentUuid' in record &&
+    MESSAGE_TYPES.includes(record.type)
+  );
+};
+
+// ==================== 记录工具函数 ====================
+// content 可能是字符串（用户输入）或内容块数组
+const getContentBlocks = (record) => {
+  const content = record.message?.content;
+  if (typeof content === 'string') return content ? [{ type: 'text', text: content }] : [];
+  return Array.isArray(content) ? content.filter(block => block && typeof block === 'object') : [];
+};
+
+// 只包含 tool_result 的用户记录：工具返回，而不是用户发言
+const isToolResultRecord = (record, blocks) =>
+  record.type === 'user' && blocks.length > 0 && blocks.every(block => block.type === 'tool_result');
+
+// 上下文压缩后由系统生成的摘要消息
+const isCompactSummary = (record) => !!record.isCompactSummary;
+
+const getSenderLabel = (record) => {
+  if (isCompactSummary(record)) return 'Summary';
+  if (record.isSidechain) return record.type === 'user' ? 'Task' : 'Subagent';
+  return record.type === 'user' ? 'User' : 'Claude';
+};
+
+// 把一条记录的内容块追加到消息中（同一次回复被拆成多条记录时逐条合并）
+const appendRecordContent = (messageData, blocks, isHuman, toolIndex) => {
+  const part = new MessageBuilder(0, '', '', messageData.sender, '', '').build();
+  const contentBlocks = blocks.filter(block => block.type !== 'tool_result' && block.type !== 'tool_use');
+  processContentArray(contentBlocks, part, isHuman);
+
+  // 记录 tool_use 的 id，供稍后的 tool_result 配对
+  blocks.filter(block => block.type === 'tool_use').forEach(block => {
+    const tool = { ...extractToolUse(block), id: block.id || '' };
+    if (tool.id) toolIndex.set(tool.id, tool);
+    part.tools.push(tool);
+    contentBlocks.push(block);
+  });
+
+  const join = (a, b) => (a && b ? `${a}\n\n${b}` : a || b);
+  messageData.raw_text = join(messageData.raw_text, part.raw_text);
+  messageData.display_text = join(messageData.display_text, part.display_text);
+  messageData.thinking = join(messageData.thinking, part.thinking);
+  messageData.content_items.push(...contentBlocks);
+  messageData.tools.push(...part.tools);
+  messageData.artifacts.push(...part.artifacts);
+  messageData.citations.push(...part.citations);
+  part.images.forEach(image => {
+    messageData.images.push({ ...image, index: messageData.images.length });
+  });
+};
+
+// 把 tool_result 配对到发起调用的工具上
+const attachToolResults = (blocks, toolIndex) => {
+  blocks.filter(block => block.type === 'tool_result').forEach(block => {
+    const tool = toolIndex.get(block.tool_use_id);
+    if (!tool) return;
+    tool.result = {
+      ...extractToolResult(block),
+      name: tool.name
+    };
+  });
+};
+
+// ==================== Claude Code 解析器 ====================
+export const extractClaudeCodeData = (records, fileName = '') => {
+  const ROOT_UUID = PARSER_CONFIG.ROOT_UUID;
+  const validRecords = records.filter(record => record && typeof record === 'object');
+
+  // 原始记录的子节点数量，用于判断连续的助手记录能否合并
+  const childCount = new Map();
+  validRecords.forEach(record => {
+    if (record.parentUuid) {
+      childCount.set(record.parentUuid, (childCount.get(record.parentUuid) || 0) + 1);
+    }
+  });
+
+  // 被合并或跳过的记录 uuid -> 最终所在消息的 uuid
+  const aliases = new Map();
+  const resolveUuid = (uuid) => {
+    const seen = new Set();
+    let current = uuid;
+    while (current && aliases.has(current) && !seen.has(current)) {
+      seen.add(current);
+      current = aliases.get(current);
+    }
+    return current || '';
+  };
+
+  const messages = [];
+  const messageMap = new Map();
+  const recordMap = new Map();
+  const toolIndex = new Map();
+  const summaries = new Map();
+  const models = [];
+  let compactCount = 0;
+
+  validRecords.forEach(record => {
+    if (record.uuid) recordMap.set(record.uuid, record);
+
+    if (record.type === 'summary') {
+      if (record.summary) summaries.set(record.leafUuid || '', record.summary);
+      return;
+    }
+
+    // 压缩边界：parentUuid 为空，logicalParentUuid 指向压缩前的最后一条消息
+    if (record.type === 'system' && record.subtype === 'compact_boundary') {
+      aliases.set(record.uuid, record.logicalParentUuid || record.parentUuid || '');
+      return;
+    }
+
+    const blocks = getContentBlocks(record);
+
+    // 非对话记录、元信息记录只保留父子链
+    if (!MESSAGE_TYPES.includes(record.type) || record.isMeta || blocks.length === 0) {
+      if (record.uuid) aliases.set(record.uuid, record.parentUuid || '');
+      return;
+    }
+
+    const parentUuid = resolveUuid(record.parentUuid);
+    const parentMessage = messageMap.get(parentUuid);
+
+    // 工具返回：配对到对应的工具调用，并入发起调用的消息
+    if (isToolResultRecord(record, blocks)) {
+      attachToolResults(blocks, toolIndex);
+      aliases.set(record.uuid, parentUuid);
+      return;
+    }
+
+    // 同一次回复被拆成多条助手记录（思考、正文、工具调用各一条），合并为一条消息
+    const parentRecord = recordMap.get(record.parentUuid);
+    const continuesReply = record.type === 'assistant' && parentMessage?.sender === 'assistant' && (
+      childCount.get(record.parentUuid) === 1 ||
+      (record.message?.id && parentRecord?.message?.id === record.message.id)
+    );
+    if (continuesReply) {
+      appendRecordContent(parentMessage, blocks, false, toolIndex);
+      aliases.set(record.uuid, parentMessage.uuid);
+      return;
+    }
+
+    const isHuman = record.type === 'user';
+    const messageData = new MessageBuilder(
+      messages.length,
+      record.uuid,
+      parentUuid || ROOT_UUID,
+      isHuman ? 'human' : 'assistant',
+      getSenderLabel(record),
+      DateTimeUtils.formatDateTime(record.timestamp)
+    ).build();
+
+    messageData.is_sidechain = !!record.isSidechain;
+    messageData.is_compact_summary = isCompactSummary(record);
+    messageData.session_id = record.sessionId || '';
+    messageData.timestamp_raw = record.timestamp || '';
+    if (record.message?.model) {
+      messageData.model = record.message.model;
+      models.push(record.message.model);
+    }
+    if (messageData.is_compact_summary) {
+      compactCount++;
+      messageData.compact_index = compactCount;
+    }
+
+    appendRecordContent(messageData, blocks, isHuman, toolIndex);
+    attachToolResults(blocks, toolIndex);
+
+    messages.push(messageData);
+    messageMap.set(messageData.uuid, messageData);
+  });
+
+  attachSidechainRoots(messages, messageMap);
+
+  // 主线在前，子代理在后，保证主线成为 main 分支
+  const chatHistory = [
+    ...messages.filter(msg => !msg.is_sidechain),
+    ...messages.filter(msg => msg.is_sidechain)
+  ];
+  chatHistory.forEach((msg, index) => {
+    msg.index = index;
+  });
+
+  const firstRecord = validRecords.find(record => record.timestamp);
+  const lastRecord = [...validRecords].reverse().find(record => record.timestamp);
+  const sessionRecord = validRecords.find(record => record.sessionId) || {};
+
+  return {
+    meta_info: {
+      title: getSessionTitle(summaries, chatHistory, resolveUuid, fileName, sessionRecord.sessionId),
+      created_at: DateTimeUtils.formatDateTime(firstRecord?.timestamp),
+      updated_at: DateTimeUtils.formatDateTime(lastRecord?.timestamp),
+      uuid: sessionRecord.sessionId || '',
+      model: models[models.length - 1] || '',
+      platform: 'claude',
+      session_id: sessionRecord.sessionId || '',
+      cwd: sessionRecord.cwd || '',
+      git_branch: sessionRecord.gitBranch || '',
+      version: sessionRecord.version || '',
+      compactions: compactCount
+    },
+    chat_history: chatHistory,
+    raw_data: records,
+    format: 'claude_code'
+  };
+};
+
+// 子代理（sidechain）的起点没有父节点，挂到发起它的主线消息上
+const attachSidechainRoots = (messages, messageMap) => {
+  const ROOT_UUID = PARSER_CONFIG.ROOT_UUID;
+  const mainMessages = messages.filter(msg => !msg.is_sidechain);
+  if (mainMessages.length === 0) return;
+
+  messages
+    .filter(msg => msg.is_sidechain && (msg.parent_uuid === ROOT_UUID || !messageMap.has(msg.parent_uuid)))
+    .forEach(root => {
+      const rootTime = new Date(root.timestamp_raw).getTime();
+      const earlier = mainMessages.filter(msg =>
+        isNaN(rootTime) || !(new Date(msg.timestamp_raw).getTime() > rootTime)
+      );
+      const candidates = earlier.length > 0 ? earlier : mainMessages;
+      // 优先挂到最近一次调用 Task 工具的消息
+      const spawner = [...candidates].reverse().find(msg =>
+        msg.tools.some(tool => tool.name === 'Task' || tool.name === 'Agent')
+      ) || candidates[candidates.length - 1];
+      root.parent_uuid = spawner.uuid;
+    });
+};
+
+// 标题：优先使用 Claude Code 生成的会话摘要，其次是第一条用户消息
+const getSessionTitle = (summaries, messages, resolveUuid, fileName, sessionId) => {
+  const uuids = new Set(messages.map(msg => msg.uuid));
+  let title = '';
+  summaries.forEach((summary, leafUuid) => {
+    if (uuids.has(resolveUuid(leafUuid))) title = summary;
+  });
+  if (title) return title;
+
+  const firstPrompt = messages.find(msg =>
+    msg.sender === 'human' && !msg.is_sidechain && !msg.is_compact_summary &&
+    msg.display_text && !msg.display_text.startsWith('<')
+  );
+  if (firstPrompt) {
+    const text = firstPrompt.display_text.replace(/\s+/g, ' ').trim();
+    return text.length > 50 ? `${text.slice(0, 50)}...` : text;
+  }
+
+  return fileName.replace(/\.(jsonl|json)$/i, '') || sessionId || 'Claude Code Session';
+};
+
+// ==================== Claude Code 分支检测 ====================
+// 除了 parentUuid 形成的分叉外，子代理和上下文压缩也各自成为分支
+export const detectClaudeCodeBranches = (processedData) => {
+  if (!processedData?.chat_history) {
+    return processedData;
+  }
+
+  try {
+    const messages = processedData.chat_history;
+    const ROOT_UUID = PARSER_CONFIG.ROOT_UUID;
+    const { parentChildMap, messageMap } = buildMessageMaps(messages);
+
+    // 主线子节点优先，子代理排在后面
+    parentChildMap.forEach(children => {
+      children.sort((a, b) =>
+        Number(!!messageMap.get(a)?.is_sidechain) - Number(!!messageMap.get(b)?.is_sidechain)
+      );
+    });
+
+    const branchPoints = [];
+    const visited = new Set();
+
+    const markPath = (uuid, path, level) => {
+      if (visited.has(uuid) || !messageMap.has(uuid)) return;
+      visited.add(uuid);
+
+      const node = messageMap.get(uuid);
+      node.branch_id = path;
+      node.branch_level = level;
+
+      const children = parentChildMap.get(uuid) || [];
+      let forkCount = 0;
+      children.forEach((childUuid, index) => {
+        const child = messageMap.get(childUuid);
+        let childPath = path;
+        let childLevel = level;
+
+        if (child?.is_sidechain && !node.is_sidechain) {
+          childPath = `${path}.agent_${++forkCount}`;
+          childLevel = level + 1;
+        } else if (child?.is_compact_summary) {
+          childPath = `${path}.compact_${child.compact_index}`;
+          childLevel = level + 1;
+        } else if (index > 0) {
+          childPath = `${path}.${++forkCount}`;
+          childLevel = level + 1;
+        }
+
+        if (childPath !== path && !branchPoints.includes(uuid)) {
+          node.is_branch_point = true;
+          branchPoints.push(uuid);
+        }
+        markPath(childUuid, childPath, childLevel);
+      });
+    };
+
+    const rootMessages = messages.filter(msg =>
+      !msg.parent_uuid || msg.parent_uuid === ROOT_UUID || !messageMap.has(msg.parent_uuid)
+    );
+    if (rootMessages.length > 1) {
+      branchPoints.push(ROOT_UUID);
+    }
+    rootMessages.forEach((msg, index) => {
+      markPath(msg.uuid, index === 0 ? 'main' : `branch_root_${index}`, index === 0 ? 0 : 1);
+    });
+
+    return {
+      ...processedData,
+      branches: extractBranchInfo(messages),
+      branch_points: branchPoints
+    };
+
+  } catch (error) {
+    console.error("[Claude Code Parser] 分支检测出错:", error);
+    return {
+      ...processedData,
+      branches: [],
+      branch_points: []
+    };
+  }
+};
+
+// ==================== 解析器注册信息 ====================
+export const claudeCodeParserDefinition = {
+  format: 'claude_code',
+  // 比官方导出和 SillyTavern 的数组检测更具体
+  detect: (json) => (isClaudeCodeSession(json) ? 0.95 : 0),
+  extract: extractClaudeCodeData,
+  detectBranches: detectClaudeCodeBranches,
+  requiredFields: { shape: 'array', fields: ['uuid', 'parentUuid', 'sessionId', 'type'] },
+  label: 'Claude Code',
+  icon: { src: claudeIcon, whiteBackground: false },
+  features: { thinking: true }
+};
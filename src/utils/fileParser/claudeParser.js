@@ -4,6 +4,7 @@
 import {
   MessageBuilder,
   DateTimeUtils,
+  PlatformUtils,
   PARSER_CONFIG,
   processContentArray,
   processMessageImages,
@@ -12,6 +13,8 @@ import {
   markBranchPath,
   extractBranchInfo
 } from './helpers.js';
+import { createConversationLibrary, createArrayExtract, resolveRawTimestamp } from './conversationLibrary.js';
+import claudeIcon from '../../assets/icons/Claude.svg';
 
 // ==================== Claude 解析器 ====================
 export const extractClaudeData = (jsonData) => {
@@ -167,3 +170,200 @@ export const detectClaudeBranches = (processedData) => {
     };
   }
 };
+
+// ==================== Claude 官方数据导出 ====================
+// 官方"导出数据"压缩包：conversations.json + projects.json + users.json
+
+// 规范化项目信息（保留文档和提示词模板，供只读展示）
+const normalizeOfficialProject = (project) => ({
+  uuid: project.uuid || '',
+  name: project.name || '',
+  description: project.description || '',
+  prompt_template: project.prompt_template || '',
+  is_private: project.is_private ?? null,
+  is_starter_project: !!project.is_starter_project,
+  created_at: project.created_at || '',
+  updated_at: project.updated_at || '',
+  creator: project.creator?.full_name || '',
+  docs: (project.docs || []).map(doc => ({
+    uuid: doc.uuid || '',
+    filename: doc.filename || doc.file_name || '',
+    content: doc.content || '',
+    created_at: doc.created_at || ''
+  }))
+});
+
+// 官方导出的消息没有 parent_message_uuid，按顺序串成单条链
+const normalizeOfficialMessages = (chatMessages = []) => {
+  let previousUuid = PARSER_CONFIG.ROOT_UUID;
+
+  return chatMessages.map((msg, idx) => {
+    const uuid = msg.uuid || `official_msg_${idx}`;
+    let content = Array.isArray(msg.content) ? msg.content : [];
+
+    // 只有顶层 text 的旧版消息
+    if (msg.text && !content.some(item => item?.type === 'text' && item.text)) {
+      content = [{ type: 'text', text: msg.text }, ...content];
+    }
+
+    // files 只有文件名，作为附件显示（图片仍交给 processMessageImages）
+    const attachmentNames = new Set((msg.attachments || []).map(att => att.file_name));
+    const fileAttachments = (msg.files || [])
+      .filter(file => file?.file_name && file.file_kind !== 'image' && !attachmentNames.has(file.file_name))
+      .map(file => ({
+        file_name: file.file_name,
+        file_size: 0,
+        file_type: '',
+        extracted_content: ''
+      }));
+
+    const normalized = {
+      ...msg,
+      uuid,
+      parent_message_uuid: msg.parent_message_uuid || previousUuid,
+      content,
+      attachments: [...(msg.attachments || []), ...fileAttachments]
+    };
+    previousUuid = uuid;
+    return normalized;
+  });
+};
+
+// 打开对话时才完整解析（见 conversationLibrary.js 的延迟解析）
+const loadOfficialConversation = ({ conversation, projectUuid, project, accountName }) => {
+  const data = detectClaudeBranches(extractClaudeData({
+    ...conversation,
+    project_uuid: projectUuid,
+    project,
+    chat_messages: normalizeOfficialMessages(conversation.chat_messages)
+  }));
+
+  if (accountName) {
+    data.meta_info.account_name = accountName;
+  }
+  return data;
+};
+
+/**
+ * 逐个解析 Claude 官方导出的 conversations.json 中的对话
+ * 加载时只建立标题、日期、项目和消息数的索引，对话内容在打开时才解析（loadOfficialConversation）
+ * @param {String} fileName - 文件名，用于容器标题
+ * @param {Object} options - { projects, users }：同一导出中的 projects.json / users.json
+ */
+export const createClaudeConversationsExtractor = (fileName = '', options = {}) => {
+  const projectMap = new Map();
+  (Array.isArray(options.projects) ? options.projects : []).forEach(project => {
+    if (project?.uuid) projectMap.set(project.uuid, normalizeOfficialProject(project));
+  });
+
+  const userMap = new Map();
+  (Array.isArray(options.users) ? options.users : []).forEach(user => {
+    if (user?.uuid) userMap.set(user.uuid, user.full_name || '');
+  });
+
+  const entries = [];
+  const failed = [];
+
+  const add = (conversation, index) => {
+    try {
+      if (!conversation || !Array.isArray(conversation.chat_messages)) {
+        throw new Error('缺少 chat_messages');
+      }
+
+      const projectUuid = conversation.project_uuid || conversation.project?.uuid || '';
+      const project = projectUuid ?
+        (projectMap.get(projectUuid) || { uuid: projectUuid, name: conversation.project?.name || `Project ${projectUuid.slice(0, 8)}` }) :
+        null;
+      const projectInfo = project ? { uuid: project.uuid, name: project.name } : null;
+
+      entries.push({
+        lazySource: {
+          format: 'claude_conversations',
+          source: {
+            conversation,
+            projectUuid,
+            project,
+            accountName: userMap.get(conversation.account?.uuid) || ''
+          }
+        },
+        summary: {
+          title: conversation.name || '无标题对话',
+          model: conversation.model || '',
+          platform: 'claude',
+          format: 'claude',
+          messageCount: conversation.chat_messages.length,
+          project: projectInfo,
+          createdAt: resolveRawTimestamp(conversation)
+        },
+        uuid: conversation.uuid,
+        project: projectInfo,
+        isStarred: !!conversation.is_starred,
+        updatedAt: conversation.updated_at
+      });
+    } catch (error) {
+      console.warn(`[Claude Parser] 跳过第 ${index + 1} 个对话:`, error.message);
+      failed.push({ index, title: conversation?.name || '', reason: error.message });
+    }
+  };
+
+  const finish = () => createConversationLibrary({
+    format: 'claude_conversations',
+    title: fileName.replace(/\.(jsonl|json)$/i, '') || 'Claude Export',
+    entries,
+    extraMeta: {
+      projects: Array.from(projectMap.values()),
+      skipped_conversations: failed
+    }
+  });
+
+  return { add, finish };
+};
+
+/**
+ * 解析 Claude 官方导出的 conversations.json
+ * @param {Array} jsonData - conversations.json 的内容
+ * @param {String} fileName - 文件名，用于容器标题
+ * @param {Object} options - { projects, users }
+ */
+export const extractClaudeConversationsExport = createArrayExtract(createClaudeConversationsExtractor);
+
+// ==================== 解析器注册信息 ====================
+const CLAUDE_ICON = { src: claudeIcon, whiteBackground: false };
+
+export const claudeParserDefinition = {
+  format: 'claude',
+  detect: (json) => (json && !Array.isArray(json) && Array.isArray(json.chat_messages) ? 0.9 : 0),
+  extract: (json) => extractClaudeData(json),
+  detectBranches: detectClaudeBranches,
+  requiredFields: { shape: 'object', fields: ['chat_messages'] },
+  displayName: 'Claude',
+  label: ({ model }) => PlatformUtils.getModelDisplay(model),
+  icon: CLAUDE_ICON,
+  platforms: { claude: { name: 'Claude', className: 'platform-claude' } },
+  features: { thinking: true, artifacts: true }
+};
+
+export const claudeConversationsParserDefinition = {
+  format: 'claude_conversations',
+  detect: (json) => {
+    const first = Array.isArray(json) ? json[0] : null;
+    return first && typeof first === 'object' && first.uuid && Array.isArray(first.chat_messages) ? 0.9 : 0;
+  },
+  extract: extractClaudeConversationsExport,
+  createExtractor: createClaudeConversationsExtractor,
+  loadConversation: loadOfficialConversation,
+  requiredFields: { shape: 'array', fields: ['uuid', 'chat_messages'] },
+  displayName: { zh: 'Claude 官方数据导出', en: 'Claude data export' },
+  label: { zh: '对话列表', en: 'Conversation List' },
+  icon: CLAUDE_ICON,
+  isContainer: true
+};
+
+// 旧版完整导出，只保留显示信息
+export const claudeFullExportParserDefinition = {
+  format: 'claude_full_export',
+  label: { zh: '完整导出', en: 'Full Export' },
+  icon: CLAUDE_ICON,
+  isContainer: true,
+  features: { thinking: true, artifacts: true }
+};
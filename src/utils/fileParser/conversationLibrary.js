@@ -0,0 +1,283 @@
+// conversationLibrary.js
+// 多对话容器（压缩包、官方完整导出）的构建与访问
+
+import { DateTimeUtils } from './helpers.js';
+import { isContainerFormat, getParser } from './parserRegistry.js';
+
+// ==================== 容器格式 ====================
+// 注册时声明 isContainer 的格式：文件卡片点开后进入对话网格，而不是直接进入时间线
+export const isFullExportFormat = (format) => isContainerFormat(format);
+
+// ==================== 时间解析 ====================
+// 从原始数据中取出可比较的时间（ISO字符串），供日期筛选和排序使用
+export const resolveRawTimestamp = (rawData, fallback = null) => {
+  if (!rawData || typeof rawData !== 'object' || Array.isArray(rawData)) return fallback;
+
+  const candidates = [
+    rawData.created_at,
+    rawData.create_time,
+    rawData.createTime,
+    rawData.exportedAt,
+    rawData.exportTime
+  ];
+
+  for (const value of candidates) {
+    const iso = DateTimeUtils.toISOTime(value);
+    if (iso) return iso;
+  }
+
+  return fallback;
+};
+
+// ==================== 延迟解析 ====================
+// 大型容器（官方完整导出）加载时只建立对话索引，打开对话时才完整解析
+// 延迟条目保存为 { format, source }：由 format 对应解析器的 loadConversation(source) 解析
+// 最近打开的对话保存在 LRU 缓存中，重复打开不必再解析
+export const LAZY_CONVERSATION_CACHE_SIZE = 20;
+
+const conversationCache = new Map(); // Map 保持插入顺序：最前面的是最久未使用的
+const libraryIds = new WeakMap();
+let nextLibraryId = 1;
+
+const getLibraryId = (libraryData) => {
+  if (!libraryIds.has(libraryData)) {
+    libraryIds.set(libraryData, nextLibraryId++);
+  }
+  return libraryIds.get(libraryData);
+};
+
+const getCacheKey = (libraryData, conversationUuid) => `${getLibraryId(libraryData)}:${conversationUuid}`;
+
+const cacheConversation = (key, data) => {
+  conversationCache.set(key, data);
+  while (conversationCache.size > LAZY_CONVERSATION_CACHE_SIZE) {
+    conversationCache.delete(conversationCache.keys().next().value);
+  }
+};
+
+const loadLazyConversation = (lazySource, conversationUuid) => {
+  const parser = getParser(lazySource?.format);
+  if (typeof parser?.loadConversation !== 'function') return null;
+  try {
+    return parser.loadConversation(lazySource.source);
+  } catch (error) {
+    console.warn(`[Parser] 对话 ${conversationUuid} 解析失败:`, error.message);
+    return null;
+  }
+};
+
+// ==================== 远程容器 ====================
+// 在解析 Worker 中解析的容器只把对话索引传回主线程（见 toLibraryIndex），对话内容和延迟解析的原始数据留在 Worker 中，
+// 打开对话时通过 loadConversationData 异步请求；不再使用时调用 releaseConversationLibrary 释放 Worker
+const remoteLibraries = new WeakMap(); // libraryData -> { load: (uuid) => Promise<data>, release: () => void }
+
+/**
+ * 容器的索引部分：保留 conversationList、meta_info 和容器自身的 raw_data（如归档中的用户状态），去掉对话内容和延迟解析的原始数据
+ */
+export const toLibraryIndex = (libraryData) => ({
+  ...libraryData,
+  conversations: {},
+  lazy_sources: {}
+});
+
+/**
+ * 登记远程容器
+ * @param {Object} libraryData - toLibraryIndex 得到的容器
+ * @param {Object} loader - { load: (conversationUuid) => Promise<processedData|null>, release: () => void }
+ */
+export const registerRemoteLibrary = (libraryData, loader) => {
+  if (libraryData && loader) remoteLibraries.set(libraryData, loader);
+  return libraryData;
+};
+
+/**
+ * 释放远程容器（终止保存对话的 Worker）并清除它在缓存中的对话；本地容器不需要释放
+ */
+export const releaseConversationLibrary = (libraryData) => {
+  const remote = libraryData && remoteLibraries.get(libraryData);
+  if (!remote) return;
+
+  remoteLibraries.delete(libraryData);
+  const prefix = `${getLibraryId(libraryData)}:`;
+  Array.from(conversationCache.keys())
+    .filter(key => key.startsWith(prefix))
+    .forEach(key => conversationCache.delete(key));
+  remote.release();
+};
+
+// ==================== 对话访问 ====================
+/**
+ * 获取容器中单个对话的 processedData
+ * 远程容器只能取到已缓存的对话，其余返回 null（用 loadConversationData 加载）
+ * @param {Object} libraryData - 容器 processedData
+ * @param {string} conversationUuid - 对话UUID（conversationList 中的 uuid）
+ * @param {Object} options
+ * @param {boolean} options.cache - 延迟解析的对话是否放入缓存；遍历全部对话（搜索索引、批量导出）时传 false，避免挤掉最近打开的对话
+ */
+export const getConversationData = (libraryData, conversationUuid, { cache = true } = {}) => {
+  if (!libraryData || !conversationUuid) return null;
+
+  const data = libraryData.conversations?.[conversationUuid];
+  if (data) return data;
+
+  const key = getCacheKey(libraryData, conversationUuid);
+  if (conversationCache.has(key)) {
+    const cached = conversationCache.get(key);
+    conversationCache.delete(key);
+    conversationCache.set(key, cached);
+    return cached;
+  }
+
+  const lazySource = libraryData.lazy_sources?.[conversationUuid];
+  if (!lazySource) return null;
+
+  const loaded = loadLazyConversation(lazySource, conversationUuid);
+  if (loaded && cache) cacheConversation(key, loaded);
+  return loaded;
+};
+
+/**
+ * 异步获取单个对话：远程容器向 Worker 请求，本地容器与 getConversationData 相同
+ * @param {Object} libraryData - 容器 processedData
+ * @param {string} conversationUuid - 对话UUID
+ * @param {Object} options - { cache }，同 getConversationData
+ */
+export const loadConversationData = async (libraryData, conversationUuid, { cache = true } = {}) => {
+  const local = getConversationData(libraryData, conversationUuid, { cache });
+  const remote = libraryData && remoteLibraries.get(libraryData);
+  if (local || !remote || !conversationUuid) return local;
+
+  try {
+    const loaded = await remote.load(conversationUuid);
+    if (loaded && cache && remoteLibraries.has(libraryData)) {
+      cacheConversation(getCacheKey(libraryData, conversationUuid), loaded);
+    }
+    return loaded || null;
+  } catch (error) {
+    console.warn(`[Parser] 对话 ${conversationUuid} 加载失败:`, error.message);
+    return null;
+  }
+};
+
+// ==================== 逐个提取 ====================
+/**
+ * 用逐个提取器实现整个数组的 extract：容器解析器的 extract 和流式解析（每读出一个对话就提取一个）共用同一个提取器
+ * @param {Function} createExtractor - (fileName, options) => { add: (item, index) => void, finish: () => processedData }
+ */
+export const createArrayExtract = (createExtractor) => (jsonData, fileName = '', options = {}) => {
+  const extractor = createExtractor(fileName, options);
+  jsonData.forEach((item, index) => extractor.add(item, index));
+  return extractor.finish();
+};
+
+// ==================== 容器构建 ====================
+// 已解析的条目从 processedData 取索引字段；延迟解析的条目直接提供 summary
+const summarizeEntry = (entry) => {
+  const data = entry.data;
+  if (!data) return entry.summary || {};
+
+  const metaProject = data.meta_info?.project;
+  return {
+    title: data.meta_info?.title,
+    model: data.meta_info?.model || '',
+    platform: data.platform || data.meta_info?.platform || data.format,
+    format: data.format,
+    messageCount: data.chat_history?.length || 0,
+    project: metaProject?.uuid ? { uuid: metaProject.uuid, name: metaProject.name || '' } : null,
+    createdAt: resolveRawTimestamp(data.raw_data),
+    isStarred: data.raw_data?.is_starred
+  };
+};
+
+/**
+ * 把多个对话组装成容器 processedData
+ * @param {Object} options
+ * @param {string} options.format - 容器格式（须以 isContainer 注册）
+ * @param {string} options.title - 容器标题
+ * @param {Array} options.entries - [{ data, sourceFile, uuid?, project?, isStarred?, createdAt?, updatedAt? }]
+ *   延迟解析的条目用 lazySource: { format, source } 代替 data，并提供
+ *   summary: { title, model, platform, format, messageCount, project, createdAt, isStarred }
+ * @param {*} options.rawData - 保留的原始数据
+ * @param {Object} options.extraMeta - 附加到 meta_info 的字段
+ */
+export const createConversationLibrary = ({ format, title, entries = [], rawData = null, extraMeta = {} }) => {
+  const conversations = {};
+  const lazySources = {};
+  const conversationList = [];
+  const platformCounts = new Map();
+
+  entries.forEach((entry, index) => {
+    if (!entry?.data && !entry?.lazySource) return;
+    const summary = summarizeEntry(entry);
+
+    // 对话UUID在容器内必须唯一（同一对话可能被导出多次）
+    const baseUuid = entry.uuid || entry.data?.meta_info?.uuid || `${entry.sourceFile || 'conversation'}#${index}`;
+    let uuid = baseUuid;
+    let suffix = 1;
+    while (conversations[uuid] || lazySources[uuid]) {
+      uuid = `${baseUuid}_${suffix++}`;
+    }
+
+    const platform = summary.platform;
+    const project = entry.project !== undefined ? entry.project : (summary.project || null);
+    const createdAt = entry.createdAt || summary.createdAt || null;
+
+    if (entry.data) {
+      conversations[uuid] = entry.data;
+    } else {
+      lazySources[uuid] = entry.lazySource;
+    }
+    conversationList.push({
+      uuid,
+      name: summary.title || entry.sourceFile || uuid,
+      created_at: createdAt,
+      updated_at: entry.updatedAt || createdAt,
+      project,
+      is_starred: !!(entry.isStarred ?? summary.isStarred),
+      model: summary.model || '',
+      platform,
+      format: summary.format,
+      messageCount: summary.messageCount || 0,
+      source_file: entry.sourceFile || ''
+    });
+
+    platformCounts.set(platform, (platformCounts.get(platform) || 0) + 1);
+  });
+
+  // 新对话在前，没有时间的排在最后
+  conversationList.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+
+  // 容器平台取占多数的平台（决定文件卡片图标）
+  let platform = 'claude';
+  let maxCount = 0;
+  platformCounts.forEach((count, key) => {
+    if (count > maxCount) {
+      platform = key;
+      maxCount = count;
+    }
+  });
+
+  const timestamps = conversationList.map(conv => conv.created_at).filter(Boolean).sort();
+
+  return {
+    format,
+    platform,
+    meta_info: {
+      title,
+      created_at: DateTimeUtils.formatDateTime(timestamps[0]),
+      updated_at: DateTimeUtils.formatDateTime(timestamps[timestamps.length - 1]),
+      uuid: '',
+      model: '',
+      platform,
+      conversation_count: conversationList.length,
+      ...extraMeta
+    },
+    chat_history: [],
+    views: {
+      conversationList
+    },
+    conversations,
+    lazy_sources: lazySources,
+    raw_data: rawData
+  };
+};
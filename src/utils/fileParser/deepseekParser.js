@@ -0,0 +1,311 @@
+// deepseekParser.js
+// DeepSeek 平台的解析器和分支检测
+//
+// DeepSeek 导出的每个对话是一棵 mapping 树（根节点为 "root"，message 为 null），
+// 消息内容拆成 fragments：REQUEST（用户）、THINK（R1 推理）、SEARCH（联网搜索结果）、RESPONSE（回答）
+// 重新生成的回答、编辑过的提问都是同一父节点下的兄弟节点
+
+import {
+  MessageBuilder,
+  DateTimeUtils,
+  PARSER_CONFIG,
+  filterCitations,
+  processAttachments,
+  buildMessageMaps,
+  markBranchPath,
+  extractBranchInfo
+} from './helpers.js';
+import { createConversationLibrary, createArrayExtract } from './conversationLibrary.js';
+import deepseekIcon from '../../assets/icons/DeepSeek.svg';
+
+// ==================== 工具函数 ====================
+// mapping 中的消息带 fragments；ChatGPT 的 mapping 消息没有 fragments
+const isDeepSeekConversation = (json) =>
+  !!json && typeof json === 'object' && !Array.isArray(json) &&
+  !!json.mapping && typeof json.mapping === 'object' &&
+  Object.values(json.mapping).some(node => Array.isArray(node?.message?.fragments));
+
+const getFragments = (message) => (Array.isArray(message?.fragments) ? message.fragments : []);
+
+const joinFragments = (fragments, type) => fragments
+  .filter(fragment => fragment?.type === type && typeof fragment.content === 'string')
+  .map(fragment => fragment.content)
+  .join('\n\n')
+  .trim();
+
+// SEARCH 片段的结果转为引用
+const extractSearchCitations = (fragments) => filterCitations(
+  fragments
+    .filter(fragment => fragment?.type === 'SEARCH' && Array.isArray(fragment.results))
+    .flatMap(fragment => fragment.results)
+    .filter(result => result?.url)
+    .map(result => ({
+      url: result.url,
+      title: result.title || result.site_name || '',
+      snippet: result.snippet || '',
+      cite_index: result.cite_index ?? null,
+      published_at: result.published_at || null,
+      metadata: { type: 'webpage', site_name: result.site_name || '' }
+    }))
+);
+
+// 回答中的 [citation:N] 标记转为 Markdown 链接
+const linkCitationMarkers = (text, citations) => {
+  if (!text || citations.length === 0) return text;
+  const urlByIndex = new Map(citations
+    .filter(citation => citation.cite_index !== null)
+    .map(citation => [String(citation.cite_index), citation.url]));
+  return text.replace(/\[citation:(\d+)\]/g, (match, index) => (
+    urlByIndex.has(index) ? `[[${index}]](${urlByIndex.get(index)})` : match
+  ));
+};
+
+// 用户上传的文件（只有文件名和解析出的文本）
+const extractFiles = (message) => processAttachments((message.files || []).map(file => ({
+  id: file.id,
+  file_name: file.file_name || file.name,
+  file_size: file.file_size || file.size,
+  extracted_content: file.content || ''
+})));
+
+const isRequestMessage = (message) => getFragments(message).some(fragment => fragment?.type === 'REQUEST');
+
+const isVisibleMessage = (message) => getFragments(message).some(fragment =>
+  fragment?.type === 'REQUEST' || fragment?.type === 'RESPONSE' || fragment?.type === 'THINK'
+);
+
+const getVisibleMessages = (mapping) => Object.values(mapping || {})
+  .map(node => node?.message)
+  .filter(isVisibleMessage);
+
+// 对话模型取最近一条回答使用的模型（同一对话中可能切换 V3 / R1）
+const pickLatestModel = (messages) => {
+  let latest = null;
+  messages.forEach(message => {
+    if (!message.model) return;
+    const time = DateTimeUtils.toISOTime(message.inserted_at) || '';
+    if (!latest || time >= latest.time) latest = { model: message.model, time };
+  });
+  return latest?.model || '';
+};
+
+// ==================== DeepSeek 解析器 ====================
+/**
+ * 解析 DeepSeek 单个对话
+ * @param {Object} jsonData - 对话对象（含 mapping）
+ * @param {String} fileName - 文件名，用于默认标题
+ */
+export const extractDeepSeekData = (jsonData, fileName = '') => {
+  const mapping = jsonData.mapping || {};
+  const title = jsonData.title || fileName.replace(/\.(jsonl|json)$/i, '') || 'DeepSeek 对话';
+  const createdAt = DateTimeUtils.formatDateTime(DateTimeUtils.toISOTime(jsonData.inserted_at) || new Date().toISOString());
+  const updatedAt = DateTimeUtils.toISOTime(jsonData.updated_at);
+
+  const metaInfo = {
+    title,
+    created_at: createdAt,
+    updated_at: updatedAt ? DateTimeUtils.formatDateTime(updatedAt) : createdAt,
+    project_uuid: '',
+    uuid: jsonData.id || '',
+    model: pickLatestModel(getVisibleMessages(mapping)),
+    platform: 'deepseek',
+    has_embedded_images: false,
+    images_processed: 0
+  };
+
+  const chatHistory = [];
+  const nodeIdToMessage = new Map();
+
+  // 没有可见内容的节点（如 root）不生成消息，子节点挂到最近的已生成祖先上
+  const findNearestMessageUuid = (parentId) => {
+    let currentId = parentId;
+    while (currentId) {
+      if (nodeIdToMessage.has(currentId)) {
+        return nodeIdToMessage.get(currentId).uuid;
+      }
+      currentId = mapping[currentId]?.parent || null;
+    }
+    return PARSER_CONFIG.ROOT_UUID;
+  };
+
+  const buildMessage = (nodeId, node) => {
+    const msg = node.message;
+    const fragments = getFragments(msg);
+    const isHuman = isRequestMessage(msg);
+    const uuid = `${jsonData.id || 'deepseek'}_${nodeId}`;
+    const parentUuid = findNearestMessageUuid(node.parent);
+    const insertedAt = DateTimeUtils.toISOTime(msg.inserted_at);
+    const timestamp = insertedAt ? DateTimeUtils.formatDateTime(insertedAt) : '';
+
+    if (isHuman) {
+      const messageData = new MessageBuilder(chatHistory.length, uuid, parentUuid, 'human', 'User', timestamp)
+        .setContent(joinFragments(fragments, 'REQUEST'))
+        .finalize(true);
+      messageData.attachments.push(...extractFiles(msg));
+      return messageData;
+    }
+
+    const citations = extractSearchCitations(fragments);
+    const messageData = new MessageBuilder(chatHistory.length, uuid, parentUuid, 'assistant', 'DeepSeek', timestamp)
+      .setContent(linkCitationMarkers(joinFragments(fragments, 'RESPONSE'), citations))
+      .setThinking(joinFragments(fragments, 'THINK'))
+      .addCitations({ citations })
+      .finalize(false);
+    messageData.model = msg.model || '';
+    return messageData;
+  };
+
+  // 深度优先遍历，保持兄弟节点（重新生成的回答）的原有顺序
+  const visited = new Set();
+  const traverse = (nodeId) => {
+    const node = mapping[nodeId];
+    if (!node || visited.has(nodeId)) return;
+    visited.add(nodeId);
+
+    if (node.message && isVisibleMessage(node.message)) {
+      const messageData = buildMessage(nodeId, node);
+      messageData._node_id = nodeId;
+      chatHistory.push(messageData);
+      nodeIdToMessage.set(nodeId, messageData);
+    }
+
+    (Array.isArray(node.children) ? node.children : []).forEach(childId => traverse(childId));
+  };
+
+  Object.keys(mapping)
+    .filter(nodeId => !mapping[nodeId]?.parent || !(mapping[nodeId].parent in mapping))
+    .forEach(rootId => traverse(rootId));
+
+  return {
+    meta_info: metaInfo,
+    chat_history: chatHistory,
+    raw_data: jsonData,
+    format: 'deepseek',
+    platform: 'deepseek'
+  };
+};
+
+// ==================== DeepSeek 分支检测 ====================
+// 同一父消息下的多个回答（重新生成）或多个提问（编辑后重发）形成分支，最早的一个作为主线
+export const detectDeepSeekBranches = (processedData) => {
+  if (!processedData?.chat_history) {
+    return processedData;
+  }
+
+  const messages = processedData.chat_history;
+  const ROOT_UUID = PARSER_CONFIG.ROOT_UUID;
+  const { parentChildMap, messageMap } = buildMessageMaps(messages);
+
+  messages.forEach(msg => {
+    msg.is_branch_point = false;
+    msg.branch_id = null;
+    msg.branch_level = 0;
+  });
+
+  const branchPoints = [];
+  parentChildMap.forEach((children, parentUuid) => {
+    if (children.length < 2) return;
+    if (parentUuid === ROOT_UUID) {
+      // 第一条提问被编辑过：根节点作为虚拟分支点
+      branchPoints.push(ROOT_UUID);
+    } else if (messageMap.has(parentUuid)) {
+      messageMap.get(parentUuid).is_branch_point = true;
+      branchPoints.push(parentUuid);
+    }
+  });
+
+  const visited = new Set();
+  const rootMessages = messages.filter(msg => msg.parent_uuid === ROOT_UUID || !messageMap.has(msg.parent_uuid));
+  rootMessages.forEach((msg, index) => {
+    const branchPath = index === 0 ? 'main' : `branch_root_${index}`;
+    markBranchPath(msg.uuid, branchPath, index === 0 ? 0 : 1, messageMap, parentChildMap, visited);
+  });
+
+  return {
+    ...processedData,
+    branches: extractBranchInfo(messages),
+    branch_points: branchPoints
+  };
+};
+
+// ==================== DeepSeek 完整导出 ====================
+const loadDeepSeekConversation = (conversation) => detectDeepSeekBranches(extractDeepSeekData(conversation));
+
+/**
+ * 逐个解析 DeepSeek "导出数据"中 conversations.json 的对话
+ * 加载时只建立索引，对话内容在打开时才解析（见 conversationLibrary.js 的延迟解析）
+ * @param {String} fileName - 文件名，用于容器标题
+ */
+export const createDeepSeekFullExportExtractor = (fileName = '') => {
+  const entries = [];
+  const failed = [];
+
+  const add = (conversation, index) => {
+    if (!isDeepSeekConversation(conversation)) {
+      failed.push({ index, title: conversation?.title || '', reason: '缺少 mapping' });
+      return;
+    }
+
+    const messages = getVisibleMessages(conversation.mapping);
+
+    entries.push({
+      lazySource: { format: 'deepseek_full_export', source: conversation },
+      summary: {
+        title: conversation.title || 'DeepSeek 对话',
+        model: pickLatestModel(messages),
+        platform: 'deepseek',
+        format: 'deepseek',
+        messageCount: messages.length,
+        createdAt: DateTimeUtils.toISOTime(conversation.inserted_at)
+      },
+      uuid: conversation.id,
+      updatedAt: DateTimeUtils.toISOTime(conversation.updated_at)
+    });
+  };
+
+  const finish = () => createConversationLibrary({
+    format: 'deepseek_full_export',
+    title: fileName.replace(/\.(jsonl|json)$/i, '') || 'DeepSeek Export',
+    entries,
+    extraMeta: {
+      skipped_conversations: failed
+    }
+  });
+
+  return { add, finish };
+};
+
+/**
+ * 解析 DeepSeek "导出数据"中的 conversations.json
+ * @param {Array} jsonData - conversations.json 的内容
+ * @param {String} fileName - 文件名，用于容器标题
+ */
+export const extractDeepSeekFullExport = createArrayExtract(createDeepSeekFullExportExtractor);
+
+// ==================== 解析器注册信息 ====================
+const DEEPSEEK_ICON = { src: deepseekIcon, whiteBackground: true };
+
+export const deepseekParserDefinition = {
+  format: 'deepseek',
+  detect: (json) => (isDeepSeekConversation(json) ? 0.95 : 0),
+  extract: extractDeepSeekData,
+  detectBranches: detectDeepSeekBranches,
+  // inserted_at 是 DeepSeek 特有的字段（ChatGPT 的 mapping 导出用 create_time）
+  requiredFields: { shape: 'object', fields: ['mapping', 'inserted_at'] },
+  label: 'DeepSeek',
+  icon: DEEPSEEK_ICON,
+  platforms: { deepseek: { name: 'DeepSeek', className: 'platform-deepseek' } },
+  features: { thinking: true }
+};
+
+export const deepseekFullExportParserDefinition = {
+  format: 'deepseek_full_export',
+  detect: (json) => (Array.isArray(json) && isDeepSeekConversation(json[0]) ? 0.95 : 0),
+  extract: extractDeepSeekFullExport,
+  createExtractor: createDeepSeekFullExportExtractor,
+  loadConversation: loadDeepSeekConversation,
+  requiredFields: { shape: 'array', fields: ['mapping', 'inserted_at'] },
+  label: { zh: 'DeepSeek 完整导出', en: 'DeepSeek Full Export' },
+  icon: DEEPSEEK_ICON,
+  isContainer: true
+};
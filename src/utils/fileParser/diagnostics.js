@@ -0,0 +1,367 @@
+// diagnostics.js
+// 解析失败诊断报告 - 记录尝试过的格式、字段缺失情况和解析进行到哪一步
+// 报告只包含结构信息（字段名、类型、数量），不包含对话内容，可以直接贴到反馈里
+
+import {
+  getRegisteredParsers,
+  scoreFormats,
+  scoreTextFormats,
+  getParser,
+  getFormatLabel
+} from './parserRegistry.js';
+
+export const DIAGNOSTICS_SCHEMA = 'lyra-parse-diagnostics/1';
+
+// 报告中的阶段，按解析顺序排列
+export const DIAGNOSTIC_STAGES = ['read', 'parse', 'detect', 'extract', 'branches'];
+
+// 数组格式只抽查前若干个元素
+const SAMPLE_SIZE = 20;
+const MAX_KEYS = 40;
+
+// ==================== 内容脱敏 ====================
+// 错误信息里可能带有原文片段（如 JSON.parse 的报错），把引号内的内容替换掉
+const sanitizeMessage = (message = '') => String(message)
+  .replace(/"[^"]*"/g, '"…"')
+  .replace(/'[^']{8,}'/g, "'…'")
+  .slice(0, 300);
+
+const describeType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const sampleKeys = (items) => {
+  const keys = new Set();
+  items.forEach(item => {
+    if (item && typeof item === 'object' && !Array.isArray(item)) {
+      Object.keys(item).forEach(key => keys.add(key));
+    }
+  });
+  return Array.from(keys).slice(0, MAX_KEYS);
+};
+
+// ==================== 结构概览 ====================
+const describeStructure = (json) => {
+  const type = describeType(json);
+  if (type === 'array') {
+    const sample = json.slice(0, SAMPLE_SIZE);
+    return {
+      type,
+      length: json.length,
+      item_types: Array.from(new Set(sample.map(describeType))),
+      item_keys: sampleKeys(sample)
+    };
+  }
+  if (type === 'object') {
+    return {
+      type,
+      keys: Object.keys(json).slice(0, MAX_KEYS),
+      key_count: Object.keys(json).length
+    };
+  }
+  return { type };
+};
+
+// ==================== 字段检查 ====================
+// 数组格式：任一抽样元素有该字段即视为存在
+const checkRequiredFields = (parser, json) => {
+  const { shape, fields = [] } = parser.requiredFields || {};
+  const actualShape = Array.isArray(json) ? 'array' : 'object';
+  const targets = actualShape === 'array' ? json.slice(0, SAMPLE_SIZE) : [json];
+
+  const present = [];
+  const missing = [];
+  fields.forEach(field => {
+    const found = targets.some(item => item && typeof item === 'object' && field in item);
+    (found ? present : missing).push(field);
+  });
+
+  return {
+    shape_expected: shape || null,
+    shape_matches: !shape || shape === actualShape,
+    present,
+    missing
+  };
+};
+
+const matchRatio = (candidate) => {
+  const total = candidate.present.length + candidate.missing.length;
+  return total ? candidate.present.length / total : 0;
+};
+
+const describeCandidates = (json) => {
+  const scores = new Map(scoreFormats(json).map(({ format, score }) => [format, score]));
+
+  return getRegisteredParsers()
+    .filter(parser => typeof parser.detect === 'function')
+    .map(parser => ({
+      format: parser.format,
+      label: getFormatLabel(parser.format, { isChinese: false }) || parser.format,
+      score: scores.get(parser.format) || 0,
+      ...checkRequiredFields(parser, json)
+    }))
+    // 得分高的在前，其次是结构相符、字段匹配比例高的
+    .sort((a, b) =>
+      (b.score - a.score) ||
+      (Number(b.shape_matches) - Number(a.shape_matches)) ||
+      (matchRatio(b) - matchRatio(a))
+    );
+};
+
+// ==================== 文本解析 ====================
+/**
+ * 按结构判断 JSON 是否被截断：以 { 或 [ 开头，扫描到结尾时括号仍未闭合或字符串未结束
+ * （不依赖各浏览器 JSON.parse 的错误信息）
+ */
+const isTruncatedJSON = (trimmed) => {
+  if (!/^[[{]/.test(trimmed)) return false;
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = 0; i < trimmed.length; i++) {
+    const char = trimmed[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+      // 顶层已经闭合，后面的错误不是截断
+      if (depth <= 0) return false;
+    }
+  }
+  return inString || depth > 0;
+};
+
+const parseWithDiagnostics = (text, fileName) => {
+  const trimmed = text.trim();
+  const isJSONL = /\.jsonl$/i.test(fileName) || (text.includes('\n{') && !trimmed.startsWith('['));
+
+  if (!isJSONL) {
+    try {
+      return { mode: 'json', ok: true, json: JSON.parse(text) };
+    } catch (error) {
+      return {
+        mode: 'json',
+        ok: false,
+        error: sanitizeMessage(error.message),
+        truncated: isTruncatedJSON(trimmed)
+      };
+    }
+  }
+
+  const lines = text.split('\n').filter(line => line.trim());
+  const records = [];
+  const failedLines = [];
+  lines.forEach((line, index) => {
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      failedLines.push(index + 1);
+    }
+  });
+
+  return {
+    mode: 'jsonl',
+    ok: records.length > 0,
+    json: records,
+    line_count: lines.length,
+    failed_lines: failedLines.slice(0, 20),
+    failed_line_count: failedLines.length,
+    // 只有最后一行坏掉，通常是写入中断或截断
+    truncated: failedLines.length === 1 && failedLines[0] === lines.length
+  };
+};
+
+// ==================== 结论 ====================
+/**
+ * 给出最可能的原因，供 UI 显示一句话说明
+ * truncated / invalid_json / empty / partial_match / wrong_file / extract_failed / ok
+ */
+const getVerdict = (report) => {
+  if (report.parse?.truncated) return 'truncated';
+  if (report.parse && !report.parse.ok) return report.file.size === 0 ? 'empty' : 'invalid_json';
+  if (report.detection?.format === 'unknown') {
+    const partial = report.detection.candidates.some(candidate =>
+      candidate.shape_matches && candidate.present.length > 0
+    );
+    return partial ? 'partial_match' : 'wrong_file';
+  }
+  if (report.extract && !report.extract.ok) return 'extract_failed';
+  return 'ok';
+};
+
+// ==================== 解析与分支检测 ====================
+// 检测通过后，用与正常加载相同的函数确认解析能走到哪一步
+const runExtraction = (report, extract, hooks) => {
+  let processedData = null;
+  try {
+    processedData = extract();
+    report.extract = {
+      ok: true,
+      message_count: processedData?.chat_history?.length || 0,
+      conversation_count: processedData?.views?.conversationList?.length ?? null
+    };
+    report.stages.push({ stage: 'extract', ok: true });
+    report.reached = 'extract';
+  } catch (error) {
+    report.extract = { ok: false, error: sanitizeMessage(error.message) };
+    report.stages.push({ stage: 'extract', ok: false });
+    report.verdict = getVerdict(report);
+    return report;
+  }
+
+  try {
+    if (hooks.detectBranches) hooks.detectBranches(processedData);
+    report.stages.push({ stage: 'branches', ok: true });
+    report.reached = 'branches';
+  } catch (error) {
+    report.stages.push({ stage: 'branches', ok: false, error: sanitizeMessage(error.message) });
+  }
+
+  report.verdict = getVerdict(report);
+  return report;
+};
+
+// ==================== 文本格式 ====================
+// Markdown 等非 JSON 格式：扩展名属于某个文本格式，或 detectText 有得分时，不再按 JSON 诊断
+const describeTextCandidates = (text, fileName) => {
+  const scores = new Map(scoreTextFormats(text, fileName).map(({ format, score }) => [format, score]));
+
+  return getRegisteredParsers()
+    .filter(parser => typeof parser.detectText === 'function')
+    .map(parser => ({
+      format: parser.format,
+      label: getFormatLabel(parser.format, { isChinese: false }) || parser.format,
+      score: scores.get(parser.format) || 0,
+      shape_expected: 'text',
+      shape_matches: true,
+      present: [],
+      missing: []
+    }))
+    .sort((a, b) => b.score - a.score);
+};
+
+const isTextFormatExtension = (extension) =>
+  !!extension && getRegisteredParsers().some(parser => parser.extensions?.includes(extension));
+
+const diagnoseText = (report, text, fileName, candidates, hooks) => {
+  report.parse = { mode: 'text', ok: true };
+  report.stages.push({ stage: 'parse', ok: true });
+  report.reached = 'parse';
+  report.structure = { type: 'text', line_count: text.split('\n').length };
+
+  const best = candidates.find(candidate => candidate.score > 0);
+  report.detection = {
+    format: best ? best.format : 'unknown',
+    candidates
+  };
+  report.stages.push({ stage: 'detect', ok: !!best });
+  if (!best) {
+    report.verdict = getVerdict(report);
+    return report;
+  }
+  report.reached = 'detect';
+
+  return runExtraction(report, () => (hooks.extractText ?
+    hooks.extractText(text, fileName) :
+    getParser(best.format).extractText(text, fileName, {})), hooks);
+};
+
+// ==================== 主入口 ====================
+/**
+ * 诊断一段 JSON/JSONL（或已注册的文本格式）文本
+ * @param {string} text - 文件内容
+ * @param {string} fileName - 文件名
+ * @param {Object} hooks - { extract, extractText, detectBranches }：与正常解析相同的函数，用来确认解析能走到哪一步
+ * @returns {Object} 诊断报告（不含对话内容）
+ */
+export const diagnoseChatText = (text, fileName = '', hooks = {}) => {
+  const report = {
+    schema: DIAGNOSTICS_SCHEMA,
+    generated_at: new Date().toISOString(),
+    file: {
+      name: fileName,
+      extension: (fileName.match(/\.([^.]+)$/)?.[1] || '').toLowerCase(),
+      size: text?.length || 0
+    },
+    stages: [{ stage: 'read', ok: typeof text === 'string' }],
+    reached: 'read'
+  };
+
+  if (typeof text !== 'string') {
+    report.verdict = 'invalid_json';
+    return report;
+  }
+
+  const textCandidates = describeTextCandidates(text, fileName);
+  if (textCandidates.some(candidate => candidate.score > 0) || isTextFormatExtension(report.file.extension)) {
+    return diagnoseText(report, text, fileName, textCandidates, hooks);
+  }
+
+  const { json, ...parse } = parseWithDiagnostics(text, fileName);
+  report.parse = parse;
+  report.stages.push({ stage: 'parse', ok: parse.ok });
+  if (!parse.ok) {
+    report.verdict = getVerdict(report);
+    return report;
+  }
+  report.reached = 'parse';
+  report.structure = describeStructure(json);
+
+  const candidates = describeCandidates(json);
+  const best = candidates.find(candidate => candidate.score > 0);
+  report.detection = {
+    format: best ? best.format : 'unknown',
+    candidates
+  };
+  report.stages.push({ stage: 'detect', ok: !!best });
+  if (!best) {
+    report.verdict = getVerdict(report);
+    return report;
+  }
+  report.reached = 'detect';
+
+  return runExtraction(report, () => (hooks.extract ?
+    hooks.extract(json, fileName) :
+    getParser(best.format).extract(json, fileName, {})), hooks);
+};
+
+/**
+ * 压缩包诊断：汇总每个无法识别的条目
+ * @param {string} fileName - 压缩包文件名
+ * @param {Array} members - [{ name, diagnostics? , error? }]
+ */
+export const createArchiveDiagnostics = (fileName, size, members) => ({
+  schema: DIAGNOSTICS_SCHEMA,
+  generated_at: new Date().toISOString(),
+  file: { name: fileName, extension: 'zip', size },
+  stages: [{ stage: 'read', ok: true }, { stage: 'parse', ok: true }, { stage: 'detect', ok: false }],
+  reached: 'parse',
+  verdict: members.length === 0 ? 'empty' : 'wrong_file',
+  archive: {
+    entry_count: members.length,
+    entries: members.map(member => member.diagnostics || {
+      file: { name: member.name },
+      error: sanitizeMessage(member.error)
+    })
+  }
+});
+
+/**
+ * 把诊断报告附加到错误对象上，UI 从 error.diagnostics 读取
+ */
+export const attachDiagnostics = (error, diagnostics) => {
+  const target = error instanceof Error ? error : new Error(String(error));
+  if (!target.diagnostics) {
+    target.diagnostics = diagnostics;
+  }
+  return target;
+};
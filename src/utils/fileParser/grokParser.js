@@ -7,6 +7,7 @@ import {
   PARSER_CONFIG,
   finalizeDisplayText
 } from './helpers.js';
+import grokIcon from '../../assets/icons/Grok.svg';
 
 // ==================== Grok 解析器 ====================
 export const extractGrokData = (jsonData) => {
@@ -337,3 +338,22 @@ export const detectGrokBranches = (processedData) => {
     branch_points: branchPoints
   };
 };
+
+// ==================== 解析器注册信息 ====================
+export const grokParserDefinition = {
+  format: 'grok',
+  detect: (json) => {
+    if (!Array.isArray(json?.responses)) return 0;
+    if (json.platform === 'grok') return 1;
+    // 备用检测（conversationId + responses）
+    if (json.conversationId && json.responses[0]?.responseId) return 0.7;
+    return 0;
+  },
+  extract: (json) => extractGrokData(json),
+  detectBranches: detectGrokBranches,
+  requiredFields: { shape: 'object', fields: ['platform', 'responses'] },
+  label: 'Grok',
+  icon: { src: grokIcon, whiteBackground: true },
+  platforms: { grok: { name: 'Grok', className: 'platform-grok' } },
+  features: { thinking: true }
+};
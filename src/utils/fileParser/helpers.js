@@ -2,40 +2,12 @@
 // 共用工具函数、常量、MessageBuilder 类
 
 import StorageManager from '../storageManager';
+import { getFormatLabel, getPlatformInfo } from './parserRegistry.js';
 
 // ==================== 配置常量 ====================
 export const PARSER_CONFIG = {
   ROOT_UUID: '00000000-0000-4000-8000-000000000000',
 
-  PLATFORM_NAMES: {
-    gemini: 'Gemini',
-    notebooklm: 'NotebookLM',
-    aistudio: 'Google AI Studio',
-    claude: 'Claude',
-    grok: 'Grok',
-    jsonl_chat: 'SillyTavern',
-    chatgpt: 'ChatGPT'
-  },
-
-  PLATFORM_CLASSES: {
-    gemini: 'platform-gemini',
-    'google ai studio': 'platform-gemini',
-    aistudio: 'platform-gemini',
-    notebooklm: 'platform-notebooklm',
-    grok: 'platform-grok',
-    jsonl_chat: 'platform-jsonl',
-    chatgpt: 'platform-chatgpt'
-  },
-
-  PLATFORM_FORMATS: {
-    gemini: 'gemini_notebooklm',
-    'google ai studio': 'gemini_notebooklm',
-    aistudio: 'gemini_notebooklm',
-    notebooklm: 'gemini_notebooklm',
-    grok: 'grok',
-    chatgpt: 'chatgpt'
-  },
-
   MODEL_MAP: {
     'opus-4': 'Claude Opus 4',
     'opus4': 'Claude Opus 4',
@@ -87,6 +59,11 @@ class LocaleCache {
   refresh() {
     this._initLocale();
   }
+
+  // 解析 Worker 中没有 localStorage，由主线程传入
+  set(locale) {
+    if (locale) this._locale = locale;
+  }
 }
 
 export const localeCache = new LocaleCache();
@@ -171,6 +148,13 @@ export const DateTimeUtils = {
     } catch {
       return '';
     }
+  },
+
+  // 转为 ISO 字符串，无效时返回 null；数字时间戳小于 1e12 视为秒（ChatGPT、DeepSeek 等），否则为毫秒
+  toISOTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const date = typeof value === 'number' ? new Date(value < 1e12 ? value * 1000 : value) : new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
   }
 };
 
@@ -184,16 +168,17 @@ export const PlatformUtils = {
     return model;
   },
 
+  // 平台信息由各解析器注册时的 platforms 提供
   getPlatformName(platform) {
-    return PARSER_CONFIG.PLATFORM_NAMES[platform?.toLowerCase()] || 'Claude';
+    return getPlatformInfo(platform)?.name || 'Claude';
   },
 
   getPlatformClass(platform) {
-    return PARSER_CONFIG.PLATFORM_CLASSES[platform?.toLowerCase()] || 'platform-claude';
+    return getPlatformInfo(platform)?.className || 'platform-claude';
   },
 
   getFormatFromPlatform(platform) {
-    return PARSER_CONFIG.PLATFORM_FORMATS[platform?.toLowerCase()] || 'claude';
+    return getPlatformInfo(platform)?.format || 'claude';
   }
 };
 
@@ -210,28 +195,9 @@ export const FileUtils = {
   getFileTypeText(format, platform, model) {
     const locale = localeCache.get();
     const isChinese = locale.startsWith('zh');
-    switch (format) {
-      case 'claude':
-        return PlatformUtils.getModelDisplay(model);
-      case 'claude_conversations':
-        return isChinese ? '对话列表' : 'Conversation List';
-      case 'claude_full_export':
-        return isChinese ? '完整导出' : 'Full Export';
-      case 'grok':
-        return 'Grok';
-      case 'gemini_notebooklm':
-        if (platform === 'notebooklm') return 'NotebookLM';
-        if (platform === 'aistudio') return 'Google AI Studio';
-        return 'Gemini';
-      case 'jsonl_chat':
-        return isChinese ? 'SillyTavern' : 'JSONL Chat';
-      case 'chatgpt':
-        return 'ChatGPT';
-      case 'copilot':
-        return 'Copilot';
-      default:
-        return isChinese ? '未知格式' : 'Unknown Format';
-    }
+    // 标签由各解析器注册时提供
+    return getFormatLabel(format, { platform, model, isChinese }) ||
+      (isChinese ? '未知格式' : 'Unknown Format');
   }
 };
 
@@ -254,6 +220,16 @@ export const TextUtils = {
     const filteredText = this.filterImageReferences(text);
     if (filteredText.length <= maxLength) return filteredText;
     return filteredText.substring(0, maxLength) + '...';
+  },
+
+  // 字符串的简单哈希（36 进制），用于生成稳定的标识
+  hashString(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+      hash = ((hash << 5) - hash) + str.charCodeAt(i);
+      hash = hash & hash;
+    }
+    return Math.abs(hash).toString(36);
   }
 };
 
@@ -2,10 +2,74 @@
 // fileParser 主入口 - 格式检测、路由、公共API
 
 // 导入所有解析器
-import { extractClaudeData, detectClaudeBranches } from './claudeParser.js';
-import { extractChatGPTData, detectChatGPTBranches } from './chatgptParser.js';
-import { extractGrokData, detectGrokBranches } from './grokParser.js';
-import { extractGeminiData, extractCopilotData, extractMergedJSONLData, mergeJSONLFiles, detectOtherBranches } from './otherParsers.js';
+import {
+  claudeParserDefinition,
+  claudeConversationsParserDefinition,
+  claudeFullExportParserDefinition
+} from './claudeParser.js';
+import { chatgptParserDefinition, chatgptFullExportParserDefinition } from './chatgptParser.js';
+import { claudeCodeParserDefinition } from './claudeCodeParser.js';
+import { grokParserDefinition } from './grokParser.js';
+import { deepseekParserDefinition, deepseekFullExportParserDefinition } from './deepseekParser.js';
+import {
+  openWebUIParserDefinition,
+  openWebUIFullExportParserDefinition,
+  libreChatParserDefinition,
+  lobeChatParserDefinition,
+  lobeChatExportParserDefinition
+} from './selfHostedParsers.js';
+import { apiLogParserDefinition, apiLogCollectionParserDefinition } from './apiLogParser.js';
+import {
+  isMarkdownFile,
+  markdownParserDefinition,
+  markdownCollectionParserDefinition
+} from './markdownParser.js';
+import {
+  LYRA_ARCHIVE_SCHEMA,
+  LYRA_ARCHIVE_VERSION,
+  migrateLyraArchive,
+  lyraArchiveParserDefinition
+} from './lyraArchiveParser.js';
+import {
+  extractMergedJSONLData,
+  mergeJSONLFiles,
+  copilotParserDefinition,
+  geminiParserDefinition,
+  jsonlChatParserDefinition
+} from './otherParsers.js';
+import {
+  isArchiveFile,
+  readArchiveEntries,
+  buildArchiveLibrary,
+  getCompanionFileKey,
+  bundleCompanionFiles,
+  zipArchiveParserDefinition
+} from './archiveParser.js';
+import {
+  isFullExportFormat,
+  getConversationData,
+  loadConversationData,
+  releaseConversationLibrary,
+  createConversationLibrary,
+  resolveRawTimestamp
+} from './conversationLibrary.js';
+import { diagnoseChatText, createArchiveDiagnostics, attachDiagnostics } from './diagnostics.js';
+import { streamParseFile, createAbortError, isAbortError } from './streamingParser.js';
+import {
+  registerParser,
+  unregisterParser,
+  getParser,
+  getRegisteredParsers,
+  scoreFormats,
+  scoreTextFormats,
+  detectRegisteredFormat,
+  detectTextFormat,
+  getFormatLabel,
+  getFormatIcon,
+  getPlatformInfo,
+  getSupportedFormatNames,
+  formatSupports
+} from './parserRegistry.js';
 
 // 导入工具函数
 import {
@@ -19,111 +83,308 @@ import {
   formatFileSize
 } from './helpers.js';
 
+// ==================== 内置解析器注册 ====================
+// 同分时先注册的优先
+[
+  lyraArchiveParserDefinition,
+  jsonlChatParserDefinition,
+  claudeCodeParserDefinition,
+  claudeConversationsParserDefinition,
+  chatgptFullExportParserDefinition,
+  deepseekFullExportParserDefinition,
+  openWebUIFullExportParserDefinition,
+  lobeChatExportParserDefinition,
+  geminiParserDefinition,
+  copilotParserDefinition,
+  grokParserDefinition,
+  claudeParserDefinition,
+  deepseekParserDefinition,
+  openWebUIParserDefinition,
+  libreChatParserDefinition,
+  lobeChatParserDefinition,
+  chatgptParserDefinition,
+  apiLogParserDefinition,
+  apiLogCollectionParserDefinition,
+  claudeFullExportParserDefinition,
+  markdownParserDefinition,
+  markdownCollectionParserDefinition,
+  zipArchiveParserDefinition
+].forEach(registerParser);
+
 // ==================== 格式检测 ====================
 export const detectFileFormat = (jsonData) => {
-  // JSONL格式检测
-  if (Array.isArray(jsonData) && jsonData.length > 0) {
-    const first = jsonData[0];
-    if (first && typeof first === 'object' &&
-        (first.mes || first.swipes || first.chat_metadata)) {
-      return 'jsonl_chat';
-    }
-  }
+  if (!jsonData || typeof jsonData !== 'object') return 'unknown';
+  return detectRegisteredFormat(jsonData);
+};
 
-  // Gemini/NotebookLM格式
-  if (jsonData?.title && jsonData?.platform && jsonData?.exportedAt &&
-      Array.isArray(jsonData.conversation)) {
-    return 'gemini_notebooklm';
+// ==================== 主入口函数 ====================
+/**
+ * @param {Object|Array} jsonData - 解析后的 JSON
+ * @param {string} fileName - 文件名
+ * @param {Object} options - 同一导出中的附属数据，如 { projects, users }（Claude 官方导出）
+ */
+export const extractChatData = (jsonData, fileName = '', options = {}) => {
+  // 添加数据验证
+  if (!jsonData || (typeof jsonData !== 'object' && !Array.isArray(jsonData))) {
+    throw new Error('[Parser] 无效的输入数据：数据必须是对象或数组');
   }
 
-  // Copilot格式 - 检测 platform: 'copilot'
-  if (jsonData?.platform === 'copilot' && Array.isArray(jsonData.responses)) {
-    return 'copilot';
+  const format = detectFileFormat(jsonData);
+
+  if (format === 'unknown') {
+    throw new Error(`[Parser] 无法识别文件格式。支持的格式：${getSupportedFormatNames({ isChinese: true }).join(', ')}`);
   }
 
-  // Grok格式 - 检测 responses 数组和 platform: 'grok'
-  if (jsonData?.platform === 'grok' && Array.isArray(jsonData.responses)) {
-    return 'grok';
+  try {
+    return getParser(format).extract(jsonData, fileName, options);
+  } catch (error) {
+    throw new Error(`[Parser] ${format} 格式解析失败: ${error.message}`);
   }
+};
 
-  // Grok格式 - 备用检测（conversationId + responses）
-  if (jsonData?.conversationId && Array.isArray(jsonData.responses) &&
-      jsonData.responses.length > 0 && jsonData.responses[0]?.responseId) {
-    return 'grok';
+// ==================== 统一的分支检测入口 ====================
+export const detectBranches = (processedData) => {
+  if (!processedData?.chat_history) {
+    return processedData;
   }
 
-  // Claude单个对话格式
-  if (Array.isArray(jsonData.chat_messages)) {
-    return 'claude';
+  const parser = getParser(processedData.format);
+  return parser?.detectBranches ? parser.detectBranches(processedData) : processedData;
+};
+
+// ==================== 多对话展开 ====================
+// 判断是否为"对话数组"（例如官方导出的 conversations.json），每个元素都是可识别的单个对话
+const isConversationArray = (jsonData) => {
+  if (!Array.isArray(jsonData) || jsonData.length === 0) return false;
+  if (detectFileFormat(jsonData) !== 'unknown') return false;
+  return jsonData.every(item =>
+    item && typeof item === 'object' && !Array.isArray(item) && detectFileFormat(item) !== 'unknown'
+  );
+};
+
+// 嵌套的容器直接展开，保留其中的项目和星标信息；延迟解析的对话保持延迟
+const expandConversations = (data) => {
+  if (!isFullExportFormat(data.format)) return [{ data }];
+
+  return (data.views?.conversationList || []).map(conv => {
+    const lazySource = data.lazy_sources?.[conv.uuid];
+    const entry = {
+      uuid: conv.uuid,
+      project: conv.project,
+      isStarred: conv.is_starred,
+      createdAt: conv.created_at,
+      updatedAt: conv.updated_at
+    };
+    if (lazySource) {
+      return {
+        ...entry,
+        lazySource,
+        summary: { title: conv.name, model: conv.model, platform: conv.platform, format: conv.format, messageCount: conv.messageCount }
+      };
+    }
+    return { ...entry, data: getConversationData(data, conv.uuid) };
+  }).filter(entry => entry.data || entry.lazySource);
+};
+
+/**
+ * 把任意 JSON 数据展开为对话列表（用于压缩包等多对话来源）
+ * @returns {Array} [{ data, uuid?, project?, isStarred?, createdAt? }]
+ */
+export const extractConversations = (jsonData, fileName = '', options = {}) => {
+  if (isConversationArray(jsonData)) {
+    return jsonData.map(item => ({
+      data: detectBranches(extractChatData(item, fileName, options))
+    }));
   }
 
-  // ChatGPT导出格式
-  // ChatGPT 会话导出通常包含 mapping、current_node 等字段，mapping 是一个对象，current_node 指向当前节点。
-  if (jsonData && typeof jsonData === 'object' && jsonData.mapping && typeof jsonData.mapping === 'object' && jsonData.current_node) {
-    return 'chatgpt';
+  return expandConversations(detectBranches(extractChatData(jsonData, fileName, options)));
+};
+
+// ==================== 文件读取 ====================
+// .jsonl 扩展名，或多行且每行以 { 开头（不是 JSON 数组）
+const isJSONLText = (text, fileName = '') =>
+  fileName.endsWith('.jsonl') || (text.includes('\n{') && !text.trim().startsWith('['));
+
+// 智能解析文本（JSON或JSONL）
+export const parseChatText = (text, fileName = '') => {
+  return isJSONLText(text, fileName) ? parseJSONL(text) : JSON.parse(text);
+};
+
+/**
+ * 从原始文本解析：已注册的文本格式（如 Lyra 导出的 Markdown）直接解析，其余按 JSON/JSONL 解析
+ * @returns {Object} processedData（不含分支信息）
+ */
+export const extractTextData = (text, fileName = '', options = {}) => {
+  const textFormat = detectTextFormat(text, fileName);
+  if (!textFormat) {
+    return extractChatData(parseChatText(text, fileName), fileName, options);
   }
 
-  return 'unknown';
+  try {
+    return getParser(textFormat).extractText(text, fileName, options);
+  } catch (error) {
+    throw new Error(`[Parser] ${textFormat} 格式解析失败: ${error.message}`);
+  }
 };
 
-// ==================== 主入口函数 ====================
-export const extractChatData = (jsonData, fileName = '') => {
-  // 添加数据验证
-  if (!jsonData || (typeof jsonData !== 'object' && !Array.isArray(jsonData))) {
-    throw new Error('[Parser] 无效的输入数据：数据必须是对象或数组');
+// 压缩包条目：文本格式直接展开，JSON 还需要识别"对话数组"
+const extractEntryConversations = (text, fileName, options) => (
+  detectTextFormat(text, fileName) ?
+    expandConversations(detectBranches(extractTextData(text, fileName, options))) :
+    extractConversations(parseChatText(text, fileName), fileName, options)
+);
+
+/**
+ * 读取并解析文件，返回带分支信息的 processedData
+ * 支持 JSON、JSONL、Lyra 导出的 Markdown 和 ZIP 压缩包
+ * @param {File} file
+ * @param {Object} parserOptions - 传给解析器的选项，如 Markdown 的 { exportConfig }
+ */
+export const parseChatFile = async (file, parserOptions = {}) => {
+  // 预处理的合并数据（合并的JSONL文件）
+  if (file._mergedProcessedData) {
+    return file._mergedProcessedData;
   }
 
-  const format = detectFileFormat(jsonData);
+  if (isArchiveFile(file)) {
+    const entries = await readArchiveEntries(await file.arrayBuffer());
 
-  if (format === 'unknown') {
-    throw new Error('[Parser] 无法识别文件格式。支持的格式：Claude, ChatGPT, Grok, Copilot, Gemini, NotebookLM, JSONL');
+    // 先读取附属文件（projects.json / users.json），供对话关联项目
+    const options = { ...parserOptions };
+    const conversationEntries = entries.filter(entry => {
+      const key = getCompanionFileKey(entry.name);
+      if (!key) return true;
+      try {
+        options[key] = JSON.parse(entry.text);
+      } catch (error) {
+        console.warn(`[Parser] 附属文件 ${entry.name} 解析失败:`, error.message);
+      }
+      return false;
+    });
+
+    const members = conversationEntries.map(entry => {
+      try {
+        return {
+          name: entry.name,
+          date: entry.date,
+          conversations: extractEntryConversations(entry.text, entry.name, options)
+        };
+      } catch (error) {
+        console.warn(`[Parser] 跳过压缩包条目 ${entry.name}:`, error.message);
+        return { name: entry.name, date: entry.date, error: error.message };
+      }
+    });
+    // 角色卡与单个聊天打包的压缩包直接打开聊天，不进入对话网格
+    if (options.characterCards && members.length === 1 && members[0].conversations?.length === 1) {
+      return members[0].conversations[0].data;
+    }
+    try {
+      return buildArchiveLibrary(members, file.name);
+    } catch (error) {
+      // 整个压缩包都无法识别时，逐个诊断失败的条目
+      const failed = members.filter(member => member.error).map(member => {
+        const entry = conversationEntries.find(item => item.name === member.name);
+        return { ...member, diagnostics: diagnoseFileText(entry?.text, member.name) };
+      });
+      throw attachDiagnostics(error, createArchiveDiagnostics(file.name, file.size || 0, failed));
+    }
   }
 
+  const text = await file.text();
   try {
-    switch (format) {
-      case 'claude':
-        return extractClaudeData(jsonData);
-      case 'grok':
-        return extractGrokData(jsonData);
-      case 'copilot':
-        return extractCopilotData(jsonData);
-      case 'gemini_notebooklm':
-        return extractGeminiData(jsonData, fileName);
-      case 'jsonl_chat':
-        // 使用统一的合并器处理，即使是单文件也能正确处理 swipes 分支
-        return extractMergedJSONLData([{ data: jsonData, fileName }]);
-      case 'chatgpt':
-        return extractChatGPTData(jsonData, fileName);
-      default:
-        throw new Error(`[Parser] 不支持的文件格式: ${format}`);
-    }
+    return detectBranches(extractTextData(text, file.name, parserOptions));
   } catch (error) {
-    throw new Error(`[Parser] ${format} 格式解析失败: ${error.message}`);
+    throw attachDiagnostics(error, diagnoseFileText(text, file.name));
   }
 };
 
-// ==================== 统一的分支检测入口 ====================
-export const detectBranches = (processedData) => {
-  if (!processedData?.chat_history) {
-    return processedData;
+// ==================== 流式读取 ====================
+// 用文件开头判断 JSON/JSONL 和文本格式
+const STREAM_SAMPLE_SIZE = 64 * 1024;
+// 用数组开头的几个元素识别格式（Open WebUI 只有一条记录时是单个对话，至少要看两个）
+const STREAM_DETECT_ITEMS = 2;
+
+// 开头的元素识别为提供 createExtractor 的容器格式时，返回逐个提取器
+const createStreamExtractor = (sample, fileName, options) => {
+  const parser = getParser(detectFileFormat(sample));
+  return typeof parser?.createExtractor === 'function' ? parser.createExtractor(fileName, options) : null;
+};
+
+/**
+ * 流式读取并解析文件（解析 Worker 使用），结果与 parseChatFile 相同
+ * JSON 顶层数组（完整导出）逐个解析对话并汇报进度，不需要把整个文件读成一个字符串；
+ * 容器格式提供 createExtractor 时每读出一个对话就提取一个，不保留原始数组；
+ * 压缩包和 Markdown 需要完整内容，交给 parseChatFile
+ * @param {File} file
+ * @param {Object} options
+ * @param {Function} options.onProgress - ({ stage: 'read'|'extract', loaded, total, items }) => void
+ * @param {Function} options.onItem - (item, index) => void：每解析出一个对话（JSONL 为每一行）调用一次
+ * @param {AbortSignal} options.signal - 取消信号，取消时抛出 AbortError
+ * @param {Object} options.parserOptions - 传给解析器的选项
+ */
+export const parseChatFileStreaming = async (file, { onProgress, onItem, signal, parserOptions = {} } = {}) => {
+  if (file._mergedProcessedData || isArchiveFile(file)) {
+    return parseChatFile(file, parserOptions);
   }
 
-  switch (processedData.format) {
-    case 'claude':
-      return detectClaudeBranches(processedData);
-    case 'chatgpt':
-      return detectChatGPTBranches(processedData);
-    case 'grok':
-      return detectGrokBranches(processedData);
-    case 'copilot':
-    case 'jsonl_chat':
-    case 'gemini_notebooklm':
-      return detectOtherBranches(processedData);
-    default:
-      return processedData;
+  const sample = await file.slice(0, STREAM_SAMPLE_SIZE).text();
+  if (detectTextFormat(sample, file.name)) {
+    return parseChatFile(file, parserOptions);
+  }
+
+  const total = file.size || 0;
+  const items = [];
+  let extractor = null;
+  let count = 0;
+
+  const handleItem = (item, index) => {
+    onItem?.(item, index);
+    count++;
+    if (extractor) {
+      extractor.add(item, index);
+      return;
+    }
+    items.push(item);
+    if (items.length === STREAM_DETECT_ITEMS) {
+      extractor = createStreamExtractor(items, file.name, parserOptions);
+      if (extractor) {
+        items.forEach((sampleItem, sampleIndex) => extractor.add(sampleItem, sampleIndex));
+        items.length = 0;
+      }
+    }
+  };
+
+  try {
+    const result = await streamParseFile(file, {
+      jsonl: isJSONLText(sample, file.name),
+      signal,
+      collect: false,
+      onItem: handleItem,
+      onProgress: ({ loaded, items: itemCount }) => onProgress?.({ stage: 'read', loaded, total, items: itemCount })
+    });
+
+    onProgress?.({ stage: 'extract', loaded: total, total, items: Array.isArray(result) ? count : 1 });
+    if (extractor) {
+      return detectBranches(extractor.finish());
+    }
+    // 顶层数组和 JSONL 的元素都在 items 中（没有识别出逐个提取的格式）
+    const jsonData = Array.isArray(result) ? items : result;
+    return detectBranches(extractChatData(jsonData, file.name, parserOptions));
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    // 失败时才读取完整文本生成诊断报告
+    throw attachDiagnostics(error, diagnoseFileText(await file.text(), file.name));
   }
 };
 
+// ==================== 解析诊断 ====================
+/**
+ * 生成"为什么无法解析"的诊断报告（不含对话内容）
+ * 与 parseChatFile 走同样的解析和分支检测流程
+ */
+export const diagnoseFileText = (text, fileName = '') =>
+  diagnoseChatText(text, fileName, { extract: extractChatData, extractText: extractTextData, detectBranches });
+
 // ==================== 导出工具函数 ====================
 export {
   // 工具模块
@@ -143,6 +404,39 @@ export {
   // 图片显示
   getImageDisplayData,
 
+  // 解析器注册表
+  registerParser,
+  unregisterParser,
+  getParser,
+  getRegisteredParsers,
+  scoreFormats,
+  scoreTextFormats,
+  getFormatLabel,
+  getFormatIcon,
+  getPlatformInfo,
+  getSupportedFormatNames,
+  formatSupports,
+
+  // 多对话容器
+  isArchiveFile,
+  isMarkdownFile,
+  bundleCompanionFiles,
+  isFullExportFormat,
+  getConversationData,
+  loadConversationData,
+  releaseConversationLibrary,
+  createConversationLibrary,
+  resolveRawTimestamp,
+
+  // 流式解析
+  createAbortError,
+  isAbortError,
+
+  // Lyra 归档
+  LYRA_ARCHIVE_SCHEMA,
+  LYRA_ARCHIVE_VERSION,
+  migrateLyraArchive,
+
   // 文件大小格式化
   formatFileSize
 };
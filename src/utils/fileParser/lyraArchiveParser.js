@@ -0,0 +1,163 @@
+// lyraArchiveParser.js
+// Lyra 归档 - 带版本号的标准 JSON 格式：标准化后的对话 + 用户状态（标记、星标、重命名、排序）
+//
+// 当前版本（2）的结构，完整说明见 README 的「Lyra 归档」一节：
+//
+//   {
+//     "schema": "lyra-archive",
+//     "version": 2,
+//     "exported_at": "2025-01-01T00:00:00.000Z",
+//     "title": "...",
+//     "conversations": [{
+//       "uuid": "...",                        // 归档内唯一，重新导入后作为对话UUID
+//       "source_file": "...", "project": {...} | null, "is_starred": false,
+//       "created_at": "...", "updated_at": "...",
+//       "data": { format, platform, meta_info, chat_history, branches, branch_points },
+//       "state": {
+//         "marks": { "completed": [], "important": [], "deleted": [] },   // 消息 index
+//         "order": { "<index>": <position> },                            // SortManager 自定义排序
+//         "title": "..." | null,                                         // RenameManager 重命名
+//         "starred": true | false | null                                 // StarManager 手动星标，null 表示沿用原生星标
+//       }
+//     }]
+//   }
+//
+// data 是解析器输出的 processedData（MessageBuilder 的消息结构，已带分支信息），不含 raw_data
+
+import { createConversationLibrary } from './conversationLibrary.js';
+
+export const LYRA_ARCHIVE_SCHEMA = 'lyra-archive';
+export const LYRA_ARCHIVE_VERSION = 2;
+
+const MARK_TYPES = ['completed', 'important', 'deleted'];
+
+// ==================== 版本迁移 ====================
+// MIGRATIONS[n] 把版本 n 的归档升级为版本 n + 1
+// 格式变化时递增 LYRA_ARCHIVE_VERSION 并追加一项迁移，已发布的迁移不再修改
+const MIGRATIONS = {
+  // 版本 1 → 2：用户状态从顶层按卡片UUID平铺的映射（与 localStorage 的存储方式相同），
+  // 改为随对话保存；卡片UUID含导出时的文件哈希，重新导入后并不相同
+  1: (archive) => {
+    const { state = {}, ...rest } = archive;
+    return {
+      ...rest,
+      conversations: (archive.conversations || []).map(({ card_uuid: cardUuid, ...conv }) => ({
+        ...conv,
+        state: {
+          marks: state.marks?.[cardUuid],
+          order: state.orders?.[cardUuid],
+          title: state.renames?.[cardUuid],
+          starred: state.stars?.[cardUuid]
+        }
+      }))
+    };
+  }
+};
+
+/**
+ * 把任意版本的归档升级到当前版本
+ * 没有 version 字段的归档按版本 1 处理
+ * @throws 归档来自更新版本的 Lyra，或缺少对应的迁移
+ */
+export const migrateLyraArchive = (archive) => {
+  let version = Number(archive?.version) || 1;
+
+  if (version > LYRA_ARCHIVE_VERSION) {
+    throw new Error(`归档版本 ${version} 高于当前支持的版本 ${LYRA_ARCHIVE_VERSION}，请更新 Lyra Exporter`);
+  }
+
+  let migrated = archive;
+  while (version < LYRA_ARCHIVE_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`缺少从版本 ${version} 升级的迁移`);
+    }
+    version += 1;
+    migrated = { ...migrate(migrated), version };
+  }
+
+  return migrated;
+};
+
+// ==================== 用户状态 ====================
+/**
+ * 补全对话的用户状态，缺失的字段使用空值
+ */
+export const normalizeArchiveState = (state = {}) => ({
+  marks: Object.fromEntries(MARK_TYPES.map(type => [
+    type,
+    Array.isArray(state?.marks?.[type]) ? state.marks[type] : []
+  ])),
+  order: state?.order && typeof state.order === 'object' ? state.order : {},
+  title: typeof state?.title === 'string' && state.title.trim() ? state.title : null,
+  starred: typeof state?.starred === 'boolean' ? state.starred : null
+});
+
+// ==================== 主解析函数 ====================
+/**
+ * 解析 Lyra 归档，返回多对话容器
+ * 各对话的用户状态放在 raw_data.states（按对话UUID），加载文件时由 archiveStateManager 写回
+ */
+export const extractLyraArchiveData = (jsonData, fileName = '') => {
+  const archive = migrateLyraArchive(jsonData);
+  const states = {};
+  const usedUuids = new Set();
+
+  const entries = (archive.conversations || [])
+    .filter(conv => Array.isArray(conv?.data?.chat_history))
+    .map((conv, index) => {
+      // 对话UUID决定重新导入后的卡片UUID，先在这里去重，保证状态能对应上
+      const baseUuid = conv.uuid || conv.data.meta_info?.uuid || `conversation#${index}`;
+      let uuid = baseUuid;
+      let suffix = 1;
+      while (usedUuids.has(uuid)) {
+        uuid = `${baseUuid}_${suffix++}`;
+      }
+      usedUuids.add(uuid);
+      states[uuid] = normalizeArchiveState(conv.state);
+
+      return {
+        data: { ...conv.data, raw_data: null },
+        uuid,
+        sourceFile: conv.source_file || '',
+        project: conv.project,
+        isStarred: !!conv.is_starred,
+        createdAt: conv.created_at || null,
+        updatedAt: conv.updated_at || null
+      };
+    });
+
+  if (entries.length === 0) {
+    throw new Error('归档中没有可用的对话');
+  }
+
+  return createConversationLibrary({
+    format: 'lyra_archive',
+    title: archive.title || fileName.replace(/\.json$/i, '') || 'Lyra Archive',
+    entries,
+    rawData: {
+      schema: LYRA_ARCHIVE_SCHEMA,
+      version: archive.version,
+      exported_at: archive.exported_at || null,
+      states
+    },
+    extraMeta: {
+      exported_at: archive.exported_at || null,
+      archive_version: archive.version,
+      // 文件本身的版本；低于当前版本说明经过了迁移
+      source_version: Number(jsonData?.version) || 1
+    }
+  });
+};
+
+// ==================== 解析器注册信息 ====================
+export const lyraArchiveParserDefinition = {
+  format: 'lyra_archive',
+  detect: (json) => (
+    json?.schema === LYRA_ARCHIVE_SCHEMA && Array.isArray(json.conversations) ? 1 : 0
+  ),
+  extract: extractLyraArchiveData,
+  requiredFields: { shape: 'object', fields: ['schema', 'version', 'conversations'] },
+  label: { zh: 'Lyra 归档', en: 'Lyra Archive' },
+  isContainer: true
+};
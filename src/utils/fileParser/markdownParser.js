@@ -0,0 +1,625 @@
+// markdownParser.js
+// Lyra 导出的 Markdown 重新导入：按 MarkdownGenerator 的输出结构反向还原为 chat_history
+//
+// 文档结构（见 utils/exportManager.js）：
+//   [YAML 前置元数据] → # 标题 → *创建时间* *导出时间* [*筛选条件*] → ---
+//   → 消息（以 "---" 分隔）→ [*导出统计*]
+// 标签文字随导出时的界面语言变化，这里只依赖 emoji 前缀和 Markdown 结构，不依赖具体语言
+
+import StorageManager from '../storageManager';
+import { createConversationLibrary } from './conversationLibrary.js';
+import {
+  MessageBuilder,
+  PARSER_CONFIG,
+  processAttachments,
+  buildMessageMaps,
+  markBranchPath,
+  extractBranchInfo
+} from './helpers.js';
+import markdownIcon from '../../assets/icons/Markdown.svg';
+
+const MARKDOWN_FILE = /\.(md|markdown)$/i;
+
+// exportMultipleFiles 用 "\n\n---\n---\n\n" 连接多个文档
+const DOCUMENT_SEPARATOR = /\n---\n---\n\n(?=---\n|# )/;
+
+// 格式检测只看文件开头
+const DETECT_SAMPLE_SIZE = 8000;
+
+// 发送者标签：默认、Human/Assistant 两种内置格式，以及设置中的自定义标签
+const BUILTIN_SENDER_LABELS = [
+  ['User', 'human'],
+  ['Human', 'human'],
+  ['AI', 'assistant'],
+  ['Assistant', 'assistant']
+];
+
+// 序号：数字、字母（A, B, ..., AA）或罗马数字，与导出设置无关都能识别
+const NUMBERING = /^(\d+|[A-Z]+)\. /;
+
+// 分支标记（getBranchMarker）：" 🔀" 为分支点，" ↳N" 为分支层级
+const BRANCH_MARKER = / (?:🔀|↳(\d+))$/u;
+
+// <details> 摘要的 emoji 前缀（formatArtifact / formatTool / formatCitations）
+const DETAILS_SUMMARY = /^<summary>((?:🔧|🔍|📎).*)<\/summary>$/u;
+
+export const isMarkdownFile = (file) => MARKDOWN_FILE.test(file?.name || '');
+
+// ==================== 行工具函数 ====================
+const trimBlankLines = (lines) => {
+  let start = 0;
+  let end = lines.length;
+  while (start < end && !lines[start].trim()) start++;
+  while (end > start && !lines[end - 1].trim()) end--;
+  return lines.slice(start, end);
+};
+
+// 冒号后的内容（兼容全角冒号）
+const afterColon = (text) => {
+  const match = text.match(/[:：]\s*(.*)$/);
+  return match ? match[1].trim() : text.trim();
+};
+
+const unescapeXml = (text = '') => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// 找到代码块的结束行；内部嵌套的带语言代码块（```python ... ```）成对跳过
+const findFenceEnd = (lines, start) => {
+  let nested = false;
+  for (let i = start; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line.startsWith('```')) continue;
+    if (line === '```') {
+      if (!nested) return i;
+      nested = false;
+    } else {
+      nested = true;
+    }
+  }
+  return -1;
+};
+
+// ==================== 导出设置 ====================
+const getExportConfig = (options) =>
+  options.exportConfig || StorageManager.get('export-config', {}) || {};
+
+const getSenderLabels = (config) => {
+  const labels = new Map(BUILTIN_SENDER_LABELS);
+  if (config.humanLabel?.trim()) labels.set(config.humanLabel.trim(), 'human');
+  if (config.assistantLabel?.trim()) labels.set(config.assistantLabel.trim(), 'assistant');
+  return labels;
+};
+
+// ==================== 文档头部 ====================
+// 简单的 YAML：key: value 与 "  - item" 列表（generateMetadata 的输出）
+const parseFrontMatter = (lines) => {
+  const result = {};
+  let listKey = null;
+
+  lines.forEach(line => {
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (item && listKey) {
+      result[listKey].push(item[1].trim());
+      return;
+    }
+    const pair = line.match(/^([^:\s][^:]*):\s*(.*)$/);
+    if (!pair) return;
+    const [, key, value] = pair;
+    if (value) {
+      result[key.trim()] = value.trim();
+      listKey = null;
+    } else {
+      listKey = key.trim();
+      result[listKey] = [];
+    }
+  });
+
+  return result;
+};
+
+/**
+ * 解析文档头部
+ * @returns {Object|null} { frontMatter, title, headerFields, bodyStart }；不是 Lyra 导出时返回 null
+ */
+const parseDocumentHeader = (lines) => {
+  let index = 0;
+  let frontMatter = null;
+
+  if (lines[0] === '---') {
+    const end = lines.indexOf('---', 1);
+    if (end < 0) return null;
+    frontMatter = parseFrontMatter(lines.slice(1, end));
+    index = end + 1;
+  }
+
+  while (index < lines.length && !lines[index].trim()) index++;
+  const titleMatch = lines[index]?.match(/^# (.*)$/);
+  if (!titleMatch) return null;
+  index++;
+
+  // *创建时间: ...* / *导出时间: ...* / *筛选条件: ...*
+  const headerFields = [];
+  while (index < lines.length && /^\*[^*]+[:：] .*\*$/.test(lines[index])) {
+    headerFields.push(afterColon(lines[index].slice(1, -1)));
+    index++;
+  }
+  if (headerFields.length === 0) return null;
+
+  while (index < lines.length && !lines[index].trim()) index++;
+  if (lines[index] !== '---') return null;
+
+  return {
+    frontMatter,
+    title: titleMatch[1].trim(),
+    headerFields,
+    bodyStart: index + 1
+  };
+};
+
+// ==================== 消息标题 ====================
+/**
+ * 解析 formatMessageTitle 生成的标题行：[#..# ][序号. ]发送者[分支标记]
+ * 标签不在已知列表中时，只有带标题前缀或序号的行才视为消息标题
+ */
+const parseTitleLine = (line, labels) => {
+  let rest = line;
+  const heading = rest.match(/^#{1,6} /);
+  if (heading) rest = rest.slice(heading[0].length);
+
+  const numbering = rest.match(NUMBERING);
+  if (numbering) rest = rest.slice(numbering[0].length);
+
+  let isBranchPoint = false;
+  let level = 0;
+  const marker = rest.match(BRANCH_MARKER);
+  if (marker) {
+    rest = rest.slice(0, marker.index);
+    if (marker[1]) {
+      level = Number(marker[1]);
+    } else {
+      isBranchPoint = true;
+    }
+  }
+
+  const label = rest.trim();
+  if (!label || label.length > 60) return null;
+  const sender = labels.get(label) || null;
+  if (!sender && !heading && !numbering) return null;
+
+  return { label, sender, isBranchPoint, level };
+};
+
+/**
+ * 把消息区按标题行切分
+ * 标题行出现在消息区第一行，或紧跟在 "---" 与空行之后
+ * 不跟踪代码块：Markdown 类型的 Artifact 里常有嵌套代码块，按围栏配对反而容易错位
+ */
+const splitMessages = (lines, labels) => {
+  const sections = [];
+  let current = null;
+
+  lines.forEach((line, i) => {
+    const atBoundary = current ?
+      lines[i - 1] === '' && lines[i - 2] === '---' :
+      line.trim() !== '';
+    const title = atBoundary ? parseTitleLine(line, labels) : null;
+
+    if (title) {
+      if (current) {
+        // 去掉上一条消息末尾的分隔线
+        const end = current.lines.lastIndexOf('---');
+        if (end >= 0) current.lines = current.lines.slice(0, end);
+        sections.push(current);
+      }
+      current = { title, lines: [] };
+      return;
+    }
+
+    if (current) current.lines.push(line);
+  });
+
+  if (current) sections.push(current);
+  return sections;
+};
+
+// ==================== 消息内容 ====================
+const parseArtifact = (summary, content) => {
+  const artifact = {
+    id: '',
+    command: 'create',
+    type: '',
+    title: afterColon(summary),
+    content: '',
+    language: '',
+    result: null
+  };
+
+  // **内容**: 标签行；之前是 **类型**: `type` / **语言**: `lang`，之后是代码块（到最后一个 ``` 为止）
+  const contentLabel = content.findIndex(line => /^\*\*[^*]+\*\*[:：]?\s*$/.test(line));
+  const codeFields = (contentLabel >= 0 ? content.slice(0, contentLabel) : content)
+    .map(line => line.match(/^\*\*[^*]+\*\*[:：]?\s*`([^`]*)`$/))
+    .filter(Boolean)
+    .map(match => match[1]);
+  artifact.type = codeFields[0] || '';
+  artifact.language = codeFields[1] || '';
+
+  if (contentLabel >= 0 && content[contentLabel + 1]?.startsWith('```')) {
+    const end = content.lastIndexOf('```');
+    if (end > contentLabel + 1) {
+      artifact.content = content.slice(contentLabel + 2, end).join('\n');
+    }
+  } else {
+    // 非 create 操作只导出了类型
+    artifact.command = 'update';
+    artifact.old_str = '';
+    artifact.new_str = '';
+  }
+
+  return artifact;
+};
+
+const parseTool = (summary, content) => {
+  const name = afterColon(summary) || 'unknown';
+  const queryLine = content.find(line => /^\*\*[^*]+\*\*[:：]?\s*`.*`$/.test(line));
+  const query = queryLine ? queryLine.match(/`(.*)`$/)[1] : '';
+  const results = content
+    .map(line => line.match(/^\d+\. \[(.*)\]\((.*)\)$/))
+    .filter(Boolean)
+    .map(([, title, url]) => ({ type: 'knowledge', title, url: url === '#' ? '' : url }));
+
+  const tool = {
+    name,
+    input: query ? { query } : {},
+    result: results.length > 0 ? { name, is_error: false, content: results } : null
+  };
+  if (query) tool.query = query;
+  return tool;
+};
+
+const parseCitations = (content) => content
+  .map(line => line.match(/^\| \[(.*)\]\(([^)]*)\) \|/))
+  .filter(Boolean)
+  .map(([, title, url]) => ({ title, url: url === '#' ? '' : url }));
+
+// <attachments> 块（formatAttachments 的输出）
+const parseAttachments = (lines) => {
+  const text = lines.join('\n');
+  const attachments = [];
+  const blockPattern = /<attachment index="\d+">([\s\S]*?)<\/attachment>/g;
+  let match;
+
+  while ((match = blockPattern.exec(text)) !== null) {
+    const block = match[1];
+    const field = (tag) => block.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`))?.[1] || '';
+    const content = block.match(/<attachment_content>\n?([\s\S]*?)\n?<\/attachment_content>/);
+    attachments.push({
+      file_name: unescapeXml(field('file_name')),
+      file_size: Number(field('file_size')) || 0,
+      created_at: unescapeXml(field('created_at')),
+      extracted_content: content ? content[1] : ''
+    });
+  }
+
+  return processAttachments(attachments).map((attachment, index) => ({
+    ...attachment,
+    ...(attachments[index].created_at ? { created_at: attachments[index].created_at } : {})
+  }));
+};
+
+/**
+ * 解析单条消息的正文
+ * 顺序与 formatMessage 一致：前置思考 → 正文 → 附件 → 后置思考 → Artifacts → 工具 → 引用
+ */
+const parseMessageBody = (lines) => {
+  const result = { thinking: '', text: '', attachments: [], artifacts: [], tools: [], citations: [] };
+  let body = trimBlankLines(lines);
+
+  // 前置思考（codeblock / xml 格式）
+  if (body[0] === '``` thinking') {
+    const end = findFenceEnd(body, 1);
+    if (end > 0) {
+      result.thinking = body.slice(1, end).join('\n');
+      body = trimBlankLines(body.slice(end + 1));
+    }
+  } else if (body[0] === '<anthropic_thinking>') {
+    const end = body.indexOf('</anthropic_thinking>');
+    if (end > 0) {
+      result.thinking = body.slice(1, end).join('\n');
+      body = trimBlankLines(body.slice(end + 1));
+    }
+  }
+
+  // 末尾的 <details> 块，从后往前逐个取出
+  const details = [];
+  while (body[body.length - 1] === '</details>') {
+    let start = -1;
+    for (let i = body.length - 2; i >= 0; i--) {
+      if (body[i] === '<details>' && DETAILS_SUMMARY.test(body[i + 1] || '')) {
+        start = i;
+        break;
+      }
+    }
+    if (start < 0) break;
+    const summary = body[start + 1].match(DETAILS_SUMMARY)[1];
+    details.unshift({ summary, content: trimBlankLines(body.slice(start + 2, body.length - 1)) });
+    body = trimBlankLines(body.slice(0, start));
+  }
+
+  details.forEach(({ summary, content }) => {
+    if (summary.startsWith('🔧')) {
+      result.artifacts.push(parseArtifact(summary, content));
+    } else if (summary.startsWith('🔍')) {
+      result.tools.push(parseTool(summary, content));
+    } else {
+      result.citations.push(...parseCitations(content));
+    }
+  });
+
+  // 后置思考（emoji 格式）：💭 标签行 + 代码块
+  if (body[body.length - 1] === '```') {
+    for (let i = body.length - 3; i >= 0; i--) {
+      if (body[i].startsWith('💭') && body[i + 1] === '```') {
+        result.thinking = result.thinking || body.slice(i + 2, body.length - 1).join('\n');
+        body = trimBlankLines(body.slice(0, i));
+        break;
+      }
+    }
+  }
+
+  // 附件
+  if (body[body.length - 1] === '</attachments>') {
+    const start = body.lastIndexOf('<attachments>');
+    if (start >= 0) {
+      result.attachments = parseAttachments(body.slice(start));
+      body = trimBlankLines(body.slice(0, start));
+    }
+  }
+
+  result.text = body.join('\n').trim();
+  return result;
+};
+
+// ==================== 分支还原 ====================
+/**
+ * Markdown 只保留了消息顺序和分支标记，按以下规则还原父子关系：
+ * - 层级变深：新分支从最近的分支点开始
+ * - 层级变浅：接在该层级最后一条消息之后
+ * - 与接续的消息发送者相同：视为重新生成的兄弟消息，共用父消息
+ * 分支点标记不带层级，沿用前一条消息的层级
+ */
+const linkMessages = (messages, titles) => {
+  const parents = new Map();
+  const lastByLevel = new Map();
+  let lastBranchPoint = null;
+  let prev = null;
+  let prevLevel = 0;
+
+  messages.forEach((msg, i) => {
+    const { isBranchPoint, level: markedLevel } = titles[i];
+    const level = isBranchPoint ? prevLevel : markedLevel;
+    let parent = null;
+
+    if (prev) {
+      if (level > prevLevel) {
+        parent = lastBranchPoint || prev;
+      } else {
+        const anchor = level < prevLevel ? (lastByLevel.get(level) || prev) : prev;
+        parent = anchor.sender === msg.sender ? parents.get(anchor.uuid) : anchor;
+      }
+    }
+
+    parents.set(msg.uuid, parent || null);
+    msg.parent_uuid = parent ? parent.uuid : PARSER_CONFIG.ROOT_UUID;
+
+    lastByLevel.set(level, msg);
+    if (isBranchPoint) lastBranchPoint = msg;
+    prev = msg;
+    prevLevel = level;
+  });
+};
+
+// ==================== 单个文档 ====================
+const parseDocument = (lines, header, labels, docIndex) => {
+  const sections = splitMessages(lines.slice(header.bodyStart), labels);
+  if (sections.length === 0) {
+    throw new Error('没有找到消息标题，请检查导出设置中的发送者标签');
+  }
+
+  // 导出统计（generateFooter）：只含导出数和总数两个数字，导出数与解析出的消息数一致
+  // 两个数字的先后顺序随语言不同
+  const lastSection = sections[sections.length - 1];
+  const lastLines = trimBlankLines(lastSection.lines);
+  const footer = lastLines[lastLines.length - 1]?.match(/^\*[^*\d]*(\d+)[^*\d]+(\d+)[^*\d]*\*$/);
+  if (footer) {
+    const [count, total] = [Number(footer[1]), Number(footer[2])].sort((a, b) => a - b);
+    if (count === sections.length && total > count) {
+      lastSection.lines = lastLines.slice(0, -1);
+    }
+  }
+
+  const titles = sections.map(section => section.title);
+  let previousSender = null;
+
+  const chatHistory = sections.map((section, index) => {
+    // 未知标签：按人类/AI 交替推断，第一条视为人类
+    const sender = section.title.sender || (previousSender === 'human' ? 'assistant' : 'human');
+    previousSender = sender;
+
+    // 标题后紧跟的非空行是时间戳（includeTimestamps）
+    let bodyLines = section.lines;
+    let timestamp = '';
+    const timestampMatch = bodyLines[0]?.match(/^\*([^*]+)\*$/);
+    if (timestampMatch) {
+      timestamp = timestampMatch[1].trim();
+      bodyLines = bodyLines.slice(1);
+    }
+
+    const body = parseMessageBody(bodyLines);
+    const message = new MessageBuilder(
+      index,
+      `md-${docIndex}-${index}`,
+      '',
+      sender,
+      section.title.label,
+      timestamp
+    )
+      .setRawText(body.text)
+      .setDisplayText(body.text)
+      .addTools(body.tools)
+      .build();
+
+    if (sender !== 'human') {
+      message.thinking = body.thinking;
+      message.artifacts = body.artifacts;
+    }
+    message.citations = body.citations;
+    message.attachments = body.attachments;
+    return message;
+  });
+
+  linkMessages(chatHistory, titles);
+
+  const [createdAt = '', exportedAt = ''] = header.headerFields;
+  const timestamps = chatHistory.map(msg => msg.timestamp).filter(Boolean);
+  const frontMatter = header.frontMatter || {};
+
+  return {
+    meta_info: {
+      title: header.title || frontMatter.title || '',
+      created_at: createdAt,
+      updated_at: timestamps[timestamps.length - 1] || createdAt,
+      exported_at: exportedAt,
+      uuid: '',
+      model: '',
+      platform: 'markdown',
+      tags: Array.isArray(frontMatter.tags) ? frontMatter.tags : [],
+      front_matter: header.frontMatter
+    },
+    chat_history: chatHistory,
+    raw_data: { created_at: createdAt, front_matter: header.frontMatter },
+    format: 'lyra_markdown'
+  };
+};
+
+const splitDocuments = (text) =>
+  text.replace(/\r\n?/g, '\n').split(DOCUMENT_SEPARATOR).map(doc => doc.replace(/^\n+/, ''));
+
+// ==================== 格式检测 ====================
+export const isLyraMarkdown = (text, fileName = '') => {
+  if (typeof text !== 'string' || /\.jsonl?$/i.test(fileName)) return false;
+  const sample = text.slice(0, DETECT_SAMPLE_SIZE).replace(/\r\n?/g, '\n');
+  return !!parseDocumentHeader(sample.split('\n'));
+};
+
+// ==================== 主解析函数 ====================
+/**
+ * 解析 Lyra 导出的 Markdown
+ * 多个对话合并导出的文档解析为 Markdown 合集容器
+ * @param {string} text - Markdown 文本
+ * @param {string} fileName - 文件名
+ * @param {Object} options - { exportConfig }：默认读取设置中的导出格式（自定义发送者标签）
+ */
+export const extractMarkdownData = (text, fileName = '', options = {}) => {
+  const labels = getSenderLabels(getExportConfig(options));
+  const documents = splitDocuments(text)
+    .map(doc => doc.split('\n'))
+    .map(lines => ({ lines, header: parseDocumentHeader(lines) }))
+    .filter(doc => doc.header);
+
+  if (documents.length === 0) {
+    throw new Error('不是 Lyra 导出的 Markdown（缺少标题和导出信息）');
+  }
+
+  if (documents.length === 1) {
+    return parseDocument(documents[0].lines, documents[0].header, labels, 0);
+  }
+
+  const entries = [];
+  const skipped = [];
+  documents.forEach(({ lines, header }, index) => {
+    try {
+      entries.push({
+        data: detectMarkdownBranches(parseDocument(lines, header, labels, index)),
+        sourceFile: fileName
+      });
+    } catch (error) {
+      skipped.push({ title: header.title, reason: error.message });
+    }
+  });
+
+  if (entries.length === 0) {
+    throw new Error(skipped[0]?.reason || '没有可识别的对话');
+  }
+
+  return createConversationLibrary({
+    format: 'markdown_collection',
+    title: fileName.replace(MARKDOWN_FILE, '') || 'Markdown',
+    entries,
+    extraMeta: { skipped_conversations: skipped }
+  });
+};
+
+// ==================== 分支检测 ====================
+export const detectMarkdownBranches = (processedData) => {
+  if (!processedData?.chat_history || processedData.format !== 'lyra_markdown') {
+    return processedData;
+  }
+
+  const messages = processedData.chat_history;
+  const ROOT_UUID = PARSER_CONFIG.ROOT_UUID;
+  const { parentChildMap, messageMap } = buildMessageMaps(messages);
+
+  const branchPoints = [];
+  parentChildMap.forEach((children, parentUuid) => {
+    if (children.length > 1 && messageMap.has(parentUuid)) {
+      messageMap.get(parentUuid).is_branch_point = true;
+      branchPoints.push(parentUuid);
+    }
+  });
+
+  const visited = new Set();
+  const roots = messages.filter(msg => msg.parent_uuid === ROOT_UUID);
+  roots.forEach((msg, index) => {
+    markBranchPath(
+      msg.uuid,
+      index === 0 ? 'main' : `branch_root_${index}`,
+      index === 0 ? 0 : 1,
+      messageMap,
+      parentChildMap,
+      visited
+    );
+  });
+
+  return {
+    ...processedData,
+    branches: extractBranchInfo(messages),
+    branch_points: branchPoints
+  };
+};
+
+// ==================== 解析器注册信息 ====================
+const MARKDOWN_ICON = { src: markdownIcon, whiteBackground: true };
+
+// Markdown 不是 JSON，通过 detectText/extractText 从原始文本识别
+export const markdownParserDefinition = {
+  format: 'lyra_markdown',
+  extensions: ['md', 'markdown'],
+  detectText: (text, fileName) => (isLyraMarkdown(text, fileName) ? 1 : 0),
+  extractText: extractMarkdownData,
+  detectBranches: detectMarkdownBranches,
+  label: 'Markdown',
+  icon: MARKDOWN_ICON,
+  platforms: { markdown: { name: 'Markdown' } },
+  features: { thinking: true, artifacts: true }
+};
+
+export const markdownCollectionParserDefinition = {
+  format: 'markdown_collection',
+  label: { zh: 'Markdown 合集', en: 'Markdown Collection' },
+  icon: MARKDOWN_ICON,
+  isContainer: true
+};
@@ -9,6 +9,10 @@ import {
   extractThinkingAndContent,
   PARSER_CONFIG
 } from './helpers.js';
+import copilotIcon from '../../assets/icons/Copilot.svg';
+import geminiIcon from '../../assets/icons/Gemini.svg';
+import notebooklmIcon from '../../assets/icons/NotebookLM.svg';
+import sillyTavernIcon from '../../assets/icons/SillyTavern.png';
 
 // ==================== Copilot 解析器 ====================
 export const extractCopilotData = (jsonData) => {
@@ -628,6 +632,8 @@ class JSONLMerger {
     messageData.branch_id = branchId;
     messageData.branch_level = branchLevel;
     messageData.swipe_info = swipeInfo;
+    // 角色名：群聊中按角色区分发送者（见 extractMergedJSONLData 的 participants）
+    if (!isUser) messageData.participant = name;
 
     // swipes 现在是真正的分支，不再需要 [1/6] 标记
 
@@ -635,6 +641,21 @@ class JSONLMerger {
   }
 }
 
+// 群聊参与者：按首次发言顺序列出非用户消息的角色名，头像为 SillyTavern 中的头像文件名
+const collectParticipants = (filesData) => {
+  const participants = new Map();
+  filesData.forEach(fileData => {
+    fileData.data.forEach(entry => {
+      if (!entry || entry.chat_metadata !== undefined || entry.is_user || entry.is_system || !entry.name) return;
+      if (!participants.has(entry.name)) {
+        participants.set(entry.name, { name: entry.name, avatar: entry.original_avatar || '', message_count: 0 });
+      }
+      participants.get(entry.name).message_count++;
+    });
+  });
+  return Array.from(participants.values());
+};
+
 /**
  * 合并多个 JSONL 文件为树状分支结构
  * 使用消息图自动识别公共消息序列，避免重复
@@ -651,6 +672,8 @@ export const mergeJSONLFiles = (filesData) => {
   const firstFileData = filesData[0];
   const hasMetadata = firstFileData.data[0]?.chat_metadata !== undefined;
   const charName = firstFileData.data[0]?.character_name;
+  const chatMetadata = hasMetadata ? firstFileData.data[0].chat_metadata : null;
+  const userName = firstFileData.data[0]?.user_name;
 
   // 创建合并器（单文件和多文件统一使用）
   const merger = new JSONLMerger();
@@ -673,6 +696,9 @@ export const mergeJSONLFiles = (filesData) => {
       mainFile: firstFileData.fileName,
       branchFiles: filesData.slice(1).map(f => f.fileName),
       characterName: charName,
+      userName,
+      chatMetadata,
+      participants: collectParticipants(filesData),
       hasMetadata,
       isSingleFile: filesData.length === 1
     }
@@ -683,18 +709,29 @@ export const mergeJSONLFiles = (filesData) => {
  * 提取合并后的 JSONL 数据
  * 单文件和多文件统一使用消息图合并器处理
  * @param {Array} filesData - [{data: [], fileName: string}, ...]
+ * @param {Object} options - { characterCards }：与聊天一起打包的角色卡（见 characterCard.js）
  * @returns {Object} 标准的 processedData 格式
  */
-export const extractMergedJSONLData = (filesData) => {
+export const extractMergedJSONLData = (filesData, options = {}) => {
   const mergeResult = mergeJSONLFiles(filesData);
   const { chatHistory, metadata } = mergeResult;
   const now = DateTimeUtils.formatDateTime(new Date().toISOString());
 
+  // 多个角色发言的是群聊；群聊头部的 character_name 不代表某个角色
+  const participants = metadata.participants;
+  const isGroupChat = participants.length > 1;
+  if (!isGroupChat) {
+    chatHistory.forEach(msg => { delete msg.participant; });
+  }
+  const characterName = isGroupChat
+    ? participants.map(participant => participant.name).join('、')
+    : metadata.characterName;
+
   // 根据是否为单文件生成不同的标题
   const title = metadata.isSingleFile
-    ? (metadata.characterName ? `与${metadata.characterName}的对话` : (filesData[0]?.fileName?.replace(/\.(jsonl|json)$/i, '') || '聊天记录'))
-    : (metadata.characterName
-      ? `与${metadata.characterName}的对话 (合并${metadata.totalFiles}个文件)`
+    ? (characterName ? `与${characterName}的${isGroupChat ? '群聊' : '对话'}` : (filesData[0]?.fileName?.replace(/\.(jsonl|json)$/i, '') || '聊天记录'))
+    : (characterName
+      ? `与${characterName}的${isGroupChat ? '群聊' : '对话'} (合并${metadata.totalFiles}个文件)`
       : `合并对话 (${metadata.totalFiles}个文件)`);
 
   const metaInfo = {
@@ -703,10 +740,15 @@ export const extractMergedJSONLData = (filesData) => {
     updated_at: now,
     project_uuid: "",
     uuid: `jsonl_${metadata.isSingleFile ? '' : 'merged_'}${Date.now()}`,
-    model: metadata.characterName || "Chat Bot",
+    model: characterName || "Chat Bot",
     platform: 'jsonl_chat',
     has_embedded_images: false,
     images_processed: 0,
+    user_name: metadata.userName || '',
+    chat_metadata: metadata.chatMetadata,
+    is_group_chat: isGroupChat,
+    participants,
+    character_cards: Array.isArray(options.characterCards) ? options.characterCards : [],
     merge_info: metadata.isSingleFile ? null : {
       source_files: metadata.fileNames,
       main_file: metadata.mainFile,
@@ -780,3 +822,54 @@ export const detectOtherBranches = (processedData) => {
   // 其他格式默认处理
   return processedData;
 };
+
+// ==================== 解析器注册信息 ====================
+export const copilotParserDefinition = {
+  format: 'copilot',
+  detect: (json) => (json?.platform === 'copilot' && Array.isArray(json.responses) ? 1 : 0),
+  extract: (json) => extractCopilotData(json),
+  detectBranches: detectOtherBranches,
+  requiredFields: { shape: 'object', fields: ['platform', 'responses'] },
+  label: 'Copilot',
+  icon: { src: copilotIcon, whiteBackground: true },
+  platforms: { copilot: { name: 'Copilot', className: 'platform-copilot' } }
+};
+
+export const geminiParserDefinition = {
+  format: 'gemini_notebooklm',
+  detect: (json) => (
+    json?.title && json?.platform && json?.exportedAt && Array.isArray(json.conversation) ? 0.9 : 0
+  ),
+  extract: extractGeminiData,
+  detectBranches: detectOtherBranches,
+  requiredFields: { shape: 'object', fields: ['title', 'platform', 'exportedAt', 'conversation'] },
+  label: ({ platform }) => {
+    if (platform === 'notebooklm') return 'NotebookLM';
+    if (platform === 'aistudio') return 'Google AI Studio';
+    return 'Gemini';
+  },
+  icon: (platform) => (platform === 'notebooklm'
+    ? { src: notebooklmIcon, whiteBackground: false }
+    : { src: geminiIcon, whiteBackground: true }),
+  platforms: {
+    gemini: { name: 'Gemini', className: 'platform-gemini' },
+    notebooklm: { name: 'NotebookLM', className: 'platform-notebooklm' },
+    aistudio: { name: 'Google AI Studio', className: 'platform-gemini' }
+  }
+};
+
+export const jsonlChatParserDefinition = {
+  format: 'jsonl_chat',
+  detect: (json) => {
+    const first = Array.isArray(json) ? json[0] : null;
+    return first && typeof first === 'object' && (first.mes || first.swipes || first.chat_metadata) ? 0.9 : 0;
+  },
+  // 使用统一的合并器处理，即使是单文件也能正确处理 swipes 分支
+  extract: (json, fileName, options) => extractMergedJSONLData([{ data: json, fileName }], options),
+  detectBranches: detectOtherBranches,
+  requiredFields: { shape: 'array', fields: ['mes', 'chat_metadata'] },
+  label: ({ isChinese }) => (isChinese ? 'SillyTavern' : 'JSONL Chat'),
+  icon: { src: sillyTavernIcon, whiteBackground: false },
+  platforms: { jsonl_chat: { name: 'SillyTavern', className: 'platform-jsonl' } },
+  features: { thinking: true }
+};
@@ -0,0 +1,51 @@
+// parseWorker.js
+// 文件解析 Worker - 读取、JSON/JSONL 解析和数据提取都在这里完成，避免大文件卡住页面
+// 由 parseWorkerClient.js 创建，每个文件一个 Worker，取消时直接 terminate
+// 多对话容器只把对话索引传回主线程，对话内容和原始数据留在这里，打开对话时再按需请求
+//
+// 收到：{ type: 'parse', file, options: { locale, parserOptions } }
+//       { type: 'load', id, uuid }：请求容器中的单个对话
+// 发出：{ type: 'progress', stage, loaded, total, items }
+//       { type: 'result', data, remote }：remote 为 true 时 data 是容器索引（toLibraryIndex）
+//       { type: 'conversation', id, data }
+//       { type: 'error', name, message, diagnostics }
+
+/* eslint-disable no-restricted-globals */
+import { parseChatFileStreaming, localeCache } from './index.js';
+import { isFullExportFormat, getConversationData, toLibraryIndex } from './conversationLibrary.js';
+
+// 本 Worker 解析出的容器
+let library = null;
+
+self.onmessage = async (event) => {
+  const { type, file, options = {}, id, uuid } = event.data || {};
+
+  if (type === 'load') {
+    // 主线程有自己的 LRU 缓存，这里不再缓存
+    self.postMessage({ type: 'conversation', id, data: getConversationData(library, uuid, { cache: false }) });
+    return;
+  }
+  if (type !== 'parse') return;
+
+  localeCache.set(options.locale);
+
+  try {
+    const data = await parseChatFileStreaming(file, {
+      parserOptions: options.parserOptions,
+      onProgress: (progress) => self.postMessage({ type: 'progress', ...progress })
+    });
+    if (isFullExportFormat(data?.format)) {
+      library = data;
+      self.postMessage({ type: 'result', data: toLibraryIndex(data), remote: true });
+    } else {
+      self.postMessage({ type: 'result', data });
+    }
+  } catch (error) {
+    self.postMessage({
+      type: 'error',
+      name: error?.name || 'Error',
+      message: error?.message || String(error),
+      diagnostics: error?.diagnostics || null
+    });
+  }
+};
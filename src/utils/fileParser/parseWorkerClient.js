@@ -0,0 +1,158 @@
+// parseWorkerClient.js
+// 在 Worker 中解析文件；不支持 Worker 的环境退回主线程的 parseChatFile
+// 多对话容器的 Worker 在解析完成后保留，为 loadConversationData 提供对话，releaseConversationLibrary 时终止
+
+import { parseChatFile } from './index.js';
+import { attachDiagnostics } from './diagnostics.js';
+import { createAbortError } from './streamingParser.js';
+import { registerRemoteLibrary, releaseConversationLibrary } from './conversationLibrary.js';
+import { localeCache } from './helpers.js';
+import StorageManager from '../storageManager';
+
+const createParseWorker = () => {
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return new Worker(new URL('./parseWorker.js', import.meta.url));
+  } catch (error) {
+    // 扩展页面等环境可能禁止创建 Worker
+    console.warn('[Parser] 无法创建解析 Worker，改为主线程解析:', error.message);
+    return null;
+  }
+};
+
+// 解析完成后，容器中的对话由保留的 Worker 按需提供
+const registerWorkerLibrary = (worker, libraryData) => {
+  const pending = new Map(); // id -> { resolve, reject }
+  let nextId = 1;
+
+  const rejectPending = (error) => {
+    pending.forEach(({ reject }) => reject(error));
+    pending.clear();
+  };
+
+  worker.onmessage = (event) => {
+    const message = event.data || {};
+    if (message.type !== 'conversation' || !pending.has(message.id)) return;
+    pending.get(message.id).resolve(message.data || null);
+    pending.delete(message.id);
+  };
+
+  worker.onerror = (event) => {
+    rejectPending(new Error(event.message || '解析 Worker 出错'));
+  };
+
+  return registerRemoteLibrary(libraryData, {
+    load: (uuid) => new Promise((resolve, reject) => {
+      const id = nextId++;
+      pending.set(id, { resolve, reject });
+      worker.postMessage({ type: 'load', id, uuid });
+    }),
+    release: () => {
+      worker.terminate();
+      rejectPending(new Error('容器已释放'));
+    }
+  });
+};
+
+/**
+ * 解析文件，返回带分支信息的 processedData（与 parseChatFile 相同）
+ * 多对话容器只返回对话索引：用 loadConversationData 读取其中的对话，不再使用时调用 releaseConversationLibrary
+ * @param {File} file
+ * @param {Object} options
+ * @param {Function} options.onProgress - ({ stage: 'read'|'extract', loaded, total, items }) => void
+ * @param {AbortSignal} options.signal - 取消时终止 Worker，Promise 以 AbortError 拒绝
+ * @param {Object} options.parserOptions - 传给解析器的选项（须可结构化克隆）
+ */
+export const parseFileInWorker = (file, { onProgress, signal, parserOptions = {} } = {}) => {
+  // 合并的 JSONL 已在主线程解析好
+  if (file._mergedProcessedData) {
+    return Promise.resolve(file._mergedProcessedData);
+  }
+  if (signal?.aborted) {
+    return Promise.reject(createAbortError());
+  }
+
+  const worker = createParseWorker();
+  if (!worker) {
+    return parseChatFile(file, parserOptions);
+  }
+
+  return new Promise((resolve, reject) => {
+    const finish = ({ keepWorker = false } = {}) => {
+      if (!keepWorker) worker.terminate();
+      signal?.removeEventListener('abort', handleAbort);
+    };
+
+    const handleAbort = () => {
+      finish();
+      reject(createAbortError());
+    };
+
+    let started = false;
+
+    worker.onmessage = (event) => {
+      const message = event.data || {};
+      started = true;
+      if (message.type === 'progress') {
+        if (onProgress) onProgress(message);
+        return;
+      }
+
+      if (message.type === 'result' && message.remote) {
+        finish({ keepWorker: true });
+        resolve(registerWorkerLibrary(worker, message.data));
+        return;
+      }
+
+      finish();
+      if (message.type === 'result') {
+        resolve(message.data);
+      } else {
+        const error = new Error(message.message);
+        error.name = message.name || 'Error';
+        reject(message.diagnostics ? attachDiagnostics(error, message.diagnostics) : error);
+      }
+    };
+
+    worker.onerror = (event) => {
+      finish();
+      // Worker 脚本本身加载失败时退回主线程
+      if (!started) {
+        parseChatFile(file, parserOptions).then(resolve, reject);
+        return;
+      }
+      reject(new Error(event.message || '解析 Worker 出错'));
+    };
+
+    signal?.addEventListener('abort', handleAbort);
+    // Worker 中读不到 localStorage：语言和导出设置（Markdown 的自定义发送者标签）从这里传入
+    worker.postMessage({
+      type: 'parse',
+      file,
+      options: {
+        locale: localeCache.get(),
+        parserOptions: { exportConfig: StorageManager.get('export-config', {}), ...parserOptions }
+      }
+    });
+  });
+};
+
+/**
+ * 取得文件的解析数据交给 use 处理（导出等需要读取未打开文件的场景）
+ * 页面已加载的文件直接使用 loadedData；否则在 Worker 中解析，处理完后释放这里解析的容器
+ * @param {File} file
+ * @param {Function} use - async (data) => result，容器中的对话用 loadConversationData 读取
+ * @param {Object} options
+ * @param {Object} options.loadedData - 页面中该文件已解析的数据（容器为对话索引）
+ * @returns {Promise} use 的返回值
+ */
+export const withParsedFile = async (file, use, { loadedData = null } = {}) => {
+  if (loadedData) return use(loadedData);
+
+  const data = await parseFileInWorker(file);
+  try {
+    return await use(data);
+  } finally {
+    releaseConversationLibrary(data);
+  }
+};
@@ -0,0 +1,185 @@
+// parserRegistry.js
+// 解析器注册表 - 格式检测、解析、分支检测和显示信息都从这里分发
+//
+// 新增平台只需在一个模块里定义解析器并调用 registerParser：
+//
+//   registerParser({
+//     format: 'my_platform',
+//     detect: (json) => (json?.platform === 'my_platform' ? 1 : 0),
+//     extract: (json, fileName, options) => processedData,
+//     detectBranches: (processedData) => processedData,
+//     label: 'My Platform',
+//     icon: { src: myIconUrl, whiteBackground: true },
+//     platforms: { my_platform: { name: 'My Platform', className: 'platform-my-platform' } }
+//   });
+
+// ==================== 解析器定义 ====================
+/**
+ * @typedef {Object} ParserDefinition
+ * @property {string} format - 格式标识，对应 processedData.format
+ * @property {Function} [detect] - (json) => 0~1 的置信度；0 表示不匹配。没有 detect 的条目只提供显示信息
+ * @property {Function} [extract] - (json, fileName, options) => processedData
+ * @property {Function} [detectText] - (text, fileName) => 0~1：非 JSON 的文本格式（如 Markdown）在 JSON 解析之前识别
+ * @property {Function} [extractText] - (text, fileName, options) => processedData
+ * @property {Array<string>} [extensions] - 文本格式的文件扩展名（不含点），用于文件选择和诊断报告
+ * @property {Function} [detectBranches] - (processedData) => processedData（附带 branches/branch_points）
+ * @property {Object} [requiredFields] - { shape: 'object'|'array', fields: [...] }：格式依赖的字段，用于诊断报告（数组格式检查其中的元素）
+ * @property {string|Object|Function} [label] - 文件类型标签：字符串、{ zh, en }，或 ({ platform, model, isChinese }) => string
+ * @property {string|Object} [displayName] - 支持格式列表中的名称（字符串或 { zh, en }），缺省时用 label
+ * @property {Object|Function} [icon] - { src, whiteBackground }，或 (platform) => { src, whiteBackground }
+ * @property {Object} [platforms] - 该解析器产生的平台：{ [platform]: { name, className } }，用于平台名称、样式和图标
+ * @property {boolean} [isContainer] - 是否为多对话容器（文件卡片点开后进入对话网格）
+ * @property {Function} [loadConversation] - (source) => processedData：容器中延迟解析的单个对话，打开对话时调用（见 conversationLibrary.js）
+ * @property {Function} [createExtractor] - (fileName, options) => { add(item, index), finish() }：顶层数组容器的逐个提取器，流式解析时每读出一个对话就提取一个
+ * @property {Object} [features] - 消息详情中支持的功能，如 { thinking: true, artifacts: true }
+ */
+
+const parsers = new Map();
+
+/**
+ * 注册解析器；同名格式会被覆盖
+ * @param {ParserDefinition} definition
+ */
+export const registerParser = (definition) => {
+  if (!definition?.format) {
+    throw new Error('[Parser Registry] 解析器必须声明 format');
+  }
+  if (definition.detect && typeof definition.extract !== 'function') {
+    throw new Error(`[Parser Registry] ${definition.format} 声明了 detect 但缺少 extract`);
+  }
+  if (definition.detectText && typeof definition.extractText !== 'function') {
+    throw new Error(`[Parser Registry] ${definition.format} 声明了 detectText 但缺少 extractText`);
+  }
+  parsers.set(definition.format, definition);
+  return definition;
+};
+
+export const unregisterParser = (format) => parsers.delete(format);
+
+export const getParser = (format) => parsers.get(format) || null;
+
+export const getRegisteredParsers = () => Array.from(parsers.values());
+
+// ==================== 格式检测 ====================
+/**
+ * 对所有解析器打分，返回从高到低的候选列表
+ * 同分时先注册的优先
+ * @returns {Array} [{ format, score }]
+ */
+export const scoreFormats = (jsonData) => {
+  const candidates = [];
+
+  parsers.forEach(parser => {
+    if (typeof parser.detect !== 'function') return;
+    let score = 0;
+    try {
+      score = Number(parser.detect(jsonData)) || 0;
+    } catch (error) {
+      console.warn(`[Parser Registry] ${parser.format} 检测出错:`, error.message);
+    }
+    if (score > 0) {
+      candidates.push({ format: parser.format, score });
+    }
+  });
+
+  // Array.prototype.sort 是稳定排序，同分保持注册顺序
+  return candidates.sort((a, b) => b.score - a.score);
+};
+
+export const detectRegisteredFormat = (jsonData) => {
+  const [best] = scoreFormats(jsonData);
+  return best ? best.format : 'unknown';
+};
+
+/**
+ * 对声明了 detectText 的文本格式打分
+ * @returns {Array} [{ format, score }]
+ */
+export const scoreTextFormats = (text, fileName = '') => {
+  const candidates = [];
+
+  parsers.forEach(parser => {
+    if (typeof parser.detectText !== 'function') return;
+    let score = 0;
+    try {
+      score = Number(parser.detectText(text, fileName)) || 0;
+    } catch (error) {
+      console.warn(`[Parser Registry] ${parser.format} 文本检测出错:`, error.message);
+    }
+    if (score > 0) {
+      candidates.push({ format: parser.format, score });
+    }
+  });
+
+  return candidates.sort((a, b) => b.score - a.score);
+};
+
+// 不是已注册的文本格式时返回 null，按 JSON/JSONL 解析
+export const detectTextFormat = (text, fileName = '') => {
+  const [best] = scoreTextFormats(text, fileName);
+  return best ? best.format : null;
+};
+
+// ==================== 显示信息 ====================
+const resolveLabel = (label, { platform, model, isChinese } = {}) => {
+  if (!label) return null;
+  if (typeof label === 'function') return label({ platform, model, isChinese });
+  if (typeof label === 'object') return isChinese ? label.zh : label.en;
+  return label;
+};
+
+export const getFormatLabel = (format, context) => resolveLabel(getParser(format)?.label, context);
+
+/**
+ * 支持的格式名称（用于无法识别格式时的提示）
+ * @returns {Array<string>}
+ */
+export const getSupportedFormatNames = ({ isChinese } = {}) => {
+  const names = [];
+  parsers.forEach(parser => {
+    if (typeof parser.detect !== 'function' && typeof parser.detectText !== 'function') return;
+    const name = resolveLabel(parser.displayName || parser.label, { isChinese });
+    if (name && !names.includes(name)) names.push(name);
+  });
+  return names;
+};
+
+/**
+ * 按平台键或平台名称（不区分大小写）查找平台信息
+ * @returns {{platform, format, name, className}|null}
+ */
+export const getPlatformInfo = (platform) => {
+  const key = String(platform || '').toLowerCase();
+  if (!key) return null;
+
+  for (const parser of parsers.values()) {
+    const match = Object.entries(parser.platforms || {})
+      .find(([id, info]) => id === key || info.name?.toLowerCase() === key);
+    if (match) {
+      return { platform: match[0], format: parser.format, ...match[1] };
+    }
+  }
+  return null;
+};
+
+/**
+ * 获取格式对应的图标；格式没有声明图标时（如容器）按平台所属的解析器取
+ * @returns {Object|null} { src, whiteBackground }；都没有声明时返回 null
+ */
+export const getFormatIcon = (format, platform) => {
+  const platformInfo = getPlatformInfo(platform);
+  const icon = getParser(format)?.icon || (platformInfo && getParser(platformInfo.format)?.icon);
+  if (!icon) return null;
+  return typeof icon === 'function' ? icon(platformInfo?.platform || platform) : icon;
+};
+
+export const isContainerFormat = (format) => !!getParser(format)?.isContainer;
+
+/**
+ * 判断格式是否支持某项消息功能（思考过程、Artifacts 等）
+ * 没有格式信息时按 Claude 处理
+ */
+export const formatSupports = (format, feature) => {
+  if (!format) return true;
+  return !!getParser(format)?.features?.[feature];
+};
@@ -0,0 +1,575 @@
+// selfHostedParsers.js
+// 自部署前端（Open WebUI / LibreChat / LobeChat）的解析器和分支检测
+//
+// 三者都把对话保存为消息树：
+//   Open WebUI - chat.history.messages（以 id 为键），parentId / childrenIds，currentId 指向当前分支的末尾
+//   LibreChat  - messages 数组，parentMessageId；递归导出时子消息嵌套在 children 中
+//   LobeChat   - 设置导出的 state.messages，parentId；按助手（session）和话题（topic）拆成多个对话
+// 这些前端允许在对话中途切换模型，所以每条回答单独保留模型名（sender_label / model）
+
+import {
+  MessageBuilder,
+  DateTimeUtils,
+  PARSER_CONFIG,
+  filterCitations,
+  processAttachments,
+  buildMessageMaps,
+  markBranchPath,
+  extractBranchInfo
+} from './helpers.js';
+import { createConversationLibrary, createArrayExtract } from './conversationLibrary.js';
+import selfHostedIcon from '../../assets/icons/SelfHosted.svg';
+
+// ==================== 工具函数 ====================
+// 时间可能是 ISO 字符串、秒或毫秒
+const formatTime = (value) => {
+  const iso = DateTimeUtils.toISOTime(value);
+  return iso ? DateTimeUtils.formatDateTime(iso) : '';
+};
+
+const getMimeFromDataUrl = (url) => {
+  const match = typeof url === 'string' && url.match(/^data:([^;,]+)[;,]/);
+  return match ? match[1] : '';
+};
+
+// 图片（URL 或 data URL）作为嵌入图片附件
+const createImageAttachment = (url, fileName, fileType = '') => ({
+  id: '',
+  file_name: fileName,
+  file_size: 0,
+  file_type: fileType || getMimeFromDataUrl(url) || 'image/png',
+  extracted_content: '',
+  link: url,
+  has_link: !!url,
+  is_embedded_image: true
+});
+
+// 工具输出转为与 extractToolResult 相同的结构
+const toToolResult = (name, output) => {
+  if (output === undefined || output === null || output === '') return null;
+  return {
+    name: name || 'unknown',
+    is_error: false,
+    content: typeof output === 'string' ? output : JSON.stringify(output, null, 2)
+  };
+};
+
+// ==================== 消息树 ====================
+/**
+ * 把规范化的消息组装为 processedData
+ * 按树的深度优先顺序排列，同一父消息下的兄弟按时间排序
+ * @param {Array} messages - [{ id, parentId, role, text, thinking, model, modelLabel, timestamp, attachments, citations, tools }]
+ * @param {Object} options - { format, platform, metaInfo, rawData, assistantLabel }
+ */
+const buildTreeConversation = (messages, { format, platform, metaInfo, rawData, assistantLabel }) => {
+  const visible = messages.filter(msg => msg.id && (msg.role === 'user' || msg.role === 'assistant'));
+  const byId = new Map(visible.map(msg => [msg.id, msg]));
+  const childrenOf = new Map();
+  const roots = [];
+
+  visible.forEach((msg, order) => {
+    msg._order = order;
+    if (msg.parentId && byId.has(msg.parentId)) {
+      if (!childrenOf.has(msg.parentId)) childrenOf.set(msg.parentId, []);
+      childrenOf.get(msg.parentId).push(msg);
+    } else {
+      roots.push(msg);
+    }
+  });
+
+  const timeKey = (msg) => DateTimeUtils.toISOTime(msg.timestamp) || '';
+  const byTime = (a, b) => timeKey(a).localeCompare(timeKey(b)) || a._order - b._order;
+
+  const chatHistory = [];
+  const visit = (msg) => {
+    const isHuman = msg.role === 'user';
+    const label = isHuman ? 'User' : (msg.modelLabel || msg.model || assistantLabel);
+    const parentUuid = msg.parentId && byId.has(msg.parentId) ? msg.parentId : PARSER_CONFIG.ROOT_UUID;
+
+    const messageData = new MessageBuilder(chatHistory.length, msg.id, parentUuid, isHuman ? 'human' : 'assistant', label, formatTime(msg.timestamp))
+      .setContent(msg.text || '')
+      .addCitations({ citations: msg.citations || [] })
+      .addTools(msg.tools || [])
+      .finalize(isHuman);
+
+    // 前端单独保存的推理内容优先于正文中的 <thinking> 标签
+    if (msg.thinking) messageData.thinking = msg.thinking;
+    if (msg.attachments?.length) messageData.attachments.push(...msg.attachments);
+    if (!isHuman) messageData.model = msg.model || '';
+    messageData._created_at = DateTimeUtils.toISOTime(msg.timestamp);
+    chatHistory.push(messageData);
+
+    (childrenOf.get(msg.id) || []).sort(byTime).forEach(visit);
+  };
+  roots.sort(byTime).forEach(visit);
+
+  // 对话模型取最后一条回答的模型
+  const lastAssistant = [...chatHistory].reverse().find(msg => msg.sender === 'assistant' && msg.model);
+
+  return {
+    meta_info: {
+      model: lastAssistant?.model || '',
+      platform,
+      has_embedded_images: chatHistory.some(msg => msg.attachments.some(att => att.is_embedded_image)),
+      images_processed: 0,
+      project_uuid: '',
+      ...metaInfo
+    },
+    chat_history: chatHistory,
+    raw_data: rawData,
+    format,
+    platform
+  };
+};
+
+// ==================== 分支检测 ====================
+/**
+ * 消息树的分支检测：当前分支（currentUuid 所在路径，默认最新的叶子）作为主线
+ * @param {Object} processedData
+ * @param {string} currentUuid - 当前分支末尾的消息
+ */
+const detectTreeBranches = (processedData, currentUuid = null) => {
+  if (!processedData?.chat_history) {
+    return processedData;
+  }
+
+  const messages = processedData.chat_history;
+  const ROOT_UUID = PARSER_CONFIG.ROOT_UUID;
+  const { parentChildMap, messageMap } = buildMessageMaps(messages);
+
+  messages.forEach(msg => {
+    msg.is_branch_point = false;
+    msg.branch_id = null;
+    msg.branch_level = 0;
+  });
+
+  // 没有指定当前分支时取最新的叶子消息
+  let leafUuid = currentUuid && messageMap.has(currentUuid) ? currentUuid : null;
+  if (!leafUuid) {
+    const leaves = messages.filter(msg => !parentChildMap.has(msg.uuid));
+    leaves.sort((a, b) => (a._created_at || '').localeCompare(b._created_at || '') || a.index - b.index);
+    leafUuid = leaves[leaves.length - 1]?.uuid || null;
+  }
+
+  const currentPath = new Set();
+  for (let uuid = leafUuid; uuid && messageMap.has(uuid); uuid = messageMap.get(uuid).parent_uuid) {
+    currentPath.add(uuid);
+  }
+
+  // 当前分支上的子消息排在最前，markBranchPath 会让它沿用父消息的分支路径
+  const promoteCurrent = (uuids) => [
+    ...uuids.filter(uuid => currentPath.has(uuid)),
+    ...uuids.filter(uuid => !currentPath.has(uuid))
+  ];
+
+  const branchPoints = [];
+  parentChildMap.forEach((children, parentUuid) => {
+    parentChildMap.set(parentUuid, promoteCurrent(children));
+    if (children.length < 2) return;
+    if (parentUuid === ROOT_UUID) {
+      branchPoints.push(ROOT_UUID);
+    } else if (messageMap.has(parentUuid)) {
+      messageMap.get(parentUuid).is_branch_point = true;
+      branchPoints.push(parentUuid);
+    }
+  });
+
+  const visited = new Set();
+  const rootUuids = promoteCurrent(messages
+    .filter(msg => msg.parent_uuid === ROOT_UUID || !messageMap.has(msg.parent_uuid))
+    .map(msg => msg.uuid));
+  rootUuids.forEach((uuid, index) => {
+    const branchPath = index === 0 ? 'main' : `branch_root_${index}`;
+    markBranchPath(uuid, branchPath, index === 0 ? 0 : 1, messageMap, parentChildMap, visited);
+  });
+
+  return {
+    ...processedData,
+    branches: extractBranchInfo(messages),
+    branch_points: branchPoints
+  };
+};
+
+// ==================== Open WebUI 解析器 ====================
+// 导出文件可能是 chat 对象本身、带 chat 字段的记录，或只含一条记录的数组
+const getOpenWebUIChat = (json) => {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) return null;
+  const chat = json.chat && typeof json.chat === 'object' ? json.chat : json;
+  const messages = chat.history?.messages;
+  return messages && typeof messages === 'object' && !Array.isArray(messages) ? chat : null;
+};
+
+const unwrapOpenWebUIRecord = (json) => (Array.isArray(json) ? json[0] : json);
+
+// 推理模型的思考过程写在 <details type="reasoning"> 中
+const REASONING_DETAILS = /<details\s+type="reasoning"[^>]*>([\s\S]*?)<\/details>/g;
+
+const splitOpenWebUIReasoning = (content = '') => {
+  const thoughts = [];
+  const text = String(content).replace(REASONING_DETAILS, (match, inner) => {
+    thoughts.push(inner
+      .replace(/<summary>[\s\S]*?<\/summary>/, '')
+      .split('\n')
+      .map(line => line.replace(/^>\s?/, ''))
+      .join('\n')
+      .trim());
+    return '';
+  });
+  return { text: text.trim(), thinking: thoughts.filter(Boolean).join('\n\n') };
+};
+
+const extractOpenWebUIFiles = (files = []) => files.map((file, index) => {
+  if (file?.type === 'image') {
+    return createImageAttachment(file.url, file.name || `image_${index + 1}`);
+  }
+  const meta = file?.file?.meta || {};
+  return processAttachments([{
+    id: file?.id,
+    name: file?.name || meta.name,
+    size: file?.size || meta.size,
+    mime_type: meta.content_type || '',
+    url: file?.url
+  }])[0];
+}).filter(Boolean);
+
+// sources（旧版为 citations）：{ source: { name, url }, metadata: [{ source, name, title }] }
+const extractOpenWebUICitations = (sources = []) => filterCitations(
+  (Array.isArray(sources) ? sources : []).flatMap(item => {
+    const metadata = Array.isArray(item?.metadata) ? item.metadata : [];
+    const urls = metadata
+      .filter(meta => /^https?:\/\//.test(meta?.source || ''))
+      .map(meta => ({ url: meta.source, title: meta.title || meta.name || item.source?.name || meta.source }));
+    if (urls.length === 0 && /^https?:\/\//.test(item?.source?.url || '')) {
+      urls.push({ url: item.source.url, title: item.source.name || item.source.url });
+    }
+    return urls;
+  })
+);
+
+export const extractOpenWebUIData = (jsonData, fileName = '') => {
+  const record = unwrapOpenWebUIRecord(jsonData);
+  const chat = getOpenWebUIChat(record);
+  const history = chat.history;
+
+  const messages = Object.values(history.messages).map(msg => {
+    const { text, thinking } = splitOpenWebUIReasoning(msg.content);
+    return {
+      id: msg.id,
+      parentId: msg.parentId,
+      role: msg.role,
+      text,
+      thinking,
+      model: msg.role === 'assistant' ? (msg.model || '') : '',
+      modelLabel: msg.modelName || '',
+      timestamp: msg.timestamp,
+      attachments: extractOpenWebUIFiles(msg.files),
+      citations: extractOpenWebUICitations(msg.sources || msg.citations)
+    };
+  });
+
+  const createdAt = record.created_at || chat.timestamp;
+  return buildTreeConversation(messages, {
+    format: 'openwebui',
+    platform: 'openwebui',
+    assistantLabel: 'Assistant',
+    rawData: record,
+    metaInfo: {
+      title: chat.title || record.title || fileName.replace(/\.(jsonl|json)$/i, '') || 'Open WebUI 对话',
+      created_at: formatTime(createdAt),
+      updated_at: formatTime(record.updated_at || createdAt),
+      uuid: record.id || chat.id || '',
+      models: Array.isArray(chat.models) ? chat.models : []
+    }
+  });
+};
+
+export const detectOpenWebUIBranches = (processedData) =>
+  detectTreeBranches(processedData, getOpenWebUIChat(processedData?.raw_data)?.history?.currentId);
+
+// 导出全部对话时是多条记录的数组，逐条解析
+export const createOpenWebUIFullExportExtractor = (fileName = '') => {
+  const entries = [];
+  const failed = [];
+
+  const add = (record, index) => {
+    try {
+      const data = detectOpenWebUIBranches(extractOpenWebUIData(record));
+      entries.push({
+        data,
+        uuid: record.id,
+        isStarred: !!record.pinned,
+        createdAt: DateTimeUtils.toISOTime(record.created_at),
+        updatedAt: DateTimeUtils.toISOTime(record.updated_at)
+      });
+    } catch (error) {
+      console.warn(`[Open WebUI Parser] 跳过第 ${index + 1} 个对话:`, error.message);
+      failed.push({ index, title: record?.title || '', reason: error.message });
+    }
+  };
+
+  const finish = () => createConversationLibrary({
+    format: 'openwebui_full_export',
+    title: fileName.replace(/\.(jsonl|json)$/i, '') || 'Open WebUI Export',
+    entries,
+    extraMeta: {
+      skipped_conversations: failed
+    }
+  });
+
+  return { add, finish };
+};
+
+export const extractOpenWebUIFullExport = createArrayExtract(createOpenWebUIFullExportExtractor);
+
+// ==================== LibreChat 解析器 ====================
+// 递归导出时子消息嵌套在 children 中，展开为平铺数组
+const flattenLibreChatMessages = (messages = [], result = []) => {
+  messages.forEach(msg => {
+    if (!msg || typeof msg !== 'object') return;
+    result.push(msg);
+    if (Array.isArray(msg.children)) flattenLibreChatMessages(msg.children, result);
+  });
+  return result;
+};
+
+// content 数组：text / think / tool_call 片段
+const extractLibreChatContent = (msg) => {
+  let text = '';
+  const thoughts = [];
+  const tools = [];
+
+  (Array.isArray(msg.content) ? msg.content : []).forEach(part => {
+    if (!part || typeof part !== 'object') return;
+    if (part.type === 'text') {
+      text += typeof part.text === 'string' ? part.text : (part.text?.value || '');
+    } else if (part.type === 'think') {
+      thoughts.push(typeof part.think === 'string' ? part.think : (part.think?.value || ''));
+    } else if (part.type === 'tool_call' && part.tool_call) {
+      tools.push({
+        name: part.tool_call.name || part.tool_call.function?.name || 'tool',
+        input: part.tool_call.args || part.tool_call.function?.arguments || {},
+        result: toToolResult(part.tool_call.name, part.tool_call.output)
+      });
+    }
+  });
+
+  return { text: text || msg.text || '', thinking: thoughts.join('\n\n').trim(), tools };
+};
+
+const extractLibreChatFiles = (files = []) => files.map((file, index) => {
+  const fileType = file?.type || '';
+  if (fileType.startsWith('image/')) {
+    return createImageAttachment(file.filepath, file.filename || `image_${index + 1}`, fileType);
+  }
+  return processAttachments([{
+    id: file?.file_id,
+    name: file?.filename,
+    size: file?.bytes,
+    mime_type: fileType,
+    url: file?.filepath
+  }])[0];
+}).filter(Boolean);
+
+export const extractLibreChatData = (jsonData, fileName = '') => {
+  const defaultModel = jsonData.options?.model || jsonData.model || '';
+
+  const messages = flattenLibreChatMessages(jsonData.messages).map(msg => {
+    const { text, thinking, tools } = extractLibreChatContent(msg);
+    const isHuman = msg.isCreatedByUser ?? msg.sender === 'User';
+    const model = isHuman ? '' : (msg.model || defaultModel);
+    return {
+      id: msg.messageId,
+      parentId: msg.parentMessageId,
+      role: isHuman ? 'user' : 'assistant',
+      text,
+      thinking,
+      tools,
+      model,
+      // sender 是界面上显示的助手名称（如 "GPT-4o"），没有时用模型名
+      modelLabel: !isHuman && msg.sender && msg.sender !== 'User' ? msg.sender : model,
+      timestamp: msg.createdAt,
+      attachments: extractLibreChatFiles(msg.files)
+    };
+  });
+
+  return buildTreeConversation(messages, {
+    format: 'librechat',
+    platform: 'librechat',
+    assistantLabel: 'Assistant',
+    rawData: jsonData,
+    metaInfo: {
+      title: jsonData.title || fileName.replace(/\.(jsonl|json)$/i, '') || 'LibreChat 对话',
+      created_at: formatTime(jsonData.createdAt),
+      updated_at: formatTime(jsonData.updatedAt || jsonData.createdAt),
+      uuid: jsonData.conversationId || '',
+      endpoint: jsonData.endpoint || ''
+    }
+  });
+};
+
+export const detectLibreChatBranches = (processedData) => detectTreeBranches(processedData);
+
+// ==================== LobeChat 解析器 ====================
+// 工具消息（role: tool）不单独显示，结果写回发起调用的助手消息
+const attachLobeChatToolResults = (rawMessages, messages) => {
+  const toolsByCallId = new Map();
+  messages.forEach(msg => {
+    (msg.tools || []).forEach(tool => {
+      if (tool.id) toolsByCallId.set(tool.id, tool);
+    });
+  });
+  rawMessages.forEach(msg => {
+    const tool = msg.role === 'tool' && toolsByCallId.get(msg.tool_call_id);
+    if (tool) tool.result = toToolResult(tool.name, msg.content);
+  });
+};
+
+const normalizeLobeChatMessage = (msg) => ({
+  id: msg.id,
+  parentId: msg.parentId,
+  role: msg.role,
+  text: msg.content || '',
+  thinking: msg.reasoning?.content || '',
+  model: msg.role === 'assistant' ? (msg.model || '') : '',
+  modelLabel: '',
+  timestamp: msg.createdAt,
+  citations: filterCitations((msg.search?.citations || []).filter(cit => cit?.url)),
+  tools: (msg.tools || []).map(tool => ({
+    id: tool.id,
+    name: tool.apiName || tool.identifier || 'tool',
+    input: tool.arguments || {},
+    result: null
+  })),
+  attachments: (msg.imageList || []).map((image, index) =>
+    createImageAttachment(image.url, image.alt || `image_${index + 1}`))
+});
+
+/**
+ * 解析 LobeChat 设置导出：每个助手的每个话题是一个对话，助手作为项目
+ */
+export const extractLobeChatExport = (jsonData, fileName = '') => {
+  const state = jsonData.state || {};
+  const sessions = new Map((state.sessions || []).map(session => [session.id, session]));
+  const topics = new Map((state.topics || []).map(topic => [topic.id, topic]));
+
+  const groups = new Map();
+  (state.messages || []).forEach(msg => {
+    if (!msg?.id) return;
+    const key = `${msg.sessionId || 'inbox'}::${msg.topicId || ''}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(msg);
+  });
+
+  const entries = [];
+  groups.forEach((rawMessages, key) => {
+    const [sessionId, topicId] = key.split('::');
+    const session = sessions.get(sessionId);
+    const topic = topics.get(topicId);
+    const sessionName = session?.meta?.title || (sessionId === 'inbox' ? 'Inbox' : sessionId);
+
+    const messages = rawMessages.map(normalizeLobeChatMessage);
+    attachLobeChatToolResults(rawMessages, messages);
+
+    const createdAt = topic?.createdAt || rawMessages[0]?.createdAt;
+    const data = detectLibreChatBranches(buildTreeConversation(messages, {
+      format: 'lobechat',
+      platform: 'lobechat',
+      assistantLabel: 'LobeChat',
+      rawData: { session: session || null, topic: topic || null, messages: rawMessages },
+      metaInfo: {
+        title: topic?.title || sessionName,
+        created_at: formatTime(createdAt),
+        updated_at: formatTime(topic?.updatedAt || rawMessages[rawMessages.length - 1]?.updatedAt || createdAt),
+        uuid: topicId || sessionId,
+        project: { uuid: sessionId, name: sessionName }
+      }
+    }));
+
+    entries.push({
+      data,
+      uuid: topicId || sessionId,
+      project: { uuid: sessionId, name: sessionName },
+      isStarred: !!topic?.favorite,
+      createdAt: DateTimeUtils.toISOTime(createdAt),
+      updatedAt: DateTimeUtils.toISOTime(topic?.updatedAt)
+    });
+  });
+
+  return createConversationLibrary({
+    format: 'lobechat_export',
+    title: fileName.replace(/\.(jsonl|json)$/i, '') || 'LobeChat Export',
+    entries,
+    extraMeta: {
+      export_version: jsonData.version ?? null
+    }
+  });
+};
+
+// ==================== 解析器注册信息 ====================
+const isLibreChatConversation = (json) => {
+  if (!json || typeof json !== 'object' || Array.isArray(json) || !Array.isArray(json.messages)) return false;
+  const first = json.messages[0];
+  return !!first && typeof first === 'object' && !!first.messageId && ('parentMessageId' in first || 'isCreatedByUser' in first);
+};
+
+const SELF_HOSTED_ICON = { src: selfHostedIcon, whiteBackground: true };
+
+export const openWebUIParserDefinition = {
+  format: 'openwebui',
+  detect: (json) => {
+    const record = Array.isArray(json) && json.length === 1 ? json[0] : json;
+    return getOpenWebUIChat(record) ? 0.9 : 0;
+  },
+  extract: extractOpenWebUIData,
+  detectBranches: detectOpenWebUIBranches,
+  requiredFields: { shape: 'object', fields: ['history'] },
+  label: 'Open WebUI',
+  icon: SELF_HOSTED_ICON,
+  platforms: { openwebui: { name: 'Open WebUI', className: 'platform-selfhosted' } },
+  features: { thinking: true }
+};
+
+export const openWebUIFullExportParserDefinition = {
+  format: 'openwebui_full_export',
+  detect: (json) => (Array.isArray(json) && json.length > 1 && getOpenWebUIChat(json[0]) ? 0.9 : 0),
+  extract: extractOpenWebUIFullExport,
+  createExtractor: createOpenWebUIFullExportExtractor,
+  requiredFields: { shape: 'array', fields: ['chat'] },
+  label: { zh: 'Open WebUI 完整导出', en: 'Open WebUI Export' },
+  icon: SELF_HOSTED_ICON,
+  isContainer: true
+};
+
+export const libreChatParserDefinition = {
+  format: 'librechat',
+  detect: (json) => (isLibreChatConversation(json) ? 0.9 : 0),
+  extract: extractLibreChatData,
+  detectBranches: detectLibreChatBranches,
+  requiredFields: { shape: 'object', fields: ['conversationId', 'messages'] },
+  label: 'LibreChat',
+  icon: SELF_HOSTED_ICON,
+  platforms: { librechat: { name: 'LibreChat', className: 'platform-selfhosted' } },
+  features: { thinking: true }
+};
+
+// 容器中的单个 LobeChat 对话（只提供显示信息和分支检测）
+export const lobeChatParserDefinition = {
+  format: 'lobechat',
+  detectBranches: detectLibreChatBranches,
+  label: 'LobeChat',
+  icon: SELF_HOSTED_ICON,
+  platforms: { lobechat: { name: 'LobeChat', className: 'platform-selfhosted' } },
+  features: { thinking: true }
+};
+
+export const lobeChatExportParserDefinition = {
+  format: 'lobechat_export',
+  detect: (json) => (
+    json && !Array.isArray(json) && typeof json === 'object' && Array.isArray(json.state?.messages) ? 0.9 : 0
+  ),
+  extract: extractLobeChatExport,
+  requiredFields: { shape: 'object', fields: ['state'] },
+  label: { zh: 'LobeChat 导出', en: 'LobeChat Export' },
+  icon: SELF_HOSTED_ICON,
+  isContainer: true
+};
@@ -0,0 +1,282 @@
+// streamingParser.js
+// 流式 JSON / JSONL 解析 - 按块读取文件，逐个产出顶层数组的元素（完整导出中的每个对话）
+//
+// 几百 MB 的完整导出（含 base64 图片）整体 JSON.parse 时，原始文本和解析结果会同时占用内存，
+// 而且无法汇报进度。这里只保留尚未解析完的那一段文本，每解析出一个元素就可以汇报进度或检查取消。
+// 顶层是对象（单个对话）时无法拆分，读完后整体解析。
+
+// 读取文件时每块的大小
+export const STREAM_CHUNK_SIZE = 4 * 1024 * 1024;
+
+const QUOTE = 34;       // "
+const BACKSLASH = 92;   // \
+const COMMA = 44;       // ,
+const OPEN_ARRAY = 91;  // [
+const CLOSE_ARRAY = 93; // ]
+const OPEN_OBJECT = 123;  // {
+const CLOSE_OBJECT = 125; // }
+
+const isWhitespace = (code) => code === 32 || code === 10 || code === 13 || code === 9;
+
+// ==================== 取消 ====================
+export const createAbortError = () => {
+  const error = new Error('解析已取消');
+  error.name = 'AbortError';
+  return error;
+};
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) throw createAbortError();
+};
+
+// ==================== JSON ====================
+/**
+ * 增量 JSON 解析器
+ * write(chunk) 返回这一块中完成的顶层数组元素；end() 返回整个值（顶层为数组时即所有元素）
+ * collect 为 false 时不保留已产出的元素，end() 对数组返回空数组（由调用方在 write 的返回值中处理元素）
+ */
+export class JsonStreamParser {
+  constructor({ collect = true } = {}) {
+    this.collect = collect;
+    this.count = 0;        // 已产出的元素数
+    this.rootType = null;  // 'array' | 'value'
+    this.buffer = '';      // 尚未产出的文本
+    this.position = 0;     // buffer 中已扫描到的位置
+    this.depth = 0;
+    this.inString = false;
+    this.elementStart = -1;
+    this.done = false;
+    this.chunks = [];      // 顶层不是数组时缓存全部文本
+    this.items = [];
+  }
+
+  write(chunk) {
+    if (!chunk) return [];
+
+    if (this.rootType === null) {
+      const text = this.buffer + chunk;
+      const start = text.search(/\S/);
+      if (start === -1) {
+        this.buffer = text;
+        return [];
+      }
+      this.buffer = '';
+      if (text.charCodeAt(start) === OPEN_ARRAY) {
+        this.rootType = 'array';
+        return this.scan(text.slice(start));
+      }
+      this.rootType = 'value';
+      this.chunks.push(text);
+      return [];
+    }
+
+    if (this.rootType === 'value') {
+      this.chunks.push(chunk);
+      return [];
+    }
+
+    return this.scan(chunk);
+  }
+
+  // 扫描数组文本：深度为 1 时的逗号和收尾的 ] 是元素边界
+  scan(chunk) {
+    if (this.done) {
+      if (/\S/.test(chunk)) throw new SyntaxError('Unexpected non-whitespace character after JSON');
+      return [];
+    }
+
+    const text = this.buffer + chunk;
+    const completed = [];
+    let i = this.position;
+
+    while (i < text.length) {
+      if (this.inString) {
+        // 字符串内只需要找到结束引号，用 indexOf 跳过大段 base64
+        const quote = text.indexOf('"', i);
+        if (quote === -1) {
+          i = text.length;
+          break;
+        }
+        let backslashes = 0;
+        for (let j = quote - 1; j >= 0 && text.charCodeAt(j) === BACKSLASH; j--) backslashes++;
+        i = quote + 1;
+        if (backslashes % 2 === 0) this.inString = false;
+        continue;
+      }
+
+      const code = text.charCodeAt(i);
+
+      if (code === QUOTE) {
+        if (this.depth === 1 && this.elementStart === -1) this.elementStart = i;
+        this.inString = true;
+      } else if (code === OPEN_ARRAY || code === OPEN_OBJECT) {
+        if (this.depth === 1 && this.elementStart === -1) this.elementStart = i;
+        this.depth++;
+      } else if (code === CLOSE_ARRAY || code === CLOSE_OBJECT) {
+        this.depth--;
+        if (this.depth === 0) {
+          // [1,] 这样的尾随逗号不是合法 JSON
+          if (this.elementStart === -1 && this.count > 0) {
+            throw new SyntaxError(`Unexpected token ] in JSON array after element ${this.count - 1}`);
+          }
+          this.pushElement(text, i, completed);
+          this.done = true;
+          if (/\S/.test(text.slice(i + 1))) {
+            throw new SyntaxError('Unexpected non-whitespace character after JSON');
+          }
+          i = text.length;
+          break;
+        }
+      } else if (code === COMMA && this.depth === 1) {
+        if (this.elementStart === -1) throw new SyntaxError(`Unexpected token , in JSON array at element ${this.count}`);
+        this.pushElement(text, i, completed);
+      } else if (this.depth === 1 && this.elementStart === -1 && !isWhitespace(code)) {
+        this.elementStart = i;
+      }
+      i++;
+    }
+
+    // 丢弃已产出的部分，只保留当前元素
+    if (this.done) {
+      this.buffer = '';
+      this.position = 0;
+    } else if (this.elementStart >= 0) {
+      this.buffer = text.slice(this.elementStart);
+      this.position = i - this.elementStart;
+      this.elementStart = 0;
+    } else {
+      this.buffer = '';
+      this.position = 0;
+    }
+
+    return completed;
+  }
+
+  pushElement(text, end, completed) {
+    if (this.elementStart === -1) return;
+    const source = text.slice(this.elementStart, end);
+    this.elementStart = -1;
+    let value;
+    try {
+      value = JSON.parse(source);
+    } catch (error) {
+      throw new SyntaxError(`${error.message} (array element ${this.count})`);
+    }
+    this.count++;
+    if (this.collect) this.items.push(value);
+    completed.push(value);
+  }
+
+  end() {
+    if (this.rootType === 'value') {
+      const text = this.chunks.join('');
+      this.chunks = [];
+      return JSON.parse(text);
+    }
+    if (this.rootType === null) {
+      return JSON.parse(this.buffer);
+    }
+    if (!this.done) {
+      throw new SyntaxError('Unexpected end of JSON input');
+    }
+    return this.items;
+  }
+}
+
+// ==================== JSONL ====================
+/**
+ * 增量 JSONL 解析器：与 parseJSONL 相同，跳过无法解析的行
+ */
+export class JsonlStreamParser {
+  constructor({ collect = true } = {}) {
+    this.collect = collect;
+    this.buffer = '';
+    this.lineNumber = 0;
+    this.items = [];
+  }
+
+  write(chunk) {
+    const lines = (this.buffer + chunk).split('\n');
+    this.buffer = lines.pop();
+    return lines.map(line => this.parseLine(line)).filter(Boolean);
+  }
+
+  parseLine(line) {
+    const lineNumber = this.lineNumber++;
+    if (!line.trim()) return null;
+    try {
+      const value = JSON.parse(line);
+      if (this.collect) this.items.push(value);
+      return value;
+    } catch (e) {
+      console.warn('[JSONL Parser] 行解析失败:', {
+        line: line.substring(0, 100) + '...',
+        error: e.message,
+        lineNumber
+      });
+      return null;
+    }
+  }
+
+  end() {
+    this.parseLine(this.buffer);
+    this.buffer = '';
+    return this.items;
+  }
+}
+
+// ==================== 文件读取 ====================
+/**
+ * 按块读取文件文本（UTF-8）
+ * @param {Blob} file
+ * @param {Function} onChunk - (text, loadedBytes) => void
+ * @param {AbortSignal} signal
+ */
+export const readFileInChunks = async (file, onChunk, signal) => {
+  const decoder = new TextDecoder('utf-8');
+  const total = file.size || 0;
+  let loaded = 0;
+
+  while (loaded < total) {
+    throwIfAborted(signal);
+    const end = Math.min(loaded + STREAM_CHUNK_SIZE, total);
+    const bytes = new Uint8Array(await file.slice(loaded, end).arrayBuffer());
+    loaded = end;
+    // stream: true 保留跨块的多字节字符
+    onChunk(decoder.decode(bytes, { stream: loaded < total }), loaded);
+  }
+  throwIfAborted(signal);
+};
+
+/**
+ * 流式解析 JSON 或 JSONL 文件，逐个产出顶层数组元素（或 JSONL 的每一行）
+ * @param {Blob} file
+ * @param {Object} options
+ * @param {boolean} options.jsonl - 按 JSONL 解析
+ * @param {Function} options.onItem - (item, index) => void：每解析出一个元素调用一次
+ * @param {Function} options.onProgress - ({ loaded, total, items }) => void
+ * @param {boolean} options.collect - 为 false 时不保留元素，顶层数组和 JSONL 返回空数组（元素只交给 onItem）
+ * @param {AbortSignal} options.signal - 取消信号
+ * @returns {Promise<*>} 整个 JSON 值；JSONL 返回记录数组
+ */
+export const streamParseFile = async (file, { jsonl = false, onItem, onProgress, collect = true, signal } = {}) => {
+  const parser = jsonl ? new JsonlStreamParser({ collect }) : new JsonStreamParser({ collect });
+  const total = file.size || 0;
+  let count = 0;
+
+  const emit = (items) => items.forEach(item => {
+    if (onItem) onItem(item, count);
+    count++;
+  });
+
+  await readFileInChunks(file, (text, loaded) => {
+    emit(parser.write(text));
+    if (onProgress) onProgress({ loaded, total, items: count });
+  }, signal);
+
+  // 最后一行没有换行符时补上，让它也经过 onItem
+  if (jsonl) emit(parser.write('\n'));
+  return parser.end();
+};
@@ -80,6 +80,16 @@ export function wrapWithDetails(summary, content) {
   return lines.join('\n');
 }
 
+/**
+ * 拆开 wrapWithDetails 生成的包装，供不使用 HTML 折叠的格式（Logseq、Org）改用自己的折叠语法
+ * @param {string} text - wrapWithDetails 的输出
+ * @returns {{summary, body}|null} 不是 <details> 包装时返回 null
+ */
+export function unwrapDetails(text) {
+  const match = /^<details>\n<summary>([\s\S]*?)<\/summary>\n([\s\S]*?)<\/details>\s*$/.exec(text || '');
+  return match ? { summary: match[1], body: match[2].trim() } : null;
+}
+
 /**
  * 格式化思考过程
  * @param {string} thinking - 思考内容
@@ -172,6 +182,238 @@ export function formatCitations(citations, gt) {
   return wrapWithDetails(gt('format.citations'), content);
 }
 
+/**
+ * 格式化角色卡（SillyTavern 聊天附带的角色卡）
+ * @param {Object} card - 角色卡对象（见 fileParser/characterCard.js）
+ * @param {Function} gt - 翻译函数
+ * @returns {string} 格式化后的角色卡
+ */
+export function formatCharacterCard(card, gt) {
+  const sections = [
+    ['format.persona', [card.description, card.personality].filter(Boolean).join('\n\n')],
+    ['format.scenario', card.scenario],
+    ['format.firstMessage', card.first_mes]
+  ];
+
+  // 内容放在引用块中，重新导入时不会被误认为消息标题
+  const content = [];
+  sections.filter(([, text]) => text).forEach(([key, text]) => {
+    content.push(`> ${gt(key)}`, ...text.split('\n').map(line => `> ${line}`.trimEnd()), '');
+  });
+
+  return wrapWithDetails(`${gt('format.characterCard')} ${card.name}`, content);
+}
+
+/**
+ * 分支分析器 - 从 ConversationTimeline 中提取的逻辑
+ */
+export class BranchAnalyzer {
+  /**
+   * 分析消息的分支结构
+   * @param {Array} messages - 消息数组
+   * @returns {Object} - 分支分析结果
+   */
+  analyze(messages) {
+    const msgDict = {};
+    const parentChildren = {};
+    const branchPoints = new Map();
+
+    // 构建消息字典和父子关系
+    messages.forEach(msg => {
+      const uuid = msg.uuid;
+      const parentUuid = msg.parent_uuid;
+
+      msgDict[uuid] = msg;
+
+      if (parentUuid) {
+        if (!parentChildren[parentUuid]) {
+          parentChildren[parentUuid] = [];
+        }
+        parentChildren[parentUuid].push(uuid);
+      }
+    });
+
+    // 识别分支点
+    const ROOT_UUID = '00000000-0000-4000-8000-000000000000';
+
+    Object.entries(parentChildren).forEach(([parentUuid, children]) => {
+      if (children.length > 1) {
+        let branchPoint = null;
+
+        if (parentUuid === ROOT_UUID) {
+          // 根节点有多个子节点，创建虚拟分支点
+          branchPoint = {
+            uuid: ROOT_UUID,
+            index: -1,
+            display_text: '对话起始点',
+            sender: 'system',
+            timestamp: '对话开始'
+          };
+        } else if (msgDict[parentUuid]) {
+          branchPoint = msgDict[parentUuid];
+        }
+
+        if (branchPoint) {
+          const sortedChildren = children
+            .map(uuid => msgDict[uuid])
+            .filter(msg => msg)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+          const branches = sortedChildren.map((childMsg, branchIndex) => {
+            const branchMessages = this.findBranchMessages(childMsg.uuid, msgDict, parentChildren);
+
+            return {
+              branchIndex,
+              startMessage: childMsg,
+              messages: branchMessages,
+              messageCount: branchMessages.length,
+              path: `branch_${branchPoint.uuid}_${branchIndex}`,
+              preview: childMsg.display_text
+                ? childMsg.display_text.length > 50
+                  ? childMsg.display_text.substring(0, 50) + '...'
+                  : childMsg.display_text
+                : '...'
+            };
+          });
+
+          branchPoints.set(parentUuid, {
+            branchPoint,
+            branches,
+            currentBranchIndex: 0
+          });
+        }
+      }
+    });
+
+    return { branchPoints, msgDict, parentChildren };
+  }
+
+  /**
+   * 查找分支的所有消息
+   */
+  findBranchMessages(startUuid, msgDict, parentChildren) {
+    const branchMessages = [msgDict[startUuid]];
+    const visited = new Set([startUuid]);
+
+    const traverse = (currentUuid) => {
+      const children = parentChildren[currentUuid] || [];
+      children.forEach(childUuid => {
+        if (!visited.has(childUuid) && msgDict[childUuid]) {
+          visited.add(childUuid);
+          branchMessages.push(msgDict[childUuid]);
+          traverse(childUuid);
+        }
+      });
+    };
+
+    traverse(startUuid);
+    return branchMessages.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * 找到最新分支的消息
+   * @param {Array} messages - 所有消息
+   * @returns {Array} - 最新分支的消息
+   */
+  getLatestBranchMessages(messages) {
+    if (!messages || messages.length === 0) {
+      return [];
+    }
+
+    // 找到时间戳最新的消息
+    const sortedMessages = [...messages].sort((a, b) => {
+      const timeA = new Date(a.timestamp).getTime();
+      const timeB = new Date(b.timestamp).getTime();
+      return timeA - timeB;
+    });
+
+    const latestMessage = sortedMessages[sortedMessages.length - 1];
+
+    // 分析分支结构
+    const { branchPoints, msgDict } = this.analyze(messages);
+
+    // 如果没有分支，返回所有消息
+    if (branchPoints.size === 0) {
+      return messages;
+    }
+
+    // 构建最新消息的路径
+    const messagePath = [];
+    let currentMsg = latestMessage;
+    const visitedUuids = new Set();
+
+    while (currentMsg && !visitedUuids.has(currentMsg.uuid)) {
+      visitedUuids.add(currentMsg.uuid);
+      messagePath.unshift(currentMsg);
+
+      if (currentMsg.parent_uuid) {
+        currentMsg = msgDict[currentMsg.parent_uuid];
+      } else {
+        break;
+      }
+    }
+
+    // 确定每个分支点的选择
+    const selectedBranches = new Map();
+
+    for (const [branchPointUuid, branchData] of branchPoints) {
+      let selectedBranchIndex = 0;
+
+      // 检查消息路径是否经过这个分支点的某个分支
+      for (let bIdx = 0; bIdx < branchData.branches.length; bIdx++) {
+        const branch = branchData.branches[bIdx];
+        if (messagePath.some(pathMsg =>
+          branch.messages.some(branchMsg => branchMsg.uuid === pathMsg.uuid)
+        )) {
+          selectedBranchIndex = bIdx;
+          break;
+        }
+      }
+
+      selectedBranches.set(branchPointUuid, selectedBranchIndex);
+    }
+
+    // 根据选择的分支过滤消息
+    const visibleMessages = [];
+
+    for (const msg of messages) {
+      let shouldShow = true;
+
+      for (const [branchPointUuid, selectedBranchIndex] of selectedBranches.entries()) {
+        const branchData = branchPoints.get(branchPointUuid);
+        if (!branchData) continue;
+
+        const branchPoint = branchData.branchPoint;
+        const selectedBranch = branchData.branches[selectedBranchIndex];
+
+        // 对于根分支点，所有消息都受影响
+        const isRootBranch = branchPoint.index === -1;
+
+        if (isRootBranch || msg.index > branchPoint.index) {
+          const belongsToSelectedBranch = selectedBranch.messages.some(
+            branchMsg => branchMsg.uuid === msg.uuid
+          );
+
+          if (!belongsToSelectedBranch) {
+            const belongsToAnyBranch = branchData.branches.some(
+              branch => branch.messages.some(branchMsg => branchMsg.uuid === msg.uuid)
+            );
+
+            if (belongsToAnyBranch) {
+              shouldShow = false;
+              break;
+            }
+          }
+        }
+      }
+
+      if (shouldShow) visibleMessages.push(msg);
+    }
+
+    return visibleMessages;
+  }
+}
+
 /**
  * 获取分支标记
  * @param {Object} msg - 消息对象
@@ -183,6 +425,86 @@ export function getBranchMarker(msg) {
   return '';
 }
 
+// 主干分支的标签，分叉后的分支依次为 1、2、1.1、1.2 ...
+export const MAIN_BRANCH = 'main';
+
+/**
+ * 按 parent_uuid 建立筛选后消息的树：被筛掉的消息跳过，子消息挂到最近的保留祖先下
+ * @param {Array} allMessages - 对话的全部消息（用于查找被筛掉的中间消息）
+ * @param {Array} filteredMessages - 要导出的消息，子消息按此顺序排列
+ * @returns {{roots, children}|null} 消息没有父子关系时返回 null
+ */
+export function buildBranchTree(allMessages, filteredMessages) {
+  const byUuid = new Map(allMessages.filter(msg => msg.uuid).map(msg => [msg.uuid, msg]));
+  const kept = new Set(filteredMessages.map(msg => msg.uuid));
+  if (!filteredMessages.some(msg => msg.parent_uuid && byUuid.has(msg.parent_uuid))) return null;
+
+  const findKeptParent = (msg) => {
+    const seen = new Set();
+    let parent = byUuid.get(msg.parent_uuid);
+    while (parent && !kept.has(parent.uuid) && !seen.has(parent.uuid)) {
+      seen.add(parent.uuid);
+      parent = byUuid.get(parent.parent_uuid);
+    }
+    return parent && kept.has(parent.uuid) ? parent : null;
+  };
+
+  const roots = [];
+  const children = new Map();
+  filteredMessages.forEach(msg => {
+    const parent = findKeptParent(msg);
+    if (!parent) {
+      roots.push(msg);
+      return;
+    }
+    if (!children.has(parent.uuid)) children.set(parent.uuid, []);
+    children.get(parent.uuid).push(msg);
+  });
+
+  return { roots, children };
+}
+
+/**
+ * 深度优先遍历分支树：没有分叉的消息保持同一层级，分叉处每个分支下降一层
+ * @param {{roots, children}} tree - buildBranchTree 的结果
+ * @param {Object} handlers
+ * @param {Function} handlers.onMessage - (msg, depth, branch) 每条消息调用一次
+ * @param {Function} handlers.onBranch - (branch, depth, isLast) 每个分支开始前调用
+ */
+export function walkBranchTree(tree, { onMessage, onBranch }) {
+  const visited = new Set();
+
+  const walkSequence = (start, depth, branch) => {
+    let current = start;
+    while (current && !visited.has(current.uuid)) {
+      visited.add(current.uuid);
+      onMessage(current, depth, branch);
+
+      const children = tree.children.get(current.uuid) || [];
+      if (children.length === 1) {
+        current = children[0];
+        continue;
+      }
+      walkBranches(children, depth + 1, branch);
+      current = null;
+    }
+  };
+
+  const walkBranches = (starts, depth, parentBranch) => {
+    starts.forEach((start, index) => {
+      const branch = parentBranch === MAIN_BRANCH ? `${index + 1}` : `${parentBranch}.${index + 1}`;
+      onBranch(branch, depth, index === starts.length - 1);
+      walkSequence(start, depth + 1, branch);
+    });
+  };
+
+  if (tree.roots.length === 1) {
+    walkSequence(tree.roots[0], 0, MAIN_BRANCH);
+  } else {
+    walkBranches(tree.roots, 0, MAIN_BRANCH);
+  }
+}
+
 /**
  * 获取发送者标签
  * @param {Object} msg - 消息对象
@@ -192,6 +514,11 @@ export function getBranchMarker(msg) {
 export function getSenderLabel(msg, config = {}) {
   const isHuman = msg.sender === 'human' || msg.sender_label === '人类' || msg.sender_label === 'Human';
 
+  // 群聊中每个角色保留自己的名字，统一的 AI/Assistant 标签无法区分角色
+  if (!isHuman && msg.participant) {
+    return msg.participant;
+  }
+
   // 检查 senderFormat 配置
   const senderFormat = config.senderFormat || 'default';
 
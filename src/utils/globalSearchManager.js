@@ -2,18 +2,29 @@
 // 全局搜索管理器 - 支持跨文件搜索消息内容
 
 import { generateConversationCardUuid, generateFileCardUuid } from './data/uuidManager';
-import { extractChatData, detectBranches } from './fileParser';
-import { parseJSONL } from './fileParser/helpers';
+import { isFullExportFormat, loadConversationData, releaseConversationLibrary } from './fileParser';
+import { parseFileInWorker } from './fileParser/parseWorkerClient';
+
+// 索引大型容器时，每加载这么多个对话让出一次主线程并汇报进度
+const INDEX_YIELD_INTERVAL = 50;
+const yieldToMainThread = () => new Promise(resolve => setTimeout(resolve, 0));
 
 export class GlobalSearchManager {
   constructor() {
     this.messageIndex = new Map();
     this.fileData = new Map();
-    this.fileCache = new Map(); // 文件内容的缓存 { fileName: { lastModified: timestamp, data: parsedData } }
+    this.fileCache = new Map(); // 文件内容的缓存 { fileName: { lastModified: timestamp, data: parsedData } }；多对话容器不缓存
+    this.indexedFiles = new Map(); // 已建立全文索引的文件 { fileName: { lastModified, fileIndex, entries: [[messageId, entry]] } }
+    this.pendingFiles = []; // 等待建立全文索引的文件 [{ file, fileIndex, data }]
+    this.indexListeners = new Set();
+    this.indexing = null;
+    this.buildId = 0; // 新的构建开始后，仍在进行的旧构建停止写入
   }
 
   /**
-   * 构建全局消息索引（异步）
+   * 登记要索引的文件（加载文件后调用，不解析文件）
+   * 已索引过的文件直接恢复索引，已在内存中的单对话文件立即索引；
+   * 其余文件（包括多对话容器中的对话）在打开搜索时由 ensureFullTextIndex 分批索引
    * @param {Array} files - 文件列表
    * @param {Object} processedData - 当前处理的数据
    * @param {number} currentFileIndex - 当前文件索引
@@ -21,99 +32,171 @@ export class GlobalSearchManager {
    */
   async buildGlobalIndex(files, processedData, currentFileIndex, customNames = {}) {
     this.customNames = customNames;  // 保存以便后续使用
-    const startTime = Date.now();
-    
-    // 如果文件列表发生巨大变化，或者强制重建，则清除旧索引
-    // 但为了性能，我们尽量增量更新或重用缓存
+    this.buildId++;
+    this.indexing = null;
     this.messageIndex.clear();
+    this.pendingFiles = [];
     const newFileData = new Map();
-    
-    for (let fileIndex = 0; fileIndex < files.length; fileIndex++) {
-      const file = files[fileIndex];
-      let data;
-      
-      // 1. 尝试从缓存获取
-      const cacheKey = file.name;
-      const cached = this.fileCache.get(cacheKey);
-      
-      // 检查缓存是否有效 (通过 lastModified)
-      if (cached && cached.lastModified === file.lastModified) {
-         // 如果是当前文件，且传入了 processedData，优先使用传入的最新 processedData 
-         // (因为 processedData 可能包含了 React 状态中最新的处理结果，虽然理论上 content 没变)
-         if (fileIndex === currentFileIndex && processedData) {
-             data = processedData;
-             // 更新缓存(以防万一 processedData 有微小差异)
-             this.fileCache.set(cacheKey, { lastModified: file.lastModified, data });
-         } else {
-             // console.log(`[GlobalSearch] 使用缓存数据: ${file.name}`);
-             data = cached.data;
-         }
-      } else {
-        // 2. 缓存无效或不存在，需要解析
-        
-        // 如果是当前文件且已有解析数据，直接使用
-        if (fileIndex === currentFileIndex && processedData) {
-            data = processedData;
-        } else if (file._mergedProcessedData) {
-            // 检查是否有预处理的合并数据（用于合并的JSONL文件）
-            console.log(`[GlobalSearch] 使用预处理的合并数据: ${file.name}`);
-            data = file._mergedProcessedData;
-        } else {
-            // 否则需要读取并解析文件
-            try {
-            // console.log(`[GlobalSearch] 解析文件: ${file.name}`);
-            const text = await file.text();
-            // 智能解析：检测是 JSON 还是 JSONL 格式
-            const isJSONL = file.name.endsWith('.jsonl') || (text.includes('\n{') && !text.trim().startsWith('['));
-            const jsonData = isJSONL ? parseJSONL(text) : JSON.parse(text);
-            data = extractChatData(jsonData, file.name);
-            // 检测分支结构（与 App.js 保持一致）
-            data = detectBranches(data);
-            } catch (error) {
-            console.error(`[GlobalSearch] 解析文件 ${file.name} 失败:`, error);
-            continue;
-            }
+
+    files.forEach((file, fileIndex) => {
+      // 1. 之前已索引过（内容和位置都没变）
+      const indexed = this.indexedFiles.get(file.name);
+      if (indexed && indexed.lastModified === file.lastModified && indexed.fileIndex === fileIndex) {
+        this.restoreFileEntries(indexed.entries);
+        return;
+      }
+
+      // 2. 已在内存中的数据：当前文件、预处理的合并数据（合并的JSONL文件）或缓存
+      const cached = this.fileCache.get(file.name);
+      const data = (fileIndex === currentFileIndex && processedData) ||
+        file._mergedProcessedData ||
+        (cached && cached.lastModified === file.lastModified ? cached.data : null);
+
+      if (data && !isFullExportFormat(data.format)) {
+        if (data.chat_history) {
+          newFileData.set(file.name, data);
+          this.indexSimpleData(data, file, fileIndex);
         }
-        
-        // 更新缓存
-        if (data) {
-            this.fileCache.set(cacheKey, { lastModified: file.lastModified, data });
+        this.saveFileEntries(file, fileIndex);
+        return;
+      }
+
+      // 3. 容器和尚未解析的文件等打开搜索时再索引
+      this.pendingFiles.push({ file, fileIndex, data: data || null });
+    });
+
+    this.fileData = newFileData;
+    console.log(`[GlobalSearch] 已登记 ${files.length} 个文件: ${this.messageIndex.size} 条消息已索引, ${this.pendingFiles.length} 个文件待索引`);
+    this.notifyIndexProgress();
+
+    // 搜索面板打开时，新登记的文件直接开始索引
+    if (this.indexListeners.size > 0) {
+      this.ensureFullTextIndex();
+    }
+    return this.messageIndex;
+  }
+
+  /**
+   * 为待索引的文件建立全文索引（打开搜索时调用）
+   * 同一轮登记中重复调用返回同一个 Promise
+   */
+  ensureFullTextIndex() {
+    if (!this.indexing) {
+      const buildId = this.buildId;
+      this.indexing = this.indexPendingFiles(buildId).finally(() => {
+        if (this.buildId === buildId) this.indexing = null;
+      });
+    }
+    return this.indexing;
+  }
+
+  /**
+   * 监听索引进度：每索引完一个文件或容器中的一批对话调用一次
+   * @param {Function} listener - ({ pendingFiles }) => void
+   * @returns {Function} 取消监听
+   */
+  onIndexProgress(listener) {
+    this.indexListeners.add(listener);
+    return () => this.indexListeners.delete(listener);
+  }
+
+  notifyIndexProgress() {
+    const progress = { pendingFiles: this.pendingFiles.length };
+    this.indexListeners.forEach(listener => listener(progress));
+  }
+
+  hasPendingIndex() {
+    return this.pendingFiles.length > 0;
+  }
+
+  /**
+   * 逐个索引待索引的文件：未解析的文件在 Worker 中解析，容器中的对话逐个加载
+   */
+  async indexPendingFiles(buildId) {
+    const startTime = Date.now();
+
+    while (this.pendingFiles.length > 0 && buildId === this.buildId) {
+      const { file, fileIndex, data: knownData } = this.pendingFiles[0];
+      let data = knownData;
+      let parsedHere = false; // 这里解析的容器索引完即释放
+
+      if (!data) {
+        try {
+          // 与 App.js 相同，在 Worker 中解析 JSON/JSONL/ZIP 并检测分支结构
+          data = await parseFileInWorker(file);
+          parsedHere = true;
+        } catch (error) {
+          console.error(`[GlobalSearch] 解析文件 ${file.name} 失败:`, error);
         }
       }
-      
-      if (!data) continue;
 
-      newFileData.set(file.name, data);
-      
-      // 处理不同格式的数据
-      if (data.format === 'claude_full_export') {
-        this.indexFullExportData(data, file, fileIndex);
-      } else if (data.chat_history) {
-        this.indexSimpleData(data, file, fileIndex);
+      if (data && buildId === this.buildId) {
+        if (isFullExportFormat(data.format)) {
+          await this.indexFullExportData(data, file, fileIndex, buildId);
+        } else if (data.chat_history) {
+          this.fileCache.set(file.name, { lastModified: file.lastModified, data });
+          this.fileData.set(file.name, data);
+          this.indexSimpleData(data, file, fileIndex);
+        }
       }
+      if (parsedHere) releaseConversationLibrary(data);
+      if (buildId !== this.buildId) return this.messageIndex;
+
+      this.pendingFiles.shift();
+      this.saveFileEntries(file, fileIndex);
+      this.notifyIndexProgress();
     }
-    
-    this.fileData = newFileData;
-    console.log(`[GlobalSearch] 索引构建完成: ${this.messageIndex.size} 条消息, 来自 ${files.length} 个文件, 耗时 ${Date.now() - startTime}ms`);
+
+    console.log(`[GlobalSearch] 全文索引完成: ${this.messageIndex.size} 条消息, 耗时 ${Date.now() - startTime}ms`);
     return this.messageIndex;
   }
 
+  // 记录一个文件的索引条目，重新登记时不必再解析
+  saveFileEntries(file, fileIndex) {
+    const entries = [];
+    this.messageIndex.forEach((entry, messageId) => {
+      if (entry.fileIndex === fileIndex && entry.fileName === file.name) {
+        entries.push([messageId, entry]);
+      }
+    });
+    this.indexedFiles.set(file.name, { lastModified: file.lastModified, fileIndex, entries });
+  }
+
+  // 恢复已记录的索引条目，对话名称按当前的自定义名称更新
+  restoreFileEntries(entries) {
+    entries.forEach(([messageId, entry]) => {
+      const conversationName = this.customNames[entry.conversationId] ||
+        this.customNames[entry.conversationUuid] ||
+        entry.originalName ||
+        '未命名对话';
+      this.messageIndex.set(messageId, { ...entry, conversationName });
+    });
+  }
+
   /**
    * 索引完整导出格式的数据
+   * 对话逐个加载（在 Worker 中解析的容器由 Worker 提供，不进入 LRU 缓存），并分批让出主线程，避免卡住搜索面板
+   * 每索引完一批就通知监听者，已索引的部分可以先搜索
    */
-  indexFullExportData(data, file, fileIndex) {
+  async indexFullExportData(data, file, fileIndex, buildId = this.buildId) {
     const conversations = data.views?.conversationList || [];
     
-    conversations.forEach(conv => {
+    for (let convIndex = 0; convIndex < conversations.length; convIndex++) {
+      if (convIndex > 0 && convIndex % INDEX_YIELD_INTERVAL === 0) {
+        this.notifyIndexProgress();
+        await yieldToMainThread();
+        if (buildId !== this.buildId) return;
+      }
+
+      const conv = conversations[convIndex];
       const convUuid = generateConversationCardUuid(fileIndex, conv.uuid, file);
       
       // 优先使用用户自定义名称
       const displayName = this.customNames[conv.uuid] || this.customNames[convUuid] || conv.name || '未命名对话';
       
       // 获取该对话的所有消息
-      const convMessages = data.chat_history?.filter(msg => 
-        msg.conversation_uuid === conv.uuid && !msg.is_conversation_header
-      ) || [];
+      const convMessages = (await loadConversationData(data, conv.uuid, { cache: false }))?.chat_history || [];
+      if (buildId !== this.buildId) return;
       
       convMessages.forEach((msg, msgIndex) => {
         const messageId = `${convUuid}_${msg.uuid}`;
@@ -153,7 +236,7 @@ export class GlobalSearchManager {
           hasTools: msg.tools && msg.tools.length > 0
         });
       });
-    });
+    }
   }
 
   /**
@@ -505,6 +588,7 @@ export class GlobalSearchManager {
   clear() {
     this.messageIndex.clear();
     this.fileData.clear();
+    this.indexedFiles.clear();
     this.searchCache.clear();
   }
 
@@ -45,16 +45,22 @@ const openDatabase = async () => {
   return requestToPromise(request);
 };
 
-const toRecord = async (file, order) => ({
-  id: `file_${order}`,
-  order,
-  name: file.name,
-  type: file.type || 'application/json',
-  lastModified: file.lastModified || Date.now(),
-  content: await file.text(),
-  upsertKey: file._lyraUpsertKey || '',
-  syncedAt: file._lyraSyncedAt || null
-});
+// ZIP 等二进制文件以 ArrayBuffer 保存，避免按文本读取后损坏
+const isBinaryFile = (file) => /\.zip$/i.test(file.name || '');
+
+const toRecord = async (file, order) => {
+  const binary = isBinaryFile(file);
+  return {
+    id: `file_${order}`,
+    order,
+    name: file.name,
+    type: file.type || (binary ? 'application/zip' : 'application/json'),
+    lastModified: file.lastModified || Date.now(),
+    content: binary ? await file.arrayBuffer() : await file.text(),
+    upsertKey: file._lyraUpsertKey || '',
+    syncedAt: file._lyraSyncedAt || null
+  };
+};
 
 const toFile = (record) => {
   const file = new File([record.content], record.name, {
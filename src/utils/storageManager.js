@@ -29,6 +29,9 @@ class StorageManager {
    * @returns {T} 存储的值或默认值
    */
   static get(key, defaultValue = null) {
+    // Web Worker 中没有 localStorage
+    if (typeof localStorage === 'undefined') return defaultValue;
+
     try {
       const fullKey = STORAGE_PREFIX + key;
       const item = localStorage.getItem(fullKey);
@@ -124,6 +124,22 @@ export function countWords(text) {
   return cjkChars.length + westernWords.length;
 }
 
+/**
+ * 粗略估算 token 数（CJK 字符约 1 token/字，其余文本约 4 字符/token）
+ * @param {string} text - 文本
+ * @returns {number} 估算的 token 数
+ */
+export function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+
+  const cjkChars = text.match(/[\u4e00-\u9fa5\u3040-\u309f\u30a0-\u30ff\uac00-\ud7af]/g) || [];
+  const rest = text.length - cjkChars.length;
+
+  return cjkChars.length + Math.ceil(rest / 4);
+}
+
 /**
  * 清理搜索输入（去除多余空格）
  * @param {string} input - 用户输入
@@ -158,6 +174,34 @@ export function escapeHtml(text) {
   return text.replace(/[&<>"']/g, char => map[char]);
 }
 
+/**
+ * 取工具结果中的文本（字符串直接返回，内容块数组默认只取 text 块）
+ * @param {string|Array} content - 工具结果内容
+ * @param {Object} options
+ * @param {boolean} options.includeSearchResults - 同时保留搜索结果等其他块：有文本取文本，否则写为 Markdown 链接
+ * @returns {string} 结果文本
+ */
+export function getToolResultText(content, { includeSearchResults = false } = {}) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return '';
+  }
+
+  if (!includeSearchResults) {
+    return content
+      .filter(item => item?.type === 'text' && item.text)
+      .map(item => item.text)
+      .join('\n');
+  }
+
+  return content
+    .map(item => (typeof item === 'string' ? item : item?.text || (item?.url ? `[${item.title || item.url}](${item.url})` : '')))
+    .filter(Boolean)
+    .join('\n');
+}
+
 // 默认导出
 export default {
   highlightText,
@@ -165,6 +209,8 @@ export default {
   truncate,
   stripMarkdown,
   countWords,
+  estimateTokens,
   sanitizeSearchInput,
-  escapeHtml
+  escapeHtml,
+  getToolResultText
 };